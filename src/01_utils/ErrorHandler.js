@@ -59,11 +59,18 @@ class DocumentNotFoundError extends GASDBError {
 
 /**
  * Duplicate key error
+ * When a unique index cannot be built, duplicates lists every shared value
+ * with the IDs of the documents holding it ({ value, ids }).
  */
 class DuplicateKeyError extends GASDBError {
-  constructor(key, value, collectionName = null) {
-    const message = `Duplicate key error: ${key} = ${value}`;
-    super(message, 'DUPLICATE_KEY', { key, value, collectionName });
+  constructor(key, value, collectionName = null, duplicates = null) {
+    const message = duplicates
+      ? `Duplicate key error: ${key} has duplicate values ${duplicates.map(duplicate => `${duplicate.value} (${duplicate.ids.join(', ')})`).join('; ')}`
+      : `Duplicate key error: ${key} = ${value}`;
+    super(message, 'DUPLICATE_KEY', duplicates ? { key, value, collectionName, duplicates } : { key, value, collectionName });
+    if (duplicates) {
+      this.duplicates = duplicates;
+    }
   }
 }
 
@@ -230,6 +237,24 @@ class CoordinationTimeoutError extends GASDBError {
   }
 }
 
+/**
+ * Bulk write error, reporting per-operation write errors alongside the writes that succeeded
+ * Mirrors MongoDB's BulkWriteError: result fields such as insertedIds are also exposed on the error.
+ */
+class BulkWriteError extends GASDBError {
+  constructor(writeErrors, result = {}) {
+    const message = `Bulk write failed with ${writeErrors.length} write error(s)`;
+    super(message, 'BULK_WRITE_ERROR', { writeErrors, result });
+    this.writeErrors = writeErrors;
+    this.result = result;
+    Object.keys(result).forEach(key => {
+      if (this[key] === undefined) {
+        this[key] = result[key];
+      }
+    });
+  }
+}
+
 /**
  * ErrorHandler - Main error handling utility class
  */
@@ -442,5 +467,6 @@ ErrorHandler.ErrorTypes = {
   OPERATION_ERROR: OperationError,
   LOCK_ACQUISITION_FAILURE: LockAcquisitionFailureError,
   MODIFICATION_CONFLICT: ModificationConflictError,
-  COORDINATION_TIMEOUT: CoordinationTimeoutError
+  COORDINATION_TIMEOUT: CoordinationTimeoutError,
+  BULK_WRITE_ERROR: BulkWriteError
 };
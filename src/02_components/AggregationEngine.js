@@ -0,0 +1,1608 @@
+/**
+ * AggregationEngine.js - MongoDB-compatible Aggregation Pipeline Engine
+ *
+ * Runs aggregation pipelines over documents, one stage at a time in order:
+ * - $match filters with the query language
+ * - $project, $addFields/$set and $unset reshape documents using aggregation expressions
+ * - $group groups documents by an expression and computes accumulators
+ * - $sort, $skip, $limit and $count order, page and count the results
+ * - $lookup joins documents from another collection and $unwind flattens arrays
+ * - $facet runs several sub-pipelines over the same documents
+ * - $bucket, $bucketAuto and $sortByCount group documents into ranges or by frequency
+ * - $sample picks random documents, $replaceRoot/$replaceWith promote a subdocument and
+ *   $unionWith appends the documents of another collection
+ * - $out and $merge write the results to a collection, replacing or merging into its documents
+ * The document-level stages are shared with pipeline updates in UpdateEngine.
+ */
+class AggregationEngine {
+  /**
+   * Creates a new AggregationEngine instance
+   */
+  constructor() {
+    this._logger = JDbLogger.createComponentLogger('AggregationEngine');
+    this._queryEngine = null; // Lazy-loaded QueryEngine for $match
+    this._sortEngine = null; // Lazy-loaded SortEngine for $sort and value comparison
+    this._projectionEngine = null; // Lazy-loaded ProjectionEngine for $project inclusions and exclusions
+    this._expressionEvaluator = null; // Lazy-loaded ExpressionEvaluator for computed values
+
+    // Map of supported stages to their handler methods
+    this._stageHandlers = {
+      '$match': this._applyMatchStage.bind(this),
+      '$project': this._applyProjectStage.bind(this),
+      '$addFields': this._applyAddFieldsStage.bind(this),
+      '$set': this._applyAddFieldsStage.bind(this),
+      '$unset': this._applyUnsetStage.bind(this),
+      '$group': this._applyGroupStage.bind(this),
+      '$sort': this._applySortStage.bind(this),
+      '$skip': this._applySkipStage.bind(this),
+      '$limit': this._applyLimitStage.bind(this),
+      '$count': this._applyCountStage.bind(this),
+      '$lookup': this._applyLookupStage.bind(this),
+      '$unwind': this._applyUnwindStage.bind(this),
+      '$facet': this._applyFacetStage.bind(this),
+      '$bucket': this._applyBucketStage.bind(this),
+      '$bucketAuto': this._applyBucketAutoStage.bind(this),
+      '$sortByCount': this._applySortByCountStage.bind(this),
+      '$sample': this._applySampleStage.bind(this),
+      '$replaceRoot': this._applyReplaceRootStage.bind(this),
+      '$replaceWith': this._applyReplaceWithStage.bind(this),
+      '$unionWith': this._applyUnionWithStage.bind(this),
+      '$out': this._applyOutStage.bind(this),
+      '$merge': this._applyMergeStage.bind(this)
+    };
+  }
+
+  /**
+   * Run an aggregation pipeline over documents
+   * @param {Array<Object>} documents - Input documents (not modified)
+   * @param {Array<Object>} pipeline - Pipeline stages, e.g. [{ $match: {...} }, { $group: {...} }]
+   * @param {Object} [options={}] - Aggregation options
+   * @param {Function} [options.resolveCollection] - Returns the documents of a named collection; required by $lookup and $unionWith
+   * @param {Function} [options.writeCollection] - Called as writeCollection(name, write) to replace the documents of a named
+   *   collection with write(currentDocuments); required by $out and $merge
+   * @returns {Array<Object>} New array of result documents (empty when the pipeline ends with $out or $merge)
+   * @throws {InvalidArgumentError} When documents or pipeline are not arrays, or the resolver or writer is not a function
+   * @throws {InvalidQueryError} When a stage is unsupported or malformed, or an expression is invalid
+   * @throws {OperationError} When $lookup or $unionWith is used without a collection resolver, $out or $merge without
+   *   a collection writer, or a $merge cannot write a document
+   * @throws {DuplicateKeyError} When a $merge with whenMatched "fail" matches an existing document
+   */
+  aggregate(documents, pipeline, options = {}) {
+    Validate.array(documents, 'documents');
+    this.validatePipeline(pipeline);
+    Validate.object(options, 'options');
+    Validate.optional(options.resolveCollection, Validate.func, 'options.resolveCollection');
+    Validate.optional(options.writeCollection, Validate.func, 'options.writeCollection');
+
+    this._logger.debug('Running aggregation pipeline', {
+      documentCount: documents.length,
+      stages: pipeline.map(stage => Object.keys(stage)[0])
+    });
+
+    // Foreign collections are resolved at most once per pipeline, however many stages use them
+    const context = {
+      resolveCollection: options.resolveCollection || null,
+      writeCollection: options.writeCollection || null,
+      foreignDocuments: new Map(),
+      variables: {}
+    };
+    const results = this._runStages(documents, pipeline, context);
+
+    // Return copies so stored documents cannot be modified through the results
+    return results.map(document => ObjectUtils.deepClone(document));
+  }
+
+  /**
+   * Validate a pipeline without running it
+   * $out and $merge can only be the last stage.
+   * @param {Array<Object>} pipeline - Pipeline stages
+   * @throws {InvalidArgumentError} When the pipeline is not an array
+   * @throws {InvalidQueryError} When a stage is unsupported, malformed or out of place
+   */
+  validatePipeline(pipeline) {
+    Validate.array(pipeline, 'pipeline');
+    pipeline.forEach((stage, index) => {
+      this.validateStage(stage);
+      const stageName = Object.keys(stage)[0];
+      if (AggregationEngine.OUTPUT_STAGES.includes(stageName) && index !== pipeline.length - 1) {
+        throw new InvalidQueryError(stage, `${stageName} can only be the last stage of a pipeline`);
+      }
+    });
+  }
+
+  /**
+   * Validate a single stage
+   * @param {Object} stage - Stage object with exactly one stage name, e.g. { $limit: 5 }
+   * @throws {InvalidQueryError} When the stage is unsupported or its specification is invalid
+   */
+  validateStage(stage) {
+    if (!Validate.isPlainObject(stage) || Object.keys(stage).length !== 1) {
+      throw new InvalidQueryError(stage, 'a pipeline stage must be an object with exactly one stage name');
+    }
+
+    const stageName = Object.keys(stage)[0];
+    if (!this._stageHandlers[stageName]) {
+      throw new InvalidQueryError(stage, `Unsupported pipeline stage: ${stageName}`);
+    }
+
+    const spec = stage[stageName];
+    switch (stageName) {
+      case '$match':
+        this._validateObjectSpec(stageName, spec, true);
+        this._getQueryEngine().createMatcher(spec);
+        break;
+      case '$project':
+        this._validateProjectSpec(spec);
+        break;
+      case '$addFields':
+      case '$set':
+        this._validateFieldExpressions(stageName, spec);
+        break;
+      case '$unset':
+        this._validateUnsetSpec(spec);
+        break;
+      case '$group':
+        this._validateGroupSpec(spec);
+        break;
+      case '$sort':
+        this._validateObjectSpec(stageName, spec, false);
+        this._getSortEngine().validateSort(spec);
+        break;
+      case '$skip':
+        this._validateCountSpec(stageName, spec, 0);
+        break;
+      case '$limit':
+        this._validateCountSpec(stageName, spec, 1);
+        break;
+      case '$count':
+        this._validateOutputFieldName(stageName, spec);
+        break;
+      case '$lookup':
+        this._validateLookupSpec(spec);
+        break;
+      case '$unwind':
+        this._validateUnwindSpec(spec);
+        break;
+      case '$facet':
+        this._validateFacetSpec(spec);
+        break;
+      case '$bucket':
+        this._validateBucketSpec(spec);
+        break;
+      case '$bucketAuto':
+        this._validateBucketAutoSpec(spec);
+        break;
+      case '$sortByCount':
+        this._validateGroupByExpression(stageName, spec);
+        break;
+      case '$sample':
+        this._validateObjectSpec(stageName, spec, false);
+        this._validateAllowedFields(stageName, spec, ['size']);
+        this._validateCountSpec('$sample size', spec.size, 0);
+        break;
+      case '$replaceRoot':
+        this._validateObjectSpec(stageName, spec, false);
+        this._validateAllowedFields(stageName, spec, ['newRoot']);
+        if (spec.newRoot === undefined) {
+          throw new InvalidQueryError(spec, '$replaceRoot requires a newRoot expression');
+        }
+        this._getExpressionEvaluator().validateExpression(spec.newRoot);
+        break;
+      case '$replaceWith':
+        this._getExpressionEvaluator().validateExpression(spec);
+        break;
+      case '$unionWith':
+        this._validateUnionWithSpec(spec);
+        break;
+      case '$out':
+        this._validateOutSpec(spec);
+        break;
+      case '$merge':
+        this._validateMergeSpec(spec);
+        break;
+    }
+  }
+
+  /**
+   * Add or replace fields with computed values
+   * Every expression is evaluated against the document as it was before any field was set.
+   * Nested field specifications (objects of expressions) are merged into existing subdocuments,
+   * and expressions evaluating to a missing value ($$REMOVE or an absent field) remove the field.
+   * @param {Object} document - Input document (not modified)
+   * @param {Object} spec - Field paths mapped to expressions
+   * @param {Object} [variables={}] - Variables available to the expressions (names without $$)
+   * @returns {Object} New document
+   */
+  addFields(document, spec, variables = {}) {
+    const result = ObjectUtils.deepClone(document);
+    this._addComputedFields(result, spec, document, variables);
+    return result;
+  }
+
+  /**
+   * Reshape a document with a $project specification
+   * Fields set to 1 or true are kept, fields set to 0 or false are removed and any other value is
+   * an expression; _id is kept unless excluded.
+   * @param {Object} document - Input document (not modified)
+   * @param {Object} spec - Projection specification
+   * @param {Object} [variables={}] - Variables available to the expressions (names without $$)
+   * @returns {Object} New document
+   */
+  projectDocument(document, spec, variables = {}) {
+    const inclusions = {};
+    const computed = {};
+    for (const fieldPath in spec) {
+      const value = spec[fieldPath];
+      if (typeof value !== 'number' && typeof value !== 'boolean') {
+        computed[fieldPath] = value;
+      } else if (value && fieldPath !== '_id') {
+        inclusions[fieldPath] = 1;
+      }
+    }
+
+    // Without included or computed fields the stage only removes fields
+    if (Object.keys(inclusions).length === 0 && Object.keys(computed).length === 0) {
+      return ObjectUtils.deepClone(this._getProjectionEngine().applyProjection([document], spec)[0]);
+    }
+
+    let result = {};
+    if (Object.keys(inclusions).length > 0) {
+      result = ObjectUtils.deepClone(this._getProjectionEngine().applyProjection([document], inclusions)[0]);
+    } else if (document._id !== undefined) {
+      result._id = ObjectUtils.deepClone(document._id);
+    }
+    if (spec._id === 0 || spec._id === false) {
+      delete result._id;
+    }
+
+    this._addComputedFields(result, computed, document, variables);
+    return result;
+  }
+
+  /**
+   * Replace a document with the result of an expression, as $replaceRoot and $replaceWith do
+   * @param {Object} document - Input document (not modified)
+   * @param {*} expression - Expression evaluating to the new document, e.g. '$address'
+   * @param {Object} [variables={}] - Variables available to the expression (names without $$)
+   * @returns {Object} New document
+   * @throws {InvalidQueryError} When the expression does not evaluate to a document
+   */
+  replaceRoot(document, expression, variables = {}) {
+    const replacement = this._getExpressionEvaluator().evaluate(expression, document, variables);
+    if (!Validate.isPlainObject(replacement) || replacement instanceof RegExp) {
+      throw new InvalidQueryError(expression, 'the replacement root must evaluate to a document');
+    }
+    return ObjectUtils.deepClone(replacement);
+  }
+
+  /**
+   * Remove fields from a document
+   * @param {Object} document - Input document (not modified)
+   * @param {string|Array<string>} spec - Field path or field paths to remove
+   * @returns {Object} New document
+   */
+  unsetFields(document, spec) {
+    const result = ObjectUtils.deepClone(document);
+    const fieldPaths = Array.isArray(spec) ? spec : [spec];
+    fieldPaths.forEach(fieldPath => this._removePath(result, fieldPath.split('.')));
+    return result;
+  }
+
+  /**
+   * Run validated stages in order
+   * @param {Array<Object>} documents - Input documents
+   * @param {Array<Object>} pipeline - Validated pipeline stages
+   * @param {Object} context - Pipeline run state: { resolveCollection, foreignDocuments, variables }
+   * @returns {Array<Object>} Documents produced by the last stage
+   * @private
+   */
+  _runStages(documents, pipeline, context) {
+    let results = documents;
+    for (const stage of pipeline) {
+      const stageName = Object.keys(stage)[0];
+      results = this._stageHandlers[stageName](results, stage[stageName], context);
+    }
+    return results;
+  }
+
+  /**
+   * $match - keep documents matching a query
+   * @param {Array<Object>} documents - Input documents
+   * @param {Object} query - Query filter
+   * @param {Object} context - Pipeline run state; its variables are available to $expr
+   * @returns {Array<Object>} Matching documents
+   * @private
+   */
+  _applyMatchStage(documents, query, context) {
+    return documents.filter(this._getQueryEngine().createMatcher(query, { variables: context.variables }));
+  }
+
+  /**
+   * $project - reshape each document
+   * @param {Array<Object>} documents - Input documents
+   * @param {Object} spec - Projection specification
+   * @param {Object} context - Pipeline run state
+   * @returns {Array<Object>} Projected documents
+   * @private
+   */
+  _applyProjectStage(documents, spec, context) {
+    return documents.map(document => this.projectDocument(document, spec, context.variables));
+  }
+
+  /**
+   * $addFields / $set - add computed fields to each document
+   * @param {Array<Object>} documents - Input documents
+   * @param {Object} spec - Field paths mapped to expressions
+   * @param {Object} context - Pipeline run state
+   * @returns {Array<Object>} Updated documents
+   * @private
+   */
+  _applyAddFieldsStage(documents, spec, context) {
+    return documents.map(document => this.addFields(document, spec, context.variables));
+  }
+
+  /**
+   * $unset - remove fields from each document
+   * @param {Array<Object>} documents - Input documents
+   * @param {string|Array<string>} spec - Field path or field paths
+   * @returns {Array<Object>} Updated documents
+   * @private
+   */
+  _applyUnsetStage(documents, spec) {
+    return documents.map(document => this.unsetFields(document, spec));
+  }
+
+  /**
+   * $group - group documents by the _id expression and compute accumulators per group
+   * Groups are returned in the order their first document was seen.
+   * @param {Array<Object>} documents - Input documents
+   * @param {Object} spec - { _id: expression, field: { $accumulator: expression }, ... }
+   * @param {Object} context - Pipeline run state
+   * @returns {Array<Object>} One document per group
+   * @private
+   */
+  _applyGroupStage(documents, spec, context) {
+    const evaluator = this._getExpressionEvaluator();
+    const accumulators = Object.assign({}, spec);
+    delete accumulators._id;
+    return this._groupDocuments(documents, document => evaluator.evaluate(spec._id, document, context.variables), accumulators, context);
+  }
+
+  /**
+   * Group documents and compute accumulators per group
+   * Groups are returned in the order their first document was seen.
+   * @param {Array<Object>} documents - Input documents
+   * @param {function(Object, number): *} getGroupId - Returns the group _id of a document and its index
+   * @param {Object} accumulators - Output fields mapped to { $accumulator: expression }
+   * @param {Object} context - Pipeline run state
+   * @returns {Array<Object>} One document per group: { _id, field: value, ... }
+   * @private
+   */
+  _groupDocuments(documents, getGroupId, accumulators, context) {
+    const evaluator = this._getExpressionEvaluator();
+    const fields = Object.keys(accumulators);
+    const groups = new Map();
+
+    documents.forEach((document, documentIndex) => {
+      const groupId = getGroupId(document, documentIndex);
+      const key = this._getGroupKey(groupId);
+      if (!groups.has(key)) {
+        groups.set(key, {
+          _id: groupId === undefined ? null : groupId,
+          states: fields.map(() => ({ values: [], count: 0 }))
+        });
+      }
+
+      const group = groups.get(key);
+      fields.forEach((field, index) => {
+        const accumulator = Object.keys(accumulators[field])[0];
+        const state = group.states[index];
+        state.count++;
+        if (accumulator !== '$count') {
+          state.values.push(evaluator.evaluate(accumulators[field][accumulator], document, context.variables));
+        }
+      });
+    });
+
+    return Array.from(groups.values()).map(group => {
+      const result = { _id: group._id };
+      fields.forEach((field, index) => {
+        const accumulator = Object.keys(accumulators[field])[0];
+        result[field] = this._accumulate(accumulator, group.states[index]);
+      });
+      return result;
+    });
+  }
+
+  /**
+   * Compute an accumulator's result for one group
+   * @param {string} accumulator - Accumulator name, e.g. '$sum'
+   * @param {Object} state - { values: evaluated expressions in document order, count: number of documents }
+   * @returns {*} Accumulated value
+   * @private
+   */
+  _accumulate(accumulator, state) {
+    const present = state.values.filter(value => value !== null && value !== undefined);
+    const numbers = state.values.filter(value => typeof value === 'number');
+    const sortEngine = this._getSortEngine();
+
+    switch (accumulator) {
+      case '$sum':
+        return numbers.reduce((sum, value) => sum + value, 0);
+      case '$avg':
+        return numbers.length === 0 ? null : numbers.reduce((sum, value) => sum + value, 0) / numbers.length;
+      case '$min':
+        return present.length === 0 ? null : present.reduce((min, value) => sortEngine.compareValues(value, min) < 0 ? value : min);
+      case '$max':
+        return present.length === 0 ? null : present.reduce((max, value) => sortEngine.compareValues(value, max) > 0 ? value : max);
+      case '$first':
+        return state.values.length === 0 || state.values[0] === undefined ? null : state.values[0];
+      case '$last': {
+        const last = state.values[state.values.length - 1];
+        return last === undefined ? null : last;
+      }
+      case '$push':
+        return state.values.filter(value => value !== undefined);
+      case '$addToSet':
+        return state.values.filter(value => value !== undefined).reduce((set, value) => {
+          if (!set.some(existing => sortEngine.compareValues(existing, value) === 0)) {
+            set.push(value);
+          }
+          return set;
+        }, []);
+      case '$count':
+        return state.count;
+    }
+    return null;
+  }
+
+  /**
+   * Build a string key identifying a group _id value
+   * Dates are tagged so they do not collide with equal ISO strings.
+   * @param {*} value - Evaluated group _id
+   * @returns {string} Group key
+   * @private
+   */
+  _getGroupKey(value) {
+    if (value === undefined) {
+      return 'null';
+    }
+    return JSON.stringify(value, function(key, item) {
+      return this[key] instanceof Date ? { $date: this[key].getTime() } : item;
+    });
+  }
+
+  /**
+   * $sort - order documents
+   * @param {Array<Object>} documents - Input documents
+   * @param {Object} spec - Sort specification
+   * @returns {Array<Object>} Sorted documents
+   * @private
+   */
+  _applySortStage(documents, spec) {
+    return this._getSortEngine().sortDocuments(documents, spec);
+  }
+
+  /**
+   * $skip - drop the first documents
+   * @param {Array<Object>} documents - Input documents
+   * @param {number} count - Number of documents to skip
+   * @returns {Array<Object>} Remaining documents
+   * @private
+   */
+  _applySkipStage(documents, count) {
+    return documents.slice(count);
+  }
+
+  /**
+   * $limit - keep the first documents
+   * @param {Array<Object>} documents - Input documents
+   * @param {number} count - Maximum number of documents
+   * @returns {Array<Object>} Limited documents
+   * @private
+   */
+  _applyLimitStage(documents, count) {
+    return documents.slice(0, count);
+  }
+
+  /**
+   * $count - replace the documents with a single document holding their count
+   * As in MongoDB, no document is returned when there is nothing to count.
+   * @param {Array<Object>} documents - Input documents
+   * @param {string} field - Name of the count field
+   * @returns {Array<Object>} [{ field: count }] or []
+   * @private
+   */
+  _applyCountStage(documents, field) {
+    return documents.length === 0 ? [] : [{ [field]: documents.length }];
+  }
+
+  /**
+   * $lookup - add an array of matching documents from another collection to each document
+   * Documents match when their foreignField equals the localField (or any element of it, when
+   * either is an array); missing and null values match each other. With a pipeline, the
+   * candidates are then run through the pipeline, with the let variables bound for each document.
+   * @param {Array<Object>} documents - Input documents
+   * @param {Object} spec - { from, localField?, foreignField?, let?, pipeline?, as }
+   * @param {Object} context - Pipeline run state
+   * @returns {Array<Object>} Documents with the joined array in the "as" field
+   * @private
+   */
+  _applyLookupStage(documents, spec, context) {
+    const foreignDocuments = this._getForeignDocuments('$lookup', spec.from, context);
+    const evaluator = this._getExpressionEvaluator();
+    const hasEqualityMatch = spec.localField !== undefined;
+
+    return documents.map(document => {
+      let joined = foreignDocuments;
+      if (hasEqualityMatch) {
+        const localValue = this._getQueryEngine()._getFieldValue(document, spec.localField);
+        const candidates = Array.isArray(localValue) ? localValue : [localValue === undefined ? null : localValue];
+        joined = joined.filter(this._getQueryEngine().createMatcher({ [spec.foreignField]: { $in: candidates } }));
+      }
+
+      if (spec.pipeline) {
+        const variables = Object.assign({}, context.variables);
+        for (const name in spec.let || {}) {
+          variables[name] = evaluator.evaluate(spec.let[name], document, context.variables);
+        }
+        joined = this._runStages(joined, spec.pipeline, Object.assign({}, context, { variables }));
+      }
+
+      const result = ObjectUtils.deepClone(document);
+      this._setPath(result, spec.as.split('.'), joined);
+      return result;
+    });
+  }
+
+  /**
+   * Get the documents of a foreign collection, resolving each collection once per pipeline run
+   * @param {string} stageName - Stage reading the collection, for error reporting
+   * @param {string} collectionName - Foreign collection name
+   * @param {Object} context - Pipeline run state
+   * @returns {Array<Object>} Foreign documents
+   * @throws {OperationError} When no collection resolver was supplied
+   * @throws {InvalidArgumentError} When the resolver does not return an array
+   * @private
+   */
+  _getForeignDocuments(stageName, collectionName, context) {
+    if (!context.foreignDocuments.has(collectionName)) {
+      if (!context.resolveCollection) {
+        throw new OperationError(stageName, `no collection resolver was supplied to read "${collectionName}"`);
+      }
+      const foreignDocuments = context.resolveCollection(collectionName);
+      Validate.array(foreignDocuments, `documents of collection "${collectionName}"`);
+      context.foreignDocuments.set(collectionName, foreignDocuments);
+    }
+    return context.foreignDocuments.get(collectionName);
+  }
+
+  /**
+   * $unwind - output one document per element of an array field
+   * A non-array value counts as a single element. Documents whose field is missing, null or an
+   * empty array are dropped unless preserveNullAndEmptyArrays is set; an empty array is then removed.
+   * @param {Array<Object>} documents - Input documents
+   * @param {string|Object} spec - '$path' or { path, includeArrayIndex?, preserveNullAndEmptyArrays? }
+   * @returns {Array<Object>} Unwound documents
+   * @private
+   */
+  _applyUnwindStage(documents, spec) {
+    const options = typeof spec === 'string' ? { path: spec } : spec;
+    const parts = options.path.substring(1).split('.');
+    const indexParts = options.includeArrayIndex ? options.includeArrayIndex.split('.') : null;
+    const results = [];
+
+    const output = (document, value, index) => {
+      const result = ObjectUtils.deepClone(document);
+      if (value === undefined) {
+        this._removePath(result, parts);
+      } else {
+        this._setPath(result, parts, value);
+      }
+      if (indexParts) {
+        this._setPath(result, indexParts, index);
+      }
+      results.push(result);
+    };
+
+    documents.forEach(document => {
+      const value = this._getPathValue(document, parts);
+      if (Array.isArray(value) && value.length > 0) {
+        value.forEach((item, index) => output(document, item, index));
+      } else if (value !== undefined && value !== null && !Array.isArray(value)) {
+        output(document, value, null);
+      } else if (options.preserveNullAndEmptyArrays) {
+        output(document, Array.isArray(value) ? undefined : value, null);
+      }
+    });
+    return results;
+  }
+
+  /**
+   * $facet - run several sub-pipelines over the same documents
+   * @param {Array<Object>} documents - Input documents
+   * @param {Object} spec - Output field names mapped to pipelines
+   * @param {Object} context - Pipeline run state, shared by the sub-pipelines
+   * @returns {Array<Object>} A single document holding each sub-pipeline's results
+   * @private
+   */
+  _applyFacetStage(documents, spec, context) {
+    const result = {};
+    for (const field in spec) {
+      result[field] = this._runStages(documents, spec[field], context);
+    }
+    return [result];
+  }
+
+  /**
+   * $bucket - group documents into ranges of the groupBy value
+   * Each bucket's _id is its lower boundary (inclusive); the next boundary is its upper bound
+   * (exclusive). Values outside the boundaries go to the default bucket, which comes last.
+   * Empty buckets are not returned.
+   * @param {Array<Object>} documents - Input documents
+   * @param {Object} spec - { groupBy, boundaries, default?, output? }
+   * @param {Object} context - Pipeline run state
+   * @returns {Array<Object>} One document per non-empty bucket, in boundary order
+   * @throws {InvalidQueryError} When a value is outside the boundaries and there is no default
+   * @private
+   */
+  _applyBucketStage(documents, spec, context) {
+    const evaluator = this._getExpressionEvaluator();
+    const sortEngine = this._getSortEngine();
+    const boundaries = spec.boundaries;
+    const hasDefault = Object.prototype.hasOwnProperty.call(spec, 'default');
+    const rank = new Map();
+
+    const getBucketId = document => {
+      const value = evaluator.evaluate(spec.groupBy, document, context.variables);
+      const index = this._isSameBoundaryType(value, boundaries[0]) ? this._findBucketIndex(value, boundaries) : -1;
+      if (index === -1) {
+        if (!hasDefault) {
+          throw new InvalidQueryError(value, '$bucket groupBy value is outside the boundaries and no default was given');
+        }
+        return spec.default;
+      }
+      rank.set(this._getGroupKey(boundaries[index]), index);
+      return boundaries[index];
+    };
+
+    const results = this._groupDocuments(documents, getBucketId, spec.output || { count: { $sum: 1 } }, context);
+    const getRank = result => {
+      const key = this._getGroupKey(result._id);
+      return rank.has(key) ? rank.get(key) : boundaries.length;
+    };
+    return results.sort((a, b) => getRank(a) - getRank(b) || sortEngine.compareValues(a._id, b._id));
+  }
+
+  /**
+   * Find the bucket a value falls into
+   * @param {*} value - groupBy value, of the boundaries' type
+   * @param {Array} boundaries - Ascending boundaries
+   * @returns {number} Index of the bucket's lower boundary, or -1 when the value is outside the boundaries
+   * @private
+   */
+  _findBucketIndex(value, boundaries) {
+    const sortEngine = this._getSortEngine();
+    for (let index = 0; index < boundaries.length - 1; index++) {
+      if (sortEngine.compareValues(value, boundaries[index]) >= 0 && sortEngine.compareValues(value, boundaries[index + 1]) < 0) {
+        return index;
+      }
+    }
+    return -1;
+  }
+
+  /**
+   * $bucketAuto - group documents into a number of buckets of about the same size
+   * Documents are ordered by the groupBy value (missing values count as null) and split into
+   * buckets; documents with equal values always share a bucket, so fewer buckets may be returned.
+   * Each bucket's _id is { min, max }, where max is the next bucket's min, or the largest value
+   * for the last bucket.
+   * @param {Array<Object>} documents - Input documents
+   * @param {Object} spec - { groupBy, buckets, output? }
+   * @param {Object} context - Pipeline run state
+   * @returns {Array<Object>} One document per bucket, in groupBy order
+   * @private
+   */
+  _applyBucketAutoStage(documents, spec, context) {
+    const evaluator = this._getExpressionEvaluator();
+    const sortEngine = this._getSortEngine();
+    const entries = documents.map(document => {
+      const value = evaluator.evaluate(spec.groupBy, document, context.variables);
+      return { document, value: value === undefined ? null : value };
+    });
+    entries.sort((a, b) => sortEngine.compareValues(a.value, b.value));
+
+    // Fill each bucket to the target size, then keep adding documents with the same value
+    const bucketSize = Math.max(1, Math.round(entries.length / spec.buckets));
+    const buckets = [];
+    let position = 0;
+    while (position < entries.length) {
+      const isLastBucket = buckets.length === spec.buckets - 1;
+      let end = isLastBucket ? entries.length : Math.min(position + bucketSize, entries.length);
+      while (end < entries.length && sortEngine.compareValues(entries[end].value, entries[end - 1].value) === 0) {
+        end++;
+      }
+      buckets.push({ start: position, end });
+      position = end;
+    }
+
+    const bucketIds = [];
+    buckets.forEach((bucket, index) => {
+      const next = buckets[index + 1];
+      const id = { min: entries[bucket.start].value, max: next ? entries[next.start].value : entries[bucket.end - 1].value };
+      for (let entryIndex = bucket.start; entryIndex < bucket.end; entryIndex++) {
+        bucketIds[entryIndex] = id;
+      }
+    });
+
+    return this._groupDocuments(
+      entries.map(entry => entry.document),
+      (document, index) => bucketIds[index],
+      spec.output || { count: { $sum: 1 } },
+      context
+    );
+  }
+
+  /**
+   * $sortByCount - count the documents with each value of an expression, most frequent first
+   * Values with equal counts keep their first-seen order.
+   * @param {Array<Object>} documents - Input documents
+   * @param {*} expression - Expression to group by
+   * @param {Object} context - Pipeline run state
+   * @returns {Array<Object>} [{ _id: value, count: number }, ...]
+   * @private
+   */
+  _applySortByCountStage(documents, expression, context) {
+    const groups = this._applyGroupStage(documents, { _id: expression, count: { $sum: 1 } }, context);
+    return this._getSortEngine().sortDocuments(groups, { count: -1 });
+  }
+
+  /**
+   * $sample - pick documents at random, without repeats
+   * @param {Array<Object>} documents - Input documents
+   * @param {Object} spec - { size: number of documents }
+   * @returns {Array<Object>} Up to size documents, in random order
+   * @private
+   */
+  _applySampleStage(documents, spec) {
+    const pool = documents.slice();
+    const size = Math.min(spec.size, pool.length);
+
+    // Partial Fisher-Yates shuffle: only the first size positions are needed
+    for (let index = 0; index < size; index++) {
+      const swapIndex = index + Math.floor(Math.random() * (pool.length - index));
+      const chosen = pool[swapIndex];
+      pool[swapIndex] = pool[index];
+      pool[index] = chosen;
+    }
+    return pool.slice(0, size);
+  }
+
+  /**
+   * $replaceRoot - replace each document with the result of its newRoot expression
+   * @param {Array<Object>} documents - Input documents
+   * @param {Object} spec - { newRoot: expression }
+   * @param {Object} context - Pipeline run state
+   * @returns {Array<Object>} Replacement documents
+   * @private
+   */
+  _applyReplaceRootStage(documents, spec, context) {
+    return documents.map(document => this.replaceRoot(document, spec.newRoot, context.variables));
+  }
+
+  /**
+   * $replaceWith - replace each document with the result of an expression
+   * @param {Array<Object>} documents - Input documents
+   * @param {*} expression - Expression evaluating to the new document
+   * @param {Object} context - Pipeline run state
+   * @returns {Array<Object>} Replacement documents
+   * @private
+   */
+  _applyReplaceWithStage(documents, expression, context) {
+    return documents.map(document => this.replaceRoot(document, expression, context.variables));
+  }
+
+  /**
+   * $unionWith - append the documents of another collection, optionally run through a pipeline
+   * @param {Array<Object>} documents - Input documents
+   * @param {string|Object} spec - Collection name or { coll, pipeline? }
+   * @param {Object} context - Pipeline run state
+   * @returns {Array<Object>} Input documents followed by the other collection's documents
+   * @private
+   */
+  _applyUnionWithStage(documents, spec, context) {
+    const options = typeof spec === 'string' ? { coll: spec } : spec;
+    let unioned = this._getForeignDocuments('$unionWith', options.coll, context);
+    if (options.pipeline) {
+      unioned = this._runStages(unioned, options.pipeline, context);
+    }
+    return documents.concat(unioned);
+  }
+
+  /**
+   * $out - replace the documents of a collection with the pipeline results
+   * @param {Array<Object>} documents - Input documents
+   * @param {string|Object} spec - Collection name or { coll }
+   * @param {Object} context - Pipeline run state
+   * @returns {Array<Object>} No documents
+   * @private
+   */
+  _applyOutStage(documents, spec, context) {
+    const collectionName = typeof spec === 'string' ? spec : spec.coll;
+    this._writeCollection('$out', collectionName, () => documents, context);
+    return [];
+  }
+
+  /**
+   * $merge - merge the pipeline results into the documents of a collection
+   * @param {Array<Object>} documents - Input documents
+   * @param {string|Object} spec - Collection name or { into, on?, let?, whenMatched?, whenNotMatched? }
+   * @param {Object} context - Pipeline run state
+   * @returns {Array<Object>} No documents
+   * @private
+   */
+  _applyMergeStage(documents, spec, context) {
+    const options = this._getMergeOptions(spec);
+    this._writeCollection('$merge', options.into, existingDocuments => {
+      return this._mergeDocuments(existingDocuments, documents, options, context);
+    }, context);
+    return [];
+  }
+
+  /**
+   * Pass a write to the collection writer supplied with the pipeline
+   * @param {string} stageName - Stage writing the collection, for error reporting
+   * @param {string} collectionName - Target collection name
+   * @param {Function} write - Returns the target's new documents, given its current documents
+   * @param {Object} context - Pipeline run state
+   * @throws {OperationError} When no collection writer was supplied
+   * @private
+   */
+  _writeCollection(stageName, collectionName, write, context) {
+    if (!context.writeCollection) {
+      throw new OperationError(stageName, `no collection writer was supplied to write "${collectionName}"`);
+    }
+    this._logger.debug(`Writing pipeline results with ${stageName}`, { collection: collectionName });
+    context.writeCollection(collectionName, write);
+  }
+
+  /**
+   * Apply the defaults to a $merge specification
+   * @param {string|Object} spec - Collection name or { into, on?, let?, whenMatched?, whenNotMatched? }
+   * @returns {Object} { into, on: Array<string>, let, whenMatched, whenNotMatched }
+   * @private
+   */
+  _getMergeOptions(spec) {
+    const options = typeof spec === 'string' ? { into: spec } : spec;
+    return {
+      into: options.into,
+      on: options.on === undefined ? ['_id'] : [].concat(options.on),
+      let: options.let === undefined ? {} : options.let,
+      whenMatched: options.whenMatched === undefined ? 'merge' : options.whenMatched,
+      whenNotMatched: options.whenNotMatched === undefined ? 'insert' : options.whenNotMatched
+    };
+  }
+
+  /**
+   * Merge result documents into a collection's documents
+   * Result documents are matched on the "on" fields and handled in order, so a later result sees the
+   * changes of an earlier one. A matched document keeps its _id; a result without an _id that is
+   * matched on _id is inserted, and the collection generates its _id.
+   * @param {Array<Object>} existingDocuments - Current documents of the target collection (not modified)
+   * @param {Array<Object>} incomingDocuments - Pipeline results
+   * @param {Object} options - Merge options from _getMergeOptions
+   * @param {Object} context - Pipeline run state
+   * @returns {Array<Object>} The target collection's new documents
+   * @throws {OperationError} When a result lacks an "on" field, would change an _id, or matches nothing with whenNotMatched "fail"
+   * @throws {DuplicateKeyError} When a result matches a document with whenMatched "fail"
+   * @private
+   */
+  _mergeDocuments(existingDocuments, incomingDocuments, options, context) {
+    const results = existingDocuments.slice();
+    const getKey = document => {
+      const values = options.on.map(field => this._getPathValue(document, field.split('.')));
+      return values.includes(undefined) ? null : this._getGroupKey(values);
+    };
+    const positions = new Map();
+    results.forEach((document, index) => {
+      const key = getKey(document);
+      if (key !== null && !positions.has(key)) {
+        positions.set(key, index);
+      }
+    });
+
+    incomingDocuments.forEach(incoming => {
+      const key = getKey(incoming);
+      if (key === null && (options.on.length > 1 || options.on[0] !== '_id')) {
+        throw new OperationError('$merge', `every document written to "${options.into}" must have the "on" fields: ${options.on.join(', ')}`);
+      }
+
+      if (key === null || !positions.has(key)) {
+        if (options.whenNotMatched === 'fail') {
+          throw new OperationError('$merge', `no document in "${options.into}" matches ${options.on.join(', ')} = ${key}`);
+        }
+        if (options.whenNotMatched === 'insert') {
+          if (key !== null) {
+            positions.set(key, results.length);
+          }
+          results.push(incoming);
+        }
+        return;
+      }
+
+      const position = positions.get(key);
+      const existing = results[position];
+      if (options.whenMatched === 'fail') {
+        throw new DuplicateKeyError(options.on.join(', '), key, options.into);
+      }
+      if (options.whenMatched !== 'keepExisting') {
+        results[position] = this._getMergedDocument(existing, incoming, options, context);
+      }
+    });
+
+    return results;
+  }
+
+  /**
+   * Compute the document a $merge leaves in place of a matched document
+   * @param {Object} existing - Matched document (not modified)
+   * @param {Object} incoming - Pipeline result
+   * @param {Object} options - Merge options from _getMergeOptions
+   * @param {Object} context - Pipeline run state
+   * @returns {Object} New document, with the matched document's _id
+   * @throws {OperationError} When the new document has a different _id
+   * @private
+   */
+  _getMergedDocument(existing, incoming, options, context) {
+    let merged;
+    if (options.whenMatched === 'replace') {
+      merged = Object.assign({}, incoming);
+    } else if (options.whenMatched === 'merge') {
+      merged = Object.assign({}, existing, incoming);
+    } else {
+      const evaluator = this._getExpressionEvaluator();
+      const variables = Object.assign({}, context.variables);
+      for (const name in options.let) {
+        variables[name] = evaluator.evaluate(options.let[name], incoming, context.variables);
+      }
+      variables.new = incoming;
+      merged = this._runStages([existing], options.whenMatched, Object.assign({}, context, { variables }))[0];
+    }
+
+    if (merged._id === undefined) {
+      merged._id = existing._id;
+    } else if (this._getGroupKey(merged._id) !== this._getGroupKey(existing._id)) {
+      throw new OperationError('$merge', `a document in "${options.into}" cannot have its _id changed from ${existing._id}`);
+    }
+    return merged;
+  }
+
+  /**
+   * Read the value at a path through subdocuments only (arrays on the path are not traversed)
+   * @param {Object} document - Document to read
+   * @param {Array<string>} parts - Path parts
+   * @returns {*} Value, or undefined when the path does not exist
+   * @private
+   */
+  _getPathValue(document, parts) {
+    let value = document;
+    for (const part of parts) {
+      if (!Validate.isPlainObject(value)) {
+        return undefined;
+      }
+      value = value[part];
+    }
+    return value;
+  }
+
+  /**
+   * Set computed fields on a target object
+   * @param {Object} target - Object to modify
+   * @param {Object} spec - Field paths mapped to expressions
+   * @param {Object} input - Document the expressions are evaluated against
+   * @param {Object} variables - Variables available to the expressions
+   * @private
+   */
+  _addComputedFields(target, spec, input, variables) {
+    const evaluator = this._getExpressionEvaluator();
+
+    for (const fieldPath in spec) {
+      const expression = spec[fieldPath];
+      const parts = fieldPath.split('.');
+      const existing = this._getQueryEngine()._getFieldValue(target, fieldPath);
+      const isNestedSpec = Validate.isPlainObject(expression) && !evaluator.isOperatorExpression(expression) &&
+        Object.keys(expression).length > 0;
+      if (isNestedSpec && Validate.isPlainObject(existing)) {
+        this._addComputedFields(existing, expression, input, variables);
+        continue;
+      }
+
+      const value = evaluator.evaluate(expression, input, variables);
+      if (value === undefined) {
+        this._removePath(target, parts);
+      } else {
+        this._setPath(target, parts, value);
+      }
+    }
+  }
+
+  /**
+   * Set a value at a path, creating subdocuments as needed
+   * As in MongoDB, a path through an array of subdocuments sets the field in every element.
+   * @param {Object} target - Object to modify
+   * @param {Array<string>} parts - Path parts
+   * @param {*} value - Value to set (copied)
+   * @private
+   */
+  _setPath(target, parts, value) {
+    const [head, ...rest] = parts;
+    if (rest.length === 0) {
+      target[head] = ObjectUtils.deepClone(value);
+      return;
+    }
+
+    const next = target[head];
+    if (Array.isArray(next)) {
+      next.filter(item => Validate.isPlainObject(item)).forEach(item => this._setPath(item, rest, value));
+      return;
+    }
+    if (!Validate.isPlainObject(next)) {
+      target[head] = {};
+    }
+    this._setPath(target[head], rest, value);
+  }
+
+  /**
+   * Remove the value at a path, including from every subdocument in an array on the path
+   * @param {Object} target - Object to modify
+   * @param {Array<string>} parts - Path parts
+   * @private
+   */
+  _removePath(target, parts) {
+    const [head, ...rest] = parts;
+    if (rest.length === 0) {
+      delete target[head];
+      return;
+    }
+
+    const next = target[head];
+    if (Array.isArray(next)) {
+      next.filter(item => Validate.isPlainObject(item)).forEach(item => this._removePath(item, rest));
+    } else if (Validate.isPlainObject(next)) {
+      this._removePath(next, rest);
+    }
+  }
+
+  /**
+   * Throw unless a stage specification is an object
+   * @param {string} stageName - Stage name
+   * @param {*} spec - Stage specification
+   * @param {boolean} allowEmpty - Whether an empty object is valid
+   * @throws {InvalidQueryError} When the specification is not a (non-empty) object
+   * @private
+   */
+  _validateObjectSpec(stageName, spec, allowEmpty) {
+    if (!Validate.isPlainObject(spec) || spec instanceof RegExp || (!allowEmpty && Object.keys(spec).length === 0)) {
+      throw new InvalidQueryError(spec, `${stageName} stage requires ${allowEmpty ? 'an' : 'a non-empty'} object`);
+    }
+  }
+
+  /**
+   * Validate a $project specification
+   * @param {*} spec - Projection specification
+   * @throws {InvalidQueryError} When the specification is malformed or mixes exclusions with other fields
+   * @private
+   */
+  _validateProjectSpec(spec) {
+    this._validateFieldExpressions('$project', spec);
+
+    const fields = Object.keys(spec).filter(fieldPath => fieldPath !== '_id');
+    const isExclusion = fieldPath => spec[fieldPath] === 0 || spec[fieldPath] === false;
+    if (fields.some(isExclusion) && !fields.every(isExclusion)) {
+      throw new InvalidQueryError(spec, '$project cannot mix exclusions with included or computed fields');
+    }
+  }
+
+  /**
+   * Validate a stage mapping field paths to expressions
+   * @param {string} stageName - Stage name
+   * @param {*} spec - Stage specification
+   * @throws {InvalidQueryError} When the specification is empty, a field name starts with $ or an expression is invalid
+   * @private
+   */
+  _validateFieldExpressions(stageName, spec) {
+    this._validateObjectSpec(stageName, spec, false);
+
+    for (const fieldPath in spec) {
+      if (fieldPath.startsWith('$')) {
+        throw new InvalidQueryError(spec, `${stageName} field names cannot start with $: ${fieldPath}`);
+      }
+      this._getExpressionEvaluator().validateExpression(spec[fieldPath]);
+    }
+  }
+
+  /**
+   * Validate a $unset specification
+   * @param {*} spec - Field path or array of field paths
+   * @throws {InvalidQueryError} When a field path is not a non-empty string
+   * @private
+   */
+  _validateUnsetSpec(spec) {
+    const fieldPaths = Array.isArray(spec) ? spec : [spec];
+    if (fieldPaths.length === 0 || fieldPaths.some(fieldPath => typeof fieldPath !== 'string' || fieldPath === '')) {
+      throw new InvalidQueryError(spec, '$unset stage requires a field path or an array of field paths');
+    }
+  }
+
+  /**
+   * Validate a $group specification
+   * @param {*} spec - Group specification
+   * @throws {InvalidQueryError} When _id is missing, a field name is invalid or an accumulator is unsupported
+   * @private
+   */
+  _validateGroupSpec(spec) {
+    this._validateObjectSpec('$group', spec, false);
+    if (!Object.prototype.hasOwnProperty.call(spec, '_id')) {
+      throw new InvalidQueryError(spec, '$group stage requires an _id expression');
+    }
+    this._getExpressionEvaluator().validateExpression(spec._id);
+
+    Object.keys(spec).filter(field => field !== '_id').forEach(field => {
+      if (field.startsWith('$') || field.includes('.')) {
+        throw new InvalidQueryError(spec, `$group field names cannot start with $ or contain dots: ${field}`);
+      }
+
+      this._validateAccumulator('$group', spec, field);
+    });
+  }
+
+  /**
+   * Validate the accumulator of an output field of $group, $bucket or $bucketAuto
+   * @param {string} stageName - Stage name
+   * @param {Object} spec - Object holding the output fields
+   * @param {string} field - Output field name
+   * @throws {InvalidQueryError} When the accumulator is unsupported or its argument is invalid
+   * @private
+   */
+  _validateAccumulator(stageName, spec, field) {
+    const accumulatorSpec = spec[field];
+    const accumulators = Validate.isPlainObject(accumulatorSpec) ? Object.keys(accumulatorSpec) : [];
+    if (accumulators.length !== 1 || !AggregationEngine.GROUP_ACCUMULATORS.includes(accumulators[0])) {
+      throw new InvalidQueryError(spec, `${stageName} field "${field}" must use one of the accumulators ${AggregationEngine.GROUP_ACCUMULATORS.join(', ')}`);
+    }
+
+    const argument = accumulatorSpec[accumulators[0]];
+    if (accumulators[0] === '$count') {
+      if (!Validate.isPlainObject(argument) || Object.keys(argument).length > 0) {
+        throw new InvalidQueryError(spec, `$count accumulator for "${field}" takes an empty object`);
+      }
+    } else {
+      this._getExpressionEvaluator().validateExpression(argument);
+    }
+  }
+
+  /**
+   * Validate a $lookup specification
+   * Either localField and foreignField, a pipeline, or both must be given.
+   * @param {*} spec - Lookup specification
+   * @throws {InvalidQueryError} When a field is missing or has the wrong type, or the pipeline is invalid
+   * @private
+   */
+  _validateLookupSpec(spec) {
+    this._validateObjectSpec('$lookup', spec, false);
+
+    this._validateAllowedFields('$lookup', spec, ['from', 'localField', 'foreignField', 'let', 'pipeline', 'as']);
+    if (typeof spec.from !== 'string' || spec.from === '') {
+      throw new InvalidQueryError(spec, '$lookup requires a "from" collection name');
+    }
+    if (typeof spec.as !== 'string' || spec.as === '' || spec.as.startsWith('$')) {
+      throw new InvalidQueryError(spec, '$lookup requires an "as" field name that does not start with $');
+    }
+
+    const hasLocalField = spec.localField !== undefined;
+    if (hasLocalField !== (spec.foreignField !== undefined)) {
+      throw new InvalidQueryError(spec, '$lookup localField and foreignField must be given together');
+    }
+    if (hasLocalField && [spec.localField, spec.foreignField].some(field => typeof field !== 'string' || field === '')) {
+      throw new InvalidQueryError(spec, '$lookup localField and foreignField must be field paths');
+    }
+
+    if (spec.pipeline === undefined) {
+      if (!hasLocalField || spec.let !== undefined) {
+        throw new InvalidQueryError(spec, '$lookup requires localField and foreignField, or a pipeline');
+      }
+      return;
+    }
+    if (spec.let !== undefined) {
+      this._validateObjectSpec('$lookup let', spec.let, true);
+      Object.keys(spec.let).forEach(name => {
+        if (!ExpressionEvaluator.VARIABLE_NAME_PATTERN.test(name)) {
+          throw new InvalidQueryError(spec, `$lookup let variable names must start with a lowercase letter: ${name}`);
+        }
+        this._getExpressionEvaluator().validateExpression(spec.let[name]);
+      });
+    }
+    if (!Array.isArray(spec.pipeline)) {
+      throw new InvalidQueryError(spec, '$lookup pipeline must be an array of stages');
+    }
+    this._validateSubPipeline('$lookup', spec.pipeline, AggregationEngine.OUTPUT_STAGES);
+  }
+
+  /**
+   * Validate a $unwind specification
+   * @param {*} spec - '$path' or { path, includeArrayIndex?, preserveNullAndEmptyArrays? }
+   * @throws {InvalidQueryError} When the path is not a $-prefixed field path or an option is invalid
+   * @private
+   */
+  _validateUnwindSpec(spec) {
+    const options = typeof spec === 'string' ? { path: spec } : spec;
+    this._validateObjectSpec('$unwind', options, false);
+
+    Object.keys(options).forEach(field => {
+      if (!['path', 'includeArrayIndex', 'preserveNullAndEmptyArrays'].includes(field)) {
+        throw new InvalidQueryError(spec, `Unsupported $unwind option: ${field}`);
+      }
+    });
+    if (typeof options.path !== 'string' || !/^\$[^$]/.test(options.path)) {
+      throw new InvalidQueryError(spec, '$unwind path must be a field path starting with $');
+    }
+    if (options.includeArrayIndex !== undefined &&
+      (typeof options.includeArrayIndex !== 'string' || options.includeArrayIndex === '' || options.includeArrayIndex.startsWith('$'))) {
+      throw new InvalidQueryError(spec, '$unwind includeArrayIndex must be a field name that does not start with $');
+    }
+    if (options.preserveNullAndEmptyArrays !== undefined && typeof options.preserveNullAndEmptyArrays !== 'boolean') {
+      throw new InvalidQueryError(spec, '$unwind preserveNullAndEmptyArrays must be a boolean');
+    }
+  }
+
+  /**
+   * Validate a $facet specification
+   * Sub-pipelines cannot contain another $facet, $out or $merge.
+   * @param {*} spec - Output field names mapped to pipelines
+   * @throws {InvalidQueryError} When an output field name or a sub-pipeline is invalid
+   * @private
+   */
+  _validateFacetSpec(spec) {
+    this._validateObjectSpec('$facet', spec, false);
+
+    for (const field in spec) {
+      this._validateOutputFieldName('$facet', field);
+      if (!Array.isArray(spec[field])) {
+        throw new InvalidQueryError(spec, `$facet "${field}" must be an array of stages`);
+      }
+      this._validateSubPipeline('$facet', spec[field], AggregationEngine.FACET_EXCLUDED_STAGES);
+    }
+  }
+
+  /**
+   * Validate a $bucket specification
+   * Boundaries must be at least two values of the same type in ascending order, and a default
+   * of that type must be outside them.
+   * @param {*} spec - { groupBy, boundaries, default?, output? }
+   * @throws {InvalidQueryError} When a field is missing or invalid
+   * @private
+   */
+  _validateBucketSpec(spec) {
+    this._validateObjectSpec('$bucket', spec, false);
+    this._validateAllowedFields('$bucket', spec, ['groupBy', 'boundaries', 'default', 'output']);
+    this._validateGroupByExpression('$bucket groupBy', spec.groupBy);
+
+    const boundaries = spec.boundaries;
+    const sortEngine = this._getSortEngine();
+    if (!Array.isArray(boundaries) || boundaries.length < 2 ||
+      boundaries.some(boundary => boundary === null || boundary === undefined || !this._isSameBoundaryType(boundary, boundaries[0]))) {
+      throw new InvalidQueryError(spec, '$bucket boundaries must be an array of at least two values of the same type');
+    }
+    for (let index = 1; index < boundaries.length; index++) {
+      if (sortEngine.compareValues(boundaries[index - 1], boundaries[index]) >= 0) {
+        throw new InvalidQueryError(spec, '$bucket boundaries must be in ascending order without repeats');
+      }
+    }
+
+    if (Object.prototype.hasOwnProperty.call(spec, 'default') && this._isSameBoundaryType(spec.default, boundaries[0]) &&
+      this._findBucketIndex(spec.default, boundaries) !== -1) {
+      throw new InvalidQueryError(spec, '$bucket default must be outside the boundaries');
+    }
+    this._validateBucketOutput('$bucket', spec.output);
+  }
+
+  /**
+   * Validate a $bucketAuto specification
+   * @param {*} spec - { groupBy, buckets, output? }
+   * @throws {InvalidQueryError} When a field is missing or invalid
+   * @private
+   */
+  _validateBucketAutoSpec(spec) {
+    this._validateObjectSpec('$bucketAuto', spec, false);
+    if (spec.granularity !== undefined) {
+      throw new InvalidQueryError(spec, '$bucketAuto granularity is not supported');
+    }
+    this._validateAllowedFields('$bucketAuto', spec, ['groupBy', 'buckets', 'output']);
+    this._validateGroupByExpression('$bucketAuto groupBy', spec.groupBy);
+    this._validateCountSpec('$bucketAuto buckets', spec.buckets, 1);
+    this._validateBucketOutput('$bucketAuto', spec.output);
+  }
+
+  /**
+   * Validate the output fields of $bucket or $bucketAuto
+   * @param {string} stageName - Stage name
+   * @param {*} output - Output fields mapped to accumulators, or undefined for the default count
+   * @throws {InvalidQueryError} When a field name or accumulator is invalid
+   * @private
+   */
+  _validateBucketOutput(stageName, output) {
+    if (output === undefined) {
+      return;
+    }
+    this._validateObjectSpec(`${stageName} output`, output, false);
+    for (const field in output) {
+      this._validateOutputFieldName(`${stageName} output`, field);
+      this._validateAccumulator(stageName, output, field);
+    }
+  }
+
+  /**
+   * Validate a groupBy expression, which must be a field path or an operator expression
+   * @param {string} stageName - Stage (and option) name
+   * @param {*} expression - Expression to group by
+   * @throws {InvalidQueryError} When the expression is a literal or invalid
+   * @private
+   */
+  _validateGroupByExpression(stageName, expression) {
+    const evaluator = this._getExpressionEvaluator();
+    const isFieldPath = typeof expression === 'string' && expression.startsWith('$');
+    if (!isFieldPath && !evaluator.isOperatorExpression(expression)) {
+      throw new InvalidQueryError(expression, `${stageName} must be a field path or an operator expression`);
+    }
+    evaluator.validateExpression(expression);
+  }
+
+  /**
+   * Validate a $unionWith specification
+   * @param {*} spec - Collection name or { coll, pipeline? }
+   * @throws {InvalidQueryError} When the collection name or pipeline is invalid
+   * @private
+   */
+  _validateUnionWithSpec(spec) {
+    const options = typeof spec === 'string' ? { coll: spec } : spec;
+    this._validateObjectSpec('$unionWith', options, false);
+    this._validateAllowedFields('$unionWith', options, ['coll', 'pipeline']);
+
+    if (typeof options.coll !== 'string' || options.coll === '') {
+      throw new InvalidQueryError(spec, '$unionWith requires a "coll" collection name');
+    }
+    if (options.pipeline !== undefined) {
+      if (!Array.isArray(options.pipeline)) {
+        throw new InvalidQueryError(spec, '$unionWith pipeline must be an array of stages');
+      }
+      this._validateSubPipeline('$unionWith', options.pipeline, AggregationEngine.OUTPUT_STAGES);
+    }
+  }
+
+  /**
+   * Validate a $out specification
+   * @param {*} spec - Collection name or { coll }
+   * @throws {InvalidQueryError} When the collection name is missing or invalid
+   * @private
+   */
+  _validateOutSpec(spec) {
+    const options = typeof spec === 'string' ? { coll: spec } : spec;
+    this._validateObjectSpec('$out', options, false);
+    this._validateAllowedFields('$out', options, ['coll']);
+
+    if (typeof options.coll !== 'string' || options.coll === '') {
+      throw new InvalidQueryError(spec, '$out requires a "coll" collection name');
+    }
+  }
+
+  /**
+   * Validate a $merge specification
+   * A whenMatched pipeline may only use the stages in AggregationEngine.MERGE_PIPELINE_STAGES, and
+   * let variables can only be given with a pipeline.
+   * @param {*} spec - Collection name or { into, on?, let?, whenMatched?, whenNotMatched? }
+   * @throws {InvalidQueryError} When a field is missing or invalid
+   * @private
+   */
+  _validateMergeSpec(spec) {
+    if (typeof spec !== 'string') {
+      this._validateObjectSpec('$merge', spec, false);
+      this._validateAllowedFields('$merge', spec, ['into', 'on', 'let', 'whenMatched', 'whenNotMatched']);
+    }
+    const options = this._getMergeOptions(spec);
+
+    if (typeof options.into !== 'string' || options.into === '') {
+      throw new InvalidQueryError(spec, '$merge requires an "into" collection name');
+    }
+    if (options.on.length === 0 || options.on.some(field => typeof field !== 'string' || field === '' || field.startsWith('$'))) {
+      throw new InvalidQueryError(spec, '$merge "on" must be a field path or a non-empty array of field paths');
+    }
+    if (new Set(options.on).size !== options.on.length) {
+      throw new InvalidQueryError(spec, '$merge "on" cannot repeat a field');
+    }
+    if (!AggregationEngine.MERGE_WHEN_NOT_MATCHED.includes(options.whenNotMatched)) {
+      throw new InvalidQueryError(spec, `$merge whenNotMatched must be one of: ${AggregationEngine.MERGE_WHEN_NOT_MATCHED.join(', ')}`);
+    }
+
+    if (!Array.isArray(options.whenMatched)) {
+      if (!AggregationEngine.MERGE_WHEN_MATCHED.includes(options.whenMatched)) {
+        throw new InvalidQueryError(spec, `$merge whenMatched must be a pipeline or one of: ${AggregationEngine.MERGE_WHEN_MATCHED.join(', ')}`);
+      }
+      if (spec.let !== undefined) {
+        throw new InvalidQueryError(spec, '$merge let can only be used with a whenMatched pipeline');
+      }
+      return;
+    }
+    options.whenMatched.forEach(stage => {
+      const stageName = Validate.isPlainObject(stage) ? Object.keys(stage)[0] : null;
+      if (!AggregationEngine.MERGE_PIPELINE_STAGES.includes(stageName)) {
+        throw new InvalidQueryError(spec, `$merge whenMatched pipelines can only use: ${AggregationEngine.MERGE_PIPELINE_STAGES.join(', ')}`);
+      }
+      this.validateStage(stage);
+    });
+    this._validateObjectSpec('$merge let', options.let, true);
+    Object.keys(options.let).forEach(name => {
+      if (!ExpressionEvaluator.VARIABLE_NAME_PATTERN.test(name) || name === 'new') {
+        throw new InvalidQueryError(spec, `$merge let variable names must start with a lowercase letter and cannot be "new": ${name}`);
+      }
+      this._getExpressionEvaluator().validateExpression(options.let[name]);
+    });
+  }
+
+  /**
+   * Validate the stages of a pipeline nested in another stage
+   * @param {string} stageName - Stage holding the pipeline, for error reporting
+   * @param {Array<Object>} pipeline - Nested pipeline
+   * @param {Array<string>} excludedStages - Stages the nested pipeline cannot use
+   * @throws {InvalidQueryError} When a stage is excluded, unsupported or malformed
+   * @private
+   */
+  _validateSubPipeline(stageName, pipeline, excludedStages) {
+    pipeline.forEach(stage => {
+      const nestedStageName = Validate.isPlainObject(stage) ? Object.keys(stage)[0] : null;
+      if (excludedStages.includes(nestedStageName)) {
+        throw new InvalidQueryError(stage, `${nestedStageName} cannot be used inside ${stageName}`);
+      }
+      this.validateStage(stage);
+    });
+  }
+
+  /**
+   * Throw when a stage specification has fields the stage does not support
+   * @param {string} stageName - Stage name
+   * @param {Object} spec - Stage specification
+   * @param {Array<string>} allowedFields - Supported fields
+   * @throws {InvalidQueryError} When an unsupported field is present
+   * @private
+   */
+  _validateAllowedFields(stageName, spec, allowedFields) {
+    Object.keys(spec).forEach(field => {
+      if (!allowedFields.includes(field)) {
+        throw new InvalidQueryError(spec, `Unsupported ${stageName} field: ${field}`);
+      }
+    });
+  }
+
+  /**
+   * Whether a value can be placed among $bucket boundaries of another value's type
+   * Numbers, strings and dates are each one type.
+   * @param {*} value - Value to check
+   * @param {*} boundary - Boundary of the expected type
+   * @returns {boolean} True when both are numbers, both strings, both dates or otherwise of the same type
+   * @private
+   */
+  _isSameBoundaryType(value, boundary) {
+    if (boundary instanceof Date || value instanceof Date) {
+      return boundary instanceof Date && value instanceof Date;
+    }
+    if (value === null || Array.isArray(value) || Array.isArray(boundary)) {
+      return false;
+    }
+    return typeof value === typeof boundary;
+  }
+
+  /**
+   * Validate a $skip or $limit value
+   * @param {string} stageName - Stage name
+   * @param {*} value - Stage value
+   * @param {number} minimum - Smallest valid value
+   * @throws {InvalidQueryError} When the value is not an integer of at least the minimum
+   * @private
+   */
+  _validateCountSpec(stageName, value, minimum) {
+    if (!Number.isInteger(value) || value < minimum) {
+      throw new InvalidQueryError(value, `${stageName} stage requires an integer of at least ${minimum}`);
+    }
+  }
+
+  /**
+   * Validate the name of a field a stage writes its output to
+   * @param {string} stageName - Stage name
+   * @param {*} field - Field name
+   * @throws {InvalidQueryError} When the name is empty, starts with $ or contains a dot
+   * @private
+   */
+  _validateOutputFieldName(stageName, field) {
+    if (typeof field !== 'string' || field === '' || field.startsWith('$') || field.includes('.')) {
+      throw new InvalidQueryError(field, `${stageName} stage requires a non-empty field name without $ or dots`);
+    }
+  }
+
+  /**
+   * Get the lazily created QueryEngine
+   * @returns {QueryEngine} QueryEngine instance
+   * @private
+   */
+  _getQueryEngine() {
+    if (!this._queryEngine) {
+      this._queryEngine = new QueryEngine();
+    }
+    return this._queryEngine;
+  }
+
+  /**
+   * Get the lazily created SortEngine
+   * @returns {SortEngine} SortEngine instance
+   * @private
+   */
+  _getSortEngine() {
+    if (!this._sortEngine) {
+      this._sortEngine = new SortEngine();
+    }
+    return this._sortEngine;
+  }
+
+  /**
+   * Get the lazily created ProjectionEngine
+   * @returns {ProjectionEngine} ProjectionEngine instance
+   * @private
+   */
+  _getProjectionEngine() {
+    if (!this._projectionEngine) {
+      this._projectionEngine = new ProjectionEngine();
+    }
+    return this._projectionEngine;
+  }
+
+  /**
+   * Get the lazily created ExpressionEvaluator
+   * @returns {ExpressionEvaluator} ExpressionEvaluator instance
+   * @private
+   */
+  _getExpressionEvaluator() {
+    if (!this._expressionEvaluator) {
+      this._expressionEvaluator = new ExpressionEvaluator();
+    }
+    return this._expressionEvaluator;
+  }
+}
+
+/**
+ * Accumulators supported in $group stages
+ */
+AggregationEngine.GROUP_ACCUMULATORS = ['$sum', '$avg', '$min', '$max', '$first', '$last', '$push', '$addToSet', '$count'];
+
+/**
+ * Stages that write the results to a collection; they must come last and cannot be used in sub-pipelines
+ */
+AggregationEngine.OUTPUT_STAGES = ['$out', '$merge'];
+
+/**
+ * Stages that cannot be used inside $facet sub-pipelines
+ */
+AggregationEngine.FACET_EXCLUDED_STAGES = ['$facet'].concat(AggregationEngine.OUTPUT_STAGES);
+
+/**
+ * $merge actions for a result document that matches a document in the target collection
+ * (a pipeline of MERGE_PIPELINE_STAGES may be given instead)
+ */
+AggregationEngine.MERGE_WHEN_MATCHED = ['replace', 'keepExisting', 'merge', 'fail'];
+
+/**
+ * $merge actions for a result document that matches nothing in the target collection
+ */
+AggregationEngine.MERGE_WHEN_NOT_MATCHED = ['insert', 'discard', 'fail'];
+
+/**
+ * Stages a $merge whenMatched pipeline can use
+ */
+AggregationEngine.MERGE_PIPELINE_STAGES = ['$addFields', '$set', '$project', '$unset', '$replaceRoot', '$replaceWith'];
@@ -9,6 +9,7 @@
  * - documentCount: Number of documents in collection
  * - modificationToken: Token for conflict detection
  * - lockStatus: Lock state information
+ * - indexes: Secondary index definitions ({ field, unique })
  */
 class CollectionMetadata {
   /**
@@ -21,6 +22,7 @@ class CollectionMetadata {
    * @param {number} [initialMetadata.documentCount] - Document count
    * @param {string} [initialMetadata.modificationToken] - Modification token
    * @param {Object} [initialMetadata.lockStatus] - Lock status
+   * @param {Array<Object>} [initialMetadata.indexes] - Index definitions ({ field, unique })
    * @throws {InvalidArgumentError} For invalid metadata input
    */
   constructor(nameOrInitialMetadata = {}, fileId = null, initialMetadata = {}) {
@@ -113,6 +115,13 @@ class CollectionMetadata {
     } else {
       this.lockStatus = null;
     }
+
+    // Set index definitions
+    this.indexes = [];
+    if (metadata.indexes !== undefined && metadata.indexes !== null) {
+      Validate.array(metadata.indexes, 'indexes');
+      metadata.indexes.forEach(index => this.addIndex(index));
+    }
   }
 
   /**
@@ -131,6 +140,51 @@ class CollectionMetadata {
     Validate.optional(lockStatus.lockTimeout, Validate.number, 'lockStatus.lockTimeout');
   }
 
+  /**
+   * Validate an index definition
+   * @param {Object} index - Index definition to validate
+   * @private
+   * @throws {InvalidArgumentError} For invalid index definitions
+   */
+  _validateIndex(index) {
+    Validate.object(index, 'index');
+    Validate.nonEmptyString(index.field, 'index.field');
+    Validate.boolean(index.unique, 'index.unique');
+  }
+
+  /**
+   * Add an index definition
+   * @param {Object} index - Index definition { field, unique }
+   * @throws {InvalidArgumentError} For invalid definitions, or when the field is already indexed
+   */
+  addIndex(index) {
+    this._validateIndex(index);
+    if (this.indexes.some(existing => existing.field === index.field)) {
+      throw new InvalidArgumentError('index.field', index.field, 'An index on this field already exists');
+    }
+    this.indexes.push({ field: index.field, unique: index.unique });
+  }
+
+  /**
+   * Remove the index definition for a field
+   * @param {string} field - Indexed field
+   * @returns {boolean} True if an index was removed, false if the field was not indexed
+   */
+  dropIndex(field) {
+    Validate.nonEmptyString(field, 'field');
+    const count = this.indexes.length;
+    this.indexes = this.indexes.filter(index => index.field !== field);
+    return this.indexes.length !== count;
+  }
+
+  /**
+   * Get copies of the index definitions
+   * @returns {Array<Object>} Index definitions { field, unique }
+   */
+  getIndexes() {
+    return this.indexes.map(index => ({ field: index.field, unique: index.unique }));
+  }
+
   /**
    * Get modification token
    * @returns {string|null} Current modification token
@@ -243,6 +297,9 @@ class CollectionMetadata {
       lockTimeout: this.lockStatus.lockTimeout
     } : null;
 
+    // Include copies of the index definitions
+    result.indexes = this.getIndexes();
+
     return result;
   }
 
@@ -261,7 +318,8 @@ class CollectionMetadata {
         lockedBy: this.lockStatus.lockedBy,
         lockedAt: this.lockStatus.lockedAt, // Keep as timestamp number
         lockTimeout: this.lockStatus.lockTimeout // Keep as timestamp number
-      } : null
+      } : null,
+      indexes: this.getIndexes()
     };
 
      return new CollectionMetadata(this.name, this.fileId, cloneMetadata);
@@ -285,7 +343,8 @@ class CollectionMetadata {
        lastUpdated: obj.lastUpdated,
        documentCount: obj.documentCount,
        modificationToken: obj.modificationToken,
-       lockStatus: obj.lockStatus
+       lockStatus: obj.lockStatus,
+       indexes: obj.indexes
      };
 
      return new CollectionMetadata(name, fileId, metadata);
@@ -0,0 +1,296 @@
+/**
+ * Cursor.js - MongoDB-compatible Query Cursor
+ *
+ * Returned by Collection.find() and evaluated lazily:
+ * - Modifiers (sort, skip, limit, project, map) can be chained until iteration starts
+ * - Only documents the collection's indexes select are examined, when an index applies
+ * - Without a sort, stored documents are matched one at a time and scanning stops at the limit
+ * - Documents are only projected and cloned as they are returned
+ */
+class Cursor {
+  /**
+   * Creates a new Cursor instance
+   * @param {DocumentOperations} documentOperations - Document operations of the collection being queried
+   * @param {Object} [query={}] - MongoDB-compatible query object
+   * @param {Object} [options={}] - Initial find options
+   * @param {Object} [options.projection] - Fields to include or exclude
+   * @param {Object} [options.sort] - Sort specification
+   * @param {number} [options.skip=0] - Number of matching documents to skip
+   * @param {number} [options.limit=0] - Maximum number of documents to return (0 for no limit)
+   * @throws {InvalidArgumentError} When options or projection are invalid
+   * @throws {InvalidQueryError} When query is invalid
+   */
+  constructor(documentOperations, query = {}, options = {}) {
+    Validate.object(documentOperations, 'documentOperations');
+    documentOperations.validateFindOptions(options);
+
+    this._documentOperations = documentOperations;
+    this._logger = JDbLogger.createComponentLogger('Cursor');
+
+    // Validate the query up front so find() fails fast, then match lazily
+    this._matcher = documentOperations.createQueryMatcher(query);
+    this._query = query;
+    this._sort = options.sort;
+    this._skip = options.skip || 0;
+    this._limit = options.limit || 0;
+    this._projection = undefined;
+    this._transforms = [];
+    if (options.projection !== undefined) {
+      this.project(options.projection);
+    }
+
+    // Iteration state, initialised when the first document is requested
+    this._started = false;
+    this._source = null;
+    this._sourceMatched = false;
+    this._sourceIndex = 0;
+    this._skippedCount = 0;
+    this._returnedCount = 0;
+    this._bufferedDocument = null;
+  }
+
+  /**
+   * Set the sort order
+   * @param {Object} sort - Sort specification, e.g. { year: -1, 'name.last': 1 }
+   * @returns {Cursor} This cursor for chaining
+   * @throws {InvalidArgumentError} When the sort specification is invalid
+   * @throws {OperationError} When iteration has already started
+   */
+  sort(sort) {
+    this._assertNotStarted('sort');
+    this._documentOperations.validateFindOptions({ sort });
+    this._sort = sort;
+    return this;
+  }
+
+  /**
+   * Set the number of matching documents to skip
+   * @param {number} count - Non-negative integer
+   * @returns {Cursor} This cursor for chaining
+   * @throws {InvalidArgumentError} When count is invalid
+   * @throws {OperationError} When iteration has already started
+   */
+  skip(count) {
+    this._assertNotStarted('skip');
+    this._documentOperations.validateFindOptions({ skip: count });
+    this._skip = count;
+    return this;
+  }
+
+  /**
+   * Set the maximum number of documents to return
+   * @param {number} count - Non-negative integer (0 for no limit)
+   * @returns {Cursor} This cursor for chaining
+   * @throws {InvalidArgumentError} When count is invalid
+   * @throws {OperationError} When iteration has already started
+   */
+  limit(count) {
+    this._assertNotStarted('limit');
+    this._documentOperations.validateFindOptions({ limit: count });
+    this._limit = count;
+    return this;
+  }
+
+  /**
+   * Set the projection applied to each returned document
+   * @param {Object} projection - MongoDB-compatible projection
+   * @returns {Cursor} This cursor for chaining
+   * @throws {InvalidArgumentError} When the projection is invalid
+   * @throws {OperationError} When iteration has already started
+   */
+  project(projection) {
+    this._assertNotStarted('project');
+    // Projecting no documents still validates the projection
+    this._documentOperations.projectDocuments([], projection);
+    this._projection = projection;
+    return this;
+  }
+
+  /**
+   * Add a transform applied to each returned document, after projection
+   * Transforms run in the order they were added.
+   * @param {Function} transform - Function receiving a document and returning the value to yield
+   * @returns {Cursor} This cursor for chaining
+   * @throws {InvalidArgumentError} When transform is not a function
+   * @throws {OperationError} When iteration has already started
+   */
+  map(transform) {
+    this._assertNotStarted('map');
+    Validate.func(transform, 'transform');
+    this._transforms.push(transform);
+    return this;
+  }
+
+  /**
+   * Check whether another document is available
+   * @returns {boolean} True if next() will return a document
+   */
+  hasNext() {
+    if (this._bufferedDocument === null) {
+      this._bufferedDocument = this._fetchNext();
+    }
+    return this._bufferedDocument !== null;
+  }
+
+  /**
+   * Get the next document
+   * @returns {*} Next document (after projection and transforms), or null when the cursor is exhausted
+   */
+  next() {
+    if (!this.hasNext()) {
+      return null;
+    }
+
+    const document = this._bufferedDocument;
+    this._bufferedDocument = null;
+    return this._prepareDocument(document);
+  }
+
+  /**
+   * Get all remaining documents
+   * @returns {Array} Remaining documents
+   */
+  toArray() {
+    const results = [];
+    while (this.hasNext()) {
+      results.push(this.next());
+    }
+    return results;
+  }
+
+  /**
+   * Call a function for each remaining document
+   * Iteration stops early if the callback returns false.
+   * @param {Function} callback - Function receiving each document
+   * @throws {InvalidArgumentError} When callback is not a function
+   */
+  forEach(callback) {
+    Validate.func(callback, 'callback');
+
+    while (this.hasNext()) {
+      if (callback(this.next()) === false) {
+        break;
+      }
+    }
+  }
+
+  /**
+   * Count the documents matching the cursor's query without consuming the cursor
+   * @param {boolean} [applySkipLimit=false] - Whether to apply the cursor's skip and limit to the count
+   * @returns {number} Number of matching documents
+   */
+  count(applySkipLimit = false) {
+    const storedDocuments = this._documentOperations.getCandidateDocuments(this._query);
+    let count = 0;
+    for (const document of storedDocuments) {
+      if (this._matcher(document)) {
+        count++;
+      }
+    }
+
+    if (!applySkipLimit) {
+      return count;
+    }
+
+    count = Math.max(count - this._skip, 0);
+    return this._limit > 0 ? Math.min(count, this._limit) : count;
+  }
+
+  /**
+   * Iterate the cursor with for...of
+   * @returns {Object} Iterator over the remaining documents
+   */
+  [Symbol.iterator]() {
+    return {
+      next: () => this.hasNext()
+        ? { value: this.next(), done: false }
+        : { value: undefined, done: true }
+    };
+  }
+
+  /**
+   * Throw if iteration has started, as modifiers can no longer take effect
+   * @param {string} method - Modifier being called
+   * @throws {OperationError} When iteration has already started
+   * @private
+   */
+  _assertNotStarted(method) {
+    if (this._started) {
+      throw new OperationError(`Cursor.${method}`, 'cursor modifiers cannot be changed after iteration has started');
+    }
+  }
+
+  /**
+   * Resolve the documents to iterate over when the first document is requested
+   * Sorted cursors must match and sort every candidate first; unsorted cursors match as they go.
+   * @private
+   */
+  _initialise() {
+    this._started = true;
+    const storedDocuments = this._documentOperations.getCandidateDocuments(this._query, {
+      sort: this._sort,
+      skip: this._skip,
+      limit: this._limit,
+      matcher: this._matcher
+    });
+
+    if (this._sort === undefined) {
+      this._source = storedDocuments;
+      this._sourceMatched = false;
+    } else {
+      const matches = storedDocuments.filter(this._matcher);
+      this._source = this._documentOperations.sortDocuments(matches, this._sort);
+      this._sourceMatched = true;
+    }
+
+    this._logger.debug('Cursor initialised', {
+      sourceCount: this._source.length,
+      sorted: this._sourceMatched,
+      skip: this._skip,
+      limit: this._limit
+    });
+  }
+
+  /**
+   * Find the next stored document to return, honouring skip and limit
+   * @returns {Object|null} Stored document (not yet cloned) or null when exhausted
+   * @private
+   */
+  _fetchNext() {
+    if (!this._started) {
+      this._initialise();
+    }
+
+    if (this._limit > 0 && this._returnedCount >= this._limit) {
+      return null;
+    }
+
+    while (this._sourceIndex < this._source.length) {
+      const document = this._source[this._sourceIndex++];
+      if (!this._sourceMatched && !this._matcher(document)) {
+        continue;
+      }
+      if (this._skippedCount < this._skip) {
+        this._skippedCount++;
+        continue;
+      }
+      this._returnedCount++;
+      return document;
+    }
+
+    return null;
+  }
+
+  /**
+   * Project, copy and transform a stored document for return
+   * @param {Object} document - Stored document
+   * @returns {*} Value returned to the caller
+   * @private
+   */
+  _prepareDocument(document) {
+    const projected = this._documentOperations.projectDocuments([document], this._projection)[0];
+    // Return a copy to prevent external modification of stored documents
+    const result = ObjectUtils.deepClone(projected);
+    return this._transforms.reduce((value, transform) => transform(value), result);
+  }
+}
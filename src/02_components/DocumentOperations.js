@@ -28,6 +28,9 @@ class DocumentOperations {
     this._logger = JDbLogger.createComponentLogger('DocumentOperations');
     this._queryEngine = null; // Lazy-loaded QueryEngine instance
     this._updateEngine = null; // Lazy-loaded UpdateEngine instance
+    this._projectionEngine = null; // Lazy-loaded ProjectionEngine instance
+    this._sortEngine = null; // Lazy-loaded SortEngine instance
+    this._aggregationEngine = null; // Lazy-loaded AggregationEngine instance
   }
   
   /**
@@ -36,6 +39,7 @@ class DocumentOperations {
    * @returns {Object} Inserted document with _id
    * @throws {ErrorHandler.ErrorTypes.INVALID_ARGUMENT} When document is invalid
    * @throws {ErrorHandler.ErrorTypes.CONFLICT_ERROR} When document ID already exists
+   * @throws {ErrorHandler.ErrorTypes.DUPLICATE_KEY} When the document would break a unique index
    */
   insertDocument(doc) {
     // Validate document
@@ -53,7 +57,7 @@ class DocumentOperations {
     }
     
     // Insert document
-    this._collection._documents[documentToInsert._id] = documentToInsert;
+    this._storeDocument(documentToInsert);
     
     // Update collection metadata and mark dirty
     this._collection._updateMetadata();
@@ -64,6 +68,95 @@ class DocumentOperations {
     return documentToInsert;
   }
   
+  /**
+   * Insert several documents, recording failed inserts as write errors instead of throwing
+   * Every document is validated before any is inserted, and collection metadata is updated once.
+   * @param {Array<Object>} docs - Documents to insert
+   * @param {Object} [options={}] - Insert options
+   * @param {boolean} [options.ordered=true] - Stop at the first failed insert when true; otherwise attempt every document
+   * @returns {Object} { insertedIds: Object<number, string>, insertedCount: number, writeErrors: Array<Object> }
+   * @throws {ErrorHandler.ErrorTypes.INVALID_ARGUMENT} When docs is empty or not an array, or a document is invalid
+   */
+  insertDocuments(docs, options = {}) {
+    Validate.nonEmptyArray(docs, 'docs');
+    Validate.object(options, 'options');
+    if (options.ordered !== undefined) {
+      Validate.boolean(options.ordered, 'options.ordered');
+    }
+    const ordered = options.ordered !== false;
+    
+    // Validate every document up front so invalid input inserts nothing
+    docs.forEach((doc, index) => {
+      try {
+        this._validateDocument(doc);
+      } catch (error) {
+        const reason = error.context && error.context.reason ? error.context.reason : error.message;
+        throw new ErrorHandler.ErrorTypes.INVALID_ARGUMENT(`docs[${index}]`, doc, reason);
+      }
+    });
+    
+    const insertedIds = {};
+    const writeErrors = [];
+    
+    for (let index = 0; index < docs.length; index++) {
+      // Create a copy to avoid modifying the original
+      const documentToInsert = ObjectUtils.deepClone(docs[index]);
+      
+      if (documentToInsert._id === undefined) {
+        documentToInsert._id = this._generateDocumentId();
+      } else if (this._collection._documents[documentToInsert._id]) {
+        const error = new ErrorHandler.ErrorTypes.DUPLICATE_KEY('_id', documentToInsert._id, this._collection.getName());
+        writeErrors.push(this.createWriteError(index, error, docs[index]));
+        if (ordered) {
+          break;
+        }
+        continue;
+      }
+      
+      try {
+        this._storeDocument(documentToInsert);
+      } catch (error) {
+        if (!(error instanceof ErrorHandler.ErrorTypes.DUPLICATE_KEY)) {
+          throw error;
+        }
+        writeErrors.push(this.createWriteError(index, error, docs[index]));
+        if (ordered) {
+          break;
+        }
+        continue;
+      }
+      insertedIds[index] = documentToInsert._id;
+    }
+    
+    const insertedCount = Object.keys(insertedIds).length;
+    if (insertedCount > 0) {
+      // Update collection metadata and mark dirty once for the whole batch
+      this._collection._updateMetadata();
+      this._collection._markDirty();
+    }
+    
+    this._logger.debug('Documents inserted', { insertedCount, writeErrorCount: writeErrors.length, ordered });
+    
+    return { insertedIds, insertedCount, writeErrors };
+  }
+  
+  /**
+   * Describe a failed write in the shape MongoDB uses for BulkWriteError.writeErrors
+   * Used by insertDocuments and by Collection.bulkWrite.
+   * @param {number} index - Position of the failed operation in the batch
+   * @param {Error} error - Error raised for the operation
+   * @param {Object} op - Operation (or document) that failed
+   * @returns {Object} { index, code, errmsg, op }
+   */
+  createWriteError(index, error, op) {
+    return {
+      index,
+      code: error.code || 'OPERATION_ERROR',
+      errmsg: error.message,
+      op
+    };
+  }
+
   /**
    * Find document by ID
    * @param {string} id - Document ID to find
@@ -110,6 +203,7 @@ class DocumentOperations {
    * @param {Object} updateData - Data to update document with
    * @returns {Object} Update result { acknowledged: boolean, modifiedCount: number }
    * @throws {ErrorHandler.ErrorTypes.INVALID_ARGUMENT} When parameters are invalid
+   * @throws {ErrorHandler.ErrorTypes.DUPLICATE_KEY} When the document would break a unique index
    */
   updateDocument(id, updateData) {
     // Validate parameters
@@ -132,7 +226,7 @@ class DocumentOperations {
     this._validateDocument(updatedDocument);
     
     // Update document in collection
-    this._collection._documents[id] = updatedDocument;
+    this._storeDocument(updatedDocument, id);
     
     // Update collection metadata and mark dirty
     this._collection._updateMetadata();
@@ -159,7 +253,7 @@ class DocumentOperations {
     }
     
     // Delete document
-    delete this._collection._documents[id];
+    this._removeStoredDocument(id);
     
     // Update collection metadata and mark dirty
     this._collection._updateMetadata();
@@ -193,53 +287,68 @@ class DocumentOperations {
     return this._collection._documents.hasOwnProperty(id);
   }
 
+  /**
+   * Apply a projection to documents
+   * @param {Array<Object>} documents - Documents to project
+   * @param {Object} [projection] - MongoDB-compatible projection; documents are returned unchanged when omitted
+   * @returns {Array<Object>} Projected documents
+   * @throws {ErrorHandler.ErrorTypes.INVALID_ARGUMENT} When the projection is invalid
+   */
+  projectDocuments(documents, projection) {
+    if (projection === undefined) {
+      return documents;
+    }
+
+    // Create ProjectionEngine instance if not already created
+    if (!this._projectionEngine) {
+      this._projectionEngine = new ProjectionEngine();
+    }
+
+    return this._projectionEngine.applyProjection(documents, projection);
+  }
+
   /**
    * Find first document matching query using QueryEngine
    * @param {Object} query - MongoDB-compatible query object
+   * @param {Object} [options={}] - Find options
+   * @param {Object} [options.projection] - Projection applied to the returned document
    * @returns {Object|null} First matching document or null if none found
    * @throws {ErrorHandler.ErrorTypes.INVALID_QUERY} When query contains invalid operators
+   * @throws {ErrorHandler.ErrorTypes.INVALID_ARGUMENT} When options or projection are invalid
    */
-  findByQuery(query) {
+  findByQuery(query, options = {}) {
     this._validateQuery(query);
+    Validate.object(options, 'options');
     
-    // Get all documents as array for QueryEngine
-    const documents = this.findAllDocuments();
-    
-    // Create QueryEngine instance if not already created
-    if (!this._queryEngine) {
-      this._queryEngine = new QueryEngine();
-    }
-    
-    // Let QueryEngine handle all validation and execution
-    const results = this._queryEngine.executeQuery(documents, query);
+    // Stop at the first match and only copy that document
+    const cursor = new Cursor(this, query, { projection: options.projection, limit: 1 });
+    const result = cursor.next();
     
     this._logger.debug('Query executed by findByQuery', { 
       queryString: JSON.stringify(query), 
-      resultCount: results.length 
+      found: result !== null 
     });
     
-    return results.length > 0 ? results[0] : null;
+    return result;
   }
   
   /**
    * Find multiple documents matching query using QueryEngine
+   * Results are sorted first, then skipped and limited, then projected (see Cursor).
    * @param {Object} query - MongoDB-compatible query object
+   * @param {Object} [options={}] - Find options
+   * @param {Object} [options.projection] - Projection applied to each returned document
+   * @param {Object} [options.sort] - Sort specification, e.g. { year: -1, 'name.last': 1 }
+   * @param {number} [options.skip=0] - Number of matching documents to skip
+   * @param {number} [options.limit=0] - Maximum number of documents to return (0 for no limit)
    * @returns {Array<Object>} Array of matching documents (empty array if none found)
    * @throws {ErrorHandler.ErrorTypes.INVALID_QUERY} When query contains invalid operators
+   * @throws {ErrorHandler.ErrorTypes.INVALID_ARGUMENT} When options or projection are invalid
    */
-  findMultipleByQuery(query) {
+  findMultipleByQuery(query, options = {}) {
     this._validateQuery(query);
     
-    // Get all documents as array for QueryEngine
-    const documents = this.findAllDocuments();
-    
-    // Create QueryEngine instance if not already created
-    if (!this._queryEngine) {
-      this._queryEngine = new QueryEngine();
-    }
-    
-    // Let QueryEngine handle all validation and execution
-    const results = this._queryEngine.executeQuery(documents, query);
+    const results = new Cursor(this, query, options).toArray();
     
     this._logger.debug('Query executed by findMultipleByQuery', { 
       queryString: JSON.stringify(query), 
@@ -258,23 +367,174 @@ class DocumentOperations {
   countByQuery(query) {
     this._validateQuery(query);
     
-    // Get all documents as array for QueryEngine
-    const documents = this.findAllDocuments();
+    // Counting matches does not need copies of the documents
+    const count = new Cursor(this, query).count();
+    
+    this._logger.debug('Query executed by countByQuery', { 
+      queryString: JSON.stringify(query), 
+      resultCount: count 
+    });
+    
+    return count;
+  }
+
+  /**
+   * Validate a query and create a predicate for matching documents one at a time
+   * @param {Object} query - MongoDB-compatible query object
+   * @returns {function(Object): boolean} Predicate returning true when a document matches
+   * @throws {ErrorHandler.ErrorTypes.INVALID_QUERY} When query contains invalid operators
+   */
+  createQueryMatcher(query) {
+    this._validateQuery(query);
     
     // Create QueryEngine instance if not already created
     if (!this._queryEngine) {
       this._queryEngine = new QueryEngine();
     }
     
-    // Let QueryEngine handle all validation and execution
-    const results = this._queryEngine.executeQuery(documents, query);
+    return this._queryEngine.createMatcher(query);
+  }
+
+  /**
+   * Validate find options
+   * @param {Object} options - Find options to validate
+   * @throws {ErrorHandler.ErrorTypes.INVALID_ARGUMENT} When an option is invalid
+   */
+  validateFindOptions(options) {
+    Validate.object(options, 'options');
     
-    this._logger.debug('Query executed by countByQuery', { 
-      queryString: JSON.stringify(query), 
-      resultCount: results.length 
+    if (options.sort !== undefined) {
+      this._getSortEngine().validateSort(options.sort);
+    }
+    if (options.skip !== undefined) {
+      Validate.integer(options.skip, 'skip');
+      Validate.nonNegativeNumber(options.skip, 'skip');
+    }
+    if (options.limit !== undefined) {
+      Validate.integer(options.limit, 'limit');
+      Validate.nonNegativeNumber(options.limit, 'limit');
+    }
+  }
+
+  /**
+   * Get the stored documents a query needs to examine
+   * Uses the collection's indexes where they apply, otherwise every stored document.
+   * Callers must clone documents before returning them outside the collection.
+   * @param {Object} query - MongoDB-compatible query object
+   * @param {Object} [options={}] - Find options { sort, skip, limit, matcher }, passed to IndexManager.findCandidates
+   * @returns {Array<Object>} Stored documents in insertion order, without copying them
+   */
+  getCandidateDocuments(query, options = {}) {
+    const candidates = this._collection._indexManager.findCandidates(query, options);
+    return candidates === null ? this._getStoredDocuments() : candidates;
+  }
+
+  /**
+   * Sort documents using the lazily created SortEngine
+   * @param {Array<Object>} documents - Documents to sort
+   * @param {Object} sort - Sort specification mapping field paths to 1 (ascending) or -1 (descending)
+   * @returns {Array<Object>} New sorted array (the input array is not modified)
+   * @throws {ErrorHandler.ErrorTypes.INVALID_ARGUMENT} When the sort specification is invalid
+   */
+  sortDocuments(documents, sort) {
+    return this._getSortEngine().sortDocuments(documents, sort);
+  }
+
+  /**
+   * Validate update operators
+   * @param {Object} updateOps - Update operators to validate
+   * @throws {ErrorHandler.ErrorTypes.INVALID_QUERY} When operators are invalid
+   */
+  validateUpdateOperators(updateOps) {
+    if (!this._updateEngine) {
+      this._updateEngine = new UpdateEngine();
+    }
+    
+    for (const operator in updateOps) {
+      if (!this._updateEngine._operatorHandlers[operator]) {
+        throw new ErrorHandler.ErrorTypes.INVALID_QUERY(updateOps, `Unsupported update operator: ${operator}`);
+      }
+    }
+  }
+
+  /**
+   * Validate pipeline update stages
+   * @param {Array<Object>} pipeline - Pipeline update stages to validate
+   * @throws {ErrorHandler.ErrorTypes.INVALID_ARGUMENT} When the pipeline is not a non-empty array
+   * @throws {ErrorHandler.ErrorTypes.INVALID_QUERY} When a stage or expression is invalid
+   */
+  validateUpdatePipeline(pipeline) {
+    if (!this._updateEngine) {
+      this._updateEngine = new UpdateEngine();
+    }
+    
+    this._updateEngine.validatePipeline(pipeline);
+  }
+
+  /**
+   * Run an aggregation pipeline over the stored documents
+   * @param {Array<Object>} pipeline - Aggregation pipeline stages
+   * @param {Object} [options={}] - Aggregation options
+   * @param {Function} [options.resolveCollection] - Returns the documents of a named collection, for $lookup and $unionWith
+   * @returns {Array<Object>} Result documents (copies)
+   * @throws {ErrorHandler.ErrorTypes.INVALID_ARGUMENT} When the pipeline is not an array
+   * @throws {ErrorHandler.ErrorTypes.INVALID_QUERY} When a stage or expression is invalid
+   */
+  aggregateDocuments(pipeline, options = {}) {
+    if (!this._aggregationEngine) {
+      this._aggregationEngine = new AggregationEngine();
+    }
+    
+    // The engine copies its results, so stored documents can be passed by reference
+    const results = this._aggregationEngine.aggregate(this._getStoredDocuments(), pipeline, options);
+    
+    this._logger.debug('Aggregation executed by aggregateDocuments', {
+      stageCount: pipeline.length,
+      resultCount: results.length
     });
     
-    return results.length;
+    return results;
+  }
+
+  /**
+   * Replace every document in the collection, as the aggregation stages $out and $merge do
+   * Documents without an _id are given one. Nothing is replaced when a document is invalid or two share an _id.
+   * @param {Array<Object>} docs - New documents
+   * @returns {number} Number of documents now stored
+   * @throws {ErrorHandler.ErrorTypes.INVALID_ARGUMENT} When docs is not an array, or a document is invalid
+   * @throws {ErrorHandler.ErrorTypes.DUPLICATE_KEY} When two documents have the same _id, or share a value in a unique index
+   */
+  replaceAllDocuments(docs) {
+    Validate.array(docs, 'docs');
+    
+    const documents = {};
+    docs.forEach((doc, index) => {
+      try {
+        this._validateDocument(doc);
+      } catch (error) {
+        const reason = error.context && error.context.reason ? error.context.reason : error.message;
+        throw new ErrorHandler.ErrorTypes.INVALID_ARGUMENT(`docs[${index}]`, doc, reason);
+      }
+      
+      // Create a copy to avoid sharing objects with the caller
+      const document = ObjectUtils.deepClone(doc);
+      if (document._id === undefined) {
+        document._id = this._generateDocumentId();
+      } else if (documents[document._id]) {
+        throw new ErrorHandler.ErrorTypes.DUPLICATE_KEY('_id', document._id, this._collection.getName());
+      }
+      documents[document._id] = document;
+    });
+    
+    // Re-index first so a unique index violation leaves the collection unchanged
+    this._collection._indexManager.replaceDocuments(documents);
+    this._collection._documents = documents;
+    this._collection._updateMetadata();
+    this._collection._markDirty();
+    
+    const documentCount = Object.keys(documents).length;
+    this._logger.debug('All documents replaced', { documentCount });
+    return documentCount;
   }
 
   /**
@@ -325,17 +585,21 @@ class DocumentOperations {
    * Apply update operators to a document by ID
    * @param {string} id - Document identifier
    * @param {Object} updateOps - MongoDB-style update operators
+   * @param {Object} [options={}] - Update options
+   * @param {Object} [options.query] - Query filter that selected the document, used to resolve the $ positional operator
+   * @param {Array<Object>} [options.arrayFilters] - Filters selecting the elements updated by $[identifier]
    * @returns {Object} Update result { acknowledged: boolean, modifiedCount: number }
    * @throws {ErrorHandler.ErrorTypes.INVALID_ARGUMENT} When parameters are invalid
    * @throws {ErrorHandler.ErrorTypes.INVALID_QUERY} When update operators are invalid
+   * @throws {ErrorHandler.ErrorTypes.DUPLICATE_KEY} When the document would break a unique index
    */
-  updateDocumentWithOperators(id, updateOps) {
+  updateDocumentWithOperators(id, updateOps, options = {}) {
     // Validate parameters
     Validate.nonEmptyString(id, 'id');
     Validate.validateUpdateObject(updateOps, 'updateOps', { requireOperators: true });
     
     // Validate operators before checking existence so invalid ops throw
-    this._validateUpdateOperators(updateOps);
+    this.validateUpdateOperators(updateOps);
     
     // Check existence
     if (!this.documentExists(id)) {
@@ -345,15 +609,99 @@ class DocumentOperations {
     // Get existing document for the update engine
     const existing = this._collection._documents[id];
     // Apply operators
-    const updatedDoc = this._updateEngine.applyOperators(existing, updateOps);
+    const updatedDoc = this._updateEngine.applyOperators(existing, updateOps, {
+      query: options.query,
+      arrayFilters: options.arrayFilters
+    });
     // Persist
-    this._collection._documents[id] = updatedDoc;
+    this._storeDocument(updatedDoc, id);
     this._collection._updateMetadata();
     this._collection._markDirty();
     this._logger.debug('Document updated with operators', { documentId: id, operators: updateOps });
     return { acknowledged: true, modifiedCount: 1 };
   }
 
+  /**
+   * Apply update operators or a pipeline to several documents by ID as one write
+   * Every updated document is checked against the unique indexes before any is stored,
+   * so a duplicate key leaves all of them unchanged. IDs of missing documents are skipped.
+   * @param {Array<string>} ids - Document identifiers
+   * @param {Object|Array<Object>} update - MongoDB-style update operators or pipeline update stages
+   * @param {Object} [options={}] - Update options
+   * @param {Object} [options.query] - Query filter that selected the documents, used to resolve the $ positional operator
+   * @param {Array<Object>} [options.arrayFilters] - Filters selecting the elements updated by $[identifier]
+   * @returns {Object} Update result { acknowledged: boolean, modifiedCount: number }
+   * @throws {ErrorHandler.ErrorTypes.INVALID_ARGUMENT} When parameters or an updated document are invalid
+   * @throws {ErrorHandler.ErrorTypes.INVALID_QUERY} When update operators, a stage or an expression are invalid
+   * @throws {ErrorHandler.ErrorTypes.DUPLICATE_KEY} When the documents would break a unique index (nothing is stored)
+   */
+  updateDocuments(ids, update, options = {}) {
+    // Validate parameters
+    Validate.array(ids, 'ids');
+    const isPipeline = Array.isArray(update);
+    if (isPipeline) {
+      this.validateUpdatePipeline(update);
+    } else {
+      Validate.validateUpdateObject(update, 'update', { requireOperators: true });
+      this.validateUpdateOperators(update);
+    }
+    
+    // Apply the update to every document before storing any of them
+    const updatedDocs = ids.filter(id => this.documentExists(id)).map(id => {
+      const existing = this._collection._documents[id];
+      if (!isPipeline) {
+        return this._updateEngine.applyOperators(existing, update, {
+          query: options.query,
+          arrayFilters: options.arrayFilters
+        });
+      }
+      const updatedDoc = this._updateEngine.applyPipeline(existing, update);
+      this._validateDocument(updatedDoc);
+      return updatedDoc;
+    });
+    if (updatedDocs.length === 0) {
+      return { acknowledged: true, modifiedCount: 0 };
+    }
+    
+    // Persist; updates keep each document's _id, so they replace the stored documents
+    this._storeReplacements(updatedDocs);
+    this._collection._updateMetadata();
+    this._collection._markDirty();
+    this._logger.debug('Documents updated', { documentCount: updatedDocs.length });
+    return { acknowledged: true, modifiedCount: updatedDocs.length };
+  }
+
+  /**
+   * Apply an aggregation pipeline update to a document by ID
+   * @param {string} id - Document identifier
+   * @param {Array<Object>} pipeline - Pipeline update stages ($set/$addFields, $unset, $project, $replaceWith)
+   * @returns {Object} Update result { acknowledged: boolean, modifiedCount: number }
+   * @throws {ErrorHandler.ErrorTypes.INVALID_ARGUMENT} When parameters or the resulting document are invalid
+   * @throws {ErrorHandler.ErrorTypes.INVALID_QUERY} When a stage or expression is invalid
+   * @throws {ErrorHandler.ErrorTypes.DUPLICATE_KEY} When the document would break a unique index
+   */
+  updateDocumentWithPipeline(id, pipeline) {
+    // Validate parameters
+    Validate.nonEmptyString(id, 'id');
+    this.validateUpdatePipeline(pipeline);
+    
+    // Check existence
+    if (!this.documentExists(id)) {
+      return { acknowledged: true, modifiedCount: 0 };
+    }
+    
+    // Run the pipeline against the stored document
+    const existing = this._collection._documents[id];
+    const updatedDoc = this._updateEngine.applyPipeline(existing, pipeline);
+    this._validateDocument(updatedDoc);
+    // Persist
+    this._storeDocument(updatedDoc, id);
+    this._collection._updateMetadata();
+    this._collection._markDirty();
+    this._logger.debug('Document updated with pipeline', { documentId: id, stageCount: pipeline.length });
+    return { acknowledged: true, modifiedCount: 1 };
+  }
+
   /**
    * Update documents matching a query using operators
    * @param {Object} query - Filter criteria
@@ -362,6 +710,7 @@ class DocumentOperations {
    * @throws {ErrorHandler.ErrorTypes.INVALID_ARGUMENT} When parameters are invalid
    * @throws {ErrorHandler.ErrorTypes.INVALID_QUERY} When update operators are invalid
    * @throws {ErrorHandler.ErrorTypes.DOCUMENT_NOT_FOUND} When no documents match
+   * @throws {ErrorHandler.ErrorTypes.DUPLICATE_KEY} When an updated document would break a unique index (earlier documents stay updated)
    */
   updateDocumentByQuery(query, updateOps) {
     // Validate parameters
@@ -373,8 +722,8 @@ class DocumentOperations {
     if (matches.length === 0) {
       throw new ErrorHandler.ErrorTypes.DOCUMENT_NOT_FOUND(query, this._collection.name);
     }
-    // Apply updates
-    matches.forEach(doc => this.updateDocumentWithOperators(doc._id, updateOps));
+    // Apply updates; a duplicate key leaves every match unchanged
+    this.updateDocuments(matches.map(doc => doc._id), updateOps);
     return matches.length;
   }
 
@@ -383,7 +732,8 @@ class DocumentOperations {
    * @param {string} id - Document identifier
    * @param {Object} doc - Replacement document
    * @returns {Object} Replace result { acknowledged: boolean, modifiedCount: number }
-   * @throws {ErrorHandler.ErrorTypes.INVALID_ARGUMENT} When parameters are invalid
+   * @throws {ErrorHandler.ErrorTypes.INVALID_ARGUMENT} When parameters are invalid, or doc has a different _id
+   * @throws {ErrorHandler.ErrorTypes.DUPLICATE_KEY} When the document would break a unique index
    */
   replaceDocument(id, doc) {
     // Validate parameters
@@ -394,12 +744,16 @@ class DocumentOperations {
     if (!this.documentExists(id)) {
       return { acknowledged: true, modifiedCount: 0 };
     }
+    // The _id is immutable, so a replacement may only repeat it
+    if (doc._id !== undefined && doc._id !== id) {
+      throw new ErrorHandler.ErrorTypes.INVALID_ARGUMENT('doc._id', doc._id, 'a replacement cannot change the immutable field _id');
+    }
     // Prepare replacement
     const newDoc = ObjectUtils.deepClone(doc);
     newDoc._id = id;
     this._validateDocument(newDoc);
     // Persist
-    this._collection._documents[id] = newDoc;
+    this._storeDocument(newDoc, id);
     this._collection._updateMetadata();
     this._collection._markDirty();
     this._logger.debug('Document replaced by ID', { documentId: id });
@@ -412,6 +766,7 @@ class DocumentOperations {
    * @param {Object} doc - Replacement document
    * @returns {number} Number of documents replaced
    * @throws {ErrorHandler.ErrorTypes.INVALID_ARGUMENT} When parameters are invalid
+   * @throws {ErrorHandler.ErrorTypes.DUPLICATE_KEY} When a replacement would break a unique index (earlier documents stay replaced)
    */
   replaceDocumentByQuery(query, doc) {
     // Validate parameters
@@ -428,6 +783,82 @@ class DocumentOperations {
     return matches.length;
   }
 
+  /**
+   * Insert the document an upsert creates when its filter matched nothing
+   * Operator and pipeline updates start from the filter's equality clauses and apply the operators
+   * (including $setOnInsert) or stages; replacements are inserted as given, keeping the filter's _id.
+   * @param {Object} query - Filter criteria that matched no documents
+   * @param {Object|Array<Object>} update - Update operators, pipeline update stages or replacement document
+   * @returns {Object} Inserted document
+   * @throws {ErrorHandler.ErrorTypes.INVALID_ARGUMENT} When parameters or the resulting document are invalid
+   * @throws {ErrorHandler.ErrorTypes.INVALID_QUERY} When update operators are invalid
+   * @throws {ErrorHandler.ErrorTypes.CONFLICT_ERROR} When the resulting _id already exists
+   * @throws {ErrorHandler.ErrorTypes.DUPLICATE_KEY} When the document would break a unique index
+   */
+  upsertDocument(query, update) {
+    // Validate parameters
+    Validate.object(query, 'query');
+    const isPipeline = Array.isArray(update);
+    if (!isPipeline) {
+      Validate.validateUpdateObject(update, 'update');
+    }
+    
+    const equalityFields = this._extractEqualityFields(query);
+    const hasOperators = !isPipeline && Object.keys(update).some(key => key.startsWith('$'));
+    let newDoc;
+    if (isPipeline) {
+      this.validateUpdatePipeline(update);
+      newDoc = this._updateEngine.applyPipeline(equalityFields, update);
+    } else if (hasOperators) {
+      this.validateUpdateOperators(update);
+      newDoc = this._updateEngine.applyOperators(equalityFields, update, { isInsert: true });
+    } else {
+      newDoc = ObjectUtils.deepClone(update);
+      if (newDoc._id === undefined && equalityFields._id !== undefined) {
+        newDoc._id = equalityFields._id;
+      }
+    }
+    
+    const insertedDoc = this.insertDocument(newDoc);
+    this._logger.debug('Document upserted', { documentId: insertedDoc._id });
+    return insertedDoc;
+  }
+
+  /**
+   * Collect the fields a filter fixes by equality, as MongoDB does when seeding an upsert
+   * Literal values and $eq are used (including inside $and); other operators are ignored.
+   * @private
+   * @param {Object} query - Filter criteria
+   * @param {Object} [target={}] - Document to add the fields to
+   * @returns {Object} Document containing the equality fields
+   */
+  _extractEqualityFields(query, target = {}) {
+    if (!this._updateEngine) {
+      this._updateEngine = new UpdateEngine();
+    }
+
+    for (const key in query) {
+      const value = query[key];
+      if (key === '$and' && Array.isArray(value)) {
+        value.forEach(clause => this._extractEqualityFields(clause, target));
+        continue;
+      }
+      if (key.startsWith('$') || value instanceof RegExp) {
+        continue;
+      }
+
+      const isOperatorObject = Validate.isPlainObject(value) &&
+        Object.keys(value).length > 0 &&
+        Object.keys(value).every(operator => operator.startsWith('$'));
+      if (!isOperatorObject) {
+        this._updateEngine.setFieldValue(target, key, ObjectUtils.deepClone(value));
+      } else if (value.$eq !== undefined && !(value.$eq instanceof RegExp)) {
+        this._updateEngine.setFieldValue(target, key, ObjectUtils.deepClone(value.$eq));
+      }
+    }
+    return target;
+  }
+
   /**
    * Validate document ID
    * @private
@@ -489,20 +920,70 @@ class DocumentOperations {
   }
 
   /**
-   * Validate update operators
+   * Store a new or replacement document, keeping the collection's indexes up to date
+   * Updates pass the ID of the document they changed, so it is replaced under that ID.
    * @private
-   * @param {Object} updateOps - Update operators to validate
-   * @throws {ErrorHandler.ErrorTypes.INVALID_QUERY} When operators are invalid
+   * @param {Object} document - Document to store
+   * @param {string} [id=document._id] - ID to store the document under
+   * @throws {ErrorHandler.ErrorTypes.DUPLICATE_KEY} When the document would break a unique index (nothing is stored)
    */
-  _validateUpdateOperators(updateOps) {
-    if (!this._updateEngine) {
-      this._updateEngine = new UpdateEngine();
+  _storeDocument(document, id = document._id) {
+    const indexManager = this._collection._indexManager;
+    const previous = this._collection._documents[id];
+    if (previous) {
+      indexManager.replaceDocument(previous, document);
+    } else {
+      indexManager.addDocument(document);
     }
-    
-    for (const operator in updateOps) {
-      if (!this._updateEngine._operatorHandlers[operator]) {
-        throw new ErrorHandler.ErrorTypes.INVALID_QUERY(updateOps, `Unsupported update operator: ${operator}`);
-      }
+    this._collection._documents[id] = document;
+  }
+
+  /**
+   * Replace several stored documents at once, keeping the collection's indexes up to date
+   * Every old version is unindexed before any new one is indexed, so values can move between the documents.
+   * @private
+   * @param {Array<Object>} documents - Replacement documents, each with the _id of a stored document
+   * @throws {ErrorHandler.ErrorTypes.DUPLICATE_KEY} When the documents would break a unique index (nothing is stored)
+   */
+  _storeReplacements(documents) {
+    const indexManager = this._collection._indexManager;
+    indexManager.assertUniqueReplacements(documents);
+    documents.forEach(document => indexManager.removeDocument(this._collection._documents[document._id]));
+    documents.forEach(document => {
+      indexManager.addDocument(document);
+      this._collection._documents[document._id] = document;
+    });
+  }
+
+  /**
+   * Delete a stored document, keeping the collection's indexes up to date
+   * @private
+   * @param {string} id - ID of a stored document
+   */
+  _removeStoredDocument(id) {
+    this._collection._indexManager.removeDocument(this._collection._documents[id]);
+    delete this._collection._documents[id];
+  }
+
+  /**
+   * Get the stored documents without copying them
+   * Callers must clone documents before returning them outside the collection.
+   * @private
+   * @returns {Array<Object>} Stored documents in insertion order
+   */
+  _getStoredDocuments() {
+    return Object.values(this._collection._documents);
+  }
+
+  /**
+   * Get the lazily created SortEngine
+   * @private
+   * @returns {SortEngine} SortEngine instance
+   */
+  _getSortEngine() {
+    if (!this._sortEngine) {
+      this._sortEngine = new SortEngine();
     }
+    return this._sortEngine;
   }
 }
@@ -0,0 +1,1269 @@
+/**
+ * ExpressionEvaluator.js - MongoDB-compatible Aggregation Expression Evaluator
+ *
+ * Computes values from documents using aggregation expression syntax:
+ * - Field paths ("$price", "$name.first"), including paths through arrays
+ * - Variables ("$$ROOT", "$$CURRENT", "$$REMOVE", "$$NOW")
+ * - Literal values, and objects and arrays whose members are expressions
+ * - Operator expressions ({ $multiply: ["$price", "$qty"] }, { $concat: ["$first", " ", "$last"] })
+ *
+ * Operators cover arithmetic, comparison, boolean logic, strings, dates, conditionals, arrays and type conversion. Dates follow
+ * ObjectUtils semantics: they stay Date instances, and ISO date strings (which ObjectUtils revives
+ * as dates) are accepted wherever a date is expected. The evaluator is shared by aggregation
+ * stages, pipeline updates and $expr queries.
+ */
+class ExpressionEvaluator {
+  /**
+   * Creates a new ExpressionEvaluator instance
+   */
+  constructor() {
+    this._logger = JDbLogger.createComponentLogger('ExpressionEvaluator');
+    this._queryEngine = null; // Lazy-loaded QueryEngine for dot-path resolution
+    this._sortEngine = null; // Lazy-loaded SortEngine for value comparison
+
+    // Map of supported expression operators to their handler methods
+    this._operatorHandlers = {
+      '$literal': this._evaluateLiteral.bind(this),
+
+      // Arithmetic
+      '$add': this._evaluateAdd.bind(this),
+      '$subtract': this._evaluateSubtract.bind(this),
+      '$multiply': this._evaluateMultiply.bind(this),
+      '$divide': this._evaluateDivide.bind(this),
+      '$mod': this._evaluateMod.bind(this),
+      '$round': this._evaluateRound.bind(this),
+
+      // Comparison
+      '$eq': this._evaluateComparison.bind(this, '$eq'),
+      '$ne': this._evaluateComparison.bind(this, '$ne'),
+      '$gt': this._evaluateComparison.bind(this, '$gt'),
+      '$gte': this._evaluateComparison.bind(this, '$gte'),
+      '$lt': this._evaluateComparison.bind(this, '$lt'),
+      '$lte': this._evaluateComparison.bind(this, '$lte'),
+      '$cmp': this._evaluateComparison.bind(this, '$cmp'),
+
+      // Boolean
+      '$and': this._evaluateAnd.bind(this),
+      '$or': this._evaluateOr.bind(this),
+      '$not': this._evaluateNot.bind(this),
+
+      // Strings
+      '$concat': this._evaluateConcat.bind(this),
+      '$substrCP': this._evaluateSubstrCP.bind(this),
+      '$toLower': this._evaluateToLower.bind(this),
+      '$split': this._evaluateSplit.bind(this),
+      '$trim': this._evaluateTrim.bind(this),
+
+      // Dates
+      '$year': this._evaluateYear.bind(this),
+      '$month': this._evaluateMonth.bind(this),
+      '$dateToString': this._evaluateDateToString.bind(this),
+      '$dateDiff': this._evaluateDateDiff.bind(this),
+
+      // Conditionals
+      '$cond': this._evaluateCond.bind(this),
+      '$ifNull': this._evaluateIfNull.bind(this),
+      '$switch': this._evaluateSwitch.bind(this),
+
+      // Arrays
+      '$size': this._evaluateSize.bind(this),
+      '$filter': this._evaluateFilter.bind(this),
+      '$map': this._evaluateMap.bind(this),
+      '$reduce': this._evaluateReduce.bind(this),
+      '$arrayElemAt': this._evaluateArrayElemAt.bind(this),
+      '$in': this._evaluateIn.bind(this),
+
+      // Type conversion
+      '$toString': this._evaluateToString.bind(this),
+      '$toInt': this._evaluateToInt.bind(this),
+      '$toDate': this._evaluateToDate.bind(this)
+    };
+  }
+
+  /**
+   * Evaluate an expression against a document
+   * @param {*} expression - Aggregation expression
+   * @param {Object} document - Document that field paths and $$ROOT/$$CURRENT refer to
+   * @param {Object} [variables={}] - Additional variables, keyed by name without the $$ prefix
+   * @returns {*} Computed value (undefined for missing fields and $$REMOVE)
+   * @throws {InvalidQueryError} When the expression is invalid or an operator receives unsupported values
+   */
+  evaluate(expression, document, variables = {}) {
+    const scope = Object.assign({ ROOT: document, CURRENT: document }, variables);
+    return this._evaluateExpression(expression, scope);
+  }
+
+  /**
+   * Evaluate an expression as a condition, as $expr and $cond do
+   * false, null, missing values and 0 are false; everything else is true.
+   * @param {*} expression - Aggregation expression
+   * @param {Object} document - Document that field paths and $$ROOT/$$CURRENT refer to
+   * @param {Object} [variables={}] - Additional variables, keyed by name without the $$ prefix
+   * @returns {boolean} Truth value of the result
+   * @throws {InvalidQueryError} When the expression is invalid or an operator receives unsupported values
+   */
+  evaluateCondition(expression, document, variables = {}) {
+    return this._isTrue(this.evaluate(expression, document, variables));
+  }
+
+  /**
+   * Validate an expression's structure without evaluating it
+   * Checks operator names and the shape of expression objects; value types are checked during evaluation.
+   * @param {*} expression - Aggregation expression
+   * @throws {InvalidQueryError} When the expression uses an unknown operator or is malformed
+   */
+  validateExpression(expression) {
+    if (Array.isArray(expression)) {
+      expression.forEach(item => this.validateExpression(item));
+      return;
+    }
+    if (!Validate.isPlainObject(expression) || expression instanceof RegExp) {
+      return;
+    }
+
+    const operator = this._getOperator(expression);
+    if (operator === null) {
+      Object.keys(expression).forEach(key => this.validateExpression(expression[key]));
+    } else if (operator !== '$literal') {
+      this.validateExpression(expression[operator]);
+    }
+  }
+
+  /**
+   * Check whether a value is an operator expression such as { $add: [...] }
+   * @param {*} value - Value to check
+   * @returns {boolean} True when the value is an object with a single $-prefixed key
+   */
+  isOperatorExpression(value) {
+    return Validate.isPlainObject(value) && !(value instanceof RegExp) && this._getOperator(value) !== null;
+  }
+
+  /**
+   * Evaluate an expression within a variable scope
+   * @param {*} expression - Aggregation expression
+   * @param {Object} scope - Variables keyed by name (ROOT and CURRENT are always present)
+   * @returns {*} Computed value
+   * @throws {InvalidQueryError} When the expression is invalid
+   * @private
+   */
+  _evaluateExpression(expression, scope) {
+    if (typeof expression === 'string' && expression.startsWith('$')) {
+      return this._resolvePath(expression, scope);
+    }
+    if (Array.isArray(expression)) {
+      return expression.map(item => this._evaluateExpression(item, scope));
+    }
+    if (!Validate.isPlainObject(expression) || expression instanceof RegExp) {
+      return expression;
+    }
+
+    const operator = this._getOperator(expression);
+    if (operator !== null) {
+      return this._operatorHandlers[operator](expression[operator], scope);
+    }
+
+    // Object expression: each field is itself an expression; missing values are omitted
+    const result = {};
+    Object.keys(expression).forEach(key => {
+      const value = this._evaluateExpression(expression[key], scope);
+      if (value !== undefined) {
+        result[key] = value;
+      }
+    });
+    return result;
+  }
+
+  /**
+   * Identify the operator of an expression object
+   * @param {Object} expression - Expression object
+   * @returns {string|null} Operator name, or null for an object of field expressions
+   * @throws {InvalidQueryError} When the object mixes operators with fields, has several operators or an unknown operator
+   * @private
+   */
+  _getOperator(expression) {
+    const keys = Object.keys(expression);
+    const operatorKeys = keys.filter(key => key.startsWith('$'));
+    if (operatorKeys.length === 0) {
+      return null;
+    }
+    if (keys.length > 1) {
+      throw new InvalidQueryError(expression, 'an expression object must contain a single operator, or only field names');
+    }
+    if (!this._operatorHandlers[keys[0]]) {
+      throw new InvalidQueryError(expression, `Unsupported expression operator: ${keys[0]}`);
+    }
+    return keys[0];
+  }
+
+  /**
+   * Resolve a field path ("$a.b") or variable ("$$ROOT.a.b")
+   * @param {string} path - Path string including its $ or $$ prefix
+   * @param {Object} scope - Variables keyed by name
+   * @returns {*} Resolved value or undefined when missing
+   * @throws {InvalidQueryError} When the path is empty or names an undefined variable
+   * @private
+   */
+  _resolvePath(path, scope) {
+    const isVariable = path.startsWith('$$');
+    const parts = path.slice(isVariable ? 2 : 1).split('.');
+    if (parts[0] === '') {
+      throw new InvalidQueryError(path, 'field paths and variable names must not be empty');
+    }
+
+    let base = scope.CURRENT;
+    if (isVariable) {
+      const name = parts.shift();
+      base = this._getVariable(name, scope);
+    }
+    if (parts.length === 0) {
+      return base;
+    }
+    return this._getQueryEngine()._getFieldValue(base, parts.join('.'));
+  }
+
+  /**
+   * Get the value of a variable
+   * @param {string} name - Variable name without the $$ prefix
+   * @param {Object} scope - Variables keyed by name
+   * @returns {*} Variable value
+   * @throws {InvalidQueryError} When the variable is not defined
+   * @private
+   */
+  _getVariable(name, scope) {
+    if (name === 'REMOVE') {
+      return undefined;
+    }
+    if (name === 'NOW') {
+      return new Date();
+    }
+    if (!Object.prototype.hasOwnProperty.call(scope, name)) {
+      throw new InvalidQueryError(`$$${name}`, `Use of undefined variable: ${name}`);
+    }
+    return scope[name];
+  }
+
+  /**
+   * Evaluate operator arguments, accepting a single argument without an array
+   * @param {*} args - Raw operator arguments
+   * @param {Object} scope - Variables keyed by name
+   * @param {string} operator - Operator name for error messages
+   * @param {number} [count] - Exact number of arguments required
+   * @returns {Array} Evaluated arguments
+   * @throws {InvalidQueryError} When the number of arguments is wrong
+   * @private
+   */
+  _evaluateArguments(args, scope, operator, count) {
+    const list = Array.isArray(args) ? args : [args];
+    if (count !== undefined && list.length !== count) {
+      throw new InvalidQueryError({ [operator]: args }, `${operator} requires exactly ${count} arguments`);
+    }
+    return list.map(arg => this._evaluateExpression(arg, scope));
+  }
+
+  /**
+   * Check whether any value is null or missing, which makes most operators return null
+   * @param {Array} values - Evaluated arguments
+   * @returns {boolean} True when a value is null or undefined
+   * @private
+   */
+  _hasNullish(values) {
+    return values.some(value => value === null || value === undefined);
+  }
+
+  /**
+   * Throw unless every value is a number
+   * @param {Array} values - Evaluated arguments
+   * @param {string} operator - Operator name for error messages
+   * @throws {InvalidQueryError} When a value is not a number
+   * @private
+   */
+  _validateNumbers(values, operator) {
+    values.forEach(value => {
+      if (typeof value !== 'number') {
+        throw new InvalidQueryError(value, `${operator} only supports numeric types`);
+      }
+    });
+  }
+
+  /**
+   * Throw unless every value is a string
+   * @param {Array} values - Evaluated arguments
+   * @param {string} operator - Operator name for error messages
+   * @throws {InvalidQueryError} When a value is not a string
+   * @private
+   */
+  _validateStrings(values, operator) {
+    values.forEach(value => {
+      if (typeof value !== 'string') {
+        throw new InvalidQueryError(value, `${operator} only supports strings`);
+      }
+    });
+  }
+
+  /**
+   * Check the fields of an operator taking named arguments, e.g. { input, as, cond }
+   * @param {*} args - Raw operator arguments
+   * @param {string} operator - Operator name for error messages
+   * @param {Array<string>} required - Required argument names
+   * @param {Array<string>} [optional=[]] - Optional argument names
+   * @returns {Object} The arguments object
+   * @throws {InvalidQueryError} When the arguments are not an object, miss a required field or have an unknown one
+   * @private
+   */
+  _getNamedArguments(args, operator, required, optional = []) {
+    if (!Validate.isPlainObject(args) || args instanceof RegExp) {
+      throw new InvalidQueryError({ [operator]: args }, `${operator} requires an object of named arguments`);
+    }
+    required.forEach(name => {
+      if (!Object.prototype.hasOwnProperty.call(args, name)) {
+        throw new InvalidQueryError({ [operator]: args }, `${operator} requires the "${name}" argument`);
+      }
+    });
+    Object.keys(args).forEach(name => {
+      if (!required.includes(name) && !optional.includes(name)) {
+        throw new InvalidQueryError({ [operator]: args }, `Unknown ${operator} argument: ${name}`);
+      }
+    });
+    return args;
+  }
+
+  /**
+   * Get the name of a variable bound by $filter or $map, checking it is valid
+   * @param {*} name - The "as" argument, or undefined for the default "this"
+   * @param {string} operator - Operator name for error messages
+   * @returns {string} Variable name
+   * @throws {InvalidQueryError} When the name is not a valid variable name
+   * @private
+   */
+  _getBindingName(name, operator) {
+    if (name === undefined) {
+      return 'this';
+    }
+    if (typeof name !== 'string' || !ExpressionEvaluator.VARIABLE_NAME_PATTERN.test(name)) {
+      throw new InvalidQueryError(name, `${operator} "as" must be a variable name starting with a lowercase letter`);
+    }
+    return name;
+  }
+
+  /**
+   * Apply aggregation truthiness: false, null, missing and 0 are false; everything else is true
+   * @param {*} value - Evaluated value
+   * @returns {boolean} Truth value
+   * @private
+   */
+  _isTrue(value) {
+    return value !== false && value !== null && value !== undefined && value !== 0;
+  }
+
+  /**
+   * Evaluate an expression that must produce an array
+   * @param {*} expression - Array expression
+   * @param {Object} scope - Variables keyed by name
+   * @param {string} operator - Operator name for error messages
+   * @returns {Array|null} The array, or null when the value is nullish
+   * @throws {InvalidQueryError} When the value is not an array
+   * @private
+   */
+  _evaluateArray(expression, scope, operator) {
+    const value = this._evaluateExpression(expression, scope);
+    if (value === null || value === undefined) {
+      return null;
+    }
+    if (!Array.isArray(value)) {
+      throw new InvalidQueryError(value, `${operator} requires an array`);
+    }
+    return value;
+  }
+
+  /**
+   * Convert a value to a Date, accepting the ISO date strings ObjectUtils revives as dates
+   * @param {*} value - Evaluated value
+   * @param {string} operator - Operator name for error messages
+   * @returns {Date} Date value
+   * @throws {InvalidQueryError} When the value is not a date
+   * @private
+   */
+  _toDateValue(value, operator) {
+    if (value instanceof Date && !isNaN(value.getTime())) {
+      return value;
+    }
+    if (typeof value === 'string' && ObjectUtils._isISODateString(value)) {
+      return new Date(value);
+    }
+    throw new InvalidQueryError(value, `${operator} requires a date`);
+  }
+
+  /**
+   * Parse a timezone into an offset from UTC
+   * Supports UTC offsets ("+01:00", "-0530", "+03") and "UTC"/"GMT"/"Z"; named zones are not supported.
+   * @param {*} timezone - Evaluated timezone, or undefined/null for UTC
+   * @param {string} operator - Operator name for error messages
+   * @returns {number} Offset in minutes
+   * @throws {InvalidQueryError} When the timezone is not recognised
+   * @private
+   */
+  _getTimezoneOffset(timezone, operator) {
+    if (timezone === undefined || timezone === null || timezone === 'UTC' || timezone === 'GMT' || timezone === 'Z') {
+      return 0;
+    }
+    const match = typeof timezone === 'string' ? /^([+-])(\d{2}):?(\d{2})?$/.exec(timezone) : null;
+    if (!match) {
+      throw new InvalidQueryError(timezone, `${operator} only supports UTC offsets such as "+01:00" as timezones`);
+    }
+    const minutes = Number(match[2]) * 60 + Number(match[3] || 0);
+    return match[1] === '-' ? -minutes : minutes;
+  }
+
+  /**
+   * Split a date into calendar fields in a timezone
+   * @param {Date} date - Date value
+   * @param {number} offset - Timezone offset in minutes
+   * @returns {Object} { year, month (1-12), day, hour, minute, second, millisecond, dayOfWeek (0 = Sunday), dayOfYear (1-366), dayNumber }
+   * @private
+   */
+  _getDateParts(date, offset) {
+    const shifted = new Date(date.getTime() + offset * ExpressionEvaluator.MILLISECONDS.minute);
+    const year = shifted.getUTCFullYear();
+    const dayNumber = Math.floor(shifted.getTime() / ExpressionEvaluator.MILLISECONDS.day);
+    return {
+      year,
+      month: shifted.getUTCMonth() + 1,
+      day: shifted.getUTCDate(),
+      hour: shifted.getUTCHours(),
+      minute: shifted.getUTCMinutes(),
+      second: shifted.getUTCSeconds(),
+      millisecond: shifted.getUTCMilliseconds(),
+      dayOfWeek: shifted.getUTCDay(),
+      dayOfYear: dayNumber - Math.floor(Date.UTC(year, 0, 1) / ExpressionEvaluator.MILLISECONDS.day) + 1,
+      dayNumber
+    };
+  }
+
+  /**
+   * Evaluate the date argument of $year and $month, given directly or as { date, timezone }
+   * @param {*} args - Raw operator arguments
+   * @param {Object} scope - Variables keyed by name
+   * @param {string} operator - Operator name for error messages
+   * @returns {Object|null} Date parts, or null when the date is nullish
+   * @private
+   */
+  _evaluateDatePartArguments(args, scope, operator) {
+    let date;
+    let timezone;
+    if (Validate.isPlainObject(args) && !(args instanceof RegExp) && !this.isOperatorExpression(args)) {
+      this._getNamedArguments(args, operator, ['date'], ['timezone']);
+      date = this._evaluateExpression(args.date, scope);
+      timezone = this._evaluateExpression(args.timezone, scope);
+    } else {
+      date = this._evaluateArguments(args, scope, operator, 1)[0];
+    }
+
+    if (date === null || date === undefined) {
+      return null;
+    }
+    return this._getDateParts(this._toDateValue(date, operator), this._getTimezoneOffset(timezone, operator));
+  }
+
+  /**
+   * $literal - return the argument without evaluating it
+   * @param {*} value - Literal value
+   * @returns {*} Copy of the value
+   * @private
+   */
+  _evaluateLiteral(value) {
+    return ObjectUtils.deepClone(value);
+  }
+
+  /**
+   * $add - sum numbers, or add milliseconds to a single date
+   * @param {*} args - Operator arguments
+   * @param {Object} scope - Variables keyed by name
+   * @returns {number|Date|null} Sum, a Date when one argument is a date, or null when an argument is nullish
+   * @private
+   */
+  _evaluateAdd(args, scope) {
+    const values = this._evaluateArguments(args, scope, '$add');
+    if (this._hasNullish(values)) {
+      return null;
+    }
+
+    const dates = values.filter(value => value instanceof Date);
+    if (dates.length > 1) {
+      throw new InvalidQueryError(args, '$add only supports one date argument');
+    }
+    const numbers = values.filter(value => !(value instanceof Date));
+    this._validateNumbers(numbers, '$add');
+
+    const total = numbers.reduce((sum, value) => sum + value, 0);
+    return dates.length === 1 ? new Date(dates[0].getTime() + total) : total;
+  }
+
+  /**
+   * $subtract - subtract numbers, milliseconds from a date, or one date from another
+   * @param {*} args - Operator arguments
+   * @param {Object} scope - Variables keyed by name
+   * @returns {number|Date|null} Difference (milliseconds between two dates), a Date, or null
+   * @private
+   */
+  _evaluateSubtract(args, scope) {
+    const [minuend, subtrahend] = this._evaluateArguments(args, scope, '$subtract', 2);
+    if (this._hasNullish([minuend, subtrahend])) {
+      return null;
+    }
+
+    if (minuend instanceof Date && subtrahend instanceof Date) {
+      return minuend.getTime() - subtrahend.getTime();
+    }
+    if (minuend instanceof Date) {
+      this._validateNumbers([subtrahend], '$subtract');
+      return new Date(minuend.getTime() - subtrahend);
+    }
+    this._validateNumbers([minuend, subtrahend], '$subtract');
+    return minuend - subtrahend;
+  }
+
+  /**
+   * $multiply - multiply numbers
+   * @param {*} args - Operator arguments
+   * @param {Object} scope - Variables keyed by name
+   * @returns {number|null} Product, or null when an argument is nullish
+   * @private
+   */
+  _evaluateMultiply(args, scope) {
+    const values = this._evaluateArguments(args, scope, '$multiply');
+    if (this._hasNullish(values)) {
+      return null;
+    }
+    this._validateNumbers(values, '$multiply');
+    return values.reduce((product, value) => product * value, 1);
+  }
+
+  /**
+   * $divide - divide one number by another
+   * @param {*} args - Operator arguments
+   * @param {Object} scope - Variables keyed by name
+   * @returns {number|null} Quotient, or null when an argument is nullish
+   * @throws {InvalidQueryError} When dividing by zero
+   * @private
+   */
+  _evaluateDivide(args, scope) {
+    const values = this._evaluateArguments(args, scope, '$divide', 2);
+    if (this._hasNullish(values)) {
+      return null;
+    }
+    this._validateNumbers(values, '$divide');
+    if (values[1] === 0) {
+      throw new InvalidQueryError(args, '$divide cannot divide by zero');
+    }
+    return values[0] / values[1];
+  }
+
+  /**
+   * $concat - join strings
+   * @param {*} args - Operator arguments
+   * @param {Object} scope - Variables keyed by name
+   * @returns {string|null} Joined string, or null when an argument is nullish
+   * @private
+   */
+  _evaluateConcat(args, scope) {
+    const values = this._evaluateArguments(args, scope, '$concat');
+    if (this._hasNullish(values)) {
+      return null;
+    }
+    this._validateStrings(values, '$concat');
+    return values.join('');
+  }
+
+  /**
+   * $mod - remainder of dividing one number by another (takes the sign of the dividend)
+   * @param {*} args - Operator arguments
+   * @param {Object} scope - Variables keyed by name
+   * @returns {number|null} Remainder, or null when an argument is nullish
+   * @throws {InvalidQueryError} When the divisor is zero
+   * @private
+   */
+  _evaluateMod(args, scope) {
+    const values = this._evaluateArguments(args, scope, '$mod', 2);
+    if (this._hasNullish(values)) {
+      return null;
+    }
+    this._validateNumbers(values, '$mod');
+    if (values[1] === 0) {
+      throw new InvalidQueryError(args, '$mod cannot divide by zero');
+    }
+    return values[0] % values[1];
+  }
+
+  /**
+   * $round - round a number to a number of decimal places, rounding halves to even as MongoDB does
+   * @param {*} args - [number, place] where place (default 0) is an integer from -20 to 100
+   * @param {Object} scope - Variables keyed by name
+   * @returns {number|null} Rounded number, or null when an argument is nullish
+   * @private
+   */
+  _evaluateRound(args, scope) {
+    const values = this._evaluateArguments(args, scope, '$round');
+    if (values.length < 1 || values.length > 2) {
+      throw new InvalidQueryError({ $round: args }, '$round requires a number and an optional number of places');
+    }
+    if (this._hasNullish(values)) {
+      return null;
+    }
+    this._validateNumbers(values, '$round');
+
+    const [value, place = 0] = values;
+    if (!Number.isInteger(place) || place < -20 || place > 100) {
+      throw new InvalidQueryError(place, '$round places must be an integer from -20 to 100');
+    }
+    const factor = Math.pow(10, Math.abs(place));
+    const scaled = place >= 0 ? value * factor : value / factor;
+    const floor = Math.floor(scaled);
+    const fraction = scaled - floor;
+    const rounded = fraction > 0.5 || (fraction === 0.5 && floor % 2 !== 0) ? floor + 1 : floor;
+    return place >= 0 ? rounded / factor : rounded * factor;
+  }
+
+  /**
+   * $eq, $ne, $gt, $gte, $lt, $lte and $cmp - compare two values
+   * Values of different types are ordered as in sorting (see SortEngine), so null and missing
+   * values are lower than any number.
+   * @param {string} operator - Comparison operator
+   * @param {*} args - [first, second]
+   * @param {Object} scope - Variables keyed by name
+   * @returns {boolean|number} Comparison result; $cmp returns -1, 0 or 1
+   * @private
+   */
+  _evaluateComparison(operator, args, scope) {
+    const [first, second] = this._evaluateArguments(args, scope, operator, 2);
+    const comparison = Math.sign(this._getSortEngine().compareValues(first, second));
+
+    switch (operator) {
+      case '$eq':
+        return comparison === 0;
+      case '$ne':
+        return comparison !== 0;
+      case '$gt':
+        return comparison > 0;
+      case '$gte':
+        return comparison >= 0;
+      case '$lt':
+        return comparison < 0;
+      case '$lte':
+        return comparison <= 0;
+    }
+    return comparison;
+  }
+
+  /**
+   * $and - true when every argument is true; stops at the first false argument
+   * @param {*} args - Operator arguments
+   * @param {Object} scope - Variables keyed by name
+   * @returns {boolean} Result
+   * @private
+   */
+  _evaluateAnd(args, scope) {
+    const list = Array.isArray(args) ? args : [args];
+    return list.every(arg => this._isTrue(this._evaluateExpression(arg, scope)));
+  }
+
+  /**
+   * $or - true when any argument is true; stops at the first true argument
+   * @param {*} args - Operator arguments
+   * @param {Object} scope - Variables keyed by name
+   * @returns {boolean} Result
+   * @private
+   */
+  _evaluateOr(args, scope) {
+    const list = Array.isArray(args) ? args : [args];
+    return list.some(arg => this._isTrue(this._evaluateExpression(arg, scope)));
+  }
+
+  /**
+   * $not - negate the truth value of an expression
+   * @param {*} args - Operator argument
+   * @param {Object} scope - Variables keyed by name
+   * @returns {boolean} Result
+   * @private
+   */
+  _evaluateNot(args, scope) {
+    const [value] = this._evaluateArguments(args, scope, '$not', 1);
+    return !this._isTrue(value);
+  }
+
+  /**
+   * $substrCP - substring by Unicode code points
+   * @param {*} args - [string, start, count]
+   * @param {Object} scope - Variables keyed by name
+   * @returns {string} Substring, or an empty string when the string is nullish
+   * @throws {InvalidQueryError} When start or count is not a non-negative integer
+   * @private
+   */
+  _evaluateSubstrCP(args, scope) {
+    const [value, start, count] = this._evaluateArguments(args, scope, '$substrCP', 3);
+    [start, count].forEach(index => {
+      if (!Number.isInteger(index) || index < 0) {
+        throw new InvalidQueryError(index, '$substrCP start and count must be non-negative integers');
+      }
+    });
+    if (value === null || value === undefined) {
+      return '';
+    }
+    this._validateStrings([value], '$substrCP');
+    return Array.from(value).slice(start, start + count).join('');
+  }
+
+  /**
+   * $toLower - lowercase a string
+   * @param {*} args - Operator argument
+   * @param {Object} scope - Variables keyed by name
+   * @returns {string} Lowercased string, or an empty string when the value is nullish
+   * @private
+   */
+  _evaluateToLower(args, scope) {
+    const [value] = this._evaluateArguments(args, scope, '$toLower', 1);
+    if (value === null || value === undefined) {
+      return '';
+    }
+    if (typeof value === 'number') {
+      return String(value);
+    }
+    this._validateStrings([value], '$toLower');
+    return value.toLowerCase();
+  }
+
+  /**
+   * $split - split a string on a delimiter
+   * @param {*} args - [string, delimiter]
+   * @param {Object} scope - Variables keyed by name
+   * @returns {Array<string>|null} Parts, or null when an argument is nullish
+   * @throws {InvalidQueryError} When the delimiter is empty
+   * @private
+   */
+  _evaluateSplit(args, scope) {
+    const values = this._evaluateArguments(args, scope, '$split', 2);
+    if (this._hasNullish(values)) {
+      return null;
+    }
+    this._validateStrings(values, '$split');
+    if (values[1] === '') {
+      throw new InvalidQueryError(args, '$split requires a non-empty delimiter');
+    }
+    return values[0].split(values[1]);
+  }
+
+  /**
+   * $trim - remove whitespace, or the given characters, from both ends of a string
+   * @param {*} args - { input, chars? }
+   * @param {Object} scope - Variables keyed by name
+   * @returns {string|null} Trimmed string, or null when the input is nullish
+   * @private
+   */
+  _evaluateTrim(args, scope) {
+    this._getNamedArguments(args, '$trim', ['input'], ['chars']);
+    const input = this._evaluateExpression(args.input, scope);
+    const chars = this._evaluateExpression(args.chars, scope);
+    if (input === null || input === undefined || chars === null) {
+      return null;
+    }
+    this._validateStrings([input], '$trim');
+    if (chars === undefined) {
+      return input.trim();
+    }
+
+    this._validateStrings([chars], '$trim');
+    const trimmed = Array.from(chars);
+    const codePoints = Array.from(input);
+    let start = 0;
+    let end = codePoints.length;
+    while (start < end && trimmed.includes(codePoints[start])) {
+      start++;
+    }
+    while (end > start && trimmed.includes(codePoints[end - 1])) {
+      end--;
+    }
+    return codePoints.slice(start, end).join('');
+  }
+
+  /**
+   * $year - calendar year of a date
+   * @param {*} args - Date expression, or { date, timezone }
+   * @param {Object} scope - Variables keyed by name
+   * @returns {number|null} Year, or null when the date is nullish
+   * @private
+   */
+  _evaluateYear(args, scope) {
+    const parts = this._evaluateDatePartArguments(args, scope, '$year');
+    return parts === null ? null : parts.year;
+  }
+
+  /**
+   * $month - month of a date, from 1 (January) to 12
+   * @param {*} args - Date expression, or { date, timezone }
+   * @param {Object} scope - Variables keyed by name
+   * @returns {number|null} Month, or null when the date is nullish
+   * @private
+   */
+  _evaluateMonth(args, scope) {
+    const parts = this._evaluateDatePartArguments(args, scope, '$month');
+    return parts === null ? null : parts.month;
+  }
+
+  /**
+   * $dateToString - format a date
+   * The default format is the ISO 8601 format ObjectUtils stores dates in.
+   * @param {*} args - { date, format?, timezone?, onNull? }
+   * @param {Object} scope - Variables keyed by name
+   * @returns {string|*} Formatted date, or the onNull value (default null) when the date is nullish
+   * @throws {InvalidQueryError} When the format contains an unknown specifier
+   * @private
+   */
+  _evaluateDateToString(args, scope) {
+    this._getNamedArguments(args, '$dateToString', ['date'], ['format', 'timezone', 'onNull']);
+    const date = this._evaluateExpression(args.date, scope);
+    if (date === null || date === undefined) {
+      return Object.prototype.hasOwnProperty.call(args, 'onNull') ? this._evaluateExpression(args.onNull, scope) : null;
+    }
+
+    const format = args.format === undefined ? '%Y-%m-%dT%H:%M:%S.%LZ' : this._evaluateExpression(args.format, scope);
+    this._validateStrings([format], '$dateToString');
+    const offset = this._getTimezoneOffset(this._evaluateExpression(args.timezone, scope), '$dateToString');
+    const parts = this._getDateParts(this._toDateValue(date, '$dateToString'), offset);
+    const pad = (value, length) => String(value).padStart(length, '0');
+    const isoWeek = this._getIsoWeek(parts);
+
+    const specifiers = {
+      Y: () => pad(parts.year, 4),
+      m: () => pad(parts.month, 2),
+      d: () => pad(parts.day, 2),
+      H: () => pad(parts.hour, 2),
+      M: () => pad(parts.minute, 2),
+      S: () => pad(parts.second, 2),
+      L: () => pad(parts.millisecond, 3),
+      j: () => pad(parts.dayOfYear, 3),
+      w: () => String(parts.dayOfWeek + 1),
+      u: () => String(parts.dayOfWeek === 0 ? 7 : parts.dayOfWeek),
+      U: () => pad(Math.floor((parts.dayOfYear - 1 + 7 - parts.dayOfWeek) / 7), 2),
+      V: () => pad(isoWeek.week, 2),
+      G: () => pad(isoWeek.year, 4),
+      b: () => ExpressionEvaluator.MONTH_NAMES[parts.month - 1].substring(0, 3),
+      B: () => ExpressionEvaluator.MONTH_NAMES[parts.month - 1],
+      z: () => (offset < 0 ? '-' : '+') + pad(Math.floor(Math.abs(offset) / 60), 2) + pad(Math.abs(offset) % 60, 2),
+      Z: () => (offset < 0 ? '-' : '+') + Math.abs(offset),
+      '%': () => '%'
+    };
+
+    return format.replace(/%(.?)/g, (match, specifier) => {
+      if (!specifiers[specifier]) {
+        throw new InvalidQueryError(format, `Unsupported $dateToString format specifier: ${match}`);
+      }
+      return specifiers[specifier]();
+    });
+  }
+
+  /**
+   * Get the ISO 8601 week and week-numbering year of a date
+   * @param {Object} parts - Date parts from _getDateParts
+   * @returns {Object} { week, year }
+   * @private
+   */
+  _getIsoWeek(parts) {
+    // The ISO week belongs to the year containing its Thursday
+    const isoDay = parts.dayOfWeek === 0 ? 7 : parts.dayOfWeek;
+    const thursday = new Date((parts.dayNumber - isoDay + 4) * ExpressionEvaluator.MILLISECONDS.day);
+    const year = thursday.getUTCFullYear();
+    const week = Math.floor((thursday.getTime() - Date.UTC(year, 0, 1)) / ExpressionEvaluator.MILLISECONDS.day / 7) + 1;
+    return { week, year };
+  }
+
+  /**
+   * $dateDiff - number of unit boundaries crossed between two dates
+   * As in MongoDB, from 23:59 to 00:01 the next day is one day, and from Jan 1 to Dec 31 is zero years.
+   * @param {*} args - { startDate, endDate, unit, timezone?, startOfWeek? }
+   * @param {Object} scope - Variables keyed by name
+   * @returns {number|null} Difference (negative when endDate is earlier), or null when a date is nullish
+   * @throws {InvalidQueryError} When the unit or startOfWeek is unknown
+   * @private
+   */
+  _evaluateDateDiff(args, scope) {
+    this._getNamedArguments(args, '$dateDiff', ['startDate', 'endDate', 'unit'], ['timezone', 'startOfWeek']);
+    const startDate = this._evaluateExpression(args.startDate, scope);
+    const endDate = this._evaluateExpression(args.endDate, scope);
+    const unit = this._evaluateExpression(args.unit, scope);
+    if (this._hasNullish([startDate, endDate, unit])) {
+      return null;
+    }
+
+    const offset = this._getTimezoneOffset(this._evaluateExpression(args.timezone, scope), '$dateDiff');
+    const startTime = this._toDateValue(startDate, '$dateDiff').getTime();
+    const endTime = this._toDateValue(endDate, '$dateDiff').getTime();
+    const start = this._getDateParts(new Date(startTime), offset);
+    const end = this._getDateParts(new Date(endTime), offset);
+    const shift = offset * ExpressionEvaluator.MILLISECONDS.minute;
+    const elapsedIn = size => Math.floor((endTime + shift) / size) - Math.floor((startTime + shift) / size);
+
+    switch (unit) {
+      case 'year':
+        return end.year - start.year;
+      case 'quarter':
+        return (end.year * 4 + Math.floor((end.month - 1) / 3)) - (start.year * 4 + Math.floor((start.month - 1) / 3));
+      case 'month':
+        return (end.year * 12 + end.month) - (start.year * 12 + start.month);
+      case 'week': {
+        const firstDay = this._getStartOfWeek(this._evaluateExpression(args.startOfWeek, scope));
+        const weekStart = parts => parts.dayNumber - ((parts.dayOfWeek - firstDay + 7) % 7);
+        return (weekStart(end) - weekStart(start)) / 7;
+      }
+      case 'day':
+        return end.dayNumber - start.dayNumber;
+      case 'hour':
+      case 'minute':
+      case 'second':
+      case 'millisecond':
+        return elapsedIn(ExpressionEvaluator.MILLISECONDS[unit]);
+    }
+    throw new InvalidQueryError(unit, 'Unsupported $dateDiff unit: ' + unit);
+  }
+
+  /**
+   * Get the day a $dateDiff week starts on
+   * @param {*} startOfWeek - Day name or three-letter abbreviation (default Sunday), case-insensitive
+   * @returns {number} Day of the week (0 = Sunday)
+   * @throws {InvalidQueryError} When the day is not recognised
+   * @private
+   */
+  _getStartOfWeek(startOfWeek) {
+    if (startOfWeek === undefined || startOfWeek === null) {
+      return 0;
+    }
+    const day = typeof startOfWeek === 'string'
+      ? ExpressionEvaluator.DAY_NAMES.findIndex(name => [name, name.substring(0, 3)].includes(startOfWeek.toLowerCase()))
+      : -1;
+    if (day === -1) {
+      throw new InvalidQueryError(startOfWeek, '$dateDiff startOfWeek must be a day of the week');
+    }
+    return day;
+  }
+
+  /**
+   * $cond - choose between two expressions; only the chosen one is evaluated
+   * @param {*} args - [if, then, else] or { if, then, else }
+   * @param {Object} scope - Variables keyed by name
+   * @returns {*} Value of the chosen expression
+   * @private
+   */
+  _evaluateCond(args, scope) {
+    let branches = args;
+    if (Array.isArray(args)) {
+      if (args.length !== 3) {
+        throw new InvalidQueryError({ $cond: args }, '$cond requires exactly 3 arguments');
+      }
+      branches = { if: args[0], then: args[1], else: args[2] };
+    } else {
+      this._getNamedArguments(args, '$cond', ['if', 'then', 'else']);
+    }
+    const condition = this._evaluateExpression(branches.if, scope);
+    return this._evaluateExpression(this._isTrue(condition) ? branches.then : branches.else, scope);
+  }
+
+  /**
+   * $ifNull - the first argument that is not null or missing; the last argument is the replacement
+   * @param {*} args - [expression, ..., replacement]
+   * @param {Object} scope - Variables keyed by name
+   * @returns {*} First non-nullish value, or the replacement
+   * @private
+   */
+  _evaluateIfNull(args, scope) {
+    if (!Array.isArray(args) || args.length < 2) {
+      throw new InvalidQueryError({ $ifNull: args }, '$ifNull requires at least 2 arguments');
+    }
+    for (let index = 0; index < args.length - 1; index++) {
+      const value = this._evaluateExpression(args[index], scope);
+      if (value !== null && value !== undefined) {
+        return value;
+      }
+    }
+    return this._evaluateExpression(args[args.length - 1], scope);
+  }
+
+  /**
+   * $switch - the value of the first branch whose case is true
+   * @param {*} args - { branches: [{ case, then }, ...], default? }
+   * @param {Object} scope - Variables keyed by name
+   * @returns {*} Value of the matching branch, or of the default
+   * @throws {InvalidQueryError} When no branch matches and there is no default
+   * @private
+   */
+  _evaluateSwitch(args, scope) {
+    this._getNamedArguments(args, '$switch', ['branches'], ['default']);
+    if (!Array.isArray(args.branches) || args.branches.length === 0) {
+      throw new InvalidQueryError({ $switch: args }, '$switch requires a non-empty array of branches');
+    }
+    for (const branch of args.branches) {
+      this._getNamedArguments(branch, '$switch branch', ['case', 'then']);
+      if (this._isTrue(this._evaluateExpression(branch.case, scope))) {
+        return this._evaluateExpression(branch.then, scope);
+      }
+    }
+    if (!Object.prototype.hasOwnProperty.call(args, 'default')) {
+      throw new InvalidQueryError({ $switch: args }, '$switch found no matching branch and has no default');
+    }
+    return this._evaluateExpression(args.default, scope);
+  }
+
+  /**
+   * $size - number of elements in an array
+   * @param {*} args - Array expression
+   * @param {Object} scope - Variables keyed by name
+   * @returns {number} Array length
+   * @throws {InvalidQueryError} When the value is not an array (including when it is missing)
+   * @private
+   */
+  _evaluateSize(args, scope) {
+    const [value] = this._evaluateArguments(args, scope, '$size', 1);
+    if (!Array.isArray(value)) {
+      throw new InvalidQueryError(value, '$size requires an array');
+    }
+    return value.length;
+  }
+
+  /**
+   * $filter - elements of an array for which a condition is true
+   * @param {*} args - { input, as? (default "this"), cond, limit? }
+   * @param {Object} scope - Variables keyed by name
+   * @returns {Array|null} Matching elements, or null when the input is nullish
+   * @private
+   */
+  _evaluateFilter(args, scope) {
+    this._getNamedArguments(args, '$filter', ['input', 'cond'], ['as', 'limit']);
+    const name = this._getBindingName(args.as, '$filter');
+    const input = this._evaluateArray(args.input, scope, '$filter');
+    const limit = this._evaluateExpression(args.limit, scope);
+    if (limit !== undefined && limit !== null && (!Number.isInteger(limit) || limit < 1)) {
+      throw new InvalidQueryError(limit, '$filter limit must be a positive integer');
+    }
+    if (input === null) {
+      return null;
+    }
+
+    const results = [];
+    for (const item of input) {
+      if (limit !== undefined && limit !== null && results.length === limit) {
+        break;
+      }
+      if (this._isTrue(this._evaluateExpression(args.cond, Object.assign({}, scope, { [name]: item })))) {
+        results.push(item);
+      }
+    }
+    return results;
+  }
+
+  /**
+   * $map - apply an expression to each element of an array
+   * @param {*} args - { input, as? (default "this"), in }
+   * @param {Object} scope - Variables keyed by name
+   * @returns {Array|null} Mapped values, or null when the input is nullish
+   * @private
+   */
+  _evaluateMap(args, scope) {
+    this._getNamedArguments(args, '$map', ['input', 'in'], ['as']);
+    const name = this._getBindingName(args.as, '$map');
+    const input = this._evaluateArray(args.input, scope, '$map');
+    if (input === null) {
+      return null;
+    }
+    return input.map(item => {
+      const value = this._evaluateExpression(args.in, Object.assign({}, scope, { [name]: item }));
+      return value === undefined ? null : value;
+    });
+  }
+
+  /**
+   * $reduce - combine the elements of an array into a single value
+   * The "in" expression sees the accumulated value as $$value and the element as $$this.
+   * @param {*} args - { input, initialValue, in }
+   * @param {Object} scope - Variables keyed by name
+   * @returns {*} Final value, or null when the input is nullish
+   * @private
+   */
+  _evaluateReduce(args, scope) {
+    this._getNamedArguments(args, '$reduce', ['input', 'initialValue', 'in']);
+    const input = this._evaluateArray(args.input, scope, '$reduce');
+    if (input === null) {
+      return null;
+    }
+    return input.reduce(
+      (value, item) => this._evaluateExpression(args.in, Object.assign({}, scope, { value, this: item })),
+      this._evaluateExpression(args.initialValue, scope)
+    );
+  }
+
+  /**
+   * $arrayElemAt - element at an index; negative indexes count from the end
+   * @param {*} args - [array, index]
+   * @param {Object} scope - Variables keyed by name
+   * @returns {*} Element, undefined when the index is out of range, or null when an argument is nullish
+   * @private
+   */
+  _evaluateArrayElemAt(args, scope) {
+    const [array, index] = this._evaluateArguments(args, scope, '$arrayElemAt', 2);
+    if (this._hasNullish([array, index])) {
+      return null;
+    }
+    if (!Array.isArray(array)) {
+      throw new InvalidQueryError(array, '$arrayElemAt requires an array');
+    }
+    if (!Number.isInteger(index)) {
+      throw new InvalidQueryError(index, '$arrayElemAt requires an integer index');
+    }
+    return array[index < 0 ? array.length + index : index];
+  }
+
+  /**
+   * $in - whether a value is an element of an array
+   * @param {*} args - [value, array]
+   * @param {Object} scope - Variables keyed by name
+   * @returns {boolean} True when an element equals the value
+   * @throws {InvalidQueryError} When the second argument is not an array
+   * @private
+   */
+  _evaluateIn(args, scope) {
+    const [value, array] = this._evaluateArguments(args, scope, '$in', 2);
+    if (!Array.isArray(array)) {
+      throw new InvalidQueryError(array, '$in requires an array as its second argument');
+    }
+    const sortEngine = this._getSortEngine();
+    return array.some(item => sortEngine.compareValues(item, value) === 0);
+  }
+
+  /**
+   * $toString - convert a value to a string
+   * Dates use the ISO 8601 format ObjectUtils stores them in.
+   * @param {*} args - Operator argument
+   * @param {Object} scope - Variables keyed by name
+   * @returns {string|null} String, or null when the value is nullish
+   * @throws {InvalidQueryError} When the value cannot be converted
+   * @private
+   */
+  _evaluateToString(args, scope) {
+    const [value] = this._evaluateArguments(args, scope, '$toString', 1);
+    if (value === null || value === undefined) {
+      return null;
+    }
+    if (value instanceof Date) {
+      return this._toDateValue(value, '$toString').toISOString();
+    }
+    if (['string', 'number', 'boolean'].includes(typeof value)) {
+      return String(value);
+    }
+    throw new InvalidQueryError(value, '$toString cannot convert objects or arrays');
+  }
+
+  /**
+   * $toInt - convert a value to a 32-bit integer; numbers are truncated
+   * @param {*} args - Operator argument
+   * @param {Object} scope - Variables keyed by name
+   * @returns {number|null} Integer, or null when the value is nullish
+   * @throws {InvalidQueryError} When the value cannot be converted or is out of range
+   * @private
+   */
+  _evaluateToInt(args, scope) {
+    const [value] = this._evaluateArguments(args, scope, '$toInt', 1);
+    if (value === null || value === undefined) {
+      return null;
+    }
+
+    let result;
+    if (typeof value === 'boolean') {
+      result = value ? 1 : 0;
+    } else if (typeof value === 'number' && isFinite(value)) {
+      result = Math.trunc(value);
+    } else if (typeof value === 'string' && /^[+-]?\d+$/.test(value.trim())) {
+      result = Number(value.trim());
+    } else {
+      throw new InvalidQueryError(value, '$toInt cannot convert the value to an integer');
+    }
+    if (result < -2147483648 || result > 2147483647) {
+      throw new InvalidQueryError(value, '$toInt value is out of range for a 32-bit integer');
+    }
+    return result === 0 ? 0 : result;
+  }
+
+  /**
+   * $toDate - convert milliseconds since the epoch or a date string to a Date
+   * @param {*} args - Operator argument
+   * @param {Object} scope - Variables keyed by name
+   * @returns {Date|null} New Date, or null when the value is nullish
+   * @throws {InvalidQueryError} When the value cannot be converted
+   * @private
+   */
+  _evaluateToDate(args, scope) {
+    const [value] = this._evaluateArguments(args, scope, '$toDate', 1);
+    if (value === null || value === undefined) {
+      return null;
+    }
+
+    let result = null;
+    if (value instanceof Date || typeof value === 'number') {
+      result = new Date(value.valueOf());
+    } else if (typeof value === 'string') {
+      result = new Date(value);
+    }
+    if (result === null || isNaN(result.getTime())) {
+      throw new InvalidQueryError(value, '$toDate cannot convert the value to a date');
+    }
+    return result;
+  }
+
+  /**
+   * Get the lazily created QueryEngine
+   * @returns {QueryEngine} QueryEngine instance
+   * @private
+   */
+  _getQueryEngine() {
+    if (!this._queryEngine) {
+      this._queryEngine = new QueryEngine();
+    }
+    return this._queryEngine;
+  }
+
+  /**
+   * Get the lazily created SortEngine
+   * @returns {SortEngine} SortEngine instance
+   * @private
+   */
+  _getSortEngine() {
+    if (!this._sortEngine) {
+      this._sortEngine = new SortEngine();
+    }
+    return this._sortEngine;
+  }
+}
+
+/**
+ * Pattern for user-defined variable names ($filter/$map "as", $lookup "let")
+ */
+ExpressionEvaluator.VARIABLE_NAME_PATTERN = /^[a-z][A-Za-z0-9_]*$/;
+
+/**
+ * Milliseconds in each fixed-length $dateDiff unit
+ */
+ExpressionEvaluator.MILLISECONDS = {
+  millisecond: 1,
+  second: 1000,
+  minute: 60 * 1000,
+  hour: 60 * 60 * 1000,
+  day: 24 * 60 * 60 * 1000
+};
+
+/**
+ * Month names for the $dateToString %b and %B specifiers
+ */
+ExpressionEvaluator.MONTH_NAMES = [
+  'January', 'February', 'March', 'April', 'May', 'June',
+  'July', 'August', 'September', 'October', 'November', 'December'
+];
+
+/**
+ * Day names for the $dateDiff startOfWeek argument, starting on Sunday
+ */
+ExpressionEvaluator.DAY_NAMES = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
@@ -0,0 +1,770 @@
+/**
+ * IndexManager.js - In-memory Secondary Indexes
+ *
+ * Keeps the indexes defined on a collection in step with its documents and uses them
+ * to narrow the documents a query has to examine:
+ * - Hash lookups for equality ($eq, implicit equality and $in)
+ * - Sorted entries for ranges ($gt, $gte, $lt, $lte) and for sorts with a limit
+ * - Unique indexes, which reject writes that would duplicate an indexed value
+ * - Candidates are a superset of the matches in collection order, so callers still
+ *   match and sort them and results are identical to a full scan
+ */
+class IndexManager {
+  /**
+   * Creates a new IndexManager instance
+   * @param {Collection} collection - Collection whose documents are indexed (reads _documents and getName())
+   */
+  constructor(collection) {
+    this._collection = collection;
+    this._logger = JDbLogger.createComponentLogger('IndexManager');
+    this._indexes = new Map(); // Indexed field -> index structures
+    this._indexedDocuments = collection._documents; // Document store the indexes were built from
+    this._positions = null; // Lazily built document ID -> position in collection order
+    this._queryEngine = null; // Lazy-loaded QueryEngine for dot-path resolution
+    this._sortEngine = null; // Lazy-loaded SortEngine for value ordering
+  }
+
+  /**
+   * Replace every index with indexes built from the given definitions
+   * Stored documents that already break a unique index are logged rather than rejected,
+   * so a collection edited outside GAS DB can still be loaded.
+   * @param {Array<Object>} definitions - Index definitions { field, unique }
+   */
+  buildIndexes(definitions) {
+    Validate.array(definitions, 'definitions');
+
+    this._indexes = new Map();
+    definitions.forEach(definition => {
+      this._indexes.set(definition.field, this._createIndexState(definition));
+    });
+    this.rebuild();
+  }
+
+  /**
+   * Build an index over the current documents
+   * @param {Object} definition - Index definition { field, unique }
+   * @throws {DuplicateKeyError} When the index is unique and documents share a value, listing every duplicate
+   */
+  createIndex(definition) {
+    this._ensureCurrent();
+
+    const index = this._createIndexState(definition);
+    const duplicates = this._populateIndex(index, this._collection._documents);
+    if (duplicates.length > 0) {
+      throw new DuplicateKeyError(index.field, duplicates[0].value, this._collection.getName(), duplicates);
+    }
+    this._indexes.set(definition.field, index);
+
+    this._logger.debug('Index created', { field: definition.field, entryCount: index.entries.length });
+  }
+
+  /**
+   * Remove the index on a field
+   * @param {string} field - Indexed field
+   * @returns {boolean} True if an index was removed
+   */
+  dropIndex(field) {
+    return this._indexes.delete(field);
+  }
+
+  /**
+   * Check whether a field is indexed
+   * @param {string} field - Field path
+   * @returns {boolean} True if the field has an index
+   */
+  hasIndex(field) {
+    return this._indexes.has(field);
+  }
+
+  /**
+   * Add a new document to every index
+   * Call before the document is stored.
+   * @param {Object} document - Document being inserted
+   * @throws {DuplicateKeyError} When the document would duplicate a value in a unique index (nothing is indexed)
+   */
+  addDocument(document) {
+    this._ensureCurrent();
+    this._assertUnique(document);
+    this._indexes.forEach(index => this._addToIndex(index, document));
+    // New documents change collection order, so positions are recomputed on the next lookup
+    this._positions = null;
+  }
+
+  /**
+   * Remove a stored document from every index
+   * Call before the document is deleted.
+   * @param {Object} document - Stored document being deleted
+   */
+  removeDocument(document) {
+    this._ensureCurrent();
+    this._indexes.forEach(index => this._removeFromIndex(index, document));
+  }
+
+  /**
+   * Re-index a document that is being replaced
+   * Call before the replacement is stored, while the previous document is unchanged.
+   * @param {Object} previous - Stored document being replaced
+   * @param {Object} document - Replacement document with the same _id
+   * @throws {DuplicateKeyError} When the replacement would duplicate another document's value in a unique index (nothing is re-indexed)
+   */
+  replaceDocument(previous, document) {
+    this._ensureCurrent();
+    this._assertUnique(document);
+    this._indexes.forEach(index => {
+      this._removeFromIndex(index, previous);
+      this._addToIndex(index, document);
+    });
+  }
+
+  /**
+   * Check that several stored documents can be replaced together without breaking a unique index
+   * Each replacement is compared with the documents that are not being replaced and with the
+   * other replacements, so values can move between the replaced documents. Nothing is re-indexed.
+   * @param {Array<Object>} documents - Replacement documents, each with the _id of a stored document
+   * @throws {DuplicateKeyError} When a replacement would share a value in a unique index with another document
+   */
+  assertUniqueReplacements(documents) {
+    this._ensureCurrent();
+    const replacedIds = new Set(documents.map(document => document._id));
+
+    this._indexes.forEach(index => {
+      if (!index.unique) {
+        return;
+      }
+      const claimed = new Map(); // Equality key -> ID of the replacement holding it
+      documents.forEach(document => {
+        this._getEqualityKeys(document, index.field).forEach((value, key) => {
+          const ids = index.keys.get(key);
+          const heldByOther = ids && Array.from(ids).some(id => !replacedIds.has(id));
+          if (heldByOther || (claimed.has(key) && claimed.get(key) !== document._id)) {
+            throw new DuplicateKeyError(index.field, value, this._collection.getName());
+          }
+          claimed.set(key, document._id);
+        });
+      });
+    });
+  }
+
+  /**
+   * Rebuild every index from the collection's current documents
+   * Duplicates in unique indexes are logged rather than rejected.
+   */
+  rebuild() {
+    this._replaceIndexes(this._collection._documents, false);
+  }
+
+  /**
+   * Re-index for a new set of documents that is about to replace the collection's documents
+   * Call before the documents are replaced; the indexes are unchanged if this throws.
+   * @param {Object} documents - Documents keyed by _id
+   * @throws {DuplicateKeyError} When the documents share a value in a unique index, listing every duplicate
+   */
+  replaceDocuments(documents) {
+    this._replaceIndexes(documents, true);
+  }
+
+  /**
+   * Use the indexes to find the stored documents that could match a query
+   * Equality and range conditions on indexed fields are considered, including those
+   * nested in $and, and the most selective is used. Otherwise, a sort with a limit whose
+   * first key is indexed reads documents in sort order until the limit is reached.
+   * @param {Object} query - MongoDB-compatible query object
+   * @param {Object} [options={}] - Find options
+   * @param {Object} [options.sort] - Sort specification
+   * @param {number} [options.skip=0] - Number of matching documents to skip
+   * @param {number} [options.limit=0] - Maximum number of documents to return (0 for no limit)
+   * @param {Function} [options.matcher] - Returns whether a stored document matches the query (required for sort plans)
+   * @returns {Array<Object>|null} Stored documents in collection order, or null when no index applies
+   */
+  findCandidates(query, options = {}) {
+    if (this._indexes.size === 0) {
+      return null;
+    }
+    this._ensureCurrent();
+
+    let best = null;
+    this._collectConditions(query, []).forEach(({ field, condition }) => {
+      const index = this._indexes.get(field);
+      if (!index) {
+        return;
+      }
+      const ids = this._findConditionCandidates(index, condition);
+      if (ids !== null && (best === null || ids.size < best.ids.size)) {
+        best = { field, ids, plan: 'filter' };
+      }
+    });
+
+    if (best === null) {
+      const ids = this._findSortCandidates(options);
+      if (ids !== null) {
+        best = { field: Object.keys(options.sort)[0], ids, plan: 'sort' };
+      }
+    }
+
+    if (best === null) {
+      return null;
+    }
+
+    this._logger.debug('Index used for query', {
+      field: best.field,
+      plan: best.plan,
+      candidateCount: best.ids.size
+    });
+
+    return this._getDocumentsInOrder(best.ids);
+  }
+
+  /**
+   * Rebuild the indexes if the collection's document store has been replaced
+   * @private
+   */
+  _ensureCurrent() {
+    if (this._indexedDocuments !== this._collection._documents) {
+      this.rebuild();
+    }
+  }
+
+  /**
+   * Build fresh copies of every index over a document store, then switch to them
+   * @param {Object} documents - Documents keyed by _id
+   * @param {boolean} enforceUnique - Throw, rather than log, when a unique index has duplicates
+   * @throws {DuplicateKeyError} When enforceUnique is set and a unique index has duplicates
+   * @private
+   */
+  _replaceIndexes(documents, enforceUnique) {
+    const indexes = new Map();
+    this._indexes.forEach((existing, field) => {
+      const index = this._createIndexState(existing);
+      const duplicates = this._populateIndex(index, documents);
+      if (duplicates.length > 0) {
+        if (enforceUnique) {
+          throw new DuplicateKeyError(field, duplicates[0].value, this._collection.getName(), duplicates);
+        }
+        this._logger.warn('Unique index has duplicate values', { field, duplicates });
+      }
+      indexes.set(field, index);
+    });
+
+    this._indexes = indexes;
+    this._indexedDocuments = documents;
+    this._positions = null;
+
+    this._logger.debug('Indexes rebuilt', {
+      indexCount: this._indexes.size,
+      documentCount: Object.keys(documents).length
+    });
+  }
+
+  /**
+   * Throw if a document would share a value with another document in a unique index
+   * Missing values count as null, so only one document can omit a uniquely indexed field, as in MongoDB.
+   * @param {Object} document - Document about to be indexed
+   * @throws {DuplicateKeyError} When a unique index already holds one of the document's values for another document
+   * @private
+   */
+  _assertUnique(document) {
+    this._indexes.forEach(index => {
+      if (!index.unique) {
+        return;
+      }
+      this._getEqualityKeys(document, index.field).forEach((value, key) => {
+        const ids = index.keys.get(key);
+        if (ids && (ids.size > 1 || !ids.has(document._id))) {
+          throw new DuplicateKeyError(index.field, value, this._collection.getName());
+        }
+      });
+    });
+  }
+
+  /**
+   * Create empty index structures for a definition
+   * @param {Object} definition - Index definition { field, unique }
+   * @returns {Object} Index state
+   * @private
+   */
+  _createIndexState(definition) {
+    return {
+      field: definition.field,
+      unique: definition.unique === true,
+      keys: new Map(), // Equality key -> Set of document IDs
+      entries: [], // { value, id } in value order, one per array element
+      multiKeyIds: new Set(), // Documents whose value is an array
+      unorderedIds: new Set() // Documents with values the sorted entries cannot order (NaN, nested arrays)
+    };
+  }
+
+  /**
+   * Fill an empty index from a document store
+   * @param {Object} index - Index state
+   * @param {Object} documents - Documents keyed by _id
+   * @returns {Array<Object>} For unique indexes, each value held by more than one document { value, ids }
+   * @private
+   */
+  _populateIndex(index, documents) {
+    const values = new Map(); // Equality key -> value, to report duplicates
+
+    Object.values(documents).forEach(document => {
+      this._getEqualityKeys(document, index.field).forEach((value, key) => {
+        this._addKey(index, key, document._id);
+        values.set(key, value);
+      });
+      this._getSortEntries(document, index).forEach(entry => index.entries.push(entry));
+    });
+    index.entries.sort((a, b) => this._compareEntries(a, b));
+
+    const duplicates = [];
+    if (index.unique) {
+      index.keys.forEach((ids, key) => {
+        if (ids.size > 1) {
+          duplicates.push({ value: values.get(key), ids: Array.from(ids) });
+        }
+      });
+    }
+    return duplicates;
+  }
+
+  /**
+   * Add one document to an index
+   * @param {Object} index - Index state
+   * @param {Object} document - Document to add
+   * @private
+   */
+  _addToIndex(index, document) {
+    this._getEqualityKeys(document, index.field).forEach((value, key) => this._addKey(index, key, document._id));
+    this._getSortEntries(document, index).forEach(entry => {
+      const position = this._findFirst(index.entries, existing => this._compareEntries(existing, entry) > 0);
+      index.entries.splice(position, 0, entry);
+    });
+  }
+
+  /**
+   * Remove one document from an index
+   * @param {Object} index - Index state
+   * @param {Object} document - Document as it was indexed
+   * @private
+   */
+  _removeFromIndex(index, document) {
+    const id = document._id;
+
+    this._getEqualityKeys(document, index.field).forEach((value, key) => {
+      const ids = index.keys.get(key);
+      if (ids) {
+        ids.delete(id);
+        if (ids.size === 0) {
+          index.keys.delete(key);
+        }
+      }
+    });
+
+    this._getSortEntries(document, index).forEach(entry => {
+      const position = this._findFirst(index.entries, existing => this._compareEntries(existing, entry) >= 0);
+      if (position < index.entries.length && this._compareEntries(index.entries[position], entry) === 0) {
+        index.entries.splice(position, 1);
+      }
+    });
+    index.multiKeyIds.delete(id);
+    index.unorderedIds.delete(id);
+  }
+
+  /**
+   * Record a document ID under an equality key
+   * @param {Object} index - Index state
+   * @param {string} key - Equality key
+   * @param {string} id - Document ID
+   * @private
+   */
+  _addKey(index, key, id) {
+    if (!index.keys.has(key)) {
+      index.keys.set(key, new Set());
+    }
+    index.keys.get(key).add(id);
+  }
+
+  /**
+   * Get the equality keys a document is found under
+   * Arrays are indexed by their elements, as equality queries match any element;
+   * missing and null values share the null key. Objects are not indexed for equality.
+   * @param {Object} document - Document
+   * @param {string} field - Field path
+   * @returns {Map<string, *>} Equality keys mapped to the values they were computed from (null for missing values)
+   * @private
+   */
+  _getEqualityKeys(document, field) {
+    const keys = new Map();
+    const collect = value => {
+      if (Array.isArray(value)) {
+        value.forEach(collect);
+        return;
+      }
+      const key = this._getEqualityKey(value);
+      if (key !== null) {
+        keys.set(key, value === undefined ? null : value);
+      }
+    };
+
+    collect(this._getQueryEngine()._getFieldValue(document, field));
+    return keys;
+  }
+
+  /**
+   * Get the equality key for a scalar value
+   * @param {*} value - Value
+   * @returns {string|null} Key, or null for values that cannot be looked up by equality
+   * @private
+   */
+  _getEqualityKey(value) {
+    if (value === null || value === undefined) {
+      return 'null';
+    }
+    if (value instanceof Date) {
+      return `date:${value.getTime()}`;
+    }
+    if (typeof value === 'number' || typeof value === 'string' || typeof value === 'boolean') {
+      return `${typeof value}:${value}`;
+    }
+    return null;
+  }
+
+  /**
+   * Get the sorted entries for a document
+   * Arrays give one entry per element, so a document is found at its smallest element
+   * in ascending order and its largest in descending order, as SortEngine sorts them.
+   * @param {Object} document - Document
+   * @param {Object} index - Index state, whose multi-key and unordered sets are updated
+   * @returns {Array<Object>} Entries { value, id }
+   * @private
+   */
+  _getSortEntries(document, index) {
+    const id = document._id;
+    const value = this._getQueryEngine()._getFieldValue(document, index.field);
+
+    if (!Array.isArray(value)) {
+      if (typeof value === 'number' && isNaN(value)) {
+        index.unorderedIds.add(id);
+        return [];
+      }
+      return [{ value: value === undefined ? null : value, id }];
+    }
+
+    index.multiKeyIds.add(id);
+    if (value.length === 0) {
+      return [{ value: null, id }];
+    }
+
+    const entries = [];
+    value.forEach(item => {
+      if (typeof item === 'number' && isNaN(item)) {
+        index.unorderedIds.add(id);
+        return;
+      }
+      if (Array.isArray(item)) {
+        // Range queries compare nested arrays by their elements, which entries cannot express
+        index.unorderedIds.add(id);
+      }
+      entries.push({ value: item, id });
+    });
+    return entries;
+  }
+
+  /**
+   * Order sorted entries by value, then by document ID
+   * @param {Object} a - First entry
+   * @param {Object} b - Second entry
+   * @returns {number} Negative, zero or positive as for Array.prototype.sort
+   * @private
+   */
+  _compareEntries(a, b) {
+    const result = this._getSortEngine().compareValues(a.value, b.value);
+    if (result !== 0) {
+      return result;
+    }
+    if (a.id === b.id) {
+      return 0;
+    }
+    return a.id < b.id ? -1 : 1;
+  }
+
+  /**
+   * Find the first sorted entry for which a predicate holds
+   * @param {Array<Object>} entries - Sorted entries
+   * @param {Function} predicate - False for a prefix of the entries and true for the rest
+   * @returns {number} Index of the first entry matching, or entries.length
+   * @private
+   */
+  _findFirst(entries, predicate) {
+    let low = 0;
+    let high = entries.length;
+    while (low < high) {
+      const middle = (low + high) >>> 1;
+      if (predicate(entries[middle])) {
+        high = middle;
+      } else {
+        low = middle + 1;
+      }
+    }
+    return low;
+  }
+
+  /**
+   * Collect the field conditions that every matching document must satisfy
+   * @param {Object} query - Query object
+   * @param {Array<Object>} conditions - Conditions collected so far
+   * @returns {Array<Object>} Conditions { field, condition }
+   * @private
+   */
+  _collectConditions(query, conditions) {
+    Object.keys(query).forEach(key => {
+      if (key === '$and' && Array.isArray(query.$and)) {
+        query.$and.forEach(clause => {
+          if (Validate.isPlainObject(clause)) {
+            this._collectConditions(clause, conditions);
+          }
+        });
+      } else if (!key.startsWith('$')) {
+        conditions.push({ field: key, condition: query[key] });
+      }
+    });
+    return conditions;
+  }
+
+  /**
+   * Find the documents that could satisfy a condition on an indexed field
+   * @param {Object} index - Index state
+   * @param {*} condition - Query value or operator object for the field
+   * @returns {Set<string>|null} Candidate document IDs, or null when the index cannot help
+   * @private
+   */
+  _findConditionCandidates(index, condition) {
+    if (!this._getQueryEngine()._isOperatorObject(condition)) {
+      return this._findEqualityCandidates(index, [condition]);
+    }
+
+    let best = null;
+    const choose = ids => {
+      if (ids !== null && (best === null || ids.size < best.size)) {
+        best = ids;
+      }
+    };
+
+    if (Object.prototype.hasOwnProperty.call(condition, '$eq')) {
+      choose(this._findEqualityCandidates(index, [condition.$eq]));
+    }
+    if (Array.isArray(condition.$in)) {
+      choose(this._findEqualityCandidates(index, condition.$in));
+    }
+    choose(this._findRangeCandidates(index, condition));
+
+    return best;
+  }
+
+  /**
+   * Find the documents equal to any of the given values
+   * @param {Object} index - Index state
+   * @param {Array} values - Query values
+   * @returns {Set<string>|null} Candidate document IDs, or null if a value cannot be looked up
+   * @private
+   */
+  _findEqualityCandidates(index, values) {
+    const keys = values.map(value => this._getEqualityKey(value));
+    if (keys.some(key => key === null)) {
+      return null;
+    }
+
+    const ids = new Set();
+    keys.forEach(key => {
+      const keyIds = index.keys.get(key);
+      if (keyIds) {
+        keyIds.forEach(id => ids.add(id));
+      }
+    });
+    return ids;
+  }
+
+  /**
+   * Find the documents within the range operators of a condition
+   * Bounds only match values of their own type, so each range lies within one type bracket.
+   * @param {Object} index - Index state
+   * @param {Object} condition - Operator object
+   * @returns {Set<string>|null} Candidate document IDs, or null when there is no usable bound
+   * @private
+   */
+  _findRangeCandidates(index, condition) {
+    const ranges = [];
+    IndexManager.RANGE_OPERATORS.forEach(operator => {
+      if (Object.prototype.hasOwnProperty.call(condition, operator) && this._isRangeBound(condition[operator])) {
+        ranges.push(this._getRange(index.entries, operator, condition[operator]));
+      }
+    });
+    if (ranges.length === 0) {
+      return null;
+    }
+
+    let range;
+    if (index.multiKeyIds.size === 0) {
+      // Single values must satisfy every bound
+      range = ranges.reduce((combined, next) => ({
+        start: Math.max(combined.start, next.start),
+        end: Math.min(combined.end, next.end)
+      }));
+    } else {
+      // Different array elements may satisfy different bounds, so only the narrowest is used
+      range = ranges.reduce((narrowest, next) => (next.end - next.start < narrowest.end - narrowest.start ? next : narrowest));
+    }
+
+    const ids = new Set(index.unorderedIds);
+    for (let i = range.start; i < range.end; i++) {
+      ids.add(index.entries[i].id);
+    }
+    return ids;
+  }
+
+  /**
+   * Check whether a value can bound an index range
+   * @param {*} value - Operator value
+   * @returns {boolean} True for numbers, strings, booleans and valid dates
+   * @private
+   */
+  _isRangeBound(value) {
+    if (value instanceof Date) {
+      return !isNaN(value.getTime());
+    }
+    if (typeof value === 'number') {
+      return !isNaN(value);
+    }
+    return typeof value === 'string' || typeof value === 'boolean';
+  }
+
+  /**
+   * Get the entries satisfying one range operator
+   * @param {Array<Object>} entries - Sorted entries
+   * @param {string} operator - $gt, $gte, $lt or $lte
+   * @param {*} bound - Range bound
+   * @returns {Object} Entry positions { start, end } (end exclusive)
+   * @private
+   */
+  _getRange(entries, operator, bound) {
+    const sortEngine = this._getSortEngine();
+    const rank = sortEngine._getTypeRank(bound);
+    const compare = entry => sortEngine.compareValues(entry.value, bound);
+
+    switch (operator) {
+      case '$gt':
+        return {
+          start: this._findFirst(entries, entry => compare(entry) > 0),
+          end: this._findFirst(entries, entry => sortEngine._getTypeRank(entry.value) > rank)
+        };
+      case '$gte':
+        return {
+          start: this._findFirst(entries, entry => compare(entry) >= 0),
+          end: this._findFirst(entries, entry => sortEngine._getTypeRank(entry.value) > rank)
+        };
+      case '$lt':
+        return {
+          start: this._findFirst(entries, entry => sortEngine._getTypeRank(entry.value) >= rank),
+          end: this._findFirst(entries, entry => compare(entry) >= 0)
+        };
+      default:
+        return {
+          start: this._findFirst(entries, entry => sortEngine._getTypeRank(entry.value) >= rank),
+          end: this._findFirst(entries, entry => compare(entry) > 0)
+        };
+    }
+  }
+
+  /**
+   * Find the documents a sort with a limit can return, reading the index in sort order
+   * Reading stops once skip + limit matching documents are found, plus any documents
+   * tied with the last of them, so the caller's stable sort gives the same result.
+   * @param {Object} options - Find options { sort, skip, limit, matcher }
+   * @returns {Set<string>|null} Candidate document IDs, or null when the index cannot help
+   * @private
+   */
+  _findSortCandidates(options) {
+    if (options.sort === undefined || !options.limit || typeof options.matcher !== 'function') {
+      return null;
+    }
+    const sortKeys = Object.keys(options.sort);
+    const index = sortKeys.length > 0 ? this._indexes.get(sortKeys[0]) : undefined;
+    if (!index || index.unorderedIds.size > 0) {
+      return null;
+    }
+
+    const sortEngine = this._getSortEngine();
+    const documents = this._collection._documents;
+    const entries = index.entries;
+    const ascending = options.sort[sortKeys[0]] === 1;
+    const needed = (options.skip || 0) + options.limit;
+    const seen = new Set();
+    const ids = new Set();
+    let boundary;
+    let hasBoundary = false;
+
+    for (let step = 0; step < entries.length; step++) {
+      const entry = entries[ascending ? step : entries.length - 1 - step];
+      if (hasBoundary && sortEngine.compareValues(entry.value, boundary) !== 0) {
+        break;
+      }
+      if (seen.has(entry.id)) {
+        continue;
+      }
+      // A document's first entry in sort order holds its sort value
+      seen.add(entry.id);
+      if (!options.matcher(documents[entry.id])) {
+        continue;
+      }
+      ids.add(entry.id);
+      if (!hasBoundary && ids.size === needed) {
+        boundary = entry.value;
+        hasBoundary = true;
+      }
+    }
+    return ids;
+  }
+
+  /**
+   * Get stored documents for a set of IDs in collection order
+   * @param {Set<string>} ids - Document IDs
+   * @returns {Array<Object>} Stored documents
+   * @private
+   */
+  _getDocumentsInOrder(ids) {
+    if (!this._positions) {
+      this._positions = new Map();
+      Object.keys(this._collection._documents).forEach((id, position) => this._positions.set(id, position));
+    }
+
+    const documents = this._collection._documents;
+    return Array.from(ids)
+      .sort((a, b) => this._positions.get(a) - this._positions.get(b))
+      .map(id => documents[id]);
+  }
+
+  /**
+   * Get the lazily created QueryEngine
+   * @returns {QueryEngine} QueryEngine instance
+   * @private
+   */
+  _getQueryEngine() {
+    if (!this._queryEngine) {
+      this._queryEngine = new QueryEngine();
+    }
+    return this._queryEngine;
+  }
+
+  /**
+   * Get the lazily created SortEngine
+   * @returns {SortEngine} SortEngine instance
+   * @private
+   */
+  _getSortEngine() {
+    if (!this._sortEngine) {
+      this._sortEngine = new SortEngine();
+    }
+    return this._sortEngine;
+  }
+}
+
+/**
+ * Query operators answered from the sorted entries
+ */
+IndexManager.RANGE_OPERATORS = ['$gt', '$gte', '$lt', '$lte'];
@@ -0,0 +1,355 @@
+/**
+ * ProjectionEngine.js - MongoDB-compatible Query Projection Engine
+ *
+ * Shapes query results by selecting which fields are returned, with support for:
+ * - Inclusion mode ({ name: 1 }) and exclusion mode ({ notes: 0 })
+ * - Dot-path fields, including paths through arrays of subdocuments
+ * - _id suppression ({ _id: 0 })
+ * - Array projections ($slice and $elemMatch)
+ */
+class ProjectionEngine {
+  /**
+   * Creates a new ProjectionEngine instance
+   */
+  constructor() {
+    this._logger = JDbLogger.createComponentLogger('ProjectionEngine');
+    this._queryEngine = null; // Lazy-loaded QueryEngine for $elemMatch projections
+  }
+
+  /**
+   * Apply a projection to documents
+   * @param {Array<Object>} documents - Documents to project
+   * @param {Object} projection - MongoDB-compatible projection object
+   * @returns {Array<Object>} New array of projected documents
+   * @throws {InvalidArgumentError} When the projection is invalid
+   */
+  applyProjection(documents, projection) {
+    Validate.array(documents, 'documents');
+    const spec = this._compileProjection(projection);
+
+    this._logger.debug('Applying projection', {
+      mode: spec.mode,
+      documentCount: documents.length
+    });
+
+    return documents.map(document => this._projectDocument(document, spec));
+  }
+
+  /**
+   * Validate a projection without applying it
+   * @param {Object} projection - MongoDB-compatible projection object
+   * @throws {InvalidArgumentError} When the projection is invalid
+   */
+  validateProjection(projection) {
+    this._compileProjection(projection);
+  }
+
+  /**
+   * Validate a projection and build the structures used to apply it
+   * @param {Object} projection - Projection object
+   * @returns {Object} Compiled projection { mode, includeId, tree, slices, elemMatches }
+   * @throws {InvalidArgumentError} When the projection is invalid
+   * @private
+   */
+  _compileProjection(projection) {
+    Validate.object(projection, 'projection');
+
+    const spec = {
+      mode: 'exclusion',
+      includeId: true,
+      tree: {},
+      slices: [],
+      elemMatches: []
+    };
+    let hasInclusion = false;
+    let hasExclusion = false;
+    let explicitIdInclusion = false;
+
+    Object.keys(projection).forEach(path => {
+      const value = projection[path];
+
+      if (Validate.isPlainObject(value)) {
+        this._compileOperatorProjection(path, value, projection, spec);
+        if (value.$elemMatch !== undefined) {
+          hasInclusion = true;
+        }
+        return;
+      }
+
+      if (typeof value !== 'number' && typeof value !== 'boolean') {
+        throw new InvalidArgumentError('projection', projection, `value for "${path}" must be 1, 0, true, false, $slice or $elemMatch`);
+      }
+
+      if (path === '_id') {
+        spec.includeId = Boolean(value);
+        explicitIdInclusion = Boolean(value);
+        return;
+      }
+
+      if (value) {
+        hasInclusion = true;
+      } else {
+        hasExclusion = true;
+      }
+      this._addPathToTree(spec.tree, path.split('.'), projection);
+    });
+
+    if (hasInclusion && hasExclusion) {
+      throw new InvalidArgumentError('projection', projection, 'cannot mix inclusion and exclusion of fields other than _id');
+    }
+
+    // { _id: 1 } on its own selects only the _id field
+    const onlyIdIncluded = explicitIdInclusion && !hasExclusion && spec.slices.length === 0 &&
+      Object.keys(projection).length === 1;
+
+    if (hasInclusion || onlyIdIncluded) {
+      spec.mode = 'inclusion';
+      // $slice fields are returned alongside the included fields
+      spec.slices.forEach(slice => this._addPathToTree(spec.tree, slice.path.split('.'), projection));
+    }
+
+    return spec;
+  }
+
+  /**
+   * Validate a $slice or $elemMatch projection and record it on the compiled spec
+   * @param {string} path - Projected field path
+   * @param {Object} value - Operator object
+   * @param {Object} projection - Full projection (for error reporting)
+   * @param {Object} spec - Compiled projection being built
+   * @throws {InvalidArgumentError} When the operator or its value is invalid
+   * @private
+   */
+  _compileOperatorProjection(path, value, projection, spec) {
+    const operators = Object.keys(value);
+    if (operators.length !== 1 || (operators[0] !== '$slice' && operators[0] !== '$elemMatch')) {
+      throw new InvalidArgumentError('projection', projection, `field "${path}" only supports a single $slice or $elemMatch operator`);
+    }
+
+    if (operators[0] === '$slice') {
+      this._validateSliceValue(path, value.$slice, projection);
+      spec.slices.push({ path, slice: value.$slice });
+      return;
+    }
+
+    if (path.includes('.')) {
+      throw new InvalidArgumentError('projection', projection, `$elemMatch projection is not supported on dotted field "${path}"`);
+    }
+    if (!Validate.isPlainObject(value.$elemMatch)) {
+      throw new InvalidArgumentError('projection', projection, `$elemMatch projection for "${path}" requires an object`);
+    }
+
+    // Let QueryEngine validate the condition exactly as it would in a filter
+    this._getQueryEngine().executeQuery([], { [path]: { $elemMatch: value.$elemMatch } });
+    spec.elemMatches.push({ path, condition: value.$elemMatch });
+  }
+
+  /**
+   * Validate a $slice value: a count, or a [skip, limit] pair with a positive limit
+   * @param {string} path - Projected field path
+   * @param {number|Array} slice - $slice value
+   * @param {Object} projection - Full projection (for error reporting)
+   * @throws {InvalidArgumentError} When the value is invalid
+   * @private
+   */
+  _validateSliceValue(path, slice, projection) {
+    if (Number.isInteger(slice)) {
+      return;
+    }
+
+    const isSkipLimitPair = Array.isArray(slice) && slice.length === 2 &&
+      Number.isInteger(slice[0]) && Number.isInteger(slice[1]) && slice[1] > 0;
+
+    if (!isSkipLimitPair) {
+      throw new InvalidArgumentError('projection', projection, `$slice for "${path}" must be an integer or a [skip, limit] pair with a positive limit`);
+    }
+  }
+
+  /**
+   * Add a dot path to a projection tree, rejecting overlapping paths
+   * @param {Object} tree - Projection tree (true marks a projected leaf)
+   * @param {Array<string>} parts - Path parts
+   * @param {Object} projection - Full projection (for error reporting)
+   * @throws {InvalidArgumentError} When the path collides with another projected path
+   * @private
+   */
+  _addPathToTree(tree, parts, projection) {
+    let node = tree;
+
+    parts.forEach((part, index) => {
+      const isLeaf = index === parts.length - 1;
+      const existing = node[part];
+
+      if (existing === true || (isLeaf && existing !== undefined)) {
+        throw new InvalidArgumentError('projection', projection, `path collision at "${parts.join('.')}"`);
+      }
+
+      if (isLeaf) {
+        node[part] = true;
+      } else {
+        node[part] = existing || {};
+        node = node[part];
+      }
+    });
+  }
+
+  /**
+   * Project a single document using a compiled projection
+   * @param {Object} document - Document to project
+   * @param {Object} spec - Compiled projection
+   * @returns {Object} Projected document
+   * @private
+   */
+  _projectDocument(document, spec) {
+    let result;
+
+    if (spec.mode === 'inclusion') {
+      result = this._includeFields(document, spec.tree);
+      if (spec.includeId && document._id !== undefined) {
+        result = Object.assign({ _id: document._id }, result);
+      }
+    } else {
+      result = this._excludeFields(document, spec.tree);
+      if (!spec.includeId) {
+        delete result._id;
+      }
+    }
+
+    spec.slices.forEach(({ path, slice }) => this._applySlice(result, path.split('.'), slice));
+    spec.elemMatches.forEach(({ path, condition }) => this._applyElemMatch(document, result, path, condition));
+
+    return result;
+  }
+
+  /**
+   * Copy only the fields named in a projection tree
+   * Arrays of subdocuments are projected element by element; scalars under a dotted path are dropped.
+   * @param {Object} source - Object to read from
+   * @param {Object} tree - Projection tree
+   * @returns {Object} New object containing the included fields
+   * @private
+   */
+  _includeFields(source, tree) {
+    const result = {};
+
+    Object.keys(tree).forEach(key => {
+      if (!Object.prototype.hasOwnProperty.call(source, key)) {
+        return;
+      }
+
+      const value = source[key];
+      const subtree = tree[key];
+
+      if (subtree === true) {
+        result[key] = value;
+      } else if (Array.isArray(value)) {
+        result[key] = value
+          .filter(item => Validate.isPlainObject(item))
+          .map(item => this._includeFields(item, subtree));
+      } else if (Validate.isPlainObject(value)) {
+        result[key] = this._includeFields(value, subtree);
+      }
+    });
+
+    return result;
+  }
+
+  /**
+   * Copy every field except those named in a projection tree
+   * @param {Object} source - Object to read from
+   * @param {Object} tree - Projection tree
+   * @returns {Object} New object without the excluded fields
+   * @private
+   */
+  _excludeFields(source, tree) {
+    const result = {};
+
+    Object.keys(source).forEach(key => {
+      const value = source[key];
+      const subtree = tree[key];
+
+      if (subtree === true) {
+        return;
+      }
+
+      if (subtree === undefined) {
+        result[key] = value;
+      } else if (Array.isArray(value)) {
+        result[key] = value.map(item => Validate.isPlainObject(item) ? this._excludeFields(item, subtree) : item);
+      } else if (Validate.isPlainObject(value)) {
+        result[key] = this._excludeFields(value, subtree);
+      } else {
+        result[key] = value;
+      }
+    });
+
+    return result;
+  }
+
+  /**
+   * Replace the array at a path with the requested slice
+   * @param {Object} target - Projected document
+   * @param {Array<string>} parts - Path parts
+   * @param {number|Array} slice - Count, or [skip, limit] pair
+   * @private
+   */
+  _applySlice(target, parts, slice) {
+    let node = target;
+    for (let i = 0; i < parts.length - 1; i++) {
+      node = node[parts[i]];
+      if (!Validate.isPlainObject(node)) {
+        return;
+      }
+    }
+
+    const key = parts[parts.length - 1];
+    const array = node[key];
+    if (!Array.isArray(array)) {
+      return;
+    }
+
+    if (Array.isArray(slice)) {
+      const start = slice[0] < 0 ? Math.max(array.length + slice[0], 0) : slice[0];
+      node[key] = array.slice(start, start + slice[1]);
+    } else if (slice >= 0) {
+      node[key] = array.slice(0, slice);
+    } else {
+      node[key] = array.slice(slice);
+    }
+  }
+
+  /**
+   * Keep only the first array element matching an $elemMatch projection
+   * The field is omitted when no element matches.
+   * @param {Object} document - Original document
+   * @param {Object} target - Projected document
+   * @param {string} path - Top-level array field
+   * @param {Object} condition - $elemMatch condition
+   * @private
+   */
+  _applyElemMatch(document, target, path, condition) {
+    const array = document[path];
+    const queryEngine = this._getQueryEngine();
+    const match = Array.isArray(array)
+      ? array.find(item => queryEngine._elemMatchComparison(item, condition))
+      : undefined;
+
+    if (match === undefined) {
+      delete target[path];
+    } else {
+      target[path] = [match];
+    }
+  }
+
+  /**
+   * Get the lazily created QueryEngine
+   * @returns {QueryEngine} QueryEngine instance
+   * @private
+   */
+  _getQueryEngine() {
+    if (!this._queryEngine) {
+      this._queryEngine = new QueryEngine();
+    }
+    return this._queryEngine;
+  }
+}
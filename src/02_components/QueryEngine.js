@@ -1,11 +1,15 @@
 /**
  * QueryEngine.js - MongoDB-compatible Query Processing Engine
  * 
- * GREEN PHASE: Comparison Operators Only
  * Provides document filtering and matching capabilities with support for:
  * - Field-based queries with exact matching
- * - Basic comparison operators ($eq, $gt, $lt) 
- * - Simple nested field access using dot notation
+ * - Comparison operators ($eq, $ne, $gt, $gte, $lt, $lte, $in, $nin)
+ * - Element operators ($exists, $type)
+ * - Pattern matching with $regex/$options and RegExp literals
+ * - Logical operators ($and, $or, $nor) and field-level $not
+ * - Array operators ($elemMatch, $size, $all) and implicit array element matching
+ * - $expr, evaluating aggregation expressions against each document (e.g. comparing two fields)
+ * - Nested field access using dot notation, including paths through arrays
  * - Comprehensive query validation and error handling
  * 
  * Security: All queries are validated for structure and operators to prevent
@@ -28,9 +32,15 @@ class QueryEngine {
   constructor(config = {}) {
     this._logger = JDbLogger.createComponentLogger('QueryEngine');
     this._config = {
-      supportedOperators: ['$eq', '$gt', '$lt', '$and', '$or'],
+      supportedOperators: [
+        '$eq', '$ne', '$gt', '$gte', '$lt', '$lte', '$in', '$nin',
+        '$exists', '$type', '$regex', '$options',
+        '$elemMatch', '$size', '$all',
+        '$not', '$and', '$or', '$nor', '$expr'
+      ],
       maxNestedDepth: config.maxNestedDepth || 10
     };
+    this._expressionEvaluator = null; // Lazy-loaded ExpressionEvaluator for $expr
     
     this._logger.debug('QueryEngine initialised', { config: this._config });
   }
@@ -39,25 +49,43 @@ class QueryEngine {
    * Execute query against document collection
    * @param {Array} documents - Array of documents to query
    * @param {Object} query - MongoDB-compatible query object
+   * @param {Object} [options={}] - Execution options
+   * @param {number} [options.limit] - Stop scanning once this many documents have matched (0 for no limit)
    * @returns {Array} Filtered documents matching the query
    * @throws {InvalidQueryError} When query is invalid
    */
-  executeQuery(documents, query) {
+  executeQuery(documents, query, options = {}) {
     // Validate all inputs and query structure
     this._validateQuery(documents, query);
+    const limit = options.limit || 0;
 
     this._logger.debug('Executing query', { 
       documentCount: documents.length, 
-      query: JSON.stringify(query)
+      query: JSON.stringify(query),
+      limit
     });
 
     // Empty query matches all documents
     if (Object.keys(query).length === 0) {
-      return documents.slice(); // Return copy to prevent mutation
+      // Return copy to prevent mutation
+      return limit > 0 ? documents.slice(0, limit) : documents.slice();
     }
 
     // Filter documents based on query
-    const results = documents.filter(doc => this._matchDocument(doc, query));
+    let results;
+    if (limit > 0) {
+      results = [];
+      for (const doc of documents) {
+        if (this._matchDocument(doc, query)) {
+          results.push(doc);
+          if (results.length === limit) {
+            break;
+          }
+        }
+      }
+    } else {
+      results = documents.filter(doc => this._matchDocument(doc, query));
+    }
     
     this._logger.debug('Query execution complete', { 
       resultCount: results.length 
@@ -66,20 +94,41 @@ class QueryEngine {
     return results;
   }
 
+  /**
+   * Validate a query once and return a predicate for testing documents one at a time
+   * Used where documents are matched lazily, e.g. by Cursor.
+   * @param {Object} query - MongoDB-compatible query object
+   * @param {Object} [options={}] - Matcher options
+   * @param {Object} [options.variables={}] - Variables available to $expr expressions (names without $$)
+   * @returns {function(Object): boolean} Predicate returning true when a document matches
+   * @throws {InvalidQueryError} When query is invalid
+   */
+  createMatcher(query, options = {}) {
+    this._validateQuery([], query);
+    const variables = options.variables || {};
+
+    if (Object.keys(query).length === 0) {
+      return () => true;
+    }
+
+    return document => this._matchDocument(document, query, variables);
+  }
+
 /**
    * Determine if a document matches the given query
    * @param {Object} document - Document to test
    * @param {Object} query - MongoDB-compatible query object
+   * @param {Object} [variables={}] - Variables available to $expr expressions
    * @returns {boolean} True if document matches
    * @private
    */
-  _matchDocument(document, query) {
+  _matchDocument(document, query, variables = {}) {
     const keys = Object.keys(query);
 
     // 1) Implicit field matching: every non-logical field key is treated as an AND clause
     //    e.g. { a:1, b:2 } means a==1 AND b==2
     for (const key of keys) {
-      if (key !== '$and' && key !== '$or') {
+      if (key !== '$and' && key !== '$or' && key !== '$nor' && key !== '$expr') {
         // If any simple field fails, the document is not a match
         if (!this._matchField(document, key, query[key])) {
           return false;
@@ -93,18 +142,35 @@ class QueryEngine {
       if (!Array.isArray(query.$and)) {
         throw new InvalidQueryError('$and operator requires an array of conditions');
       }
-      if (query.$and.length === 0) {
-        return true;
-      }
       for (const cond of query.$and) {
         // Recursively apply matching for each $and condition
-        if (!this._matchDocument(document, cond)) {
+        if (!this._matchDocument(document, cond, variables)) {
+          return false;
+        }
+      }
+    }
+
+    // 3) Explicit $nor operator: must match *none* of the provided conditions
+    //    Validation rejects an empty array, as MongoDB does
+    if (query.$nor !== undefined) {
+      if (!Array.isArray(query.$nor)) {
+        throw new InvalidQueryError('$nor operator requires an array of conditions');
+      }
+      for (const cond of query.$nor) {
+        // Any matching $nor condition excludes the document
+        if (this._matchDocument(document, cond, variables)) {
           return false;
         }
       }
     }
 
-    // 3) Explicit $or operator: must match *at least one* of the provided conditions
+    // 4) $expr: the aggregation expression must evaluate to a true value for this document
+    if (query.$expr !== undefined &&
+      !this._getExpressionEvaluator().evaluateCondition(query.$expr, document, variables)) {
+      return false;
+    }
+
+    // 5) Explicit $or operator: must match *at least one* of the provided conditions
     //    Follows MongoDB semantics: empty array matches no documents
     if (query.$or !== undefined) {
       if (!Array.isArray(query.$or)) {
@@ -115,7 +181,7 @@ class QueryEngine {
       }
       for (const cond of query.$or) {
         // If any $or condition matches, return true immediately
-        if (this._matchDocument(document, cond)) {
+        if (this._matchDocument(document, cond, variables)) {
           return true;
         }
       }
@@ -123,8 +189,8 @@ class QueryEngine {
       return false;
     }
 
-    // 4) No logical operators or all have passed
-    //    At this point, implicit fields and any $and constraints have succeeded
+    // 6) No logical operators or all have passed
+    //    At this point, implicit fields and any $and/$nor/$expr constraints have succeeded
     return true;
   }
 
@@ -155,11 +221,13 @@ class QueryEngine {
    * @private
    */
   _isOperatorObject(value) {
-    return Validate.isPlainObject(value);
+    return Validate.isPlainObject(value) && !(value instanceof RegExp);
   }
 
   /**
    * Get field value from document using dot notation
+   * Paths that pass through an array (e.g. "items.sku") collect the value from every
+   * element into a flat array, unless the next path part is a numeric index.
    * @param {Object} document - Document object
    * @param {string} fieldPath - Field path (e.g., "user.profile.name")
    * @returns {*} Field value or undefined if not found
@@ -170,17 +238,45 @@ class QueryEngine {
       return undefined;
     }
 
-    const pathParts = fieldPath.split('.');
-    let currentValue = document;
+    return this._resolvePathValue(document, fieldPath.split('.'), 0);
+  }
 
-    for (const part of pathParts) {
-      if (currentValue == null || typeof currentValue !== 'object') {
-        return undefined;
-      }
-      currentValue = currentValue[part];
+  /**
+   * Resolve the remaining parts of a field path against a value
+   * @param {*} value - Current value
+   * @param {Array<string>} pathParts - All parts of the field path
+   * @param {number} index - Index of the next part to resolve
+   * @returns {*} Resolved value or undefined if not found
+   * @private
+   */
+  _resolvePathValue(value, pathParts, index) {
+    if (index === pathParts.length) {
+      return value;
+    }
+
+    if (value == null || typeof value !== 'object') {
+      return undefined;
+    }
+
+    const part = pathParts[index];
+
+    if (Array.isArray(value) && !/^\d+$/.test(part)) {
+      const collected = [];
+      value.forEach(item => {
+        if (item == null || typeof item !== 'object' || Array.isArray(item)) {
+          return;
+        }
+        const itemValue = this._resolvePathValue(item, pathParts, index);
+        if (Array.isArray(itemValue)) {
+          collected.push(...itemValue);
+        } else if (itemValue !== undefined) {
+          collected.push(itemValue);
+        }
+      });
+      return collected.length > 0 ? collected : undefined;
     }
 
-    return currentValue;
+    return this._resolvePathValue(value[part], pathParts, index + 1);
   }
 
   /**
@@ -194,7 +290,16 @@ class QueryEngine {
     const operatorKeys = Object.keys(operators);
     
     for (const operator of operatorKeys) {
-      if (!this._compareValues(documentValue, operators[operator], operator)) {
+      // $options is only meaningful alongside $regex and is consumed there
+      if (operator === '$options') {
+        continue;
+      }
+
+      const operand = operator === '$regex'
+        ? this._buildRegExp(operators.$regex, operators.$options)
+        : operators[operator];
+
+      if (!this._compareValues(documentValue, operand, operator)) {
         return false;
       }
     }
@@ -206,7 +311,8 @@ class QueryEngine {
    * Compare values using specified operator
    * @param {*} documentValue - Value from document
    * @param {*} queryValue - Value from query
-   * @param {string} operator - Comparison operator ($eq, $gt, $lt)
+   * @param {string} operator - Comparison, element, pattern, negation or array operator
+   *   ($eq, $ne, $gt, $gte, $lt, $lte, $in, $nin, $exists, $type, $regex, $not, $elemMatch, $size, $all)
    * @returns {boolean} True if comparison succeeds
    * @private
    */
@@ -215,17 +321,246 @@ class QueryEngine {
       case '$eq':
         return this._equalityComparison(documentValue, queryValue);
 
+      case '$ne':
+        return !this._equalityComparison(documentValue, queryValue);
+
       case '$gt':
-        return this._greaterThanComparison(documentValue, queryValue);
+        return this._compareWithArraySemantics(documentValue, queryValue, this._greaterThanComparison);
+
+      case '$gte':
+        return this._compareWithArraySemantics(documentValue, queryValue, this._greaterThanOrEqualComparison);
 
       case '$lt':
-        return this._lessThanComparison(documentValue, queryValue);
+        return this._compareWithArraySemantics(documentValue, queryValue, this._lessThanComparison);
+
+      case '$lte':
+        return this._compareWithArraySemantics(documentValue, queryValue, this._lessThanOrEqualComparison);
+
+      case '$in':
+        return this._inComparison(documentValue, queryValue);
+
+      case '$nin':
+        return !this._inComparison(documentValue, queryValue);
+
+      case '$exists':
+        return (documentValue !== undefined) === Boolean(queryValue);
+
+      case '$type':
+        return this._typeComparison(documentValue, queryValue);
+
+      case '$regex':
+        return this._regexComparison(documentValue, queryValue);
+
+      case '$not':
+        // Negates a regex or a whole operator expression; missing fields therefore match
+        return queryValue instanceof RegExp
+          ? !this._regexComparison(documentValue, queryValue)
+          : !this._matchOperators(documentValue, queryValue);
+
+      case '$elemMatch':
+        return Array.isArray(documentValue) &&
+          documentValue.some(item => this._elemMatchComparison(item, queryValue));
+
+      case '$size':
+        return Array.isArray(documentValue) && documentValue.length === queryValue;
+
+      case '$all':
+        return this._allComparison(documentValue, queryValue);
 
       default:
         throw new InvalidQueryError(`Unsupported operator: ${operator}`);
     }
   }
 
+  /**
+   * Apply a range comparison, matching any element when the document value is an array
+   * @param {*} docValue - Document value (may be an array)
+   * @param {*} queryValue - Query value
+   * @param {Function} comparator - Scalar comparison method
+   * @returns {boolean} True if the value, or any array element, satisfies the comparator
+   * @private
+   */
+  _compareWithArraySemantics(docValue, queryValue, comparator) {
+    if (Array.isArray(docValue) && !Array.isArray(queryValue)) {
+      return docValue.some(item => comparator.call(this, item, queryValue));
+    }
+    return comparator.call(this, docValue, queryValue);
+  }
+
+  /**
+   * Perform set membership comparison ($in)
+   * A missing field matches when the set contains null, as in MongoDB.
+   * @param {*} docValue - Document value
+   * @param {Array} queryValues - Candidate values
+   * @returns {boolean} True if the document value equals any candidate
+   * @private
+   */
+  _inComparison(docValue, queryValues) {
+    if (!Array.isArray(queryValues)) {
+      throw new InvalidQueryError('$in and $nin operators require an array of values');
+    }
+    return queryValues.some(value => this._equalityComparison(docValue, value));
+  }
+
+  /**
+   * Match a single array element against an $elemMatch specification
+   * Specifications made only of operators (e.g. { $gte: 80, $lt: 85 }) apply to the element
+   * itself; otherwise the element is matched as a subdocument query.
+   * @param {*} element - Array element
+   * @param {Object} spec - $elemMatch specification
+   * @returns {boolean} True if the element satisfies the specification
+   * @private
+   */
+  _elemMatchComparison(element, spec) {
+    const keys = Object.keys(spec);
+    const appliesToElement = keys.length > 0 && keys.every(key =>
+      key.startsWith('$') && key !== '$and' && key !== '$or' && key !== '$nor'
+    );
+
+    if (appliesToElement) {
+      return this._matchOperators(element, spec);
+    }
+
+    return Validate.isPlainObject(element) && this._matchDocument(element, spec);
+  }
+
+  /**
+   * Perform $all comparison
+   * Every query value must be present in the array; { $elemMatch: ... } entries must match an element.
+   * An empty $all array matches nothing.
+   * @param {*} docValue - Document value
+   * @param {Array} queryValues - Required values
+   * @returns {boolean} True if all values are present
+   * @private
+   */
+  _allComparison(docValue, queryValues) {
+    if (queryValues.length === 0) {
+      return false;
+    }
+
+    return queryValues.every(value => {
+      if (this._isOperatorObject(value) && value.$elemMatch !== undefined) {
+        return this._compareValues(docValue, value.$elemMatch, '$elemMatch');
+      }
+      return this._equalityComparison(docValue, value);
+    });
+  }
+
+  /**
+   * Perform type comparison ($type)
+   * Arrays match 'array' and also match any type held by one of their elements.
+   * @param {*} docValue - Document value
+   * @param {string|number|Array} queryValue - Type name, numeric BSON code, or array of either
+   * @returns {boolean} True if the value matches any of the requested types
+   * @private
+   */
+  _typeComparison(docValue, queryValue) {
+    if (docValue === undefined) {
+      return false;
+    }
+
+    const typeNames = (Array.isArray(queryValue) ? queryValue : [queryValue]).map(type => this._resolveTypeName(type));
+    const valueTypes = this._getValueTypes(docValue);
+
+    if (Array.isArray(docValue)) {
+      docValue.forEach(item => valueTypes.push(...this._getValueTypes(item)));
+    }
+
+    return typeNames.some(typeName => valueTypes.includes(typeName));
+  }
+
+  /**
+   * Resolve a $type argument to its canonical type name
+   * @param {string|number} type - Type name, alias or numeric BSON code
+   * @returns {string} Canonical type name
+   * @throws {InvalidQueryError} When the type is not recognised
+   * @private
+   */
+  _resolveTypeName(type) {
+    const typeName = typeof type === 'number' ? QueryEngine.BSON_TYPE_CODES[type] : type;
+    if (typeof typeName !== 'string' || !QueryEngine.SUPPORTED_TYPE_NAMES.includes(typeName)) {
+      throw new InvalidQueryError(`$type operator received unknown type: ${type}`);
+    }
+    return typeName;
+  }
+
+  /**
+   * Get the type names a single value satisfies
+   * @param {*} value - Value to classify
+   * @returns {Array<string>} Matching type names (including the 'number' alias)
+   * @private
+   */
+  _getValueTypes(value) {
+    if (value === null) return ['null'];
+    if (Array.isArray(value)) return ['array'];
+    if (value instanceof Date) return ['date'];
+    if (value instanceof RegExp) return ['regex'];
+
+    switch (typeof value) {
+      case 'string':
+        return ['string'];
+      case 'boolean':
+        return ['bool'];
+      case 'number':
+        return Number.isInteger(value) ? ['number', 'double', 'int', 'long'] : ['number', 'double'];
+      case 'object':
+        return ['object'];
+      default:
+        return [];
+    }
+  }
+
+  /**
+   * Perform regular expression comparison ($regex and RegExp literals)
+   * Arrays match when any element matches; stored RegExp values match an identical pattern.
+   * @param {*} docValue - Document value
+   * @param {RegExp} pattern - Compiled pattern
+   * @returns {boolean} True if the value matches the pattern
+   * @private
+   */
+  _regexComparison(docValue, pattern) {
+    if (Array.isArray(docValue)) {
+      return docValue.some(item => this._regexComparison(item, pattern));
+    }
+
+    if (docValue instanceof RegExp) {
+      return docValue.source === pattern.source && docValue.flags === pattern.flags;
+    }
+
+    // String.prototype.search ignores lastIndex, so global patterns stay stateless
+    return typeof docValue === 'string' && docValue.search(pattern) !== -1;
+  }
+
+  /**
+   * Build a RegExp from a $regex operand and optional $options flags
+   * @param {string|RegExp} pattern - Pattern source or RegExp
+   * @param {string} [options] - Flags from $options (i, m, s)
+   * @returns {RegExp} Compiled pattern
+   * @throws {InvalidQueryError} When the pattern or options are malformed
+   * @private
+   */
+  _buildRegExp(pattern, options) {
+    if (typeof pattern !== 'string' && !(pattern instanceof RegExp)) {
+      throw new InvalidQueryError('$regex operator requires a string or RegExp pattern');
+    }
+
+    if (options !== undefined) {
+      if (typeof options !== 'string' || !/^[ims]*$/.test(options)) {
+        throw new InvalidQueryError(`$options contains unsupported flags: ${options}`);
+      }
+    }
+
+    if (pattern instanceof RegExp && options === undefined) {
+      return pattern;
+    }
+
+    try {
+      return new RegExp(pattern instanceof RegExp ? pattern.source : pattern, options || '');
+    } catch (error) {
+      throw new InvalidQueryError(`Invalid $regex pattern: ${error.message}`);
+    }
+  }
+
   /**
    * Perform equality comparison
    * @param {*} docValue - Document value
@@ -234,6 +569,11 @@ class QueryEngine {
    * @private
    */
   _equalityComparison(docValue, queryValue) {
+    // RegExp query values match by pattern rather than by identity
+    if (queryValue instanceof RegExp) {
+      return this._regexComparison(docValue, queryValue);
+    }
+
     // Handle Date objects
     if (docValue instanceof Date && queryValue instanceof Date) {
       return docValue.getTime() === queryValue.getTime();
@@ -250,23 +590,43 @@ class QueryEngine {
     }
 
     // Handle array contains operation (MongoDB style)
-    // If document value is an array and query value is not, check if array contains the query value
+    // If document value is an array and query value is not, check if any element equals the query value
     if (Array.isArray(docValue) && !Array.isArray(queryValue)) {
-      return docValue.includes(queryValue);
+      return docValue.some(item => this._equalityComparison(item, queryValue));
     }
 
     // Handle array equality
+    // An array query value matches the whole array or any element that is itself an equal array
     if (Array.isArray(docValue) && Array.isArray(queryValue)) {
-      if (docValue.length !== queryValue.length) {
-        return false;
-      }
-      return docValue.every((item, index) => this._equalityComparison(item, queryValue[index]));
+      return this._arrayEqual(docValue, queryValue) ||
+        docValue.some(item => Array.isArray(item) && this._arrayEqual(item, queryValue));
     }
 
     // Standard equality
     return docValue === queryValue;
   }
 
+  /**
+   * Check two arrays hold equal elements in the same order
+   * An element array only equals an array, so [[3, 4]] does not equal [3].
+   * @param {Array} array1 - First array
+   * @param {Array} array2 - Second array
+   * @returns {boolean} True if the arrays are equal
+   * @private
+   */
+  _arrayEqual(array1, array2) {
+    if (array1.length !== array2.length) {
+      return false;
+    }
+    return array1.every((item, index) => {
+      const other = array2[index];
+      if (Array.isArray(item) || Array.isArray(other)) {
+        return Array.isArray(item) && Array.isArray(other) && this._arrayEqual(item, other);
+      }
+      return this._equalityComparison(item, other);
+    });
+  }
+
   /**
    * Determine if two values are non-null plain objects (not Date or Array)
    * @param {*} val1 - First value
@@ -351,6 +711,30 @@ class QueryEngine {
     return false;
   }
 
+  /**
+   * Perform greater than or equal comparison
+   * Null and missing values are treated as equal to a null query value.
+   * @param {*} docValue - Document value
+   * @param {*} queryValue - Query value
+   * @returns {boolean} True if docValue >= queryValue
+   * @private
+   */
+  _greaterThanOrEqualComparison(docValue, queryValue) {
+    return this._equalityComparison(docValue, queryValue) || this._greaterThanComparison(docValue, queryValue);
+  }
+
+  /**
+   * Perform less than or equal comparison
+   * Null and missing values are treated as equal to a null query value.
+   * @param {*} docValue - Document value
+   * @param {*} queryValue - Query value
+   * @returns {boolean} True if docValue <= queryValue
+   * @private
+   */
+  _lessThanOrEqualComparison(docValue, queryValue) {
+    return this._equalityComparison(docValue, queryValue) || this._lessThanComparison(docValue, queryValue);
+  }
+
   /**
    * Validate query structure and operators
    * @param {Array} documents - Documents array to validate  
@@ -414,6 +798,12 @@ class QueryEngine {
       throw new InvalidQueryError(`Query nesting exceeds maximum depth of ${this._config.maxNestedDepth}`);
     }
 
+    // Condition arrays ($and, $or, $nor) share the depth of their parent operator
+    if (Array.isArray(obj)) {
+      obj.forEach(item => this._validateQueryDepth(item, depth));
+      return;
+    }
+
     try {
       Validate.object(obj, 'queryObject');
       if (!(obj instanceof Date)) {
@@ -421,7 +811,11 @@ class QueryEngine {
           this._validateQueryDepth(value, depth + 1);
         });
       }
-    } catch {
+    } catch (e) {
+      // Re-throw depth errors from nested levels
+      if (e instanceof InvalidQueryError) {
+        throw e;
+      }
       // Not a plain object, do nothing
     }
   }
@@ -447,13 +841,19 @@ class QueryEngine {
    * @private
    */
   _findOperators(obj, operators = []) {
-    if (Validate.isPlainObject(obj)) {
+    if (Array.isArray(obj)) {
+      // Descend into condition arrays such as $and, $or and $nor
+      obj.forEach(item => this._findOperators(item, operators));
+    } else if (Validate.isPlainObject(obj)) {
       if (!(obj instanceof Date)) {
         Object.keys(obj).forEach(key => {
           if (key.startsWith('$')) {
             operators.push(key);
           }
-          this._findOperators(obj[key], operators);
+          // $expr holds an aggregation expression, whose operators are checked by ExpressionEvaluator
+          if (key !== '$expr') {
+            this._findOperators(obj[key], operators);
+          }
         });
       }
     }
@@ -487,21 +887,73 @@ class QueryEngine {
       Validate.validateObject(obj, 'queryObject');
       if (!(obj instanceof Date)) {
         Object.keys(obj).forEach(key => {
-          if (key === '$and' || key === '$or') {
+          if (key === '$and' || key === '$or' || key === '$nor') {
             // Logical operators must have array values
             if (!Array.isArray(obj[key])) {
               throw new InvalidQueryError(`${key} operator requires an array of conditions`);
             }
+            // MongoDB rejects an empty $nor; empty $and and $or keep their match-all and match-none behaviour
+            if (key === '$nor' && obj[key].length === 0) {
+              throw new InvalidQueryError('$nor operator requires at least one condition');
+            }
             // Recursively validate each condition in the array
             obj[key].forEach(condition => {
               this._validateOperatorValuesRecursive(condition, depth + 1);
             });
+          } else if (key === '$in' || key === '$nin') {
+            // Set membership operators must have array values
+            if (!Array.isArray(obj[key])) {
+              throw new InvalidQueryError(`${key} operator requires an array of values`);
+            }
+          } else if (key === '$exists') {
+            if (typeof obj[key] !== 'boolean' && typeof obj[key] !== 'number') {
+              throw new InvalidQueryError('$exists operator requires a boolean value');
+            }
+          } else if (key === '$type') {
+            // Resolving each type name throws for unknown types
+            (Array.isArray(obj[key]) ? obj[key] : [obj[key]]).forEach(type => this._resolveTypeName(type));
+          } else if (key === '$regex') {
+            // Compiling the pattern throws for malformed patterns or flags
+            this._buildRegExp(obj.$regex, obj.$options);
+          } else if (key === '$not') {
+            // $not wraps a regex or an operator expression, never a plain value
+            const operand = obj[key];
+            const isOperatorExpression = this._isOperatorObject(operand) &&
+              Object.keys(operand).length > 0 &&
+              Object.keys(operand).every(operator => operator.startsWith('$'));
+            if (!(operand instanceof RegExp) && !isOperatorExpression) {
+              throw new InvalidQueryError('$not operator requires an operator expression or regular expression');
+            }
+            this._validateOperatorValuesRecursive(operand, depth + 1);
+          } else if (key === '$elemMatch') {
+            if (!this._isOperatorObject(obj[key])) {
+              throw new InvalidQueryError('$elemMatch operator requires an object');
+            }
+            this._validateOperatorValuesRecursive(obj[key], depth + 1);
+          } else if (key === '$size') {
+            if (!Number.isInteger(obj[key]) || obj[key] < 0) {
+              throw new InvalidQueryError('$size operator requires a non-negative integer');
+            }
+          } else if (key === '$all') {
+            if (!Array.isArray(obj[key])) {
+              throw new InvalidQueryError('$all operator requires an array of values');
+            }
+            obj[key].forEach(value => this._validateOperatorValuesRecursive(value, depth + 1));
+          } else if (key === '$options') {
+            if (obj.$regex === undefined) {
+              throw new InvalidQueryError('$options operator requires a $regex operator');
+            }
+          } else if (key === '$expr') {
+            this._getExpressionEvaluator().validateExpression(obj[key]);
           } else if (key.startsWith('$')) {
             // Other operators - can add specific validation here as needed
             // For now, just recursively validate the value
             this._validateOperatorValuesRecursive(obj[key], depth + 1);
           } else {
-            // Regular field - validate its value
+            // Regular field - validate its value; $expr applies to whole documents, not fields
+            if (this._isOperatorObject(obj[key]) && Object.prototype.hasOwnProperty.call(obj[key], '$expr')) {
+              throw new InvalidQueryError('$expr can only be used at the top level of a query');
+            }
             this._validateOperatorValuesRecursive(obj[key], depth + 1);
           }
         });
@@ -515,5 +967,36 @@ class QueryEngine {
     }
   }
 
-
+  /**
+   * Get the lazily created ExpressionEvaluator
+   * @returns {ExpressionEvaluator} ExpressionEvaluator instance
+   * @private
+   */
+  _getExpressionEvaluator() {
+    if (!this._expressionEvaluator) {
+      this._expressionEvaluator = new ExpressionEvaluator();
+    }
+    return this._expressionEvaluator;
+  }
 }
+
+/**
+ * Numeric BSON type codes accepted by $type, mapped to their type names
+ */
+QueryEngine.BSON_TYPE_CODES = {
+  1: 'double',
+  2: 'string',
+  3: 'object',
+  4: 'array',
+  8: 'bool',
+  9: 'date',
+  10: 'null',
+  11: 'regex',
+  16: 'int',
+  18: 'long'
+};
+
+/**
+ * Type names accepted by $type ('number' is an alias matching any numeric value)
+ */
+QueryEngine.SUPPORTED_TYPE_NAMES = ['double', 'string', 'object', 'array', 'bool', 'date', 'null', 'regex', 'int', 'long', 'number'];
@@ -0,0 +1,237 @@
+/**
+ * SortEngine.js - MongoDB-compatible Document Sorting Engine
+ *
+ * Orders documents and values using MongoDB's comparison rules:
+ * - Multi-key sort specifications ({ year: -1, name: 1 })
+ * - Nested sort keys using dot notation
+ * - Type bracketing: null < numbers < strings < objects < arrays < booleans < dates
+ * - Array fields sort by their smallest (ascending) or largest (descending) element
+ */
+class SortEngine {
+  /**
+   * Creates a new SortEngine instance
+   */
+  constructor() {
+    this._logger = JDbLogger.createComponentLogger('SortEngine');
+    this._queryEngine = null; // Lazy-loaded QueryEngine for dot-path resolution
+  }
+
+  /**
+   * Sort documents by a sort specification
+   * @param {Array<Object>} documents - Documents to sort
+   * @param {Object} sort - Sort specification mapping field paths to 1 (ascending) or -1 (descending)
+   * @returns {Array<Object>} New sorted array (the input array is not modified)
+   * @throws {InvalidArgumentError} When the sort specification is invalid
+   */
+  sortDocuments(documents, sort) {
+    Validate.array(documents, 'documents');
+    this.validateSort(sort);
+
+    const sortKeys = Object.keys(sort).map(path => ({ path, direction: sort[path] }));
+
+    this._logger.debug('Sorting documents', {
+      documentCount: documents.length,
+      sortKeys: sortKeys.map(key => key.path)
+    });
+
+    if (sortKeys.length === 0) {
+      return documents.slice();
+    }
+
+    return documents.slice().sort((a, b) => this.compareDocuments(a, b, sortKeys));
+  }
+
+  /**
+   * Compare two documents on pre-parsed sort keys
+   * @param {Object} a - First document
+   * @param {Object} b - Second document
+   * @param {Array<{path: string, direction: number}>} sortKeys - Sort keys in priority order
+   * @returns {number} Negative, zero or positive as for Array.prototype.sort
+   */
+  compareDocuments(a, b, sortKeys) {
+    for (const { path, direction } of sortKeys) {
+      const result = this.compareValues(
+        this._getSortValue(a, path, direction),
+        this._getSortValue(b, path, direction)
+      );
+      if (result !== 0) {
+        return result * direction;
+      }
+    }
+    return 0;
+  }
+
+  /**
+   * Validate a sort specification
+   * @param {Object} sort - Sort specification
+   * @throws {InvalidArgumentError} When the specification is not an object or a direction is not 1 or -1
+   */
+  validateSort(sort) {
+    Validate.object(sort, 'sort');
+
+    Object.keys(sort).forEach(path => {
+      if (sort[path] !== 1 && sort[path] !== -1) {
+        throw new InvalidArgumentError('sort', sort, `direction for "${path}" must be 1 or -1`);
+      }
+    });
+  }
+
+  /**
+   * Compare two values using MongoDB type bracketing
+   * Values of different types are ordered by type; values of the same type are compared naturally.
+   * @param {*} a - First value
+   * @param {*} b - Second value
+   * @returns {number} -1, 0 or 1
+   */
+  compareValues(a, b) {
+    const rankA = this._getTypeRank(a);
+    const rankB = this._getTypeRank(b);
+
+    if (rankA !== rankB) {
+      return rankA < rankB ? -1 : 1;
+    }
+
+    switch (rankA) {
+      case SortEngine.TYPE_RANKS.NULL:
+        return 0;
+      case SortEngine.TYPE_RANKS.OBJECT:
+        return this._compareObjects(a, b);
+      case SortEngine.TYPE_RANKS.ARRAY:
+        return this._compareArrays(a, b);
+      case SortEngine.TYPE_RANKS.DATE:
+        return this._comparePrimitives(a.getTime(), b.getTime());
+      case SortEngine.TYPE_RANKS.REGEX:
+        return this._comparePrimitives(a.toString(), b.toString());
+      default:
+        return this._comparePrimitives(a, b);
+    }
+  }
+
+  /**
+   * Get the value used to sort a document on one key
+   * Arrays (including values collected through dot paths) sort by their smallest element
+   * when ascending and their largest when descending; empty arrays sort as null.
+   * @param {Object} document - Document
+   * @param {string} path - Sort key path
+   * @param {number} direction - 1 or -1
+   * @returns {*} Sort value
+   * @private
+   */
+  _getSortValue(document, path, direction) {
+    const value = this._getQueryEngine()._getFieldValue(document, path);
+
+    if (!Array.isArray(value)) {
+      return value;
+    }
+    if (value.length === 0) {
+      return null;
+    }
+
+    return value.reduce((best, item) => {
+      const result = this.compareValues(item, best);
+      return (direction === 1 ? result < 0 : result > 0) ? item : best;
+    });
+  }
+
+  /**
+   * Get the bracket a value belongs to in MongoDB's cross-type ordering
+   * @param {*} value - Value to classify
+   * @returns {number} Type rank
+   * @private
+   */
+  _getTypeRank(value) {
+    if (value === null || value === undefined) return SortEngine.TYPE_RANKS.NULL;
+    if (typeof value === 'number') return SortEngine.TYPE_RANKS.NUMBER;
+    if (typeof value === 'string') return SortEngine.TYPE_RANKS.STRING;
+    if (Array.isArray(value)) return SortEngine.TYPE_RANKS.ARRAY;
+    if (typeof value === 'boolean') return SortEngine.TYPE_RANKS.BOOLEAN;
+    if (value instanceof Date) return SortEngine.TYPE_RANKS.DATE;
+    if (value instanceof RegExp) return SortEngine.TYPE_RANKS.REGEX;
+    return SortEngine.TYPE_RANKS.OBJECT;
+  }
+
+  /**
+   * Compare two values of the same primitive type
+   * @param {number|string|boolean} a - First value
+   * @param {number|string|boolean} b - Second value
+   * @returns {number} -1, 0 or 1
+   * @private
+   */
+  _comparePrimitives(a, b) {
+    if (a < b) return -1;
+    if (a > b) return 1;
+    return 0;
+  }
+
+  /**
+   * Compare two plain objects field by field (names first, then values)
+   * @param {Object} a - First object
+   * @param {Object} b - Second object
+   * @returns {number} -1, 0 or 1
+   * @private
+   */
+  _compareObjects(a, b) {
+    const keysA = Object.keys(a);
+    const keysB = Object.keys(b);
+    const length = Math.min(keysA.length, keysB.length);
+
+    for (let i = 0; i < length; i++) {
+      const keyResult = this._comparePrimitives(keysA[i], keysB[i]);
+      if (keyResult !== 0) {
+        return keyResult;
+      }
+      const valueResult = this.compareValues(a[keysA[i]], b[keysB[i]]);
+      if (valueResult !== 0) {
+        return valueResult;
+      }
+    }
+
+    return this._comparePrimitives(keysA.length, keysB.length);
+  }
+
+  /**
+   * Compare two arrays element by element, then by length
+   * @param {Array} a - First array
+   * @param {Array} b - Second array
+   * @returns {number} -1, 0 or 1
+   * @private
+   */
+  _compareArrays(a, b) {
+    const length = Math.min(a.length, b.length);
+
+    for (let i = 0; i < length; i++) {
+      const result = this.compareValues(a[i], b[i]);
+      if (result !== 0) {
+        return result;
+      }
+    }
+
+    return this._comparePrimitives(a.length, b.length);
+  }
+
+  /**
+   * Get the lazily created QueryEngine
+   * @returns {QueryEngine} QueryEngine instance
+   * @private
+   */
+  _getQueryEngine() {
+    if (!this._queryEngine) {
+      this._queryEngine = new QueryEngine();
+    }
+    return this._queryEngine;
+  }
+}
+
+/**
+ * Cross-type ordering used by compareValues (lowest first)
+ */
+SortEngine.TYPE_RANKS = {
+  NULL: 0,
+  NUMBER: 1,
+  STRING: 2,
+  OBJECT: 3,
+  ARRAY: 4,
+  BOOLEAN: 5,
+  DATE: 6,
+  REGEX: 7
+};
@@ -2,6 +2,15 @@
  * UpdateEngine.js - Document update engine for MongoDB-style update operators
  *
  * Section 7: Update Engine Implementation (Green Phase)
+ *
+ * $set, $inc, $mul, $min, $max, $unset, $currentDate, $pop, $pull, $pullAll and $bit accept positional path segments:
+ * - $ for the array element matched by the query filter
+ * - $[] for every element of an array
+ * - $[identifier] for the elements matching the array filter for that identifier
+ *
+ * applyPipeline runs aggregation pipeline updates ($set/$addFields, $unset, $project and $replaceWith
+ * stages), whose values are computed from the document's existing fields by ExpressionEvaluator.
+ * The document-level stages are shared with AggregationEngine.
  */
 class UpdateEngine {
   /**
@@ -9,10 +18,14 @@ class UpdateEngine {
    */
   constructor() {
     this._logger = JDbLogger.createComponentLogger('UpdateEngine');
+    this._queryEngine = null; // Lazy-loaded QueryEngine for positional matching
+    this._sortEngine = null; // Lazy-loaded SortEngine for $push $sort
+    this._aggregationEngine = null; // Lazy-loaded AggregationEngine for pipeline update stages
     
     // Map of supported operators to their handler methods
     this._operatorHandlers = {
       '$set': this._applySet.bind(this),
+      '$setOnInsert': this._applySetOnInsert.bind(this),
       '$inc': this._applyInc.bind(this),
       '$mul': this._applyMul.bind(this),
       '$min': this._applyMin.bind(this),
@@ -20,7 +33,21 @@ class UpdateEngine {
       '$unset': this._applyUnset.bind(this),
       '$push': this._applyPush.bind(this),
       '$pull': this._applyPull.bind(this),
-      '$addToSet': this._applyAddToSet.bind(this)
+      '$addToSet': this._applyAddToSet.bind(this),
+      '$rename': this._applyRename.bind(this),
+      '$currentDate': this._applyCurrentDate.bind(this),
+      '$pop': this._applyPop.bind(this),
+      '$pullAll': this._applyPullAll.bind(this),
+      '$bit': this._applyBit.bind(this)
+    };
+
+    // Map of stages allowed in pipeline updates to their handler methods
+    this._pipelineStageHandlers = {
+      '$set': this._applySetStage.bind(this),
+      '$addFields': this._applySetStage.bind(this),
+      '$unset': this._applyUnsetStage.bind(this),
+      '$project': this._applyProjectStage.bind(this),
+      '$replaceWith': this._applyReplaceWithStage.bind(this)
     };
   }
 
@@ -28,12 +55,22 @@ class UpdateEngine {
    * Apply MongoDB-style update operators to a document
    * @param {Object} document - The document to modify
    * @param {Object} updateOps - Update operations object
+   * @param {Object} [options={}] - Apply options
+   * @param {boolean} [options.isInsert=false] - Whether the document is being created by an upsert ($setOnInsert only applies then)
+   * @param {Object} [options.query] - Query filter that selected the document, used to resolve the $ positional operator
+   * @param {Array<Object>} [options.arrayFilters] - Filters selecting the elements updated by $[identifier]
    * @returns {Object} Updated document
-   * @throws {ErrorHandler.ErrorTypes.INVALID_QUERY} When operators are invalid
+   * @throws {ErrorHandler.ErrorTypes.INVALID_QUERY} When operators are invalid, a positional path cannot be resolved,
+   *   or $set, $unset or $rename would change the document's _id
+   * @throws {ErrorHandler.ErrorTypes.INVALID_ARGUMENT} When arrayFilters are invalid or unused
    */
-  applyOperators(document, updateOps) {
+  applyOperators(document, updateOps, options = {}) {
     this._validateApplyOperatorsInputs(document, updateOps);
     this._validateUpdateOperationsNotEmpty(updateOps);
+    this._validateIdNotModified(document, updateOps);
+    const context = Object.assign({}, options, {
+      arrayFilterMatchers: this._createArrayFilterMatchers(updateOps, options.arrayFilters)
+    });
     
     // Create a deep copy of the document to avoid modifying the original
     let clonedDoc = ObjectUtils.deepClone(document);
@@ -45,23 +82,100 @@ class UpdateEngine {
       }
       
       this._logger.debug(`Applying operator ${operator}`, { fields: Object.keys(updateOps[operator] || {}) });
-      clonedDoc = this._operatorHandlers[operator](clonedDoc, updateOps[operator]);
+      clonedDoc = this._operatorHandlers[operator](clonedDoc, updateOps[operator], context);
     }
     
     return clonedDoc;
   }
 
+  /**
+   * Apply an aggregation pipeline update to a document
+   * Stages run in order on a copy of the document, so each stage sees the output of the previous one.
+   * The document's _id is kept even if a stage drops it.
+   * @param {Object} document - The document to modify
+   * @param {Array<Object>} pipeline - Stages such as [{ $set: { total: { $multiply: ['$price', '$qty'] } } }]
+   * @returns {Object} Updated document
+   * @throws {ErrorHandler.ErrorTypes.INVALID_ARGUMENT} When the pipeline is not a non-empty array
+   * @throws {ErrorHandler.ErrorTypes.INVALID_QUERY} When a stage or expression is invalid, or the pipeline changes _id
+   */
+  applyPipeline(document, pipeline) {
+    Validate.object(document, 'document');
+    this.validatePipeline(pipeline);
+
+    let current = ObjectUtils.deepClone(document);
+    for (const stage of pipeline) {
+      const stageName = Object.keys(stage)[0];
+      this._logger.debug(`Applying pipeline stage ${stageName}`);
+      current = this._pipelineStageHandlers[stageName](current, stage[stageName]);
+    }
+
+    return this._restoreDocumentId(document, current);
+  }
+
+  /**
+   * Validate a pipeline update without applying it
+   * @param {Array<Object>} pipeline - Pipeline update stages
+   * @throws {ErrorHandler.ErrorTypes.INVALID_ARGUMENT} When the pipeline is not a non-empty array
+   * @throws {ErrorHandler.ErrorTypes.INVALID_QUERY} When a stage is unsupported or malformed, or uses an invalid expression
+   */
+  validatePipeline(pipeline) {
+    Validate.nonEmptyArray(pipeline, 'pipeline');
+
+    pipeline.forEach((stage, index) => {
+      if (!Validate.isPlainObject(stage) || Object.keys(stage).length !== 1) {
+        throw new ErrorHandler.ErrorTypes.INVALID_QUERY(stage, `pipeline stage ${index} must be an object with exactly one stage`);
+      }
+      const stageName = Object.keys(stage)[0];
+      if (!this._pipelineStageHandlers[stageName]) {
+        throw new ErrorHandler.ErrorTypes.INVALID_QUERY(stage, `Unsupported pipeline update stage: ${stageName}`);
+      }
+      this._validatePipelineStage(stageName, stage[stageName]);
+    });
+  }
+
+  /**
+   * Set a field value in place using a dot notation path, creating nested objects as needed
+   * Used by DocumentOperations to seed upserted documents from a filter's equality clauses.
+   * @param {Object} document - Document to modify
+   * @param {string} fieldPath - Dot notation field path
+   * @param {*} value - Value to set
+   */
+  setFieldValue(document, fieldPath, value) {
+    this._setFieldValue(document, fieldPath, value);
+  }
+
   // Private operator handlers
   
   /**
    * Apply $set operator - sets field values
    * @param {Object} document - Document to modify
    * @param {Object} ops - Set operations
+   * @param {Object} [options={}] - Apply options used to resolve positional paths
    * @returns {Object} Modified document
    */
-  _applySet(document, ops) {
+  _applySet(document, ops, options = {}) {
     this._validateOperationsNotEmpty(ops, '$set');
+    const resolvedOps = this._resolvePositionalPaths(document, ops, options);
     
+    for (const fieldPath in resolvedOps) {
+      this._setFieldValue(document, fieldPath, resolvedOps[fieldPath]);
+    }
+    return document;
+  }
+
+  /**
+   * Apply $setOnInsert operator - sets field values only when an upsert inserts a new document
+   * @param {Object} document - Document to modify
+   * @param {Object} ops - Set operations
+   * @param {Object} [options={}] - Apply options passed to applyOperators
+   * @returns {Object} Modified document (unchanged when updating an existing document)
+   */
+  _applySetOnInsert(document, ops, options = {}) {
+    this._validateOperationsNotEmpty(ops, '$setOnInsert');
+    
+    if (!options.isInsert) {
+      return document;
+    }
     for (const fieldPath in ops) {
       this._setFieldValue(document, fieldPath, ops[fieldPath]);
     }
@@ -72,15 +186,17 @@ class UpdateEngine {
    * Increment numeric fields by specified amounts.
    * @param {Object} document - The document being modified.
    * @param {Object} ops - An object mapping field paths to increment values.
+   * @param {Object} [options={}] - Apply options used to resolve positional paths.
    * @returns {Object} The updated document instance.
    * @throws {ErrorHandler.ErrorTypes.INVALID_QUERY} If any target field or increment value is non-numeric.
    */
-  _applyInc(document, ops) {
+  _applyInc(document, ops, options = {}) {
     this._validateOperationsNotEmpty(ops, '$inc');
+    const resolvedOps = this._resolvePositionalPaths(document, ops, options);
     
-    for (const fieldPath in ops) {
+    for (const fieldPath in resolvedOps) {
       const currentValue = this._getFieldValue(document, fieldPath);
-      const incrementValue = ops[fieldPath];
+      const incrementValue = resolvedOps[fieldPath];
       
       this._validateNumericValue(incrementValue, fieldPath, '$inc');
       
@@ -101,15 +217,17 @@ class UpdateEngine {
    * Multiply numeric fields by specified factors.
    * @param {Object} document - The document being modified.
    * @param {Object} ops - An object mapping field paths to multiplication factors.
+   * @param {Object} [options={}] - Apply options used to resolve positional paths.
    * @returns {Object} The updated document instance.
    * @throws {ErrorHandler.ErrorTypes.INVALID_QUERY} If any target field or factor is non-numeric.
    */
-  _applyMul(document, ops) {
+  _applyMul(document, ops, options = {}) {
     this._validateOperationsNotEmpty(ops, '$mul');
+    const resolvedOps = this._resolvePositionalPaths(document, ops, options);
     
-    for (const fieldPath in ops) {
+    for (const fieldPath in resolvedOps) {
       const currentValue = this._getFieldValue(document, fieldPath);
-      const multiplyValue = ops[fieldPath];
+      const multiplyValue = resolvedOps[fieldPath];
       
       this._validateNumericValue(multiplyValue, fieldPath, '$mul');
       
@@ -131,15 +249,17 @@ class UpdateEngine {
    * Only updates when the new value is less than existing.
    * @param {Object} document - The document being modified.
    * @param {Object} ops - An object mapping field paths to minimum values.
+   * @param {Object} [options={}] - Apply options used to resolve positional paths.
    * @returns {Object} The updated document instance.
    * @throws {ErrorHandler.ErrorTypes.INVALID_QUERY} If comparison between values is invalid.
    */
-  _applyMin(document, ops) {
+  _applyMin(document, ops, options = {}) {
     this._validateOperationsNotEmpty(ops, '$min');
+    const resolvedOps = this._resolvePositionalPaths(document, ops, options);
     
-    for (const fieldPath in ops) {
+    for (const fieldPath in resolvedOps) {
       const currentValue = this._getFieldValue(document, fieldPath);
-      const minValue = ops[fieldPath];
+      const minValue = resolvedOps[fieldPath];
       
       if (currentValue === undefined || minValue < currentValue) {
         this._setFieldValue(document, fieldPath, minValue);
@@ -156,15 +276,17 @@ class UpdateEngine {
    * Only updates when the new value is greater than existing.
    * @param {Object} document - The document being modified.
    * @param {Object} ops - An object mapping field paths to maximum values.
+   * @param {Object} [options={}] - Apply options used to resolve positional paths.
    * @returns {Object} The updated document instance.
    * @throws {ErrorHandler.ErrorTypes.INVALID_QUERY} If comparison between values is invalid.
    */
-  _applyMax(document, ops) {
+  _applyMax(document, ops, options = {}) {
     this._validateOperationsNotEmpty(ops, '$max');
+    const resolvedOps = this._resolvePositionalPaths(document, ops, options);
     
-    for (const fieldPath in ops) {
+    for (const fieldPath in resolvedOps) {
       const currentValue = this._getFieldValue(document, fieldPath);
-      const maxValue = ops[fieldPath];
+      const maxValue = resolvedOps[fieldPath];
       
       if (currentValue === undefined || maxValue > currentValue) {
         this._setFieldValue(document, fieldPath, maxValue);
@@ -180,12 +302,14 @@ class UpdateEngine {
    * Remove specified fields or nested elements.
    * @param {Object} document - The document being modified.
    * @param {Object} ops - An object mapping field paths to unset flags.
+   * @param {Object} [options={}] - Apply options used to resolve positional paths.
    * @returns {Object} The updated document instance with fields removed.
    */
-  _applyUnset(document, ops) {
+  _applyUnset(document, ops, options = {}) {
     this._validateOperationsNotEmpty(ops, '$unset');
+    const resolvedOps = this._resolvePositionalPaths(document, ops, options);
     
-    for (const fieldPath in ops) {
+    for (const fieldPath in resolvedOps) {
       this._unsetFieldValue(document, fieldPath);
     }
     return document;
@@ -198,11 +322,16 @@ class UpdateEngine {
    * according to the operations described in the `ops` object. Supports both direct value pushes and
    * the `$each` modifier for pushing multiple values at once.
    *
+   * Alongside `$each`, the `$position`, `$sort` and `$slice` modifiers are applied in MongoDB's order:
+   * values are inserted at `$position`, then the whole array is sorted, then sliced.
+   *
    * @param {Object} document - The target document to update.
    * @param {Object} ops - An object mapping field paths to values or modifiers to push.
-   *   Each value can be a direct value to push, or an object with a `$each` array.
+   *   Each value can be a direct value to push, or an object with a `$each` array and optional
+   *   `$position`, `$sort` and `$slice` modifiers.
    * @returns {Object} The updated document after applying the push operations.
    * @throws {ErrorHandler.ErrorTypes.INVALID_QUERY} If the operations object is empty, or if any target field is not an array when required.
+   * @throws {ErrorHandler.ErrorTypes.INVALID_ARGUMENT} If `$position`, `$sort` or `$slice` is used without `$each`.
    *
    * @example
    * // Push a single value
@@ -211,6 +340,10 @@ class UpdateEngine {
    * @example
    * // Push multiple values using $each
    * _applyPush(doc, { tags: { $each: ['tag1', 'tag2'] } });
+   *
+   * @example
+   * // Keep the 20 most recent entries
+   * _applyPush(doc, { activity: { $each: [entry], $sort: { at: -1 }, $slice: 20 } });
    */
   _applyPush(document, ops) {
     this._validateOperationsNotEmpty(ops, '$push');
@@ -222,16 +355,28 @@ class UpdateEngine {
       if (valueOrModifier && typeof valueOrModifier === 'object' && '$each' in valueOrModifier) {
         const eachValues = valueOrModifier.$each;
         this._validateArrayValue(eachValues, fieldPath, '$push');
-        if (current === undefined) {
-          // No array exists: initialise with all provided values
-          this._setFieldValue(document, fieldPath, [...eachValues]);
-        } else {
-          // Must be an array to append
+        this._validatePushModifiers(valueOrModifier, fieldPath);
+        // No array exists: start from an empty one; otherwise it must be an array to append
+        let array = [];
+        if (current !== undefined) {
           this._validateArrayValue(current, fieldPath, '$push');
-          // Append each element in sequence
-          eachValues.forEach(v => current.push(v));
+          array = current.slice();
         }
+        
+        if (valueOrModifier.$position === undefined) {
+          array.push(...eachValues);
+        } else {
+          array.splice(this._getPushPosition(array, valueOrModifier.$position), 0, ...eachValues);
+        }
+        if (valueOrModifier.$sort !== undefined) {
+          array = this._sortPushedArray(array, valueOrModifier.$sort);
+        }
+        if (valueOrModifier.$slice !== undefined) {
+          array = this._slicePushedArray(array, valueOrModifier.$slice);
+        }
+        this._setFieldValue(document, fieldPath, array);
       } else {
+        this._validatePushWithoutEach(valueOrModifier, fieldPath);
         // Single‐value push
         if (current === undefined) {
           // Initialise array with single element
@@ -246,27 +391,97 @@ class UpdateEngine {
     return document;
   }
 
+  /**
+   * Get the index at which $push inserts values for a $position modifier
+   * Negative positions count back from the end of the array.
+   * @param {Array} array - Array being pushed to
+   * @param {number} position - $position value
+   * @returns {number} Insertion index within the array bounds
+   */
+  _getPushPosition(array, position) {
+    if (position < 0) {
+      return Math.max(array.length + position, 0);
+    }
+    return Math.min(position, array.length);
+  }
+
+  /**
+   * Sort an array for the $push $sort modifier
+   * A direction sorts whole elements; a specification sorts subdocuments by their fields.
+   * @param {Array} array - Array after values were inserted
+   * @param {number|Object} sort - 1, -1 or a sort specification such as { score: -1 }
+   * @returns {Array} Sorted array
+   */
+  _sortPushedArray(array, sort) {
+    const sortEngine = this._getSortEngine();
+    if (sort === 1 || sort === -1) {
+      return array.slice().sort((a, b) => sortEngine.compareValues(a, b) * sort);
+    }
+    return sortEngine.sortDocuments(array, sort);
+  }
+
+  /**
+   * Trim an array for the $push $slice modifier
+   * @param {Array} array - Sorted array
+   * @param {number} count - Keep the first count elements when positive, the last -count when negative, none when 0
+   * @returns {Array} Sliced array
+   */
+  _slicePushedArray(array, count) {
+    if (count < 0) {
+      return array.slice(count);
+    }
+    return array.slice(0, count);
+  }
+
   /**
    * Remove matching elements from arrays.
+   * Values may be plain values (removed by equality), operator conditions applied to each
+   * element (e.g. { $lt: 50 }), or queries applied to subdocument elements (e.g. { qty: 0 }).
    * @param {Object} document - The document being modified.
-   * @param {Object} ops - An object mapping field paths to values to remove.
+   * @param {Object} ops - An object mapping field paths to values or conditions to remove.
+   * @param {Object} [options={}] - Apply options used to resolve positional paths.
    * @returns {Object} The updated document instance without matching elements.
-   * @throws {ErrorHandler.ErrorTypes.INVALID_QUERY} If target field is not an array.
+   * @throws {ErrorHandler.ErrorTypes.INVALID_QUERY} If target field is not an array, or a condition is invalid.
    */
-  _applyPull(document, ops) {
+  _applyPull(document, ops, options = {}) {
     this._validateOperationsNotEmpty(ops, '$pull');
+    const resolvedOps = this._resolvePositionalPaths(document, ops, options);
     
-    for (const fieldPath in ops) {
+    for (const fieldPath in resolvedOps) {
       const current = this._getFieldValue(document, fieldPath);
       if (current === undefined) continue;
       this._validateArrayValue(current, fieldPath, '$pull');
-      const toRemove = ops[fieldPath];
-      const filtered = current.filter(item => !this._valuesEqual(item, toRemove));
+      const shouldRemove = this._createPullMatcher(resolvedOps[fieldPath]);
+      const filtered = current.filter(item => !shouldRemove(item));
       this._setFieldValue(document, fieldPath, filtered);
     }
     return document;
   }
 
+  /**
+   * Create the predicate deciding which array elements a $pull removes
+   * @param {*} condition - Value, operator condition or subdocument query
+   * @returns {Function} Predicate receiving an array element
+   * @throws {ErrorHandler.ErrorTypes.INVALID_QUERY} When the condition is not a valid query
+   */
+  _createPullMatcher(condition) {
+    const keys = Validate.isPlainObject(condition) ? Object.keys(condition) : [];
+    if (keys.length === 0) {
+      return item => this._valuesEqual(item, condition);
+    }
+
+    // Operator conditions such as { $gte: 6 } apply to the element itself
+    const isElementCondition = keys.every(key => key.startsWith('$') && !UpdateEngine.LOGICAL_OPERATORS.includes(key));
+    if (isElementCondition) {
+      const matcher = this._getQueryEngine().createMatcher({ element: condition });
+      return item => matcher({ element: item });
+    }
+
+    // Otherwise the condition is a query over the fields of subdocument elements
+    const matcher = this._getQueryEngine().createMatcher(condition);
+    return item => Validate.isPlainObject(item) && matcher(item);
+  }
+
   /**
    * Add unique elements to arrays, supporting $each modifier.
    * @param {Object} document - The document being modified.
@@ -319,6 +534,218 @@ class UpdateEngine {
     return document;
   }
 
+  /**
+   * Rename fields, moving their values to new field paths.
+   * Missing source fields are ignored; an existing target field is overwritten.
+   * @param {Object} document - The document being modified.
+   * @param {Object} ops - An object mapping current field paths to new field paths.
+   * @returns {Object} The updated document instance.
+   * @throws {ErrorHandler.ErrorTypes.INVALID_QUERY} If a new name is not a string, or the paths are the same or overlap.
+   */
+  _applyRename(document, ops) {
+    this._validateOperationsNotEmpty(ops, '$rename');
+    
+    for (const fieldPath in ops) {
+      const newPath = ops[fieldPath];
+      this._validateRenameTarget(fieldPath, newPath);
+      
+      const currentValue = this._getFieldValue(document, fieldPath);
+      if (currentValue === undefined) continue;
+      this._unsetFieldValue(document, fieldPath);
+      this._setFieldValue(document, newPath, currentValue);
+    }
+    return document;
+  }
+
+  /**
+   * Set fields to the current date, as a Date or as a numeric timestamp.
+   * All fields in one update receive the same time.
+   * @param {Object} document - The document being modified.
+   * @param {Object} ops - An object mapping field paths to true or { $type: 'date' | 'timestamp' }.
+   * @param {Object} [options={}] - Apply options used to resolve positional paths.
+   * @returns {Object} The updated document instance.
+   * @throws {ErrorHandler.ErrorTypes.INVALID_QUERY} If a type specification is invalid.
+   */
+  _applyCurrentDate(document, ops, options = {}) {
+    this._validateOperationsNotEmpty(ops, '$currentDate');
+    const resolvedOps = this._resolvePositionalPaths(document, ops, options);
+    const now = new Date();
+    
+    for (const fieldPath in resolvedOps) {
+      const type = this._getCurrentDateType(resolvedOps[fieldPath], fieldPath);
+      // Timestamps are stored as milliseconds since the epoch
+      this._setFieldValue(document, fieldPath, type === 'timestamp' ? now.getTime() : new Date(now.getTime()));
+    }
+    return document;
+  }
+
+  /**
+   * Remove the first (-1) or last (1) element of arrays.
+   * @param {Object} document - The document being modified.
+   * @param {Object} ops - An object mapping field paths to 1 or -1.
+   * @param {Object} [options={}] - Apply options used to resolve positional paths.
+   * @returns {Object} The updated document instance.
+   * @throws {ErrorHandler.ErrorTypes.INVALID_QUERY} If the direction is not 1 or -1, or the target field is not an array.
+   */
+  _applyPop(document, ops, options = {}) {
+    this._validateOperationsNotEmpty(ops, '$pop');
+    const resolvedOps = this._resolvePositionalPaths(document, ops, options);
+    
+    for (const fieldPath in resolvedOps) {
+      const direction = resolvedOps[fieldPath];
+      if (direction !== 1 && direction !== -1) {
+        throw new ErrorHandler.ErrorTypes.INVALID_QUERY(fieldPath, '$pop operation requires 1 or -1');
+      }
+      
+      const current = this._getFieldValue(document, fieldPath);
+      if (current === undefined) continue;
+      this._validateArrayValue(current, fieldPath, '$pop');
+      if (direction === 1) {
+        current.pop();
+      } else {
+        current.shift();
+      }
+    }
+    return document;
+  }
+
+  /**
+   * Remove all elements equal to any of the listed values from arrays.
+   * @param {Object} document - The document being modified.
+   * @param {Object} ops - An object mapping field paths to arrays of values to remove.
+   * @param {Object} [options={}] - Apply options used to resolve positional paths.
+   * @returns {Object} The updated document instance without matching elements.
+   * @throws {ErrorHandler.ErrorTypes.INVALID_QUERY} If the values or the target field are not arrays.
+   */
+  _applyPullAll(document, ops, options = {}) {
+    this._validateOperationsNotEmpty(ops, '$pullAll');
+    const resolvedOps = this._resolvePositionalPaths(document, ops, options);
+    
+    for (const fieldPath in resolvedOps) {
+      const toRemove = resolvedOps[fieldPath];
+      this._validateArrayValue(toRemove, fieldPath, '$pullAll');
+      
+      const current = this._getFieldValue(document, fieldPath);
+      if (current === undefined) continue;
+      this._validateArrayValue(current, fieldPath, '$pullAll');
+      const filtered = current.filter(item => !toRemove.some(value => this._valuesEqual(item, value)));
+      this._setFieldValue(document, fieldPath, filtered);
+    }
+    return document;
+  }
+
+  /**
+   * Apply bitwise and/or/xor to integer fields.
+   * Missing fields start from 0; operations in one specification are applied in order.
+   * Values are combined as BigInts, so integers beyond 32 bits keep their high bits, as with MongoDB's 64-bit integers.
+   * @param {Object} document - The document being modified.
+   * @param {Object} ops - An object mapping field paths to { and?: number, or?: number, xor?: number }.
+   * @param {Object} [options={}] - Apply options used to resolve positional paths.
+   * @returns {Object} The updated document instance.
+   * @throws {ErrorHandler.ErrorTypes.INVALID_QUERY} If an operation is unknown, or an operand or the target field is not an integer.
+   */
+  _applyBit(document, ops, options = {}) {
+    this._validateOperationsNotEmpty(ops, '$bit');
+    const resolvedOps = this._resolvePositionalPaths(document, ops, options);
+    
+    for (const fieldPath in resolvedOps) {
+      const bitOps = resolvedOps[fieldPath];
+      this._validateOperationsNotEmpty(bitOps, '$bit');
+      
+      const currentValue = this._getFieldValue(document, fieldPath);
+      if (currentValue !== undefined) {
+        this._validateIntegerValue(currentValue, fieldPath, '$bit');
+      }
+      
+      let newValue = BigInt(currentValue || 0);
+      for (const bitOperation in bitOps) {
+        this._validateIntegerValue(bitOps[bitOperation], fieldPath, '$bit');
+        const operand = BigInt(bitOps[bitOperation]);
+        switch (bitOperation) {
+          case 'and':
+            newValue = newValue & operand;
+            break;
+          case 'or':
+            newValue = newValue | operand;
+            break;
+          case 'xor':
+            newValue = newValue ^ operand;
+            break;
+          default:
+            throw new ErrorHandler.ErrorTypes.INVALID_QUERY(fieldPath, `$bit operation "${bitOperation}" must be and, or or xor`);
+        }
+      }
+      
+      // Bitwise results of safe integers are safe integers, so the conversion back is exact
+      this._setFieldValue(document, fieldPath, Number(newValue));
+    }
+    return document;
+  }
+
+  /**
+   * Apply a pipeline $set or $addFields stage - sets fields to computed values
+   * @param {Object} document - Document to modify
+   * @param {Object} spec - Field paths mapped to expressions
+   * @returns {Object} New document
+   */
+  _applySetStage(document, spec) {
+    return this._getAggregationEngine().addFields(document, spec);
+  }
+
+  /**
+   * Apply a pipeline $unset stage - removes fields
+   * @param {Object} document - Document to modify
+   * @param {string|Array<string>} spec - Field path or field paths to remove
+   * @returns {Object} New document
+   */
+  _applyUnsetStage(document, spec) {
+    return this._getAggregationEngine().unsetFields(document, spec);
+  }
+
+  /**
+   * Apply a pipeline $project stage - keeps, removes or computes fields
+   * @param {Object} document - Document to reshape
+   * @param {Object} spec - Projection specification
+   * @returns {Object} New document
+   */
+  _applyProjectStage(document, spec) {
+    return this._getAggregationEngine().projectDocument(document, spec);
+  }
+
+  /**
+   * Apply a pipeline $replaceWith stage - replaces the document with a computed one
+   * @param {Object} document - Document being replaced
+   * @param {*} expression - Expression evaluating to the new document
+   * @returns {Object} New document
+   * @throws {ErrorHandler.ErrorTypes.INVALID_QUERY} When the expression does not evaluate to a document
+   */
+  _applyReplaceWithStage(document, expression) {
+    return this._getAggregationEngine().replaceRoot(document, expression);
+  }
+
+  /**
+   * Keep the original _id on a document produced by a pipeline update
+   * @param {Object} original - Document before the update
+   * @param {Object} updated - Document after the pipeline
+   * @returns {Object} Updated document with the original _id first
+   * @throws {ErrorHandler.ErrorTypes.INVALID_QUERY} When the pipeline changed the _id
+   */
+  _restoreDocumentId(original, updated) {
+    if (original._id === undefined) {
+      return updated;
+    }
+    if (updated._id !== undefined && !this._valuesEqual(updated._id, original._id)) {
+      throw new ErrorHandler.ErrorTypes.INVALID_QUERY(updated._id, 'pipeline updates cannot change the immutable field _id');
+    }
+    const result = { _id: original._id };
+    Object.keys(updated).forEach(key => {
+      if (key !== '_id') {
+        result[key] = updated[key];
+      }
+    });
+    return result;
+  }
+
   /**
    * Get field value using dot notation path
    * @param {Object} document - Document to read from
@@ -414,6 +841,226 @@ class UpdateEngine {
     }
   }
 
+  /**
+   * Replace positional segments ($, $[] and $[identifier]) in operator field paths with array indexes
+   * @param {Object} document - Document being modified
+   * @param {Object} ops - Operator arguments keyed by field path
+   * @param {Object} [options={}] - Apply options with the query and array filter matchers
+   * @returns {Object} Operator arguments keyed by concrete field paths
+   * @throws {ErrorHandler.ErrorTypes.INVALID_QUERY} When a positional segment cannot be resolved
+   */
+  _resolvePositionalPaths(document, ops, options = {}) {
+    const resolvedOps = {};
+    for (const fieldPath in ops) {
+      this._expandFieldPath(document, fieldPath, options).forEach(path => {
+        resolvedOps[path] = ops[fieldPath];
+      });
+    }
+    return resolvedOps;
+  }
+
+  /**
+   * Expand one field path into the concrete paths its positional segments select
+   * @param {Object} document - Document being modified
+   * @param {string} fieldPath - Dot notation field path, possibly with positional segments
+   * @param {Object} options - Apply options with the query and array filter matchers
+   * @returns {Array<string>} Concrete field paths (empty when no elements are selected)
+   * @throws {ErrorHandler.ErrorTypes.INVALID_QUERY} When a positional segment does not follow an array
+   */
+  _expandFieldPath(document, fieldPath, options) {
+    const parts = fieldPath.split('.');
+    if (!parts.some(part => UpdateEngine.POSITIONAL_SEGMENT_PATTERN.test(part))) {
+      return [fieldPath];
+    }
+
+    let prefixes = [[]];
+    for (const part of parts) {
+      if (!UpdateEngine.POSITIONAL_SEGMENT_PATTERN.test(part)) {
+        prefixes.forEach(prefix => prefix.push(part));
+        continue;
+      }
+
+      const expanded = [];
+      for (const prefix of prefixes) {
+        const arrayPath = prefix.join('.');
+        const array = prefix.length > 0 ? this._getFieldValue(document, arrayPath) : undefined;
+        if (!Array.isArray(array)) {
+          throw new ErrorHandler.ErrorTypes.INVALID_QUERY(fieldPath, `positional operator ${part} requires "${arrayPath}" to be an array`);
+        }
+        this._getPositionalIndexes(arrayPath, array, part, options)
+          .forEach(index => expanded.push(prefix.concat(String(index))));
+      }
+      prefixes = expanded;
+    }
+
+    return prefixes.map(prefix => prefix.join('.'));
+  }
+
+  /**
+   * Get the indexes of the array elements a positional segment selects
+   * @param {string} arrayPath - Path of the array the segment applies to
+   * @param {Array} array - Array at that path
+   * @param {string} segment - $, $[] or $[identifier]
+   * @param {Object} options - Apply options with the query and array filter matchers
+   * @returns {Array<number>} Selected indexes
+   * @throws {ErrorHandler.ErrorTypes.INVALID_QUERY} When no array filter exists for an identifier
+   */
+  _getPositionalIndexes(arrayPath, array, segment, options) {
+    if (segment === '$') {
+      return [this._findPositionalIndex(arrayPath, array, options.query)];
+    }
+    if (segment === '$[]') {
+      return array.map((element, index) => index);
+    }
+
+    const identifier = segment.slice(2, -1);
+    const matcher = options.arrayFilterMatchers && options.arrayFilterMatchers[identifier];
+    if (!matcher) {
+      throw new ErrorHandler.ErrorTypes.INVALID_QUERY(segment, `no array filter found for identifier "${identifier}"`);
+    }
+    const indexes = [];
+    array.forEach((element, index) => {
+      if (matcher({ [identifier]: element })) {
+        indexes.push(index);
+      }
+    });
+    return indexes;
+  }
+
+  /**
+   * Find the index of the first array element matched by the query conditions on that array
+   * Each element is tested on its own, so the conditions on the array must all hold for the same element.
+   * The conditions are moved from the array path onto a one-element array, so the document is never copied.
+   * @param {string} arrayPath - Path of the array
+   * @param {Array} array - Array at that path
+   * @param {Object} [query] - Query filter that selected the document
+   * @returns {number} Index of the matched element
+   * @throws {ErrorHandler.ErrorTypes.INVALID_QUERY} When the query does not match an element of the array
+   */
+  _findPositionalIndex(arrayPath, array, query) {
+    const clauses = this._getPositionalClauses(query || {}, arrayPath).map(clause => {
+      const key = Object.keys(clause)[0];
+      return { ['element' + key.slice(arrayPath.length)]: clause[key] };
+    });
+    if (clauses.length > 0) {
+      const matcher = this._getQueryEngine().createMatcher({ $and: clauses });
+      for (let index = 0; index < array.length; index++) {
+        if (matcher({ element: [array[index]] })) {
+          return index;
+        }
+      }
+    }
+
+    throw new ErrorHandler.ErrorTypes.INVALID_QUERY(
+      'The positional operator did not find the match needed from the query',
+      `no element of "${arrayPath}" matched ${JSON.stringify(query || {})}`
+    );
+  }
+
+  /**
+   * Collect the query conditions on an array path (including those inside $and)
+   * @param {Object} query - Query filter
+   * @param {string} arrayPath - Path of the array
+   * @returns {Array<Object>} Single-field conditions on the array or its element fields
+   */
+  _getPositionalClauses(query, arrayPath) {
+    const clauses = [];
+    for (const key in query) {
+      if (key === '$and' && Array.isArray(query.$and)) {
+        query.$and.forEach(clause => clauses.push(...this._getPositionalClauses(clause, arrayPath)));
+      } else if (key === arrayPath || key.startsWith(arrayPath + '.')) {
+        clauses.push({ [key]: query[key] });
+      }
+    }
+    return clauses;
+  }
+
+  /**
+   * Validate the arrayFilters option and create a matcher for each identifier
+   * Every $[identifier] used in the update needs exactly one filter, and every filter must be used.
+   * @param {Object} updateOps - Update operations object
+   * @param {Array<Object>} [arrayFilters] - Array filters, e.g. [{ 'elem.grade': { $gte: 85 } }]
+   * @returns {Object<string, Function>} Matchers keyed by identifier, each testing { [identifier]: element }
+   * @throws {ErrorHandler.ErrorTypes.INVALID_ARGUMENT} When a filter is malformed, duplicated or unused
+   * @throws {ErrorHandler.ErrorTypes.INVALID_QUERY} When an identifier has no filter
+   */
+  _createArrayFilterMatchers(updateOps, arrayFilters) {
+    const identifiers = new Set();
+    for (const operator in updateOps) {
+      for (const fieldPath in updateOps[operator] || {}) {
+        fieldPath.split('.').forEach(part => {
+          if (UpdateEngine.POSITIONAL_SEGMENT_PATTERN.test(part) && part.length > 3) {
+            identifiers.add(part.slice(2, -1));
+          }
+        });
+      }
+    }
+
+    const matchers = {};
+    if (arrayFilters !== undefined) {
+      Validate.array(arrayFilters, 'arrayFilters');
+      arrayFilters.forEach((filter, index) => {
+        const argumentName = `arrayFilters[${index}]`;
+        if (!Validate.isPlainObject(filter) || Object.keys(filter).length === 0) {
+          throw new ErrorHandler.ErrorTypes.INVALID_ARGUMENT(argumentName, filter, 'must be a non-empty object');
+        }
+        const filterIdentifiers = new Set(Object.keys(filter).map(key => key.split('.')[0]));
+        const identifier = Object.keys(filter)[0].split('.')[0];
+        if (filterIdentifiers.size !== 1 || !UpdateEngine.ARRAY_FILTER_IDENTIFIER_PATTERN.test(identifier)) {
+          throw new ErrorHandler.ErrorTypes.INVALID_ARGUMENT(argumentName, filter,
+            'must use a single identifier starting with a lowercase letter');
+        }
+        if (matchers[identifier]) {
+          throw new ErrorHandler.ErrorTypes.INVALID_ARGUMENT(argumentName, filter, `duplicate array filter for identifier "${identifier}"`);
+        }
+        if (!identifiers.has(identifier)) {
+          throw new ErrorHandler.ErrorTypes.INVALID_ARGUMENT(argumentName, filter, `array filter for identifier "${identifier}" was not used in the update`);
+        }
+        matchers[identifier] = this._getQueryEngine().createMatcher(filter);
+      });
+    }
+
+    identifiers.forEach(identifier => {
+      if (!matchers[identifier]) {
+        throw new ErrorHandler.ErrorTypes.INVALID_QUERY(`$[${identifier}]`, `no array filter found for identifier "${identifier}"`);
+      }
+    });
+    return matchers;
+  }
+
+  /**
+   * Get the lazily created QueryEngine
+   * @returns {QueryEngine} QueryEngine instance
+   */
+  _getQueryEngine() {
+    if (!this._queryEngine) {
+      this._queryEngine = new QueryEngine();
+    }
+    return this._queryEngine;
+  }
+
+  /**
+   * Get the lazily created SortEngine
+   * @returns {SortEngine} SortEngine instance
+   */
+  _getSortEngine() {
+    if (!this._sortEngine) {
+      this._sortEngine = new SortEngine();
+    }
+    return this._sortEngine;
+  }
+
+  /**
+   * Get the lazily created AggregationEngine
+   * @returns {AggregationEngine} AggregationEngine instance
+   */
+  _getAggregationEngine() {
+    if (!this._aggregationEngine) {
+      this._aggregationEngine = new AggregationEngine();
+    }
+    return this._aggregationEngine;
+  }
+
   /**
    * Deep compare two values (primitives, arrays, or objects) for equality.
    * @param {*} a - First value for comparison.
@@ -451,6 +1098,39 @@ class UpdateEngine {
     }
   }
 
+  /**
+   * Validate that $set, $unset and $rename leave the document's _id unchanged, as _id is immutable
+   * Setting _id to its current value is allowed. Documents without an _id (created by an upsert) may be given one.
+   * @param {Object} document - Document being updated
+   * @param {Object} updateOps - Update operations to validate
+   * @throws {ErrorHandler.ErrorTypes.INVALID_QUERY} When an operation would change or remove _id
+   */
+  _validateIdNotModified(document, updateOps) {
+    if (document._id === undefined) {
+      return;
+    }
+    const isIdPath = fieldPath => fieldPath === '_id' || fieldPath.startsWith('_id.');
+    const reject = (operator, fieldPath) => {
+      throw new ErrorHandler.ErrorTypes.INVALID_QUERY({ [operator]: fieldPath }, `${operator} cannot modify the immutable field _id`);
+    };
+
+    const setOps = updateOps.$set && typeof updateOps.$set === 'object' ? updateOps.$set : {};
+    Object.keys(setOps).filter(isIdPath).forEach(fieldPath => {
+      if (!this._valuesEqual(this._getFieldValue(document, fieldPath), setOps[fieldPath])) {
+        reject('$set', fieldPath);
+      }
+    });
+    const unsetOps = updateOps.$unset && typeof updateOps.$unset === 'object' ? updateOps.$unset : {};
+    Object.keys(unsetOps).filter(isIdPath).forEach(fieldPath => reject('$unset', fieldPath));
+    const renameOps = updateOps.$rename && typeof updateOps.$rename === 'object' ? updateOps.$rename : {};
+    Object.keys(renameOps).forEach(fieldPath => {
+      const newPath = renameOps[fieldPath];
+      if (isIdPath(fieldPath) || (typeof newPath === 'string' && isIdPath(newPath))) {
+        reject('$rename', fieldPath);
+      }
+    });
+  }
+
   /**
    * Validate that a value is numeric for arithmetic operations
    * @param {*} value - Value to validate
@@ -477,6 +1157,106 @@ class UpdateEngine {
     }
   }
 
+  /**
+   * Validate the modifiers used alongside $each in a $push
+   * @param {Object} modifiers - Object containing $each and optional $position, $sort and $slice
+   * @param {string} fieldPath - Field path for error reporting
+   * @throws {ErrorHandler.ErrorTypes.INVALID_QUERY} When a modifier is unknown or has an invalid value
+   */
+  _validatePushModifiers(modifiers, fieldPath) {
+    for (const modifier in modifiers) {
+      if (!UpdateEngine.PUSH_MODIFIERS.includes(modifier)) {
+        throw new ErrorHandler.ErrorTypes.INVALID_QUERY(fieldPath, `unsupported $push modifier: ${modifier}`);
+      }
+    }
+    if (modifiers.$position !== undefined) {
+      this._validateIntegerValue(modifiers.$position, fieldPath, '$push $position');
+    }
+    if (modifiers.$slice !== undefined) {
+      this._validateIntegerValue(modifiers.$slice, fieldPath, '$push $slice');
+    }
+    const sort = modifiers.$sort;
+    if (sort !== undefined && sort !== 1 && sort !== -1) {
+      const isSortSpec = sort !== null && typeof sort === 'object' && !Array.isArray(sort) && Object.keys(sort).length > 0 &&
+        Object.keys(sort).every(path => sort[path] === 1 || sort[path] === -1);
+      if (!isSortSpec) {
+        throw new ErrorHandler.ErrorTypes.INVALID_QUERY(fieldPath, '$push $sort must be 1, -1 or an object mapping fields to 1 or -1');
+      }
+    }
+  }
+
+  /**
+   * Validate that a pushed value does not use $push modifiers without $each
+   * @param {*} value - Value pushed as a single element
+   * @param {string} fieldPath - Field path for error reporting
+   * @throws {ErrorHandler.ErrorTypes.INVALID_ARGUMENT} When the value holds $position, $sort or $slice
+   */
+  _validatePushWithoutEach(value, fieldPath) {
+    if (!Validate.isPlainObject(value)) {
+      return;
+    }
+    const modifiers = Object.keys(value).filter(key => UpdateEngine.PUSH_MODIFIERS.includes(key));
+    if (modifiers.length > 0) {
+      throw new ErrorHandler.ErrorTypes.INVALID_ARGUMENT(`$push.${fieldPath}`, value, `${modifiers.join(', ')} requires $each`);
+    }
+  }
+
+  /**
+   * Validate that a value is an integer for bitwise operations
+   * Integers beyond Number.MAX_SAFE_INTEGER are rejected, as they cannot be represented exactly.
+   * @param {*} value - Value to validate
+   * @param {string} fieldPath - Field path for error reporting
+   * @param {string} operation - Operation name for error reporting
+   * @throws {ErrorHandler.ErrorTypes.INVALID_QUERY} When value is not a safe integer
+   */
+  _validateIntegerValue(value, fieldPath, operation) {
+    if (!Number.isSafeInteger(value)) {
+      throw new ErrorHandler.ErrorTypes.INVALID_QUERY(fieldPath, `${operation} operation requires safe integer values`);
+    }
+  }
+
+  /**
+   * Validate the specification of a pipeline update stage
+   * @param {string} stageName - Stage name, e.g. '$set'
+   * @param {*} spec - Stage specification
+   * @throws {ErrorHandler.ErrorTypes.INVALID_QUERY} When the specification or one of its expressions is invalid
+   */
+  _validatePipelineStage(stageName, spec) {
+    this._getAggregationEngine().validateStage({ [stageName]: spec });
+  }
+
+  /**
+   * Validate a $rename target path
+   * @param {string} fieldPath - Current field path
+   * @param {*} newPath - New field path
+   * @throws {ErrorHandler.ErrorTypes.INVALID_QUERY} When the target is not a non-empty string, or the paths are the same or overlap
+   */
+  _validateRenameTarget(fieldPath, newPath) {
+    if (typeof newPath !== 'string' || newPath.length === 0) {
+      throw new ErrorHandler.ErrorTypes.INVALID_QUERY(fieldPath, '$rename operation requires the new name to be a non-empty string');
+    }
+    if (newPath === fieldPath || newPath.startsWith(fieldPath + '.') || fieldPath.startsWith(newPath + '.')) {
+      throw new ErrorHandler.ErrorTypes.INVALID_QUERY(fieldPath, `$rename source and target paths must not overlap: "${newPath}"`);
+    }
+  }
+
+  /**
+   * Get the type requested by a $currentDate specification
+   * @param {*} spec - true, or { $type: 'date' | 'timestamp' }
+   * @param {string} fieldPath - Field path for error reporting
+   * @returns {string} 'date' or 'timestamp'
+   * @throws {ErrorHandler.ErrorTypes.INVALID_QUERY} When the specification is invalid
+   */
+  _getCurrentDateType(spec, fieldPath) {
+    if (spec === true) {
+      return 'date';
+    }
+    if (spec && typeof spec === 'object' && (spec.$type === 'date' || spec.$type === 'timestamp')) {
+      return spec.$type;
+    }
+    throw new ErrorHandler.ErrorTypes.INVALID_QUERY(fieldPath, "$currentDate operation requires true or { $type: 'date' | 'timestamp' }");
+  }
+
   /**
    * Validate that operations object is not empty
    * @param {Object} ops - Operations object to validate
@@ -537,3 +1317,23 @@ class UpdateEngine {
     }
   }
 }
+
+/**
+ * Path segments treated as positional operators: $, $[] and $[identifier]
+ */
+UpdateEngine.POSITIONAL_SEGMENT_PATTERN = /^\$(\[[a-zA-Z0-9]*\])?$/;
+
+/**
+ * Logical query operators, which make a $pull condition a query over subdocument elements
+ */
+UpdateEngine.LOGICAL_OPERATORS = ['$and', '$or', '$nor'];
+
+/**
+ * Modifiers accepted in a $push value alongside $each
+ */
+UpdateEngine.PUSH_MODIFIERS = ['$each', '$position', '$sort', '$slice'];
+
+/**
+ * Valid arrayFilters identifiers (as in MongoDB, starting with a lowercase letter)
+ */
+UpdateEngine.ARRAY_FILTER_IDENTIFIER_PATTERN = /^[a-z][a-zA-Z0-9]*$/;
@@ -5,11 +5,12 @@
  * - Full CRUD operations with field-based query support
  * - Lazy loading from Google Drive
  * - Integration with CollectionMetadata, DocumentOperations, and QueryEngine
+ * - Secondary indexes (createIndex) maintained in memory by IndexManager
  * - File persistence through FileService
  *
  * Enhanced in Section 6 with QueryEngine integration:
  * - findOne(filter): supports {}, {_id: "id"}, and field-based queries
- * - find(filter): supports {} and field-based queries
+ * - find(filter): supports {} and field-based queries, returning a lazily evaluated Cursor
  * - updateOne(filter, update): supports field-based filters, document replacement only
  * - deleteOne(filter): supports field-based filters
  * - countDocuments(filter): supports {} and field-based queries
@@ -58,6 +59,8 @@ class Collection {
     // Initialise collection metadata for both coordination and persistence
     this._metadata = CollectionMetadata.create(name, driveFileId);
     this._documentOperations = null;
+    // Secondary indexes over this._documents, rebuilt when the documents are loaded
+    this._indexManager = new IndexManager(this);
 
     // Inject coordinator for cross-instance operations
     this._coordinator = new CollectionCoordinator(
@@ -111,6 +114,7 @@ class Collection {
         this._driveFileId,
         metadataObj
       );
+      this._indexManager.buildIndexes(this._metadata.getIndexes());
 
       // Create DocumentOperations instance with this collection as reference
       this._documentOperations = new DocumentOperations(this);
@@ -201,127 +205,204 @@ class Collection {
 
     const filterKeys = Object.keys(filter);
 
-    // Validate _id filter value if present
-    if (filterKeys.includes("_id")) {
+    // Validate _id filter value if present (operator expressions are left to QueryEngine)
+    if (filterKeys.includes("_id") && !Validate.isPlainObject(filter._id)) {
       Validate.nonEmptyString(filter._id, "filter._id");
     }
   }
 
+  /**
+   * Determines whether a filter is a direct _id lookup ({_id: "id"})
+   * @private
+   * @param {Object} filter - Filter to inspect
+   * @returns {boolean} True if the filter only contains a literal _id value
+   */
+  _isIdFilter(filter) {
+    const filterKeys = Object.keys(filter);
+    return filterKeys.length === 1 && filterKeys[0] === "_id" && typeof filter._id === "string";
+  }
+
   /**
    * Insert a single document (MongoDB-compatible)
    * @param {Object} doc - Document to insert
    * @returns {Object} {insertedId: string, acknowledged: boolean}
    * @throws {InvalidArgumentError} For invalid documents
    * @throws {ConflictError} For duplicate IDs
+   * @throws {DuplicateKeyError} When the document would duplicate a value in a unique index
    */
   insertOne(doc) {
     return this._coordinator.coordinate("insertOne", () => {
       this._ensureLoaded();
-      const insertedDoc = this._documentOperations.insertDocument(doc);
-      // Update metadata and mark dirty locally
-      this._updateMetadata({ documentCount: Object.keys(this._documents).length });
-      this._markDirty();
-      return { insertedId: insertedDoc._id, acknowledged: true };
+      return this._applyInsertOne(doc);
+    });
+  }
+
+  /**
+   * Inserts a single document within an already coordinated operation
+   * @private
+   * @param {Object} doc - Document to insert
+   * @returns {Object} {insertedId: string, acknowledged: boolean}
+   */
+  _applyInsertOne(doc) {
+    const insertedDoc = this._documentOperations.insertDocument(doc);
+    // Update metadata and mark dirty locally
+    this._updateMetadata({ documentCount: Object.keys(this._documents).length });
+    this._markDirty();
+    return { insertedId: insertedDoc._id, acknowledged: true };
+  }
+
+  /**
+   * Insert multiple documents (MongoDB-compatible)
+   * Runs as one coordinated operation: a single lock, conflict check and MasterIndex metadata update.
+   * @param {Array<Object>} docs - Documents to insert
+   * @param {Object} [options={}] - Insert options
+   * @param {boolean} [options.ordered=true] - Stop at the first failed insert (true) or attempt every document (false)
+   * @returns {Object} {insertedCount: number, insertedIds: Object<number, string>, acknowledged: boolean}
+   * @throws {InvalidArgumentError} For invalid documents or options (nothing is inserted)
+   * @throws {BulkWriteError} When any document fails to insert; successful inserts are kept
+   */
+  insertMany(docs, options = {}) {
+    const result = this._coordinator.coordinate("insertMany", () => {
+      this._ensureLoaded();
+      const insertResult = this._documentOperations.insertDocuments(docs, options);
+      if (insertResult.insertedCount > 0) {
+        this._updateMetadata({ documentCount: Object.keys(this._documents).length });
+        this._markDirty();
+      }
+      return insertResult;
     });
+
+    const summary = {
+      insertedCount: result.insertedCount,
+      insertedIds: result.insertedIds,
+      acknowledged: true,
+    };
+
+    // Thrown after coordination so the successful inserts are still recorded in the MasterIndex
+    if (result.writeErrors.length > 0) {
+      throw new ErrorHandler.ErrorTypes.BULK_WRITE_ERROR(result.writeErrors, summary);
+    }
+
+    return summary;
   }
 
   /**
    * Find a single document by filter (MongoDB-compatible with QueryEngine support)
    * @param {Object} filter - Query filter (supports field-based queries, _id queries, and empty filter)
+   * @param {Object} [options={}] - Find options
+   * @param {Object} [options.projection] - Fields to include or exclude (e.g. { name: 1, _id: 0 })
    * @returns {Object|null} Document object or null
-   * @throws {InvalidArgumentError} For invalid filters
+   * @throws {InvalidArgumentError} For invalid filters, options or projections
    */
-  findOne(filter = {}) {
+  findOne(filter = {}, options = {}) {
     this._ensureLoaded();
     this._validateFilter(filter, "findOne");
-
-    const filterKeys = Object.keys(filter);
-
-    // Empty filter {} - return first document
-    if (filterKeys.length === 0) {
-      const allDocs = this._documentOperations.findAllDocuments();
-      return allDocs.length > 0 ? allDocs[0] : null;
-    }
+    Validate.object(options, "options");
 
     // ID filter {_id: "id"} - use direct lookup for performance
-    if (filterKeys.length === 1 && filterKeys[0] === "_id") {
-      return this._documentOperations.findDocumentById(filter._id);
+    if (this._isIdFilter(filter)) {
+      const doc = this._documentOperations.findDocumentById(filter._id);
+      const projected = this._documentOperations.projectDocuments(doc ? [doc] : [], options.projection);
+      return projected.length > 0 ? projected[0] : null;
     }
 
-    // Field-based or complex queries - use QueryEngine
-    return this._documentOperations.findByQuery(filter);
+    // Empty, field-based or complex queries - use QueryEngine
+    return this._documentOperations.findByQuery(filter, options);
   }
 
   /**
    * Find multiple documents by filter (MongoDB-compatible with QueryEngine support)
+   * Returns a lazily evaluated cursor; call toArray(), forEach() or next() to read results.
    * @param {Object} filter - Query filter (supports field-based queries and empty filter)
-   * @returns {Array} Array of document objects
-   * @throws {InvalidArgumentError} For invalid filters
+   * @param {Object} [options={}] - Find options (also available as cursor methods)
+   * @param {Object} [options.projection] - Fields to include or exclude (e.g. { name: 1, _id: 0 })
+   * @param {Object} [options.sort] - Sort specification (e.g. { year: -1, name: 1 })
+   * @param {number} [options.skip=0] - Number of matching documents to skip
+   * @param {number} [options.limit=0] - Maximum number of documents to return (0 for no limit)
+   * @returns {Cursor} Cursor over the matching documents
+   * @throws {InvalidArgumentError} For invalid filters, options or projections
+   * @throws {InvalidQueryError} For invalid query operators
    */
-  find(filter = {}) {
+  find(filter = {}, options = {}) {
     this._ensureLoaded();
     this._validateFilter(filter, "find");
+    Validate.object(options, "options");
 
-    const filterKeys = Object.keys(filter);
-
-    // Empty filter {} - return all documents
-    if (filterKeys.length === 0) {
-      return this._documentOperations.findAllDocuments();
-    }
-
-    // Field-based or complex queries - use QueryEngine
-    return this._documentOperations.findMultipleByQuery(filter);
+    return new Cursor(this._documentOperations, filter, options);
   }
 
   /**
    * Update a single document by filter (MongoDB-compatible with QueryEngine support)
    * @param {string|Object} filterOrId - Document ID or filter criteria
-   * @param {Object} update - Update operators (e.g. {$set: {field: value}}) or document replacement
-   * @returns {Object} {matchedCount: number, modifiedCount: number, acknowledged: boolean}
+   * @param {Object|Array<Object>} update - Update operators (e.g. {$set: {field: value}}), an aggregation
+   *   pipeline (e.g. [{$set: {total: {$multiply: ["$price", "$qty"]}}}]) or document replacement
+   * @param {Object} [options={}] - Update options
+   * @param {boolean} [options.upsert=false] - Insert a new document when nothing matches
+   * @param {Array<Object>} [options.arrayFilters] - Filters selecting the array elements updated by $[identifier]
+   * @returns {Object} {matchedCount: number, modifiedCount: number, acknowledged: boolean}, plus
+   *   {upsertedCount: number, upsertedId: string|null} when upsert is requested
    * @throws {InvalidArgumentError} For invalid parameters
+   * @throws {DuplicateKeyError} When the updated or upserted document would duplicate a value in a unique index
    */
-  updateOne(filterOrId, update) {
+  updateOne(filterOrId, update, options = {}) {
     return this._coordinator.coordinate("updateOne", () => {
       this._ensureLoaded();
+      return this._applyUpdateOne(filterOrId, update, options);
+    });
+  }
+
+  /**
+   * Updates a single document within an already coordinated operation
+   * @private
+   * @param {string|Object} filterOrId - Document ID or filter criteria
+   * @param {Object|Array<Object>} update - Update operators, pipeline or document replacement
+   * @param {Object} [options={}] - Update options
+   * @returns {Object} Update result
+   */
+  _applyUpdateOne(filterOrId, update, options = {}) {
+    const isPipeline = this._validatePipelineUpdate(update, options);
+    if (!isPipeline) {
       // Use Validate for update validation - disallow empty objects
       Validate.object(update, "update", false);
+    }
+    const upsert = this._validateUpsertOption(options);
+    this._validateArrayFiltersOption(options);
 
-      // Determine if this is a filter or ID
-      const isIdFilter = typeof filterOrId === "string";
-      const filter = isIdFilter ? { _id: filterOrId } : filterOrId;
+    // Determine if this is a filter or ID
+    const isIdFilter = typeof filterOrId === "string";
+    const filter = isIdFilter ? { _id: filterOrId } : filterOrId;
 
-      if (!isIdFilter) {
-        this._validateFilter(filter, "updateOne");
-      }
+    if (!isIdFilter) {
+      this._validateFilter(filter, "updateOne");
+    }
 
-      // Validate update object structure
+    // Validate update object structure
+    if (!isPipeline) {
       Validate.validateUpdateObject(update, "update");
+    }
 
-      // Delegate to appropriate helper
-      const updateKeys = Object.keys(update);
-      const hasOperators = updateKeys.some((key) => key.startsWith("$"));
-      return hasOperators
-        ? this._updateOneWithOperators(filter, update)
-        : this._updateOneWithReplacement(filter, update);
-    });
+    // Delegate to appropriate helper (pipelines are applied like operators)
+    const hasOperators = isPipeline || Object.keys(update).some((key) => key.startsWith("$"));
+    const result = hasOperators
+      ? this._updateOneWithOperators(filter, update, options)
+      : this._updateOneWithReplacement(filter, update);
+    return upsert ? this._upsertIfUnmatched(result, filter, update) : result;
   }
 
   /**
-   * Updates a single document using update operators
+   * Updates a single document using update operators or a pipeline
    * @private
    * @param {Object} filter - Query filter
-   * @param {Object} update - Update operators
+   * @param {Object|Array<Object>} update - Update operators or pipeline
+   * @param {Object} [options={}] - Update options (arrayFilters)
    * @returns {Object} Update result
    */
-  _updateOneWithOperators(filter, update) {
-    const filterKeys = Object.keys(filter);
+  _updateOneWithOperators(filter, update, options = {}) {
+    const updateOptions = { query: filter, arrayFilters: options.arrayFilters };
 
-    if (filterKeys.length === 1 && filterKeys[0] === "_id") {
+    if (this._isIdFilter(filter)) {
       // ID-based update with operators
-      const result = this._documentOperations.updateDocumentWithOperators(
-        filter._id,
-        update
-      );
+      const result = this._updateDocumentById(filter._id, update, updateOptions);
 
       if (result.modifiedCount > 0) {
         this._updateMetadata();
@@ -345,10 +426,7 @@ class Collection {
         };
       }
 
-      const result = this._documentOperations.updateDocumentWithOperators(
-        matchingDoc._id,
-        update
-      );
+      const result = this._updateDocumentById(matchingDoc._id, update, updateOptions);
 
       if (result.modifiedCount > 0) {
         this._updateMetadata();
@@ -363,6 +441,20 @@ class Collection {
     }
   }
 
+  /**
+   * Applies update operators or a pipeline to one document
+   * @private
+   * @param {string} id - Document ID
+   * @param {Object|Array<Object>} update - Update operators or pipeline
+   * @param {Object} [options={}] - Operator update options (query, arrayFilters)
+   * @returns {Object} {acknowledged: boolean, modifiedCount: number}
+   */
+  _updateDocumentById(id, update, options = {}) {
+    return Array.isArray(update)
+      ? this._documentOperations.updateDocumentWithPipeline(id, update)
+      : this._documentOperations.updateDocumentWithOperators(id, update, options);
+  }
+
   /**
    * Updates a single document with replacement
    * @private
@@ -371,9 +463,7 @@ class Collection {
    * @returns {Object} Update result
    */
   _updateOneWithReplacement(filter, update) {
-    const filterKeys = Object.keys(filter);
-
-    if (filterKeys.length === 1 && filterKeys[0] === "_id") {
+    if (this._isIdFilter(filter)) {
       // ID-based document replacement
       const result = this._documentOperations.updateDocument(
         filter._id,
@@ -423,105 +513,224 @@ class Collection {
   /**
    * Update multiple documents matching a filter (MongoDB-compatible)
    * @param {Object} filter - Query filter criteria
-   * @param {Object} update - Update operators (e.g. {$set: {field: value}})
-   * @returns {Object} {matchedCount: number, modifiedCount: number, acknowledged: boolean}
+   * @param {Object|Array<Object>} update - Update operators (e.g. {$set: {field: value}}) or an aggregation pipeline
+   * @param {Object} [options={}] - Update options
+   * @param {boolean} [options.upsert=false] - Insert a new document when nothing matches
+   * @param {Array<Object>} [options.arrayFilters] - Filters selecting the array elements updated by $[identifier]
+   * @returns {Object} {matchedCount: number, modifiedCount: number, acknowledged: boolean}, plus
+   *   {upsertedCount: number, upsertedId: string|null} when upsert is requested
    * @throws {InvalidArgumentError} For invalid parameters
+   * @throws {DuplicateKeyError} When the updated or upserted documents would duplicate a value in a unique index
    */
-  updateMany(filter, update) {
+  updateMany(filter, update, options = {}) {
     return this._coordinator.coordinate("updateMany", () => {
       this._ensureLoaded();
-      this._validateFilter(filter, "updateMany");
+      return this._applyUpdateMany(filter, update, options);
+    });
+  }
+
+  /**
+   * Updates multiple documents within an already coordinated operation
+   * @private
+   * @param {Object} filter - Query filter criteria
+   * @param {Object|Array<Object>} update - Update operators or pipeline
+   * @param {Object} [options={}] - Update options
+   * @returns {Object} Update result
+   */
+  _applyUpdateMany(filter, update, options = {}) {
+    this._validateFilter(filter, "updateMany");
 
+    if (!this._validatePipelineUpdate(update, options)) {
       // Use Validate for update validation - disallow empty objects
       Validate.object(update, "update", false);
 
       // Validate update object structure - require operators only
       Validate.validateUpdateObject(update, "update", { requireOperators: true });
+    }
+    const upsert = this._validateUpsertOption(options);
+    this._validateArrayFiltersOption(options);
 
-      // Find all matching documents first
-      const matchingDocs = this._documentOperations.findMultipleByQuery(filter);
-      const matchedCount = matchingDocs.length;
+    // Find all matching documents first
+    const matchingDocs = this._documentOperations.findMultipleByQuery(filter);
+    const matchedCount = matchingDocs.length;
 
-      if (matchedCount === 0) {
-        return { matchedCount: 0, modifiedCount: 0, acknowledged: true };
-      }
+    if (matchedCount === 0) {
+      const result = { matchedCount: 0, modifiedCount: 0, acknowledged: true };
+      return upsert ? this._upsertIfUnmatched(result, filter, update) : result;
+    }
 
-      // Apply updates to all matching documents
-      let modifiedCount = 0;
-      for (const doc of matchingDocs) {
-        const result = this._documentOperations.updateDocumentWithOperators(
-          doc._id,
-          update
-        );
-        modifiedCount += result.modifiedCount;
-      }
+    // Apply updates to all matching documents; a duplicate key leaves every one of them unchanged
+    const { modifiedCount } = this._documentOperations.updateDocuments(matchingDocs.map(doc => doc._id), update, {
+      query: filter,
+      arrayFilters: options.arrayFilters
+    });
 
-      if (modifiedCount > 0) {
-        this._updateMetadata();
-        this._markDirty();
-      }
+    if (modifiedCount > 0) {
+      this._updateMetadata();
+      this._markDirty();
+    }
 
-      return { matchedCount, modifiedCount, acknowledged: true };
-    });
+    const result = { matchedCount, modifiedCount, acknowledged: true };
+    return upsert ? this._upsertIfUnmatched(result, filter, update) : result;
   }
 
   /**
    * Replace a single document by filter or ID (MongoDB-compatible)
    * @param {string|Object} filterOrId - Document ID or filter criteria
    * @param {Object} doc - Replacement document (cannot contain update operators)
-   * @returns {Object} {matchedCount: number, modifiedCount: number, acknowledged: boolean}
+   * @param {Object} [options={}] - Replace options
+   * @param {boolean} [options.upsert=false] - Insert the replacement when nothing matches
+   * @returns {Object} {matchedCount: number, modifiedCount: number, acknowledged: boolean}, plus
+   *   {upsertedCount: number, upsertedId: string|null} when upsert is requested
    * @throws {InvalidArgumentError} For invalid parameters
+   * @throws {DuplicateKeyError} When the replacement would duplicate a value in a unique index
    */
-  replaceOne(filterOrId, doc) {
+  replaceOne(filterOrId, doc, options = {}) {
     return this._coordinator.coordinate("replaceOne", () => {
       this._ensureLoaded();
+      return this._applyReplaceOne(filterOrId, doc, options);
+    });
+  }
+
+  /**
+   * Replaces a single document within an already coordinated operation
+   * @private
+   * @param {string|Object} filterOrId - Document ID or filter criteria
+   * @param {Object} doc - Replacement document
+   * @param {Object} [options={}] - Replace options
+   * @returns {Object} Replace result
+   */
+  _applyReplaceOne(filterOrId, doc, options = {}) {
+    // Use Validate for doc validation - disallow empty objects
+    Validate.object(doc, "doc", false);
+
+    // Validate that replacement document contains no operators
+    Validate.validateUpdateObject(doc, "doc", { forbidOperators: true });
+    const upsert = this._validateUpsertOption(options);
 
-      // Use Validate for doc validation - disallow empty objects
-      Validate.object(doc, "doc", false);
+    // Determine if this is a filter or ID
+    const isIdFilter = typeof filterOrId === "string";
+    const filter = isIdFilter ? { _id: filterOrId } : filterOrId;
 
-      // Validate that replacement document contains no operators
-      Validate.validateUpdateObject(doc, "doc", { forbidOperators: true });
+    if (!isIdFilter) {
+      this._validateFilter(filter, "replaceOne");
+    }
+
+    const result = this._replaceOneByFilter(filter, doc);
+    return upsert ? this._upsertIfUnmatched(result, filter, doc) : result;
+  }
 
-      // Determine if this is a filter or ID
-      const isIdFilter = typeof filterOrId === "string";
-      const filter = isIdFilter ? { _id: filterOrId } : filterOrId;
+  /**
+   * Replaces the first document matching a filter
+   * @private
+   * @param {Object} filter - Query filter
+   * @param {Object} doc - Replacement document
+   * @returns {Object} {matchedCount: number, modifiedCount: number, acknowledged: boolean}
+   */
+  _replaceOneByFilter(filter, doc) {
+    if (this._isIdFilter(filter)) {
+      // ID-based replacement
+      const result = this._documentOperations.replaceDocument(filter._id, doc);
 
-      if (!isIdFilter) {
-        this._validateFilter(filter, "replaceOne");
+      if (result.modifiedCount > 0) {
+        this._updateMetadata();
+        this._markDirty();
       }
 
-      const filterKeys = Object.keys(filter);
+      return { matchedCount: result.modifiedCount > 0 ? 1 : 0, modifiedCount: result.modifiedCount, acknowledged: true };
+    }
 
-      if (filterKeys.length === 1 && filterKeys[0] === "_id") {
-        // ID-based replacement
-        const result = this._documentOperations.replaceDocument(filter._id, doc);
+    // Field-based filter replacement
+    const matchingDoc = this._documentOperations.findByQuery(filter);
 
-        if (result.modifiedCount > 0) {
-          this._updateMetadata();
-          this._markDirty();
-        }
+    if (!matchingDoc) {
+      return { matchedCount: 0, modifiedCount: 0, acknowledged: true };
+    }
 
-        return { matchedCount: result.modifiedCount > 0 ? 1 : 0, modifiedCount: result.modifiedCount, acknowledged: true };
-      }
+    const result = this._documentOperations.replaceDocument(matchingDoc._id, doc);
 
-      // Field-based filter replacement
-      const matchingDoc = this._documentOperations.findByQuery(filter);
+    if (result.modifiedCount > 0) {
+      this._updateMetadata();
+      this._markDirty();
+    }
 
-      if (!matchingDoc) {
-        return { matchedCount: 0, modifiedCount: 0, acknowledged: true };
-      }
+    return { matchedCount: 1, modifiedCount: result.modifiedCount, acknowledged: true };
+  }
 
-      const result = this._documentOperations.replaceDocument(matchingDoc._id, doc);
+  /**
+   * Validates the options accepted by upsert-capable writes
+   * @private
+   * @param {Object} options - Write options
+   * @returns {boolean} True when an upsert was requested
+   * @throws {InvalidArgumentError} When options or options.upsert are invalid
+   */
+  _validateUpsertOption(options) {
+    Validate.object(options, "options");
+    if (options.upsert !== undefined) {
+      Validate.boolean(options.upsert, "options.upsert");
+    }
+    return options.upsert === true;
+  }
 
-      if (result.modifiedCount > 0) {
-        this._updateMetadata();
-        this._markDirty();
+  /**
+   * Validates the arrayFilters option accepted by operator updates
+   * Identifiers are checked against the update when it is applied.
+   * @private
+   * @param {Object} options - Update options
+   * @throws {InvalidArgumentError} When arrayFilters is not an array of objects
+   */
+  _validateArrayFiltersOption(options) {
+    if (options.arrayFilters === undefined) {
+      return;
+    }
+    Validate.array(options.arrayFilters, "options.arrayFilters");
+    options.arrayFilters.forEach((filter, index) => {
+      if (!Validate.isPlainObject(filter)) {
+        throw new InvalidArgumentError(`options.arrayFilters[${index}]`, filter, "must be an object");
       }
-
-      return { matchedCount: 1, modifiedCount: result.modifiedCount, acknowledged: true };
     });
   }
 
+  /**
+   * Validates an aggregation pipeline update and the options allowed with it
+   * @private
+   * @param {*} update - Update passed to an update method
+   * @param {Object} options - Update options
+   * @returns {boolean} True when the update is a pipeline
+   * @throws {InvalidArgumentError} When arrayFilters are given for a pipeline, or the pipeline is empty
+   * @throws {InvalidQueryError} When a stage or expression is invalid
+   */
+  _validatePipelineUpdate(update, options) {
+    if (!Array.isArray(update)) {
+      return false;
+    }
+    if (options.arrayFilters !== undefined) {
+      throw new InvalidArgumentError("options.arrayFilters", options.arrayFilters, "cannot be used with pipeline updates");
+    }
+    this._documentOperations.validateUpdatePipeline(update);
+    return true;
+  }
+
+  /**
+   * Completes an upsert: inserts a new document when the write matched nothing
+   * @private
+   * @param {Object} result - Result of the update or replace
+   * @param {Object} filter - Query filter used for the write
+   * @param {Object|Array<Object>} update - Update operators, pipeline or replacement document
+   * @returns {Object} The result with upsertedCount and upsertedId added
+   */
+  _upsertIfUnmatched(result, filter, update) {
+    if (result.matchedCount > 0) {
+      return Object.assign(result, { upsertedCount: 0, upsertedId: null });
+    }
+
+    const insertedDoc = this._documentOperations.upsertDocument(filter, update);
+    this._updateMetadata({ documentCount: Object.keys(this._documents).length });
+    this._markDirty();
+
+    return Object.assign(result, { upsertedCount: 1, upsertedId: insertedDoc._id });
+  }
+
   /**
    * Deletes a single document by filter (MongoDB-compatible with QueryEngine support)
    * @param {Object} filter - Query filter (supports field-based queries, _id queries, and empty filter)
@@ -531,36 +740,46 @@ class Collection {
   deleteOne(filter = {}) {
     return this._coordinator.coordinate("deleteOne", () => {
       this._ensureLoaded();
-      this._validateFilter(filter, "deleteOne");
-      const filterKeys = Object.keys(filter);
-      // Empty filter {} - no op
-      if (filterKeys.length === 0) {
-        return { deletedCount: 0, acknowledged: true };
-      }
-      // ID filter
-      if (filterKeys.length === 1 && filterKeys[0] === "_id") {
-        const result = this._documentOperations.deleteDocument(filter._id);
-        if (result.deletedCount > 0) {
-          this._updateMetadata({ documentCount: Object.keys(this._documents).length });
-          this._markDirty();
-        }
-        return { deletedCount: result.deletedCount, acknowledged: true };
-      }
-      // Field-based - only delete the FIRST matching document
-      const matchingDocs = this._documentOperations.findMultipleByQuery(filter);
-      if (matchingDocs.length === 0) {
-        return { deletedCount: 0, acknowledged: true };
-      }
-      // Only delete the first matching document for deleteOne()
-      const firstDoc = matchingDocs[0];
-      const res = this._documentOperations.deleteDocument(firstDoc._id);
-      const deletedCount = res.deletedCount;
-      if (deletedCount > 0) {
+      return this._applyDeleteOne(filter);
+    });
+  }
+
+  /**
+   * Deletes a single document within an already coordinated operation
+   * @private
+   * @param {Object} filter - Query filter
+   * @returns {Object} {deletedCount: number, acknowledged: boolean}
+   */
+  _applyDeleteOne(filter) {
+    this._validateFilter(filter, "deleteOne");
+    const filterKeys = Object.keys(filter);
+    // Empty filter {} - no op
+    if (filterKeys.length === 0) {
+      return { deletedCount: 0, acknowledged: true };
+    }
+    // ID filter
+    if (this._isIdFilter(filter)) {
+      const result = this._documentOperations.deleteDocument(filter._id);
+      if (result.deletedCount > 0) {
         this._updateMetadata({ documentCount: Object.keys(this._documents).length });
         this._markDirty();
       }
-      return { deletedCount, acknowledged: true };
-    });
+      return { deletedCount: result.deletedCount, acknowledged: true };
+    }
+    // Field-based - only delete the FIRST matching document
+    const matchingDocs = this._documentOperations.findMultipleByQuery(filter);
+    if (matchingDocs.length === 0) {
+      return { deletedCount: 0, acknowledged: true };
+    }
+    // Only delete the first matching document for deleteOne()
+    const firstDoc = matchingDocs[0];
+    const res = this._documentOperations.deleteDocument(firstDoc._id);
+    const deletedCount = res.deletedCount;
+    if (deletedCount > 0) {
+      this._updateMetadata({ documentCount: Object.keys(this._documents).length });
+      this._markDirty();
+    }
+    return { deletedCount, acknowledged: true };
   }
 
   /**
@@ -572,22 +791,366 @@ class Collection {
   deleteMany(filter = {}) {
     return this._coordinator.coordinate("deleteMany", () => {
       this._ensureLoaded();
-      this._validateFilter(filter, "deleteMany");
-      const filterKeys = Object.keys(filter);
-      if (filterKeys.length === 0) return { deletedCount: 0, acknowledged: true };
-      const matchingDocs = this._documentOperations.findMultipleByQuery(filter);
-      if (matchingDocs.length === 0) return { deletedCount: 0, acknowledged: true };
-      let deletedCount = 0;
-      for (const doc of matchingDocs) {
-        const res = this._documentOperations.deleteDocument(doc._id);
-        deletedCount += res.deletedCount;
+      return this._applyDeleteMany(filter);
+    });
+  }
+
+  /**
+   * Deletes multiple documents within an already coordinated operation
+   * @private
+   * @param {Object} filter - Query filter
+   * @returns {Object} {deletedCount: number, acknowledged: boolean}
+   */
+  _applyDeleteMany(filter) {
+    this._validateFilter(filter, "deleteMany");
+    const filterKeys = Object.keys(filter);
+    if (filterKeys.length === 0) return { deletedCount: 0, acknowledged: true };
+    const matchingDocs = this._documentOperations.findMultipleByQuery(filter);
+    if (matchingDocs.length === 0) return { deletedCount: 0, acknowledged: true };
+    let deletedCount = 0;
+    for (const doc of matchingDocs) {
+      const res = this._documentOperations.deleteDocument(doc._id);
+      deletedCount += res.deletedCount;
+    }
+    if (deletedCount > 0) {
+      this._updateMetadata({ documentCount: Object.keys(this._documents).length });
+      this._markDirty();
+    }
+    return { deletedCount, acknowledged: true };
+  }
+
+  /**
+   * Atomically find a document and apply update operators to it (MongoDB-compatible)
+   * The find and the update run in one coordinated operation, so concurrent executions cannot claim the same document.
+   * @param {Object} filter - Query filter criteria
+   * @param {Object|Array<Object>} update - Update operators (e.g. {$set: {field: value}}) or an aggregation pipeline
+   * @param {Object} [options={}] - Find and modify options
+   * @param {Object} [options.sort] - Sort specification choosing which matching document is updated
+   * @param {Object} [options.projection] - Fields to include or exclude in the returned document
+   * @param {boolean} [options.upsert=false] - Insert a new document when nothing matches
+   * @param {Array<Object>} [options.arrayFilters] - Filters selecting the array elements updated by $[identifier]
+   * @param {string} [options.returnDocument="before"] - Return the document as it was "before" or "after" the update
+   * @returns {Object|null} The selected document, or null when nothing matched (or an upsert returned "before")
+   * @throws {InvalidArgumentError} For invalid parameters or options
+   * @throws {DuplicateKeyError} When the updated or upserted document would duplicate a value in a unique index
+   */
+  findOneAndUpdate(filter, update, options = {}) {
+    return this._coordinator.coordinate("findOneAndUpdate", () => {
+      this._ensureLoaded();
+      const upsert = this._validateFindAndModifyOptions(options);
+      this._validateArrayFiltersOption(options);
+      this._validateFilter(filter, "findOneAndUpdate");
+      if (!this._validatePipelineUpdate(update, options)) {
+        Validate.validateUpdateObject(update, "update", { requireOperators: true });
+        this._documentOperations.validateUpdateOperators(update);
       }
-      if (deletedCount > 0) {
-        this._updateMetadata({ documentCount: Object.keys(this._documents).length });
-        this._markDirty();
+
+      const before = this._findFirstForModify(filter, options.sort);
+      if (!before) {
+        return upsert ? this._upsertForModify(filter, update, options) : null;
+      }
+
+      this._updateDocumentById(before._id, update, {
+        query: filter,
+        arrayFilters: options.arrayFilters
+      });
+      this._updateMetadata();
+      this._markDirty();
+      return this._returnModifiedDocument(before, before._id, options);
+    });
+  }
+
+  /**
+   * Atomically find a document and replace it (MongoDB-compatible)
+   * @param {Object} filter - Query filter criteria
+   * @param {Object} replacement - Replacement document (cannot contain update operators)
+   * @param {Object} [options={}] - Find and modify options
+   * @param {Object} [options.sort] - Sort specification choosing which matching document is replaced
+   * @param {Object} [options.projection] - Fields to include or exclude in the returned document
+   * @param {boolean} [options.upsert=false] - Insert the replacement when nothing matches
+   * @param {string} [options.returnDocument="before"] - Return the document as it was "before" or "after" the replacement
+   * @returns {Object|null} The selected document, or null when nothing matched (or an upsert returned "before")
+   * @throws {InvalidArgumentError} For invalid parameters or options
+   * @throws {DuplicateKeyError} When the replacement would duplicate a value in a unique index
+   */
+  findOneAndReplace(filter, replacement, options = {}) {
+    return this._coordinator.coordinate("findOneAndReplace", () => {
+      this._ensureLoaded();
+      const upsert = this._validateFindAndModifyOptions(options);
+      this._validateFilter(filter, "findOneAndReplace");
+      Validate.object(replacement, "replacement", false);
+      Validate.validateUpdateObject(replacement, "replacement", { forbidOperators: true });
+
+      const before = this._findFirstForModify(filter, options.sort);
+      if (!before) {
+        return upsert ? this._upsertForModify(filter, replacement, options) : null;
+      }
+
+      this._documentOperations.replaceDocument(before._id, replacement);
+      this._updateMetadata();
+      this._markDirty();
+      return this._returnModifiedDocument(before, before._id, options);
+    });
+  }
+
+  /**
+   * Atomically find a document and delete it (MongoDB-compatible)
+   * @param {Object} filter - Query filter criteria
+   * @param {Object} [options={}] - Find and modify options
+   * @param {Object} [options.sort] - Sort specification choosing which matching document is deleted
+   * @param {Object} [options.projection] - Fields to include or exclude in the returned document
+   * @returns {Object|null} The deleted document, or null when nothing matched
+   * @throws {InvalidArgumentError} For invalid parameters or options
+   */
+  findOneAndDelete(filter, options = {}) {
+    return this._coordinator.coordinate("findOneAndDelete", () => {
+      this._ensureLoaded();
+      this._validateFindAndModifyOptions(options);
+      this._validateFilter(filter, "findOneAndDelete");
+
+      const deleted = this._findFirstForModify(filter, options.sort);
+      if (!deleted) {
+        return null;
+      }
+
+      this._documentOperations.deleteDocument(deleted._id);
+      this._updateMetadata({ documentCount: Object.keys(this._documents).length });
+      this._markDirty();
+      return this._returnModifiedDocument(deleted, null, { projection: options.projection });
+    });
+  }
+
+  /**
+   * Validates the options shared by findOneAndUpdate, findOneAndReplace and findOneAndDelete
+   * @private
+   * @param {Object} options - Find and modify options
+   * @returns {boolean} True when an upsert was requested
+   * @throws {InvalidArgumentError} When any option is invalid
+   */
+  _validateFindAndModifyOptions(options) {
+    const upsert = this._validateUpsertOption(options);
+    this._documentOperations.validateFindOptions({ sort: options.sort });
+    if (options.projection !== undefined) {
+      // Projecting no documents still validates the projection
+      this._documentOperations.projectDocuments([], options.projection);
+    }
+    if (options.returnDocument !== undefined && !Collection.RETURN_DOCUMENT_VALUES.includes(options.returnDocument)) {
+      throw new InvalidArgumentError("options.returnDocument", options.returnDocument, 'must be "before" or "after"');
+    }
+    return upsert;
+  }
+
+  /**
+   * Finds the first document a find and modify operation acts on
+   * @private
+   * @param {Object} filter - Query filter criteria
+   * @param {Object} [sort] - Sort specification deciding which match comes first
+   * @returns {Object|null} Copy of the document, or null when nothing matches
+   */
+  _findFirstForModify(filter, sort) {
+    return new Cursor(this._documentOperations, filter, { sort, limit: 1 }).next();
+  }
+
+  /**
+   * Inserts the upserted document for a find and modify operation that matched nothing
+   * @private
+   * @param {Object} filter - Query filter criteria
+   * @param {Object|Array<Object>} update - Update operators, pipeline or replacement document
+   * @param {Object} options - Find and modify options
+   * @returns {Object|null} The new document when returnDocument is "after", otherwise null
+   */
+  _upsertForModify(filter, update, options) {
+    const insertedDoc = this._documentOperations.upsertDocument(filter, update);
+    this._updateMetadata({ documentCount: Object.keys(this._documents).length });
+    this._markDirty();
+    return this._returnModifiedDocument(null, insertedDoc._id, options);
+  }
+
+  /**
+   * Chooses and projects the document returned by a find and modify operation
+   * @private
+   * @param {Object|null} before - Copy of the document before modification
+   * @param {string|null} id - _id of the document after modification (null when it was deleted)
+   * @param {Object} options - Find and modify options
+   * @returns {Object|null} Projected document, or null when there is none to return
+   */
+  _returnModifiedDocument(before, id, options) {
+    const document = options.returnDocument === "after"
+      ? this._documentOperations.findDocumentById(id)
+      : before;
+    if (document === null) {
+      return null;
+    }
+    return this._documentOperations.projectDocuments([document], options.projection)[0];
+  }
+
+  /**
+   * Applies a batch of mixed write operations (MongoDB-compatible)
+   * The whole batch runs as one coordinated operation and is saved to Drive once at the end.
+   * @param {Array<Object>} operations - Operations such as {insertOne: {document}}, {updateOne: {filter, update}},
+   *   {updateMany: {filter, update}}, {replaceOne: {filter, replacement}}, {deleteOne: {filter}} or {deleteMany: {filter}}
+   * @param {Object} [options={}] - Bulk write options
+   * @param {boolean} [options.ordered=true] - Stop at the first failed operation (true) or attempt every operation (false)
+   * @returns {Object} {insertedCount, matchedCount, modifiedCount, deletedCount, upsertedCount, insertedIds, upsertedIds, acknowledged}
+   * @throws {InvalidArgumentError} For malformed operations or options (nothing is applied)
+   * @throws {BulkWriteError} When any operation fails; successful operations are kept
+   */
+  bulkWrite(operations, options = {}) {
+    Validate.nonEmptyArray(operations, "operations");
+    Validate.object(options, "options");
+    if (options.ordered !== undefined) {
+      Validate.boolean(options.ordered, "options.ordered");
+    }
+    const ordered = options.ordered !== false;
+    operations.forEach((operation, index) => this._validateBulkOperation(operation, index));
+
+    const outcome = this._coordinator.coordinate("bulkWrite", () => {
+      this._ensureLoaded();
+      const result = {
+        insertedCount: 0,
+        matchedCount: 0,
+        modifiedCount: 0,
+        deletedCount: 0,
+        upsertedCount: 0,
+        insertedIds: {},
+        upsertedIds: {},
+      };
+      const writeErrors = [];
+
+      for (let index = 0; index < operations.length; index++) {
+        try {
+          this._applyBulkOperation(operations[index], index, result);
+        } catch (error) {
+          // Unexpected (non-GAS DB) errors abort the batch as with any other operation
+          if (!(error instanceof GASDBError)) {
+            throw error;
+          }
+          writeErrors.push(this._documentOperations.createWriteError(index, error, operations[index]));
+          if (ordered) {
+            break;
+          }
+        }
+      }
+
+      // Persist the whole batch with a single Drive write
+      if (this._dirty) {
+        this._saveData();
+      }
+
+      return { result, writeErrors };
+    });
+
+    const summary = Object.assign({ acknowledged: true }, outcome.result);
+
+    // Thrown after coordination so the successful operations are still recorded in the MasterIndex
+    if (outcome.writeErrors.length > 0) {
+      throw new ErrorHandler.ErrorTypes.BULK_WRITE_ERROR(outcome.writeErrors, summary);
+    }
+
+    return summary;
+  }
+
+  /**
+   * Validates the shape of a single bulkWrite operation
+   * @private
+   * @param {Object} operation - Operation to validate
+   * @param {number} index - Position of the operation in the batch
+   * @throws {InvalidArgumentError} When the operation is malformed
+   */
+  _validateBulkOperation(operation, index) {
+    const argumentName = `operations[${index}]`;
+
+    if (!Validate.isPlainObject(operation) || Object.keys(operation).length !== 1) {
+      throw new InvalidArgumentError(argumentName, operation, "must be an object with exactly one operation");
+    }
+
+    const type = Object.keys(operation)[0];
+    const requiredFields = Collection.BULK_WRITE_OPERATIONS[type];
+    if (!requiredFields) {
+      throw new InvalidArgumentError(argumentName, operation, `unsupported operation "${type}"`);
+    }
+
+    const spec = operation[type];
+    if (!Validate.isPlainObject(spec)) {
+      throw new InvalidArgumentError(argumentName, operation, `${type} must be an object`);
+    }
+
+    requiredFields.forEach((field) => {
+      // Updates may also be given as an aggregation pipeline
+      const isPipeline = field === "update" && Array.isArray(spec[field]);
+      if (!isPipeline && !Validate.isPlainObject(spec[field])) {
+        throw new InvalidArgumentError(argumentName, operation, `${type}.${field} must be an object`);
       }
-      return { deletedCount, acknowledged: true };
     });
+
+    if (spec.upsert !== undefined && typeof spec.upsert !== "boolean") {
+      throw new InvalidArgumentError(argumentName, operation, `${type}.upsert must be a boolean`);
+    }
+    if (spec.arrayFilters !== undefined && !Array.isArray(spec.arrayFilters)) {
+      throw new InvalidArgumentError(argumentName, operation, `${type}.arrayFilters must be an array`);
+    }
+  }
+
+  /**
+   * Applies one bulkWrite operation and adds its outcome to the running result
+   * @private
+   * @param {Object} operation - Validated operation
+   * @param {number} index - Position of the operation in the batch
+   * @param {Object} result - Running bulkWrite result to update
+   */
+  _applyBulkOperation(operation, index, result) {
+    const type = Object.keys(operation)[0];
+    const spec = operation[type];
+
+    switch (type) {
+      case "insertOne": {
+        const inserted = this._applyInsertOne(spec.document);
+        result.insertedCount++;
+        result.insertedIds[index] = inserted.insertedId;
+        break;
+      }
+      case "updateOne":
+        this._addUpdateCounts(result, this._applyUpdateOne(spec.filter, spec.update, this._getBulkUpdateOptions(spec)), index);
+        break;
+      case "updateMany":
+        this._addUpdateCounts(result, this._applyUpdateMany(spec.filter, spec.update, this._getBulkUpdateOptions(spec)), index);
+        break;
+      case "replaceOne":
+        this._addUpdateCounts(result, this._applyReplaceOne(spec.filter, spec.replacement, { upsert: spec.upsert }), index);
+        break;
+      case "deleteOne":
+        result.deletedCount += this._applyDeleteOne(spec.filter).deletedCount;
+        break;
+      case "deleteMany":
+        result.deletedCount += this._applyDeleteMany(spec.filter).deletedCount;
+        break;
+    }
+  }
+
+  /**
+   * Extracts the update options carried by an updateOne or updateMany bulkWrite spec
+   * @private
+   * @param {Object} spec - Operation spec
+   * @returns {Object} {upsert, arrayFilters}
+   */
+  _getBulkUpdateOptions(spec) {
+    return { upsert: spec.upsert, arrayFilters: spec.arrayFilters };
+  }
+
+  /**
+   * Adds the counts from an update or replace result to a running bulkWrite result
+   * @private
+   * @param {Object} result - Running bulkWrite result to update
+   * @param {Object} updateResult - {matchedCount, modifiedCount, upsertedId?} from a single operation
+   * @param {number} index - Position of the operation in the batch
+   */
+  _addUpdateCounts(result, updateResult, index) {
+    result.matchedCount += updateResult.matchedCount;
+    result.modifiedCount += updateResult.modifiedCount;
+    if (updateResult.upsertedId) {
+      result.upsertedCount++;
+      result.upsertedIds[index] = updateResult.upsertedId;
+    }
   }
 
   /**
@@ -607,16 +1170,22 @@ class Collection {
       return Object.keys(this._documents).length;
     }
 
-    // Field-based or complex queries - use QueryEngine
-    const matchingDocs = this._documentOperations.findMultipleByQuery(filter);
-    return matchingDocs.length;
+    // Field-based or complex queries - count matches through the indexes without copying documents
+    return this._documentOperations.countByQuery(filter);
   }
 
   /**
-   * Aggregates documents with a pipeline (MongoDB-compatible with QueryEngine support)
+   * Aggregates documents with a pipeline (MongoDB-compatible)
+   * Stages run in order; see AggregationEngine for the supported stages. $lookup and $unionWith read other
+   * collections of the same database through Database.getCollection; a missing collection reads as empty.
+   * $out and $merge write the results to a collection, which is created through Database.createCollection when missing.
    * @param {Array} pipeline - Aggregation pipeline stages
-   * @returns {Array} Array of aggregated document objects
-   * @throws {InvalidArgumentError} For invalid pipeline stages
+   * @returns {Array} Array of aggregated document objects (empty when the pipeline ends with $out or $merge)
+   * @throws {InvalidArgumentError} When the pipeline is not an array, or $out or $merge writes an invalid document
+   * @throws {InvalidQueryError} For unsupported or malformed stages and invalid expressions
+   * @throws {DuplicateKeyError} When $out writes two documents with the same _id, $merge with whenMatched "fail" matches a document,
+   *   or the written documents share a value in a unique index of the target (nothing is written)
+   * @throws {OperationError} When $merge cannot write a document
    */
   aggregate(pipeline = []) {
     this._ensureLoaded();
@@ -629,57 +1198,120 @@ class Collection {
       return this._documentOperations.findAllDocuments();
     }
 
-    // For now, only $match stage is supported (filtering)
-    const matchStage = pipeline.find((stage) => stage.$match);
+    return this._documentOperations.aggregateDocuments(pipeline, {
+      resolveCollection: (name) => this._getForeignDocuments(name),
+      writeCollection: (name, write) => this._writeAggregationOutput(name, write)
+    });
+  }
 
-    if (!matchStage) {
-      throw new InvalidArgumentError("Invalid pipeline", "Missing $match stage");
+  /**
+   * Loads the documents of a collection read by $lookup or $unionWith
+   * The AggregationEngine calls this at most once per collection for each pipeline.
+   * A missing collection reads as empty, as in MongoDB, and is not created.
+   * @private
+   * @param {string} name - Foreign collection name
+   * @returns {Array<Object>} Documents of the foreign collection
+   */
+  _getForeignDocuments(name) {
+    if (name === this._name) {
+      return this.find({}).toArray();
+    }
+    if (!this._database.collections.has(name) && !this._database._masterIndex.getCollection(name)) {
+      return [];
     }
+    return this._database.getCollection(name).find({}).toArray();
+  }
 
-    // Extract and validate the filter from $match stage
-    const filter = matchStage.$match;
-    this._validateFilter(filter, "aggregate");
+  /**
+   * Replaces the documents of the collection written by $out or $merge
+   * The target's documents are read and replaced in one coordinated operation, so its MasterIndex
+   * metadata and document count stay correct. Nothing changes when the write fails.
+   * @private
+   * @param {string} name - Target collection name
+   * @param {Function} write - Returns the target's new documents, given its current documents
+   */
+  _writeAggregationOutput(name, write) {
+    const target = this._getOutputCollection(name);
+    target._coordinator.coordinate("aggregate", () => {
+      target._ensureLoaded();
+      target._documentOperations.replaceAllDocuments(write(target._documentOperations.findAllDocuments()));
+      target._updateMetadata({ documentCount: Object.keys(target._documents).length });
+      target._markDirty();
+    });
+  }
 
-    // Use QueryEngine to execute the filtered query
-    return this._documentOperations.findMultipleByQuery(filter);
+  /**
+   * Gets the collection written by $out or $merge, creating it through the database when missing
+   * @private
+   * @param {string} name - Target collection name
+   * @returns {Collection} Target collection
+   */
+  _getOutputCollection(name) {
+    if (name === this._name) {
+      return this;
+    }
+    if (this._database.collections.has(name) || this._database._masterIndex.getCollection(name)) {
+      return this._database.getCollection(name);
+    }
+    return this._database.createCollection(name);
   }
 
   /**
    * Creates an index on the collection (MongoDB-compatible)
-   * @param {Array} fields - Array of field names to index
-   * @param {Object} options - Index options (e.g. {unique: true})
-   * @returns {Object} Index description
-   * @throws {InvalidArgumentError} For invalid index specifications
+   * The index is built from the stored documents and kept up to date as they change;
+   * find, findOne, countDocuments, updates and deletes use it for equality ($eq, $in),
+   * range ($gt, $gte, $lt, $lte) and sort-with-limit queries on the field.
+   * Creating an index that already exists with the same options does nothing. A unique index rejects
+   * inserts, updates, replacements and upserts that would give two documents the same value for the
+   * field; as in MongoDB, a missing field counts as null, so only one document may omit it.
+   * @param {Array<string>} fields - Array containing the field path to index (e.g. ["email"] or ["address.city"])
+   * @param {Object} [options={}] - Index options
+   * @param {boolean} [options.unique=false] - Whether the index is unique
+   * @returns {Object} Index description { field, unique }
+   * @throws {InvalidArgumentError} For invalid index specifications, or an existing index on the field with different options
+   * @throws {DuplicateKeyError} When a unique index is requested and documents already share a value; error.duplicates
+   *   lists each shared value with the IDs of the documents holding it
    */
   createIndex(fields, options = {}) {
-    this._ensureLoaded();
-
     // Use Validate for index specification validation
     Validate.array(fields, "fields");
-    Validate.object(options, "options", false);
+    Validate.object(options, "options");
 
     // For now, only single-field indexes are supported
     if (fields.length !== 1) {
-      throw new InvalidArgumentError("Invalid index specification", "Only single-field indexes are supported");
+      throw new InvalidArgumentError("fields", fields, "only single-field indexes are supported");
     }
 
     const field = fields[0];
 
     // Ensure the field is a valid string
     Validate.nonEmptyString(field, "field");
+    Validate.optional(options.unique, Validate.boolean, "options.unique");
 
-    // Create index metadata
     const index = {
       field: field,
       unique: options.unique === true,
     };
 
-    // Add to collection metadata
-    this._metadata.addIndex(index);
+    return this._coordinator.coordinate("createIndex", () => {
+      this._ensureLoaded();
 
-    this._markDirty();
+      const existing = this._metadata.getIndexes().find((definition) => definition.field === field);
+      if (existing) {
+        if (existing.unique !== index.unique) {
+          throw new InvalidArgumentError("options", options, `an index on "${field}" already exists with different options`);
+        }
+        return existing;
+      }
+
+      // Build the index before recording it, so a failed build leaves no definition behind
+      this._indexManager.createIndex(index);
+      this._metadata.addIndex(index);
+      this._updateMetadata();
+      this._markDirty();
 
-    return index;
+      return index;
+    });
   }
 
   /**
@@ -689,23 +1321,22 @@ class Collection {
    * @throws {InvalidArgumentError} For invalid index specifications
    */
   dropIndex(field) {
-    this._ensureLoaded();
-
     // Use Validate for index specification validation
     Validate.nonEmptyString(field, "field");
 
-    const indexExists = this._metadata.indexes.some((index) => index.field === field);
-
-    if (!indexExists) {
-      return false; // Index not found
-    }
-
-    // Remove from collection metadata
-    this._metadata.dropIndex(field);
+    return this._coordinator.coordinate("dropIndex", () => {
+      this._ensureLoaded();
 
-    this._markDirty();
+      // Remove from collection metadata
+      if (!this._metadata.dropIndex(field)) {
+        return false; // Index not found
+      }
+      this._indexManager.dropIndex(field);
+      this._updateMetadata();
+      this._markDirty();
 
-    return true;
+      return true;
+    });
   }
 
   /**
@@ -814,3 +1445,20 @@ class Collection {
     return this._logger;
   }
 }
+
+/**
+ * Accepted values for the returnDocument option of findOneAndUpdate and findOneAndReplace
+ */
+Collection.RETURN_DOCUMENT_VALUES = ["before", "after"];
+
+/**
+ * Supported bulkWrite operations and the object fields each one requires
+ */
+Collection.BULK_WRITE_OPERATIONS = {
+  insertOne: ["document"],
+  updateOne: ["filter", "update"],
+  updateMany: ["filter", "update"],
+  replaceOne: ["filter", "replacement"],
+  deleteOne: ["filter"],
+  deleteMany: ["filter"],
+};
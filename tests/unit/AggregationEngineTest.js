@@ -0,0 +1,501 @@
+/**
+ * AggregationEngineTest.js - AggregationEngine Class Tests
+ *
+ * Tests for the AggregationEngine class including:
+ * - Running pipeline stages in order
+ * - $group with each supported accumulator
+ * - Reshaping stages ($project, $addFields/$set, $unset)
+ * - $sort, $skip, $limit and $count
+ * - $lookup joins (equality and pipeline forms, with $expr matches) and $unwind
+ * - $facet, $bucket, $bucketAuto, $sortByCount and $sample
+ * - $replaceRoot/$replaceWith and $unionWith
+ * - $out and $merge writes through a collection writer
+ * - Validation of unknown and malformed stages
+ */
+
+const AGGREGATION_ENGINE_TEST_DATA = {
+  testEngine: null,
+  testDocuments: [
+    { _id: 's1', student: 'ada', subject: 'maths', score: 90, tags: ['a', 'b'] },
+    { _id: 's2', student: 'ada', subject: 'art', score: 70, tags: ['b'] },
+    { _id: 's3', student: 'bob', subject: 'maths', score: 60, tags: [] },
+    { _id: 's4', student: 'cy', subject: 'maths', score: 80, tags: ['a'] },
+    { _id: 's5', student: 'cy', subject: 'art', score: 'absent', tags: ['c'] }
+  ],
+  testStudents: [
+    { _id: 'ada', house: 'red' },
+    { _id: 'bob', house: 'blue' },
+    { _id: 'cy' }
+  ]
+};
+
+/**
+ * Setup test environment for AggregationEngine
+ */
+function setupAggregationEngineTestEnvironment() {
+  AGGREGATION_ENGINE_TEST_DATA.testEngine = new AggregationEngine();
+}
+
+/**
+ * Cleanup test environment
+ */
+function cleanupAggregationEngineTestEnvironment() {
+  AGGREGATION_ENGINE_TEST_DATA.testEngine = null;
+}
+
+/**
+ * Creates the AggregationEngine test suite
+ */
+function createAggregationEngineTestSuite() {
+  const suite = new TestSuite('AggregationEngine Tests');
+
+  suite.setBeforeAll(function() {
+    setupAggregationEngineTestEnvironment();
+  });
+
+  suite.setAfterAll(function() {
+    cleanupAggregationEngineTestEnvironment();
+  });
+
+  suite.addTest('testStagesRunInOrder', function() {
+    const engine = AGGREGATION_ENGINE_TEST_DATA.testEngine;
+    const docs = AGGREGATION_ENGINE_TEST_DATA.testDocuments;
+    const limitThenSort = engine.aggregate(docs, [{ $limit: 2 }, { $sort: { score: 1 } }]);
+    const sortThenLimit = engine.aggregate(docs, [{ $sort: { score: 1 } }, { $limit: 2 }]);
+    TestFramework.assertArrayEquals(['s2', 's1'], limitThenSort.map(doc => doc._id), '$sort should only see the limited documents');
+    TestFramework.assertArrayEquals(['s3', 's2'], sortThenLimit.map(doc => doc._id), '$limit should apply to the sorted documents');
+    TestFramework.assertEquals(90, docs[0].score, 'Input documents should not be modified');
+  });
+
+  suite.addTest('testGroupAccumulators', function() {
+    const engine = AGGREGATION_ENGINE_TEST_DATA.testEngine;
+    const docs = AGGREGATION_ENGINE_TEST_DATA.testDocuments;
+    const results = engine.aggregate(docs, [{
+      $group: {
+        _id: '$student',
+        total: { $sum: '$score' },
+        average: { $avg: '$score' },
+        lowest: { $min: '$score' },
+        highest: { $max: '$score' },
+        firstSubject: { $first: '$subject' },
+        lastSubject: { $last: '$subject' },
+        subjects: { $push: '$subject' },
+        tags: { $addToSet: '$tags' },
+        count: { $count: {} },
+        ones: { $sum: 1 }
+      }
+    }]);
+    TestFramework.assertArrayEquals(['ada', 'bob', 'cy'], results.map(doc => doc._id), 'Groups should keep first-seen order');
+    TestFramework.assertDeepEquals({
+      _id: 'ada', total: 160, average: 80, lowest: 70, highest: 90, firstSubject: 'maths', lastSubject: 'art',
+      subjects: ['maths', 'art'], tags: [['a', 'b'], ['b']], count: 2, ones: 2
+    }, results[0], 'Should compute every accumulator');
+    TestFramework.assertEquals(80, results[2].total, '$sum should ignore non-numeric values');
+    TestFramework.assertEquals(80, results[2].average, '$avg should ignore non-numeric values');
+  });
+
+  suite.addTest('testGroupByNullAndCompoundKeys', function() {
+    const engine = AGGREGATION_ENGINE_TEST_DATA.testEngine;
+    const docs = AGGREGATION_ENGINE_TEST_DATA.testDocuments;
+    const whole = engine.aggregate(docs, [{ $group: { _id: null, students: { $addToSet: '$student' } } }]);
+    const compound = engine.aggregate(docs, [{ $group: { _id: { subject: '$subject', student: '$student' } } }, { $count: 'pairs' }]);
+    TestFramework.assertDeepEquals([{ _id: null, students: ['ada', 'bob', 'cy'] }], whole, 'A null _id should group every document');
+    TestFramework.assertDeepEquals([{ pairs: 5 }], compound, 'Object _id expressions should group by each combination');
+  });
+
+  suite.addTest('testReshapingStages', function() {
+    const engine = AGGREGATION_ENGINE_TEST_DATA.testEngine;
+    const docs = AGGREGATION_ENGINE_TEST_DATA.testDocuments;
+    const results = engine.aggregate(docs, [
+      { $match: { subject: 'maths' } },
+      { $set: { percent: { $divide: ['$score', 100] }, 'meta.source': 'exam' } },
+      { $unset: ['tags', 'subject'] },
+      { $project: { student: 1, percent: 1, meta: 1 } },
+      { $skip: 1 }
+    ]);
+    TestFramework.assertDeepEquals([
+      { _id: 's3', student: 'bob', percent: 0.6, meta: { source: 'exam' } },
+      { _id: 's4', student: 'cy', percent: 0.8, meta: { source: 'exam' } }
+    ], results, 'Reshaping stages should apply in order');
+  });
+
+  suite.addTest('testCountStage', function() {
+    const engine = AGGREGATION_ENGINE_TEST_DATA.testEngine;
+    const docs = AGGREGATION_ENGINE_TEST_DATA.testDocuments;
+    TestFramework.assertDeepEquals(
+      [{ maths: 3 }],
+      engine.aggregate(docs, [{ $match: { subject: 'maths' } }, { $count: 'maths' }]),
+      '$count should count the documents reaching it'
+    );
+    TestFramework.assertDeepEquals(
+      [],
+      engine.aggregate(docs, [{ $match: { subject: 'music' } }, { $count: 'music' }]),
+      '$count should return no documents for empty input'
+    );
+  });
+
+  suite.addTest('testLookupWithLocalAndForeignFields', function() {
+    const engine = AGGREGATION_ENGINE_TEST_DATA.testEngine;
+    const resolved = [];
+    const options = {
+      resolveCollection: name => {
+        resolved.push(name);
+        return AGGREGATION_ENGINE_TEST_DATA.testDocuments;
+      }
+    };
+    const results = engine.aggregate(AGGREGATION_ENGINE_TEST_DATA.testStudents, [
+      { $lookup: { from: 'scores', localField: '_id', foreignField: 'student', as: 'scores' } },
+      { $lookup: { from: 'scores', localField: 'house', foreignField: 'house', as: 'sameHouse' } }
+    ], options);
+    TestFramework.assertArrayEquals(['s1', 's2'], results[0].scores.map(doc => doc._id), 'Should join documents whose foreignField equals the localField');
+    TestFramework.assertEquals(0, results[0].sameHouse.length, 'A present localField should not match missing foreign fields');
+    TestFramework.assertEquals(5, results[2].sameHouse.length, 'A missing localField should match documents without the foreignField');
+    TestFramework.assertArrayEquals(['scores'], resolved, 'Each foreign collection should be resolved once per pipeline');
+  });
+
+  suite.addTest('testLookupWithPipelineAndLet', function() {
+    const engine = AGGREGATION_ENGINE_TEST_DATA.testEngine;
+    const options = { resolveCollection: () => AGGREGATION_ENGINE_TEST_DATA.testDocuments };
+    const results = engine.aggregate(AGGREGATION_ENGINE_TEST_DATA.testStudents, [
+      { $match: { _id: 'ada' } },
+      {
+        $lookup: {
+          from: 'scores',
+          let: { house: '$house' },
+          pipeline: [
+            { $match: { subject: 'maths' } },
+            { $group: { _id: '$$house', best: { $max: '$score' } } }
+          ],
+          as: 'houseBest'
+        }
+      }
+    ], options);
+    TestFramework.assertDeepEquals(
+      [{ _id: 'red', best: 90 }],
+      results[0].houseBest,
+      'The pipeline should run over the foreign documents with let variables bound'
+    );
+    const correlated = engine.aggregate(AGGREGATION_ENGINE_TEST_DATA.testStudents, [
+      {
+        $lookup: {
+          from: 'scores',
+          let: { studentId: '$_id' },
+          pipeline: [{ $match: { $expr: { $eq: ['$student', '$$studentId'] }, subject: 'maths' } }, { $project: { _id: 1 } }],
+          as: 'maths'
+        }
+      }
+    ], options);
+    TestFramework.assertDeepEquals(
+      [[{ _id: 's1' }], [{ _id: 's3' }], [{ _id: 's4' }]],
+      correlated.map(doc => doc.maths),
+      '$match with $expr should see let variables'
+    );
+    TestFramework.assertThrows(() => {
+      engine.aggregate(AGGREGATION_ENGINE_TEST_DATA.testStudents, [{ $lookup: { from: 'scores', localField: '_id', foreignField: 'student', as: 'scores' } }]);
+    }, OperationError, 'Should require a collection resolver');
+  });
+
+  suite.addTest('testUnwindStage', function() {
+    const engine = AGGREGATION_ENGINE_TEST_DATA.testEngine;
+    const docs = [
+      { _id: 'a', sizes: ['S', 'M'] },
+      { _id: 'b', sizes: [] },
+      { _id: 'c', sizes: null },
+      { _id: 'd' },
+      { _id: 'e', sizes: 'L' }
+    ];
+    TestFramework.assertDeepEquals(
+      [{ _id: 'a', sizes: 'S' }, { _id: 'a', sizes: 'M' }, { _id: 'e', sizes: 'L' }],
+      engine.aggregate(docs, [{ $unwind: '$sizes' }]),
+      'Should output one document per element, treating non-arrays as one element'
+    );
+    TestFramework.assertDeepEquals([
+      { _id: 'a', sizes: 'S', index: 0 },
+      { _id: 'a', sizes: 'M', index: 1 },
+      { _id: 'b', index: null },
+      { _id: 'c', sizes: null, index: null },
+      { _id: 'd', index: null },
+      { _id: 'e', sizes: 'L', index: null }
+    ], engine.aggregate(docs, [{ $unwind: { path: '$sizes', includeArrayIndex: 'index', preserveNullAndEmptyArrays: true } }]),
+    'Should keep missing, null and empty values and record array indexes');
+  });
+
+  suite.addTest('testFacetStage', function() {
+    const engine = AGGREGATION_ENGINE_TEST_DATA.testEngine;
+    const results = engine.aggregate(AGGREGATION_ENGINE_TEST_DATA.testDocuments, [
+      { $match: { score: { $type: 'number' } } },
+      {
+        $facet: {
+          bySubject: [{ $sortByCount: '$subject' }],
+          top: [{ $sort: { score: -1 } }, { $limit: 1 }, { $project: { _id: 1 } }],
+          none: [{ $match: { score: 0 } }]
+        }
+      }
+    ]);
+    TestFramework.assertEquals(1, results.length, '$facet should output a single document');
+    TestFramework.assertDeepEquals(
+      [{ _id: 'maths', count: 3 }, { _id: 'art', count: 1 }],
+      results[0].bySubject,
+      'Each sub-pipeline should see every input document'
+    );
+    TestFramework.assertDeepEquals([{ _id: 's1' }], results[0].top, 'Sub-pipelines should run independently');
+    TestFramework.assertDeepEquals([], results[0].none, 'A sub-pipeline without results should give an empty array');
+    TestFramework.assertDeepEquals([{ all: [] }], engine.aggregate([], [{ $facet: { all: [] } }]), '$facet should output a document even without input');
+  });
+
+  suite.addTest('testBucketStage', function() {
+    const engine = AGGREGATION_ENGINE_TEST_DATA.testEngine;
+    const docs = AGGREGATION_ENGINE_TEST_DATA.testDocuments;
+    TestFramework.assertDeepEquals([
+      { _id: 0, count: 1, ids: ['s3'] },
+      { _id: 70, count: 2, ids: ['s2', 's4'] },
+      { _id: 'other', count: 2, ids: ['s1', 's5'] }
+    ], engine.aggregate(docs, [{
+      $bucket: { groupBy: '$score', boundaries: [0, 70, 90], default: 'other', output: { count: { $sum: 1 }, ids: { $push: '$_id' } } }
+    }]), 'Should group by range, with upper boundaries exclusive and other values in the default bucket');
+    TestFramework.assertDeepEquals(
+      [{ _id: 0, count: 4 }, { _id: null, count: 1 }],
+      engine.aggregate(docs, [{ $bucket: { groupBy: '$score', boundaries: [0, 100], default: null } }]),
+      'Should count documents when no output is given'
+    );
+    TestFramework.assertThrows(() => {
+      engine.aggregate(docs, [{ $bucket: { groupBy: '$score', boundaries: [0, 100] } }]);
+    }, InvalidQueryError, 'Should reject values outside the boundaries without a default');
+  });
+
+  suite.addTest('testBucketAutoStage', function() {
+    const engine = AGGREGATION_ENGINE_TEST_DATA.testEngine;
+    TestFramework.assertDeepEquals([
+      { _id: { min: 60, max: 80 }, count: 2 },
+      { _id: { min: 80, max: 90 }, count: 2 }
+    ], engine.aggregate(AGGREGATION_ENGINE_TEST_DATA.testDocuments, [
+      { $match: { score: { $type: 'number' } } },
+      { $bucketAuto: { groupBy: '$score', buckets: 2 } }
+    ]), 'Should split documents into buckets of equal size');
+    TestFramework.assertDeepEquals([
+      { _id: { min: 1, max: 2 }, values: [1, 1, 1] },
+      { _id: { min: 2, max: 2 }, values: [2] }
+    ], engine.aggregate([{ v: 1 }, { v: 1 }, { v: 2 }, { v: 1 }], [
+      { $bucketAuto: { groupBy: '$v', buckets: 2, output: { values: { $push: '$v' } } } }
+    ]), 'Equal values should share a bucket');
+    TestFramework.assertEquals(
+      2,
+      engine.aggregate([{ v: 1 }, { v: 2 }], [{ $bucketAuto: { groupBy: '$v', buckets: 5 } }]).length,
+      'Should not create empty buckets'
+    );
+  });
+
+  suite.addTest('testSortByCountAndSample', function() {
+    const engine = AGGREGATION_ENGINE_TEST_DATA.testEngine;
+    const docs = AGGREGATION_ENGINE_TEST_DATA.testDocuments;
+    TestFramework.assertDeepEquals(
+      [{ _id: 'ada', count: 2 }, { _id: 'cy', count: 2 }, { _id: 'bob', count: 1 }],
+      engine.aggregate(docs, [{ $sortByCount: '$student' }]),
+      'Should count each value, most frequent first'
+    );
+
+    const sample = engine.aggregate(docs, [{ $sample: { size: 2 } }]);
+    const ids = sample.map(doc => doc._id);
+    TestFramework.assertEquals(2, sample.length, '$sample should return size documents');
+    TestFramework.assertTrue(ids[0] !== ids[1], '$sample should not repeat documents');
+    TestFramework.assertTrue(ids.every(id => docs.some(doc => doc._id === id)), '$sample should pick input documents');
+    TestFramework.assertEquals(5, engine.aggregate(docs, [{ $sample: { size: 10 } }]).length, '$sample should return every document when size is larger');
+    TestFramework.assertEquals(0, engine.aggregate(docs, [{ $sample: { size: 0 } }]).length, '$sample should accept a size of 0');
+  });
+
+  suite.addTest('testReplaceRootAndUnionWith', function() {
+    const engine = AGGREGATION_ENGINE_TEST_DATA.testEngine;
+    const people = [{ _id: 'a', profile: { name: 'Ada', age: 36 } }];
+    TestFramework.assertDeepEquals(
+      [{ name: 'Ada', age: 36 }],
+      engine.aggregate(people, [{ $replaceRoot: { newRoot: '$profile' } }]),
+      '$replaceRoot should promote a subdocument'
+    );
+    TestFramework.assertDeepEquals(
+      [{ id: 'a', name: 'Ada' }],
+      engine.aggregate(people, [{ $replaceWith: { id: '$_id', name: '$profile.name' } }]),
+      '$replaceWith should accept an object expression'
+    );
+    TestFramework.assertThrows(() => {
+      engine.aggregate(people, [{ $replaceWith: '$profile.name' }]);
+    }, InvalidQueryError, 'The new root should be a document');
+
+    const options = { resolveCollection: () => AGGREGATION_ENGINE_TEST_DATA.testDocuments };
+    const unioned = engine.aggregate(AGGREGATION_ENGINE_TEST_DATA.testStudents, [
+      { $project: { _id: 1 } },
+      { $unionWith: { coll: 'scores', pipeline: [{ $match: { student: 'bob' } }, { $project: { _id: 1 } }] } }
+    ], options);
+    TestFramework.assertDeepEquals([{ _id: 'ada' }, { _id: 'bob' }, { _id: 'cy' }, { _id: 's3' }], unioned, '$unionWith should append the pipeline results');
+    TestFramework.assertEquals(
+      8,
+      engine.aggregate(AGGREGATION_ENGINE_TEST_DATA.testStudents, [{ $unionWith: 'scores' }], options).length,
+      'Should accept a collection name'
+    );
+    TestFramework.assertThrows(() => {
+      engine.aggregate([], [{ $unionWith: 'scores' }]);
+    }, OperationError, 'Should require a collection resolver');
+  });
+
+  suite.addTest('testOutAndMergeStages', function() {
+    const engine = AGGREGATION_ENGINE_TEST_DATA.testEngine;
+    const stored = { totals: [{ _id: 'ada', total: 1, house: 'red' }, { _id: 'zed', total: 5 }] };
+    const options = {
+      writeCollection: (name, write) => {
+        stored[name] = write(stored[name] || []);
+      }
+    };
+    const totals = { $group: { _id: '$student', total: { $sum: '$score' } } };
+
+    TestFramework.assertDeepEquals(
+      [],
+      engine.aggregate(AGGREGATION_ENGINE_TEST_DATA.testDocuments, [totals, { $out: 'summary' }], options),
+      '$out should return no documents'
+    );
+    TestFramework.assertDeepEquals(
+      [{ _id: 'ada', total: 160 }, { _id: 'bob', total: 60 }, { _id: 'cy', total: 80 }],
+      stored.summary,
+      '$out should write every result'
+    );
+
+    engine.aggregate(
+      AGGREGATION_ENGINE_TEST_DATA.testDocuments,
+      [totals, { $merge: { into: 'totals', whenMatched: 'replace', whenNotMatched: 'discard' } }],
+      options
+    );
+    TestFramework.assertDeepEquals(
+      [{ _id: 'ada', total: 160 }, { _id: 'zed', total: 5 }],
+      stored.totals,
+      'whenMatched "replace" should replace matched documents'
+    );
+    engine.aggregate(AGGREGATION_ENGINE_TEST_DATA.testDocuments, [totals, { $merge: { into: 'totals', whenMatched: 'keepExisting' } }], options);
+    TestFramework.assertDeepEquals(['ada', 'zed', 'bob', 'cy'], stored.totals.map(document => document._id), 'Unmatched results should be inserted by default');
+    engine.aggregate(AGGREGATION_ENGINE_TEST_DATA.testStudents, [{ $merge: 'totals' }], options);
+    TestFramework.assertDeepEquals({ _id: 'ada', total: 160, house: 'red' }, stored.totals[0], 'whenMatched should default to "merge"');
+
+    TestFramework.assertThrows(() => {
+      engine.aggregate(AGGREGATION_ENGINE_TEST_DATA.testStudents, [{ $merge: { into: 'totals', on: 'house' } }], options);
+    }, OperationError, 'Results should have the "on" fields');
+    TestFramework.assertThrows(() => {
+      engine.aggregate(AGGREGATION_ENGINE_TEST_DATA.testStudents, [{ $merge: { into: 'totals', whenMatched: [{ $set: { _id: 'other' } }] } }], options);
+    }, OperationError, 'A whenMatched pipeline should not change _id');
+    TestFramework.assertThrows(() => {
+      engine.aggregate([], [{ $out: 'summary' }]);
+    }, OperationError, 'Should require a collection writer');
+  });
+
+  suite.addTest('testInvalidStagesThrow', function() {
+    const engine = AGGREGATION_ENGINE_TEST_DATA.testEngine;
+    TestFramework.assertThrows(() => {
+      engine.validatePipeline([{ $match: {} }, { $lookup: {} }]);
+    }, InvalidQueryError, 'Should reject unsupported stages');
+    TestFramework.assertThrows(() => {
+      engine.validatePipeline([{ $match: {}, $limit: 1 }]);
+    }, InvalidQueryError, 'Should reject stages with more than one operator');
+    TestFramework.assertThrows(() => {
+      engine.validatePipeline([{ $group: { _id: null, total: { $median: '$score' } } }]);
+    }, InvalidQueryError, 'Should reject unknown accumulators');
+    TestFramework.assertThrows(() => {
+      engine.validatePipeline([{ $skip: 1.5 }]);
+    }, InvalidQueryError, 'Should reject a non-integer $skip');
+    TestFramework.assertThrows(() => {
+      engine.validatePipeline([{ $count: '$bad' }]);
+    }, InvalidQueryError, 'Should reject a $count field starting with $');
+    TestFramework.assertThrows(() => {
+      engine.validatePipeline([{ $lookup: { from: 'scores', localField: '_id', as: 'scores' } }]);
+    }, InvalidQueryError, 'Should require localField and foreignField together');
+    TestFramework.assertThrows(() => {
+      engine.validatePipeline([{ $lookup: { from: 'scores', pipeline: [{ $unknown: {} }], as: 'scores' } }]);
+    }, InvalidQueryError, 'Should validate $lookup pipelines');
+    TestFramework.assertThrows(() => {
+      engine.validatePipeline([{ $unwind: 'sizes' }]);
+    }, InvalidQueryError, 'Should require a $-prefixed $unwind path');
+    TestFramework.assertThrows(() => {
+      engine.validatePipeline([{ $facet: { outer: [{ $facet: { inner: [] } }] } }]);
+    }, InvalidQueryError, 'Should reject $facet inside $facet');
+    TestFramework.assertThrows(() => {
+      engine.validatePipeline([{ $facet: { counts: { $count: 'n' } } }]);
+    }, InvalidQueryError, 'Should require $facet sub-pipelines to be arrays');
+    TestFramework.assertThrows(() => {
+      engine.validatePipeline([{ $bucket: { groupBy: '$score', boundaries: [90, 0] } }]);
+    }, InvalidQueryError, 'Should require ascending $bucket boundaries');
+    TestFramework.assertThrows(() => {
+      engine.validatePipeline([{ $bucket: { groupBy: '$score', boundaries: [0, 'a'] } }]);
+    }, InvalidQueryError, 'Should require $bucket boundaries of one type');
+    TestFramework.assertThrows(() => {
+      engine.validatePipeline([{ $bucket: { groupBy: '$score', boundaries: [0, 10], default: 5 } }]);
+    }, InvalidQueryError, 'Should require the $bucket default to be outside the boundaries');
+    TestFramework.assertThrows(() => {
+      engine.validatePipeline([{ $bucketAuto: { groupBy: '$score', buckets: 2, granularity: 'R5' } }]);
+    }, InvalidQueryError, 'Should reject $bucketAuto granularity');
+    TestFramework.assertThrows(() => {
+      engine.validatePipeline([{ $sortByCount: 'student' }]);
+    }, InvalidQueryError, 'Should require a field path or operator expression for $sortByCount');
+    TestFramework.assertThrows(() => {
+      engine.validatePipeline([{ $sample: { size: -1 } }]);
+    }, InvalidQueryError, 'Should reject a negative $sample size');
+    TestFramework.assertThrows(() => {
+      engine.validatePipeline([{ $replaceRoot: {} }]);
+    }, InvalidQueryError, 'Should require a $replaceRoot newRoot');
+    TestFramework.assertThrows(() => {
+      engine.validatePipeline([{ $unionWith: { pipeline: [] } }]);
+    }, InvalidQueryError, 'Should require a $unionWith collection name');
+    TestFramework.assertThrows(() => {
+      engine.validatePipeline([{ $out: 'summary' }, { $match: {} }]);
+    }, InvalidQueryError, 'Should require $out to be the last stage');
+    TestFramework.assertThrows(() => {
+      engine.validatePipeline([{ $facet: { saved: [{ $merge: 'summary' }] } }]);
+    }, InvalidQueryError, 'Should reject $merge inside $facet');
+    TestFramework.assertThrows(() => {
+      engine.validatePipeline([{ $lookup: { from: 'scores', pipeline: [{ $out: 'summary' }], as: 'scores' } }]);
+    }, InvalidQueryError, 'Should reject $out inside $lookup');
+    TestFramework.assertThrows(() => {
+      engine.validatePipeline([{ $merge: { into: 'summary', whenMatched: 'update' } }]);
+    }, InvalidQueryError, 'Should reject unknown whenMatched actions');
+    TestFramework.assertThrows(() => {
+      engine.validatePipeline([{ $merge: { into: 'summary', whenMatched: [{ $group: { _id: null } }] } }]);
+    }, InvalidQueryError, 'Should limit the stages of a whenMatched pipeline');
+    TestFramework.assertThrows(() => {
+      engine.validatePipeline([{ $merge: { into: 'summary', let: { total: '$total' } } }]);
+    }, InvalidQueryError, 'Should only accept let with a whenMatched pipeline');
+  });
+
+  return suite;
+}
+
+// Logger for file-level operations like initial suite registration
+const aggregationEngineTestFileLogger = JDbLogger.createComponentLogger('AggregationEngineTestFile');
+
+// Register suite on default TestFramework instance
+try {
+  new TestFramework().registerTestSuite(createAggregationEngineTestSuite());
+} catch (e) {
+  aggregationEngineTestFileLogger.warn(
+    'Direct registration via testFramework failed, attempting global registerTestSuite function.',
+    { error: e.message }
+  );
+  try {
+    registerTestSuite(createAggregationEngineTestSuite());
+  } catch (e2) {
+    aggregationEngineTestFileLogger.error(
+      'Fallback global registration also failed for AggregationEngineTestSuite.',
+      { error: e2.message }
+    );
+  }
+}
+
+/**
+ * Run all AggregationEngine tests
+ * Convenience function to run the AggregationEngine-related suite
+ */
+function runAggregationEngineTests() {
+  JDbLogger.info('Running AggregationEngine Tests: Testing Aggregation Pipelines');
+
+  const testFramework = new TestFramework();
+  testFramework.registerTestSuite(createAggregationEngineTestSuite());
+  const results = testFramework.runTestSuite('AggregationEngine Tests');
+
+  JDbLogger.info('AggregationEngine Test Results:');
+  JDbLogger.info(results.getSummary());
+
+  return results;
+}
@@ -43,7 +43,7 @@ function createCollectionInitialisationTestSuite() {
     );
     
     // Data should not be loaded initially - first operation should trigger loading
-    const documents = collection.find({});
+    const documents = collection.find({}).toArray();
     TestFramework.assertArrayEquals([], documents, 'Empty collection should return empty array');
   });
   
@@ -43,7 +43,7 @@ function createCollectionDataOperationsTestSuite() {
     );
     
     // Trigger data loading
-    const documents = collection.find({});
+    const documents = collection.find({}).toArray();
     TestFramework.assertEquals(2, documents.length, 'Should load 2 documents from file');
     TestFramework.assertEquals('Test Doc 1', documents[0].name, 'First document should match file data');
   });
@@ -64,7 +64,7 @@ function createCollectionDataOperationsTestSuite() {
     
     // Should handle corrupted file gracefully
     TestFramework.assertThrows(() => {
-      collection.find({});
+      collection.find({}).toArray();
     }, OperationError, 'Should throw OperationError for corrupted file');
   });
   
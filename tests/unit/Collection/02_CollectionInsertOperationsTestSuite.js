@@ -7,6 +7,8 @@
  * This suite includes tests for:
  * - Inserting a single document and verifying the MongoDB-compatible return format.
  * - Inserting a document with an explicit `_id` and ensuring the provided ID is used.
+ * - Inserting many documents in one coordinated operation.
+ * - Reporting duplicate `_id`s as write errors in ordered and unordered insertMany.
  *
  * @function
  * @returns {TestSuite} The configured test suite for collection insert operations.
@@ -57,5 +59,74 @@ function createCollectionInsertOperationsTestSuite() {
     TestFramework.assertTrue(result.acknowledged, 'Operation should be acknowledged');
   });
   
+  suite.addTest('testCollectionInsertMany', function() {
+    // Arrange - Use proper helper to create registered collection
+    const collection = createTestCollection('insertManyTestCollection');
+    const originalCoordinate = collection._coordinator.coordinate.bind(collection._coordinator);
+    let coordinateCalls = 0;
+    collection._coordinator.coordinate = function(operationName, callback) {
+      coordinateCalls++;
+      return originalCoordinate(operationName, callback);
+    };
+    
+    // Act
+    const result = collection.insertMany([
+      { _id: 'student-1', name: 'Ada' },
+      { name: 'Ben' },
+      { name: 'Cara' }
+    ]);
+    
+    // Assert
+    TestFramework.assertTrue(result.acknowledged, 'Operation should be acknowledged');
+    TestFramework.assertEquals(3, result.insertedCount, 'Should insert every document');
+    TestFramework.assertEquals('student-1', result.insertedIds[0], 'Should keep the provided ID');
+    TestFramework.assertNotNull(result.insertedIds[2], 'Should generate missing IDs');
+    TestFramework.assertEquals(1, coordinateCalls, 'Should coordinate the batch once');
+    TestFramework.assertEquals(3, collection.countDocuments(), 'Collection should contain every document');
+    TestFramework.assertEquals(3, collection.getMetadata().documentCount, 'Metadata should reflect the new count');
+    TestFramework.assertThrows(() => {
+      collection.insertMany([{ name: 'Dan' }, { __secret: true }]);
+    }, InvalidArgumentError, 'Should reject an invalid document');
+    TestFramework.assertEquals(3, collection.countDocuments(), 'Invalid batches should insert nothing');
+  });
+  
+  suite.addTest('testCollectionInsertManyOrderedAndUnordered', function() {
+    // Arrange - Use proper helper to create registered collection
+    const collection = createTestCollection('insertManyOrderingTestCollection');
+    collection.insertOne({ _id: 'taken', name: 'Existing' });
+    const batch = [
+      { _id: 'a', name: 'Ada' },
+      { _id: 'taken', name: 'Duplicate' },
+      { _id: 'b', name: 'Ben' },
+      { _id: 'a', name: 'Repeated' }
+    ];
+    
+    // Act
+    let orderedError = null;
+    try {
+      collection.insertMany(batch);
+    } catch (error) {
+      orderedError = error;
+    }
+    collection.deleteOne({ _id: 'a' });
+    let unorderedError = null;
+    try {
+      collection.insertMany(batch, { ordered: false });
+    } catch (error) {
+      unorderedError = error;
+    }
+    
+    // Assert
+    TestFramework.assertTrue(orderedError instanceof BulkWriteError, 'Ordered insert should throw a BulkWriteError');
+    TestFramework.assertEquals(1, orderedError.insertedCount, 'Ordered insert should stop at the first duplicate');
+    TestFramework.assertEquals(1, orderedError.writeErrors.length, 'Ordered insert should report one write error');
+    TestFramework.assertEquals(1, orderedError.writeErrors[0].index, 'Write error should identify the failing index');
+    TestFramework.assertEquals('DUPLICATE_KEY', orderedError.writeErrors[0].code, 'Write error should report a duplicate key');
+    TestFramework.assertTrue(unorderedError instanceof BulkWriteError, 'Unordered insert should throw a BulkWriteError');
+    TestFramework.assertDeepEquals({ 0: 'a', 2: 'b' }, unorderedError.insertedIds, 'Unordered insert should continue past duplicates');
+    TestFramework.assertArrayEquals([1, 3], unorderedError.writeErrors.map(error => error.index), 'Should report every duplicate');
+    TestFramework.assertEquals(3, collection.countDocuments(), 'Successful inserts should be kept');
+  });
+  
   return suite;
 }
\ No newline at end of file
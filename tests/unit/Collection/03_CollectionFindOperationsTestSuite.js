@@ -7,7 +7,13 @@
  * - Field-based queries using findOne and find.
  * - Finding all documents in a collection.
  * - Matching documents by single and multiple fields, including nested fields (dot notation).
- * - Using comparison operators ($gt, $lt) in queries.
+ * - Using comparison operators ($gt, $lt, $gte, $lte, $ne, $in, $nin) in queries.
+ * - Matching string fields with $regex and RegExp literals.
+ * - Matching array fields with $elemMatch, $size, $all and dot paths through arrays.
+ * - Comparing fields of the same document with $expr in find, countDocuments and deleteMany.
+ * - Projecting returned fields with find and findOne.
+ * - Sorting, skipping and limiting find results.
+ * - Reading find results through a chainable, lazily evaluated cursor.
  * - Ensuring correct behavior when no documents match the query.
  *
  * @function
@@ -64,7 +70,7 @@ function createCollectionFindOperationsTestSuite() {
     const collection = createTestCollection('findEmptyTestCollection');
     
     // Test find on empty collection
-    const results = collection.find({});
+    const results = collection.find({}).toArray();
     TestFramework.assertArrayEquals([], results, 'find on empty collection should return empty array');
     TestFramework.assertTrue(Array.isArray(results), 'find should always return an array');
   });
@@ -79,7 +85,7 @@ function createCollectionFindOperationsTestSuite() {
     collection.insertOne({ name: 'Doc C', value: 300, category: 'test' });
     
     // Test find all documents
-    const allDocs = collection.find({});
+    const allDocs = collection.find({}).toArray();
     TestFramework.assertEquals(3, allDocs.length, 'Should find all 3 documents');
     TestFramework.assertTrue(Array.isArray(allDocs), 'find should return an array');
   });
@@ -93,12 +99,12 @@ function createCollectionFindOperationsTestSuite() {
     collection.insertOne({ name: 'Other', value: 200 });
     
     // Test field-based query - should work with QueryEngine
-    const results = collection.find({ name: 'Test' });
+    const results = collection.find({ name: 'Test' }).toArray();
     TestFramework.assertEquals(1, results.length, 'Should find 1 document by field-based query');
     TestFramework.assertEquals('Test', results[0].name, 'Should return correct document');
     
     // Test non-matching query
-    const noResults = collection.find({ name: 'NonExistent' });
+    const noResults = collection.find({ name: 'NonExistent' }).toArray();
     TestFramework.assertEquals(0, noResults.length, 'Should return empty array for non-matching query');
   });
   
@@ -113,17 +119,17 @@ function createCollectionFindOperationsTestSuite() {
     collection.insertOne({ name: 'Charlie', age: 30, active: true, department: 'Engineering' });
     
     // Act & Assert - Should find documents by exact field match
-    const engineeringDocs = collection.find({ department: 'Engineering' });
+    const engineeringDocs = collection.find({ department: 'Engineering' }).toArray();
     TestFramework.assertEquals(2, engineeringDocs.length, 'Should find 2 Engineering documents');
     TestFramework.assertEquals('Alice', engineeringDocs[0].name, 'First result should be Alice');
     TestFramework.assertEquals('Charlie', engineeringDocs[1].name, 'Second result should be Charlie');
     
     // Test numeric field matching
-    const age30Docs = collection.find({ age: 30 });
+    const age30Docs = collection.find({ age: 30 }).toArray();
     TestFramework.assertEquals(2, age30Docs.length, 'Should find 2 documents with age 30');
     
     // Test boolean field matching
-    const activeDocs = collection.find({ active: true });
+    const activeDocs = collection.find({ active: true }).toArray();
     TestFramework.assertEquals(2, activeDocs.length, 'Should find 2 active documents');
   });
   
@@ -137,7 +143,7 @@ function createCollectionFindOperationsTestSuite() {
     collection.insertOne({ name: 'Charlie', age: 25, active: true, department: 'Engineering' });
     
     // Act & Assert - Should find documents matching multiple fields (implicit AND)
-    const results = collection.find({ age: 30, active: true, department: 'Engineering' });
+    const results = collection.find({ age: 30, active: true, department: 'Engineering' }).toArray();
     TestFramework.assertEquals(1, results.length, 'Should find 1 document matching all criteria');
     TestFramework.assertEquals('Alice', results[0].name, 'Should find Alice');
   });
@@ -159,12 +165,12 @@ function createCollectionFindOperationsTestSuite() {
     });
     
     // Act & Assert - Should find documents by nested field (dot notation)
-    const londonDocs = collection.find({ 'address.city': 'London' });
+    const londonDocs = collection.find({ 'address.city': 'London' }).toArray();
     TestFramework.assertEquals(1, londonDocs.length, 'Should find 1 document in London');
     TestFramework.assertEquals('Alice', londonDocs[0].name, 'Should find Alice');
     
     // Test nested numeric field
-    const experiencedDocs = collection.find({ 'profile.yearsOfService': 5 });
+    const experiencedDocs = collection.find({ 'profile.yearsOfService': 5 }).toArray();
     TestFramework.assertEquals(1, experiencedDocs.length, 'Should find 1 experienced document');
     TestFramework.assertEquals('Alice', experiencedDocs[0].name, 'Should find Alice');
   });
@@ -179,20 +185,20 @@ function createCollectionFindOperationsTestSuite() {
     collection.insertOne({ name: 'Charlie', score: 78, joinDate: new Date('2019-11-10') });
     
     // Act & Assert - Should find documents using comparison operators
-    const highScoreDocs = collection.find({ score: { $gt: 80 } });
+    const highScoreDocs = collection.find({ score: { $gt: 80 } }).toArray();
     TestFramework.assertEquals(2, highScoreDocs.length, 'Should find 2 documents with score > 80');
     
-    const lowScoreDocs = collection.find({ score: { $lt: 80 } });
+    const lowScoreDocs = collection.find({ score: { $lt: 80 } }).toArray();
     TestFramework.assertEquals(1, lowScoreDocs.length, 'Should find 1 document with score < 80');
     TestFramework.assertEquals('Charlie', lowScoreDocs[0].name, 'Should find Charlie');
     
     // Test date comparison
-    const recentDocs = collection.find({ joinDate: { $gt: new Date('2020-06-01') } });
+    const recentDocs = collection.find({ joinDate: { $gt: new Date('2020-06-01') } }).toArray();
     // Debug: Check what we actually found and the date types
     if (recentDocs.length !== 1) {
       console.log('Date comparison test failing. Found documents:', recentDocs.length);
       console.log('All documents:');
-      const allDocs = collection.find({});
+      const allDocs = collection.find({}).toArray();
       allDocs.forEach(doc => {
         console.log(`  ${doc.name}: joinDate = ${doc.joinDate} (type: ${typeof doc.joinDate}) (instanceof Date: ${doc.joinDate instanceof Date})`);
       });
@@ -240,5 +246,194 @@ function createCollectionFindOperationsTestSuite() {
     TestFramework.assertNull(nonExistentDoc, 'Should return null for non-existent criteria');
   });
   
+  suite.addTest('testCollectionFindWithExtendedComparisonOperators', function() {
+    // Arrange - Use proper helper to create registered collection
+    const collection = createTestCollection('findExtendedComparisonTestCollection');
+    const alice = collection.insertOne({ name: 'Alice', score: 90, status: 'active' });
+    const bob = collection.insertOne({ name: 'Bob', score: 75, status: 'inactive' });
+    collection.insertOne({ name: 'Charlie', score: 60 });
+    
+    // Act & Assert - Range and set operators work through find, findOne and countDocuments
+    TestFramework.assertEquals(2, collection.find({ score: { $gte: 75 } }).toArray().length, 'Should find 2 documents with score >= 75');
+    TestFramework.assertEquals(2, collection.countDocuments({ score: { $lte: 75 } }), 'Should count 2 documents with score <= 75');
+    TestFramework.assertEquals(2, collection.find({ status: { $ne: 'inactive' } }).toArray().length, 'Should include documents missing status');
+    TestFramework.assertEquals(1, collection.countDocuments({ status: { $nin: ['inactive', null] } }), 'Should exclude inactive and missing status');
+    
+    const byIds = collection.find({ _id: { $in: [alice.insertedId, bob.insertedId] } }).toArray();
+    TestFramework.assertEquals(2, byIds.length, 'Should find documents by _id $in');
+    
+    const notAlice = collection.findOne({ _id: { $ne: alice.insertedId }, score: { $gt: 70 } });
+    TestFramework.assertEquals('Bob', notAlice.name, 'Should find Bob with _id $ne');
+  });
+  
+  suite.addTest('testCollectionFindWithRegex', function() {
+    // Arrange - Use proper helper to create registered collection
+    const collection = createTestCollection('findRegexTestCollection');
+    collection.insertOne({ name: 'Alice', email: 'alice@example.com' });
+    collection.insertOne({ name: 'alfred', email: 'alfred@example.org' });
+    collection.insertOne({ name: 'Bob', email: 'bob@example.com' });
+    
+    // Act & Assert - Prefix and case-insensitive search through find, findOne and countDocuments
+    TestFramework.assertEquals(1, collection.find({ name: { $regex: '^Al' } }).toArray().length, 'Should match case-sensitive prefix');
+    TestFramework.assertEquals(2, collection.find({ name: { $regex: '^al', $options: 'i' } }).toArray().length, 'Should match case-insensitive prefix');
+    TestFramework.assertEquals(2, collection.countDocuments({ email: /\.com$/ }), 'Should count emails ending in .com');
+    TestFramework.assertEquals('alfred', collection.findOne({ email: /\.org$/ }).name, 'Should find the .org email');
+  });
+  
+  suite.addTest('testCollectionFindWithArrayOperators', function() {
+    // Arrange - Use proper helper to create registered collection
+    const collection = createTestCollection('findArrayOperatorsTestCollection');
+    collection.insertOne({ name: 'Order 1', tags: ['urgent', 'paid'], items: [{ sku: 'A1', qty: 1 }, { sku: 'B2', qty: 5 }] });
+    collection.insertOne({ name: 'Order 2', tags: ['paid'], items: [{ sku: 'A1', qty: 5 }] });
+    
+    // Act & Assert - Array semantics survive the round trip through Collection
+    TestFramework.assertEquals(1, collection.find({ tags: 'urgent' }).toArray().length, 'Should match a single tag element');
+    TestFramework.assertEquals(1, collection.countDocuments({ 'items.sku': 'B2' }), 'Should traverse items for sku');
+    TestFramework.assertEquals(
+      'Order 2',
+      collection.findOne({ items: { $elemMatch: { sku: 'A1', qty: { $gte: 5 } } } }).name,
+      'Should match a single item with $elemMatch'
+    );
+    TestFramework.assertEquals(1, collection.find({ tags: { $size: 2 } }).toArray().length, 'Should match two tags with $size');
+    TestFramework.assertEquals(1, collection.find({ tags: { $all: ['paid', 'urgent'] } }).toArray().length, 'Should require all tags with $all');
+  });
+  
+  suite.addTest('testCollectionFindWithExpr', function() {
+    // Arrange - Use proper helper to create registered collection
+    const collection = createTestCollection('findExprTestCollection');
+    collection.insertMany([
+      { _id: 'p1', budget: 100, spent: 120, dueDate: new Date('2024-03-01T00:00:00Z'), submittedAt: new Date('2024-03-04T00:00:00Z') },
+      { _id: 'p2', budget: 200, spent: 150, dueDate: new Date('2024-03-01T00:00:00Z'), submittedAt: new Date('2024-02-27T00:00:00Z') },
+      { _id: 'p3', budget: 50, spent: 75 }
+    ]);
+    const overspent = { $expr: { $gt: ['$spent', '$budget'] } };
+    
+    // Act
+    const found = collection.find(overspent).toArray();
+    const late = collection.find({ $expr: { $gt: ['$submittedAt', '$dueDate'] } }).toArray();
+    const counted = collection.countDocuments(overspent);
+    const deleted = collection.deleteMany(overspent);
+    
+    // Assert
+    TestFramework.assertArrayEquals(['p1', 'p3'], found.map(doc => doc._id), 'find should compare two fields of each document');
+    TestFramework.assertArrayEquals(['p1'], late.map(doc => doc._id), 'Stored dates should compare as dates');
+    TestFramework.assertEquals(2, counted, 'countDocuments should support $expr');
+    TestFramework.assertEquals(2, deleted.deletedCount, 'deleteMany should support $expr');
+    TestFramework.assertArrayEquals(['p2'], collection.find({}).toArray().map(doc => doc._id), 'Only overspent documents should be deleted');
+    TestFramework.assertThrows(() => {
+      collection.find({ $expr: { $gt: '$spent' } }).toArray();
+    }, InvalidQueryError, 'Should reject invalid expressions');
+  });
+  
+  suite.addTest('testCollectionFindWithProjection', function() {
+    // Arrange - Use proper helper to create registered collection
+    const collection = createTestCollection('findProjectionTestCollection');
+    const inserted = collection.insertOne({ name: 'Ada', year: 10, contact: { email: 'ada@example.com', phone: '0123' }, marks: [90, 80, 70] });
+    collection.insertOne({ name: 'Ben', year: 11, contact: { email: 'ben@example.com', phone: '0456' }, marks: [60] });
+    
+    // Act
+    const names = collection.find({}, { projection: { name: 1, _id: 0 } }).toArray();
+    const filtered = collection.find({ year: 10 }, { projection: { 'contact.phone': 0, marks: { $slice: 1 } } }).toArray();
+    const byId = collection.findOne({ _id: inserted.insertedId }, { projection: { 'contact.email': 1 } });
+    
+    // Assert
+    TestFramework.assertEquals(2, names.length, 'Should return every document');
+    TestFramework.assertDeepEquals({ name: 'Ada' }, names.find(doc => doc.name === 'Ada'), 'Should return only the name');
+    TestFramework.assertUndefined(filtered[0].contact.phone, 'Should exclude the nested phone');
+    TestFramework.assertArrayEquals([90], filtered[0].marks, 'Should slice the marks array');
+    TestFramework.assertDeepEquals({ _id: inserted.insertedId, contact: { email: 'ada@example.com' } }, byId, 'findOne by _id should apply the projection');
+    TestFramework.assertEquals(90, collection.findOne({ name: 'Ada' }).marks[0], 'Stored document should be unchanged');
+    TestFramework.assertThrows(() => {
+      collection.find({}, { projection: { name: 1, year: 0 } }).toArray();
+    }, InvalidArgumentError, 'Should reject mixed inclusion and exclusion');
+  });
+  
+  suite.addTest('testCollectionFindWithSortSkipAndLimit', function() {
+    // Arrange - Use proper helper to create registered collection
+    const collection = createTestCollection('findSortSkipLimitTestCollection');
+    collection.insertOne({ name: 'Cara', year: 10, profile: { house: 'Red' } });
+    collection.insertOne({ name: 'Ada', year: 11, profile: { house: 'Blue' } });
+    collection.insertOne({ name: 'Ben', year: 10, profile: { house: 'Green' } });
+    collection.insertOne({ name: 'Dan', year: 12 });
+    
+    // Act
+    const byYearThenName = collection.find({}, { sort: { year: -1, name: 1 } }).toArray().map(doc => doc.name);
+    const secondPage = collection.find({}, { sort: { name: 1 }, skip: 2, limit: 2 }).toArray().map(doc => doc.name);
+    const byHouse = collection.find({ year: { $lte: 11 } }, { sort: { 'profile.house': 1 }, projection: { name: 1, _id: 0 } }).toArray();
+    const firstTwo = collection.find({ year: 10 }, { limit: 1 }).toArray();
+    
+    // Assert
+    TestFramework.assertArrayEquals(['Dan', 'Ada', 'Ben', 'Cara'], byYearThenName, 'Should sort by year descending then name');
+    TestFramework.assertArrayEquals(['Cara', 'Dan'], secondPage, 'Should return the second page of two');
+    TestFramework.assertArrayEquals(['Ada', 'Ben', 'Cara'], byHouse.map(doc => doc.name), 'Should sort on a nested key before projecting');
+    TestFramework.assertEquals(1, firstTwo.length, 'Should stop after the limit without a sort');
+    TestFramework.assertThrows(() => {
+      collection.find({}, { limit: -1 }).toArray();
+    }, InvalidArgumentError, 'Should reject a negative limit');
+    TestFramework.assertThrows(() => {
+      collection.find({}, { sort: { name: 'asc' } }).toArray();
+    }, InvalidArgumentError, 'Should reject an invalid sort direction');
+  });
+  
+  suite.addTest('testCollectionFindCursorChaining', function() {
+    // Arrange - Use proper helper to create registered collection
+    const collection = createTestCollection('findCursorChainingTestCollection');
+    collection.insertOne({ name: 'Cara', year: 10 });
+    collection.insertOne({ name: 'Ada', year: 11 });
+    collection.insertOne({ name: 'Ben', year: 10 });
+    
+    // Act
+    const names = collection.find({ year: 10 }).sort({ name: 1 }).project({ name: 1, _id: 0 }).toArray();
+    const page = collection.find({}).sort({ name: -1 }).skip(1).limit(1).map(doc => doc.name).toArray();
+    const cursor = collection.find({}, { sort: { name: 1 } });
+    const first = cursor.next();
+    const rest = [];
+    while (cursor.hasNext()) {
+      rest.push(cursor.next().name);
+    }
+    
+    // Assert
+    TestFramework.assertDeepEquals([{ name: 'Ben' }, { name: 'Cara' }], names, 'Should apply chained sort and projection');
+    TestFramework.assertArrayEquals(['Ben'], page, 'Should apply chained skip, limit and map');
+    TestFramework.assertEquals('Ada', first.name, 'next() should return the first document');
+    TestFramework.assertArrayEquals(['Ben', 'Cara'], rest, 'hasNext()/next() should walk the remaining documents');
+    TestFramework.assertNull(cursor.next(), 'next() should return null once exhausted');
+    TestFramework.assertThrows(() => {
+      cursor.limit(1);
+    }, OperationError, 'Should reject modifiers after iteration has started');
+  });
+  
+  suite.addTest('testCollectionFindCursorForEachAndCount', function() {
+    // Arrange - Use proper helper to create registered collection
+    const collection = createTestCollection('findCursorForEachCountTestCollection');
+    collection.insertOne({ name: 'Cara', score: 70 });
+    collection.insertOne({ name: 'Ada', score: 90 });
+    collection.insertOne({ name: 'Ben', score: 80 });
+    
+    // Act
+    const visited = [];
+    collection.find({ score: { $gte: 80 } }).forEach(doc => {
+      visited.push(doc.name);
+    });
+    const stoppedEarly = [];
+    collection.find({}).forEach(doc => {
+      stoppedEarly.push(doc.name);
+      return false;
+    });
+    const cursor = collection.find({}).skip(1).limit(1);
+    const iterated = [];
+    for (const doc of collection.find({ score: { $lt: 80 } })) {
+      iterated.push(doc.name);
+    }
+    
+    // Assert
+    TestFramework.assertArrayEquals(['Ada', 'Ben'], visited, 'forEach should visit each matching document');
+    TestFramework.assertEquals(1, stoppedEarly.length, 'forEach should stop when the callback returns false');
+    TestFramework.assertEquals(3, cursor.count(), 'count() should ignore skip and limit by default');
+    TestFramework.assertEquals(1, cursor.count(true), 'count(true) should apply skip and limit');
+    TestFramework.assertEquals(1, cursor.toArray().length, 'count() should not consume the cursor');
+    TestFramework.assertArrayEquals(['Cara'], iterated, 'Cursor should support for...of');
+  });
+  
   return suite;
 }
\ No newline at end of file
@@ -108,7 +108,7 @@ function createCollectionUpdateOperationsTestSuite() {
     TestFramework.assertTrue(updateResult.acknowledged, 'Operation should be acknowledged');
     
     // Verify only first matching document was updated
-    const engineeringDocs = collection.find({ department: 'Engineering' });
+    const engineeringDocs = collection.find({ department: 'Engineering' }).toArray();
     TestFramework.assertEquals(2, engineeringDocs.length, 'Should still have 2 Engineering docs');
     
     const updatedDoc = engineeringDocs.find(doc => doc.name === 'Alice Updated');
@@ -433,6 +433,148 @@ function createCollectionUpdateOperationsTestSuite() {
     // TODO: Add proper logging verification when enhanced logging is implemented
     // For now, this ensures the operation completes without logging errors
   });
+  
+  suite.addTest('testCollectionUpdateOneUpsertInsertsWhenUnmatched', function() {
+    // Arrange - Use proper helper to create registered collection
+    const collection = createTestCollection('updateOneUpsertTestCollection');
+    const update = { $inc: { visits: 1 }, $setOnInsert: { createdBy: 'upsert' } };
+    
+    // Act - First call inserts, second call updates the inserted document
+    const insertResult = collection.updateOne(
+      { email: 'ada@example.com', 'profile.team': 'Red', age: { $gt: 18 } },
+      update,
+      { upsert: true }
+    );
+    const updateResult = collection.updateOne({ email: 'ada@example.com' }, update, { upsert: true });
+    
+    // Assert
+    TestFramework.assertEquals(0, insertResult.matchedCount, 'Should match 0 documents');
+    TestFramework.assertEquals(1, insertResult.upsertedCount, 'Should report one upsert');
+    TestFramework.assertNotNull(insertResult.upsertedId, 'Should report the upserted _id');
+    const upserted = collection.findOne({ _id: insertResult.upsertedId });
+    TestFramework.assertEquals('ada@example.com', upserted.email, 'Should copy equality fields from the filter');
+    TestFramework.assertEquals('Red', upserted.profile.team, 'Should expand dotted equality fields');
+    TestFramework.assertEquals(undefined, upserted.age, 'Should ignore non-equality conditions');
+    TestFramework.assertEquals('upsert', upserted.createdBy, 'Should apply $setOnInsert on insert');
+    TestFramework.assertEquals(1, updateResult.matchedCount, 'Second upsert should match the document');
+    TestFramework.assertNull(updateResult.upsertedId, 'Second upsert should not insert');
+    TestFramework.assertEquals(2, collection.findOne({ email: 'ada@example.com' }).visits, 'Should apply $inc to the match');
+    TestFramework.assertEquals(1, collection.countDocuments(), 'Should hold a single document');
+  });
+  
+  suite.addTest('testCollectionUpdateManyAndReplaceOneUpsert', function() {
+    // Arrange - Use proper helper to create registered collection
+    const collection = createTestCollection('updateManyReplaceOneUpsertTestCollection');
+    
+    // Act
+    const manyResult = collection.updateMany({ status: { $eq: 'pending' } }, { $set: { queued: true } }, { upsert: true });
+    const replaceResult = collection.replaceOne({ _id: 'settings', theme: 'dark' }, { theme: 'light' }, { upsert: true });
+    const ignoredResult = collection.updateOne({ status: 'pending' }, { $setOnInsert: { queued: false } });
+    
+    // Assert
+    TestFramework.assertEquals(1, manyResult.upsertedCount, 'updateMany should insert one document');
+    const pending = collection.findOne({ _id: manyResult.upsertedId });
+    TestFramework.assertEquals('pending', pending.status, 'Should copy $eq conditions from the filter');
+    TestFramework.assertTrue(pending.queued, 'Should apply $set on insert');
+    TestFramework.assertEquals('settings', replaceResult.upsertedId, 'replaceOne should keep the filter _id');
+    TestFramework.assertDeepEquals(
+      { _id: 'settings', theme: 'light' },
+      collection.findOne({ _id: 'settings' }),
+      'Replacement should not merge other filter fields'
+    );
+    TestFramework.assertEquals(undefined, ignoredResult.upsertedId, 'Results should omit upsert fields without the option');
+    TestFramework.assertTrue(collection.findOne({ status: 'pending' }).queued, '$setOnInsert should not change matched documents');
+    TestFramework.assertThrows(() => {
+      collection.updateOne({ status: 'pending' }, { $set: { queued: false } }, { upsert: 'yes' });
+    }, InvalidArgumentError, 'Should reject a non-boolean upsert option');
+  });
+  
+  suite.addTest('testCollectionUpdatePositionalOperators', function() {
+    // Arrange - Use proper helper to create registered collection
+    const collection = createTestCollection('updatePositionalTestCollection');
+    collection.insertMany([
+      { _id: 'alice', course: 'maths', submissions: [{ id: 's1', grade: 60 }, { id: 's2', grade: 90 }] },
+      { _id: 'bob', course: 'maths', submissions: [{ id: 's3', grade: 55 }] }
+    ]);
+    
+    // Act
+    const oneResult = collection.updateOne({ 'submissions.id': 's2' }, { $set: { 'submissions.$.grade': 95 } });
+    const manyResult = collection.updateMany(
+      { course: 'maths' },
+      { $inc: { 'submissions.$[low].grade': 10 } },
+      { arrayFilters: [{ 'low.grade': { $lt: 70 } }] }
+    );
+    
+    // Assert
+    TestFramework.assertEquals(1, oneResult.modifiedCount, 'updateOne should modify the matched document');
+    TestFramework.assertEquals(2, manyResult.modifiedCount, 'updateMany should modify both documents');
+    TestFramework.assertArrayEquals([70, 95], collection.findOne({ _id: 'alice' }).submissions.map(s => s.grade), 'Should update only the targeted elements');
+    TestFramework.assertEquals(65, collection.findOne({ _id: 'bob' }).submissions[0].grade, 'Should apply array filters to every matched document');
+    TestFramework.assertThrows(() => {
+      collection.updateOne({ _id: 'bob' }, { $set: { 'submissions.$[x].grade': 0 } }, { arrayFilters: 'x' });
+    }, InvalidArgumentError, 'Should reject non-array arrayFilters');
+  });
+
+  suite.addTest('testCollectionUpdateWithPipeline', function() {
+    // Arrange - Use proper helper to create registered collection
+    const collection = createTestCollection('updatePipelineTestCollection');
+    collection.insertMany([
+      { _id: 'o1', price: 2.5, qty: 4, first: 'Ada', last: 'Lovelace' },
+      { _id: 'o2', price: 10, qty: 1, first: 'Alan', last: 'Turing' }
+    ]);
+    
+    // Act
+    const manyResult = collection.updateMany({}, [{ $set: { total: { $multiply: ['$price', '$qty'] } } }]);
+    const oneResult = collection.updateOne('o1', [
+      { $set: { fullName: { $concat: ['$first', ' ', '$last'] } } },
+      { $unset: ['first', 'last'] }
+    ]);
+    const upsertResult = collection.updateOne({ _id: 'o3', price: 4 }, [{ $set: { total: '$price' } }], { upsert: true });
+    
+    // Assert
+    TestFramework.assertEquals(2, manyResult.modifiedCount, 'updateMany should apply the pipeline to every match');
+    TestFramework.assertEquals(1, oneResult.modifiedCount, 'updateOne should accept a document ID with a pipeline');
+    TestFramework.assertDeepEquals(
+      { _id: 'o1', price: 2.5, qty: 4, total: 10, fullName: 'Ada Lovelace' },
+      collection.findOne({ _id: 'o1' }),
+      'Stages should compute from existing field values in order'
+    );
+    TestFramework.assertEquals(10, collection.findOne({ _id: 'o2' }).total, 'Each document should use its own values');
+    TestFramework.assertEquals(4, collection.findOne({ _id: upsertResult.upsertedId }).total, 'Upserts should run the pipeline on the filter fields');
+    TestFramework.assertThrows(() => {
+      collection.updateOne('o1', [{ $match: { qty: 4 } }]);
+    }, InvalidQueryError, 'Should reject stages not allowed in updates');
+    TestFramework.assertThrows(() => {
+      collection.updateMany({}, [{ $set: { total: 0 } }], { arrayFilters: [{ 'x.a': 1 }] });
+    }, InvalidArgumentError, 'Should reject arrayFilters with a pipeline');
+    TestFramework.assertEquals(10, collection.findOne({ _id: 'o1' }).total, 'Rejected pipelines should not change documents');
+  });
+
+  suite.addTest('testCollectionUpdatesCannotChangeId', function() {
+    // Arrange - Use proper helper to create registered collection
+    const collection = createTestCollection('updateImmutableIdTestCollection');
+    collection.insertOne({ _id: 'x', name: 'Ada' });
+    const ids = () => collection.find({}).toArray().map(doc => doc._id);
+
+    // Act & Assert
+    TestFramework.assertThrows(() => {
+      collection.updateOne({ _id: 'x' }, { $set: { _id: 'y' } });
+    }, InvalidQueryError, '$set should not change the _id');
+    TestFramework.assertThrows(() => {
+      collection.updateOne({ _id: 'x' }, { $unset: { _id: '' } });
+    }, InvalidQueryError, '$unset should not remove the _id');
+    TestFramework.assertThrows(() => {
+      collection.updateMany({}, { $rename: { _id: 'legacyId' } });
+    }, InvalidQueryError, '$rename should not move the _id');
+    TestFramework.assertThrows(() => {
+      collection.replaceOne({ _id: 'x' }, { _id: 'y', name: 'Grace' });
+    }, InvalidArgumentError, 'replaceOne should not change the _id');
+    TestFramework.assertArrayEquals(['x'], ids(), 'Rejected updates should leave one document under its _id');
+    TestFramework.assertArrayEquals(['x'], Object.keys(collection._documents), 'Should store the document under its _id only');
+
+    collection.updateOne({ _id: 'x' }, { $set: { _id: 'x', name: 'Grace' } });
+    TestFramework.assertDeepEquals([{ _id: 'x', name: 'Grace' }], collection.find({}).toArray(), 'Setting _id to its current value should be allowed');
+  });
 
   return suite;
 }
\ No newline at end of file
@@ -48,7 +48,7 @@ function createCollectionDeleteOperationsTestSuite() {
     TestFramework.assertTrue(deleteResult.acknowledged, 'Operation should be acknowledged');
     
     // Verify delete worked
-    const remainingDocs = collection.find({});
+    const remainingDocs = collection.find({}).toArray();
     TestFramework.assertEquals(1, remainingDocs.length, 'Should have 1 document remaining');
     TestFramework.assertEquals('Other', remainingDocs[0].name, 'Remaining document should be Other');
   });
@@ -71,10 +71,10 @@ function createCollectionDeleteOperationsTestSuite() {
     TestFramework.assertTrue(deleteResult.acknowledged, 'Operation should be acknowledged');
     
     // Verify correct document was deleted (one Engineering doc should remain)
-    const remainingDocs = collection.find({});
+    const remainingDocs = collection.find({}).toArray();
     TestFramework.assertEquals(2, remainingDocs.length, 'Should have 2 documents remaining');
     
-    const engineeringDocs = collection.find({ department: 'Engineering' });
+    const engineeringDocs = collection.find({ department: 'Engineering' }).toArray();
     TestFramework.assertEquals(1, engineeringDocs.length, 'Should have 1 Engineering document remaining');
   });
   
@@ -98,10 +98,10 @@ function createCollectionDeleteOperationsTestSuite() {
     TestFramework.assertTrue(deleteResult.acknowledged, 'Operation should be acknowledged');
     
     // Verify correct document was deleted
-    const remainingDocs = collection.find({ department: 'Engineering' });
+    const remainingDocs = collection.find({ department: 'Engineering' }).toArray();
     TestFramework.assertEquals(2, remainingDocs.length, 'Should have 2 Engineering documents remaining');
     
-    const activeEngineerDocs = collection.find({ department: 'Engineering', status: 'active' });
+    const activeEngineerDocs = collection.find({ department: 'Engineering', status: 'active' }).toArray();
     TestFramework.assertEquals(1, activeEngineerDocs.length, 'Should have 1 active Engineering document remaining');
     TestFramework.assertEquals('Charlie', activeEngineerDocs[0].name, 'Charlie should remain');
   });
@@ -134,10 +134,10 @@ function createCollectionDeleteOperationsTestSuite() {
     TestFramework.assertTrue(deleteResult.acknowledged, 'Operation should be acknowledged');
     
     // Verify correct document was deleted
-    const remainingDocs = collection.find({});
+    const remainingDocs = collection.find({}).toArray();
     TestFramework.assertEquals(2, remainingDocs.length, 'Should have 2 documents remaining');
     
-    const frontendDocs = collection.find({ 'profile.team': 'Frontend' });
+    const frontendDocs = collection.find({ 'profile.team': 'Frontend' }).toArray();
     TestFramework.assertEquals(0, frontendDocs.length, 'Should have no Frontend documents remaining');
   });
   
@@ -157,10 +157,10 @@ function createCollectionDeleteOperationsTestSuite() {
     TestFramework.assertTrue(deleteResult.acknowledged, 'Operation should be acknowledged');
     
     // Verify correct document was deleted
-    const remainingDocs = collection.find({});
+    const remainingDocs = collection.find({}).toArray();
     TestFramework.assertEquals(2, remainingDocs.length, 'Should have 2 documents remaining');
     
-    const lowScoreDocs = collection.find({ score: { $lt: 80 } });
+    const lowScoreDocs = collection.find({ score: { $lt: 80 } }).toArray();
     TestFramework.assertEquals(0, lowScoreDocs.length, 'Should have no low-score documents remaining');
   });
   
@@ -179,7 +179,7 @@ function createCollectionDeleteOperationsTestSuite() {
     TestFramework.assertTrue(deleteResult.acknowledged, 'Operation should still be acknowledged');
     
     // Verify no documents were deleted
-    const remainingDocs = collection.find({});
+    const remainingDocs = collection.find({}).toArray();
     TestFramework.assertEquals(2, remainingDocs.length, 'Should still have 2 documents');
   });
   
@@ -95,6 +95,16 @@ function setupCollectionTestEnvironment() {
       _fileOps: fileOps,
       _fileService: COLLECTION_TEST_DATA.testFileService,
       getMasterIndex: () => COLLECTION_TEST_DATA.testMasterIndex,
+      collections: new Map(),
+      getCollection: function (name) {
+        if (!this.collections.has(name)) {
+          throw new Error(`Collection '${name}' does not exist and auto-create is disabled`);
+        }
+        return this.collections.get(name);
+      },
+      createCollection: function (name) {
+        return createTestCollection(name);
+      },
       _markDirty: function () {
         /* mock implementation */
       },
@@ -241,13 +251,15 @@ function createTestCollection(collectionName) {
   // Create the file and register in MasterIndex with the same name
   const fileId = createTestCollectionFile(collectionName);
   
-  // Create Collection instance with the same name
-  return new Collection(
+  // Create Collection instance with the same name and register it so getCollection can find it
+  const collection = new Collection(
     collectionName,
     fileId,
     COLLECTION_TEST_DATA.testDatabase,
     COLLECTION_TEST_DATA.testFileService
   );
+  COLLECTION_TEST_DATA.testDatabase.collections.set(collectionName, collection);
+  return collection;
 }
 /**
  * Run all Collection tests
@@ -269,6 +281,10 @@ function runCollectionTests() {
       registerTestSuite(createCollectionUpdateOperationsTestSuite());
       registerTestSuite(createCollectionDeleteOperationsTestSuite());
       registerTestSuite(createCollectionCountOperationsTestSuite());
+      registerTestSuite(createCollectionBulkWriteOperationsTestSuite());
+      registerTestSuite(createCollectionFindAndModifyOperationsTestSuite());
+      registerTestSuite(createCollectionAggregateOperationsTestSuite());
+      registerTestSuite(createCollectionIndexOperationsTestSuite());
 
       // Run all tests
       const results = runAllTests();
@@ -0,0 +1,144 @@
+/**
+ * Creates a test suite for verifying the bulkWrite operation of the Collection class.
+ *
+ * The suite includes tests for:
+ * - Applying mixed insert, update, replace and delete operations in one batch.
+ * - Running the batch under a single coordination call and a single Drive save.
+ * - Reporting MongoDB-shaped counts and per-operation write errors.
+ * - Upserting from updateOne, updateMany and replaceOne operations.
+ * - Stopping at the first error (ordered) or continuing past errors (unordered).
+ * - Rejecting malformed operations before anything is applied.
+ *
+ * @function
+ * @returns {TestSuite} The test suite containing bulkWrite tests for the Collection class.
+ */
+function createCollectionBulkWriteOperationsTestSuite() {
+  const suite = new TestSuite('Collection BulkWrite Operations');
+  
+  suite.addTest('testCollectionBulkWriteMixedOperations', function() {
+    // Arrange - Use proper helper to create registered collection
+    const collection = createTestCollection('bulkWriteMixedTestCollection');
+    collection.insertMany([
+      { _id: 'ada', name: 'Ada', year: 10 },
+      { _id: 'ben', name: 'Ben', year: 10 },
+      { _id: 'cara', name: 'Cara', year: 11 },
+      { _id: 'dan', name: 'Dan', year: 12 }
+    ]);
+    const originalCoordinate = collection._coordinator.coordinate.bind(collection._coordinator);
+    const originalSaveData = collection._saveData.bind(collection);
+    let coordinateCalls = 0;
+    let saveCalls = 0;
+    collection._coordinator.coordinate = function(operationName, callback) {
+      coordinateCalls++;
+      return originalCoordinate(operationName, callback);
+    };
+    collection._saveData = function() {
+      saveCalls++;
+      return originalSaveData();
+    };
+    
+    // Act
+    const result = collection.bulkWrite([
+      { insertOne: { document: { _id: 'eve', name: 'Eve', year: 10 } } },
+      { updateOne: { filter: { _id: 'ada' }, update: { $set: { house: 'Red' } } } },
+      { updateMany: { filter: { year: 10 }, update: { $inc: { year: 1 } } } },
+      { replaceOne: { filter: { name: 'Cara' }, replacement: { name: 'Cara', year: 12 } } },
+      { deleteOne: { filter: { _id: 'dan' } } },
+      { deleteMany: { filter: { name: 'Nobody' } } }
+    ]);
+    
+    // Assert
+    TestFramework.assertTrue(result.acknowledged, 'Operation should be acknowledged');
+    TestFramework.assertEquals(1, result.insertedCount, 'Should count the insert');
+    TestFramework.assertEquals('eve', result.insertedIds[0], 'Should map the insert index to its _id');
+    TestFramework.assertEquals(5, result.matchedCount, 'Should sum matched documents across updates and replaces');
+    TestFramework.assertEquals(5, result.modifiedCount, 'Should sum modified documents across updates and replaces');
+    TestFramework.assertEquals(1, result.deletedCount, 'Should sum deleted documents');
+    TestFramework.assertEquals(0, result.upsertedCount, 'Should report no upserts');
+    TestFramework.assertDeepEquals({}, result.upsertedIds, 'Should report empty upsertedIds');
+    TestFramework.assertEquals(1, coordinateCalls, 'Should coordinate the batch once');
+    TestFramework.assertEquals(1, saveCalls, 'Should save to Drive once');
+    TestFramework.assertFalse(collection.isDirty(), 'Collection should be clean after the batch');
+    TestFramework.assertEquals(11, collection.findOne({ _id: 'eve' }).year, 'Later operations should see earlier inserts');
+    TestFramework.assertEquals('Red', collection.findOne({ _id: 'ada' }).house, 'Should apply the updateOne');
+    TestFramework.assertEquals(4, collection.countDocuments(), 'Should apply the delete');
+  });
+  
+  suite.addTest('testCollectionBulkWriteOrderedAndUnorderedErrors', function() {
+    // Arrange - Use proper helper to create registered collection
+    const collection = createTestCollection('bulkWriteErrorsTestCollection');
+    collection.insertOne({ _id: 'taken', name: 'Existing', score: 1 });
+    const operations = [
+      { insertOne: { document: { _id: 'taken', name: 'Duplicate' } } },
+      { updateOne: { filter: { _id: 'taken' }, update: { $unknown: { score: 2 } } } },
+      { updateOne: { filter: { _id: 'taken' }, update: { $inc: { score: 1 } } } }
+    ];
+    
+    // Act
+    let orderedError = null;
+    try {
+      collection.bulkWrite(operations);
+    } catch (error) {
+      orderedError = error;
+    }
+    const afterOrdered = collection.findOne({ _id: 'taken' }).score;
+    let unorderedError = null;
+    try {
+      collection.bulkWrite(operations, { ordered: false });
+    } catch (error) {
+      unorderedError = error;
+    }
+    
+    // Assert
+    TestFramework.assertTrue(orderedError instanceof BulkWriteError, 'Ordered batch should throw a BulkWriteError');
+    TestFramework.assertEquals(1, orderedError.writeErrors.length, 'Ordered batch should stop at the first error');
+    TestFramework.assertEquals('CONFLICT_ERROR', orderedError.writeErrors[0].code, 'Should report the conflicting _id');
+    TestFramework.assertEquals(1, afterOrdered, 'Ordered batch should not apply later operations');
+    TestFramework.assertTrue(unorderedError instanceof BulkWriteError, 'Unordered batch should throw a BulkWriteError');
+    TestFramework.assertArrayEquals([0, 1], unorderedError.writeErrors.map(error => error.index), 'Should report each failed operation');
+    TestFramework.assertEquals(1, unorderedError.modifiedCount, 'Unordered batch should apply the valid update');
+    TestFramework.assertEquals(2, collection.findOne({ _id: 'taken' }).score, 'Valid update should be kept');
+  });
+  
+  suite.addTest('testCollectionBulkWriteUpserts', function() {
+    // Arrange - Use proper helper to create registered collection
+    const collection = createTestCollection('bulkWriteUpsertTestCollection');
+    collection.insertOne({ _id: 'ada', name: 'Ada', score: 1 });
+    
+    // Act
+    const result = collection.bulkWrite([
+      { updateOne: { filter: { _id: 'ada' }, update: { $inc: { score: 1 } }, upsert: true } },
+      { updateOne: { filter: { name: 'Ben' }, update: { $set: { score: 5 } }, upsert: true } },
+      { replaceOne: { filter: { _id: 'cara' }, replacement: { name: 'Cara' }, upsert: true } }
+    ]);
+    
+    // Assert
+    TestFramework.assertEquals(1, result.matchedCount, 'Should count the matched update');
+    TestFramework.assertEquals(2, result.upsertedCount, 'Should count both upserts');
+    TestFramework.assertEquals('cara', result.upsertedIds[2], 'Should map the upsert index to its _id');
+    TestFramework.assertEquals(5, collection.findOne({ _id: result.upsertedIds[1] }).score, 'Should insert the upserted document');
+    TestFramework.assertEquals(3, collection.countDocuments(), 'Should hold the original and upserted documents');
+  });
+  
+  suite.addTest('testCollectionBulkWriteRejectsMalformedOperations', function() {
+    // Arrange - Use proper helper to create registered collection
+    const collection = createTestCollection('bulkWriteMalformedTestCollection');
+    
+    // Act & Assert
+    TestFramework.assertThrows(() => {
+      collection.bulkWrite([
+        { insertOne: { document: { name: 'Ada' } } },
+        { upsertOne: { filter: {} } }
+      ]);
+    }, InvalidArgumentError, 'Should reject unsupported operation types');
+    TestFramework.assertThrows(() => {
+      collection.bulkWrite([{ updateOne: { filter: { name: 'Ada' } } }]);
+    }, InvalidArgumentError, 'Should reject operations missing required fields');
+    TestFramework.assertThrows(() => {
+      collection.bulkWrite([]);
+    }, InvalidArgumentError, 'Should reject an empty batch');
+    TestFramework.assertEquals(0, collection.countDocuments(), 'Malformed batches should apply nothing');
+  });
+  
+  return suite;
+}
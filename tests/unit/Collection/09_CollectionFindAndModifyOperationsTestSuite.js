@@ -0,0 +1,126 @@
+/**
+ * Creates a test suite for verifying the find and modify operations of the Collection class.
+ *
+ * The suite includes tests for:
+ * - findOneAndUpdate returning the document before or after the update.
+ * - Choosing the target document with sort and shaping the result with projection.
+ * - Upserting through findOneAndUpdate and findOneAndReplace.
+ * - findOneAndDelete removing and returning the selected document.
+ * - Running each operation inside a single coordination call.
+ *
+ * @function
+ * @returns {TestSuite} The test suite containing find and modify tests for the Collection class.
+ */
+function createCollectionFindAndModifyOperationsTestSuite() {
+  const suite = new TestSuite('Collection Find And Modify Operations');
+  
+  suite.addTest('testCollectionFindOneAndUpdateClaimsJob', function() {
+    // Arrange - Use proper helper to create registered collection
+    const collection = createTestCollection('findOneAndUpdateClaimTestCollection');
+    collection.insertMany([
+      { _id: 'job1', status: 'queued', priority: 2 },
+      { _id: 'job2', status: 'queued', priority: 5 },
+      { _id: 'job3', status: 'done', priority: 9 }
+    ]);
+    const originalCoordinate = collection._coordinator.coordinate.bind(collection._coordinator);
+    const operations = [];
+    collection._coordinator.coordinate = function(operationName, callback) {
+      operations.push(operationName);
+      return originalCoordinate(operationName, callback);
+    };
+    
+    // Act
+    const before = collection.findOneAndUpdate(
+      { status: 'queued' },
+      { $set: { status: 'running' } },
+      { sort: { priority: -1 } }
+    );
+    const after = collection.findOneAndUpdate(
+      { status: 'queued' },
+      { $set: { status: 'running' }, $inc: { attempts: 1 } },
+      { sort: { priority: -1 }, returnDocument: 'after', projection: { status: 1, attempts: 1 } }
+    );
+    const none = collection.findOneAndUpdate({ status: 'queued' }, { $set: { status: 'running' } });
+    
+    // Assert
+    TestFramework.assertEquals('job2', before._id, 'Should pick the highest priority job');
+    TestFramework.assertEquals('queued', before.status, 'Should return the document before the update by default');
+    TestFramework.assertDeepEquals({ _id: 'job1', status: 'running', attempts: 1 }, after, 'Should return the projected updated document');
+    TestFramework.assertNull(none, 'Should return null when nothing matches');
+    TestFramework.assertEquals('running', collection.findOne({ _id: 'job2' }).status, 'Should store the update');
+    TestFramework.assertArrayEquals(['findOneAndUpdate', 'findOneAndUpdate', 'findOneAndUpdate'], operations, 'Each call should coordinate once');
+  });
+  
+  suite.addTest('testCollectionFindOneAndUpdateAndReplaceUpsert', function() {
+    // Arrange - Use proper helper to create registered collection
+    const collection = createTestCollection('findOneAndModifyUpsertTestCollection');
+    
+    // Act
+    const beforeUpsert = collection.findOneAndUpdate(
+      { name: 'counter' },
+      { $inc: { value: 1 } },
+      { upsert: true }
+    );
+    const afterUpsert = collection.findOneAndUpdate(
+      { name: 'counter' },
+      { $inc: { value: 1 } },
+      { upsert: true, returnDocument: 'after' }
+    );
+    const replaced = collection.findOneAndReplace(
+      { _id: 'settings' },
+      { theme: 'dark' },
+      { upsert: true, returnDocument: 'after' }
+    );
+    const replacedAgain = collection.findOneAndReplace({ _id: 'settings' }, { theme: 'light' });
+    
+    // Assert
+    TestFramework.assertNull(beforeUpsert, 'Upsert returning "before" should return null');
+    TestFramework.assertEquals(2, afterUpsert.value, 'Second call should update the upserted document');
+    TestFramework.assertDeepEquals({ _id: 'settings', theme: 'dark' }, replaced, 'Replace upsert should return the new document');
+    TestFramework.assertEquals('dark', replacedAgain.theme, 'Replace should return the previous document');
+    TestFramework.assertEquals('light', collection.findOne({ _id: 'settings' }).theme, 'Replace should store the replacement');
+    TestFramework.assertEquals(2, collection.countDocuments(), 'Should hold both upserted documents');
+  });
+  
+  suite.addTest('testCollectionFindOneAndDelete', function() {
+    // Arrange - Use proper helper to create registered collection
+    const collection = createTestCollection('findOneAndDeleteTestCollection');
+    collection.insertMany([
+      { _id: 'a', queue: 'mail', createdAt: new Date('2024-01-02') },
+      { _id: 'b', queue: 'mail', createdAt: new Date('2024-01-01') }
+    ]);
+    
+    // Act
+    const deleted = collection.findOneAndDelete({ queue: 'mail' }, { sort: { createdAt: 1 }, projection: { _id: 1 } });
+    const missing = collection.findOneAndDelete({ queue: 'sms' });
+    
+    // Assert
+    TestFramework.assertDeepEquals({ _id: 'b' }, deleted, 'Should delete and return the oldest document');
+    TestFramework.assertNull(missing, 'Should return null when nothing matches');
+    TestFramework.assertEquals(1, collection.countDocuments(), 'Should delete one document');
+    TestFramework.assertEquals(1, collection.getMetadata().documentCount, 'Should update the document count');
+  });
+  
+  suite.addTest('testCollectionFindAndModifyInvalidOptions', function() {
+    // Arrange - Use proper helper to create registered collection
+    const collection = createTestCollection('findAndModifyInvalidOptionsTestCollection');
+    collection.insertOne({ _id: 'a', value: 1 });
+    
+    // Act & Assert
+    TestFramework.assertThrows(() => {
+      collection.findOneAndUpdate({ _id: 'a' }, { $set: { value: 2 } }, { returnDocument: 'new' });
+    }, InvalidArgumentError, 'Should reject unknown returnDocument values');
+    TestFramework.assertThrows(() => {
+      collection.findOneAndUpdate({ _id: 'a' }, { value: 2 });
+    }, InvalidArgumentError, 'Should require update operators');
+    TestFramework.assertThrows(() => {
+      collection.findOneAndReplace({ _id: 'a' }, { $set: { value: 2 } });
+    }, InvalidArgumentError, 'Should reject operators in a replacement');
+    TestFramework.assertThrows(() => {
+      collection.findOneAndDelete({ _id: 'a' }, { sort: { value: 'asc' } });
+    }, InvalidArgumentError, 'Should reject an invalid sort');
+    TestFramework.assertEquals(1, collection.findOne({ _id: 'a' }).value, 'Invalid calls should change nothing');
+  });
+  
+  return suite;
+}
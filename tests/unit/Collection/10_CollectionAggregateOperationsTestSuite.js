@@ -0,0 +1,349 @@
+/**
+ * Creates a test suite for verifying the aggregate operation of the Collection class.
+ *
+ * The suite includes tests for:
+ * - Running $match, $group, $sort and $limit stages in order.
+ * - Reshaping documents with $project, $addFields and $unset.
+ * - Counting results with $count.
+ * - Joining other collections with $lookup and flattening arrays with $unwind.
+ * - Computing values with date, conditional and array expressions.
+ * - Computing several breakdowns in one pass with $facet, $bucket and $sortByCount.
+ * - Combining collections with $unionWith and reshaping results with $replaceRoot.
+ * - Materialising results in another collection with $out and $merge.
+ * - Rejecting unknown and malformed stages.
+ *
+ * @function
+ * @returns {TestSuite} The test suite containing aggregate tests for the Collection class.
+ */
+function createCollectionAggregateOperationsTestSuite() {
+  const suite = new TestSuite('Collection Aggregate Operations');
+
+  suite.addTest('testCollectionAggregateGroupsSortsAndLimits', function() {
+    // Arrange - Use proper helper to create registered collection
+    const collection = createTestCollection('aggregateGroupTestCollection');
+    collection.insertMany([
+      { _id: 's1', student: 'ada', subject: 'maths', score: 90 },
+      { _id: 's2', student: 'ada', subject: 'art', score: 70 },
+      { _id: 's3', student: 'bob', subject: 'maths', score: 60 },
+      { _id: 's4', student: 'cy', subject: 'maths', score: 80 },
+      { _id: 's5', student: 'cy', subject: 'art', score: 40, late: true }
+    ]);
+
+    // Act
+    const results = collection.aggregate([
+      { $match: { late: { $ne: true } } },
+      { $group: { _id: '$student', average: { $avg: '$score' }, subjects: { $push: '$subject' }, count: { $count: {} } } },
+      { $sort: { average: -1 } },
+      { $limit: 2 }
+    ]);
+
+    // Assert
+    TestFramework.assertEquals(2, results.length, '$limit should run after $group and $sort');
+    TestFramework.assertDeepEquals(
+      { _id: 'ada', average: 80, subjects: ['maths', 'art'], count: 2 },
+      results[0],
+      'Groups with equal averages should keep their first-seen order'
+    );
+    TestFramework.assertDeepEquals(
+      { _id: 'cy', average: 80, subjects: ['maths'], count: 1 },
+      results[1],
+      '$match should run before $group'
+    );
+  });
+
+  suite.addTest('testCollectionAggregateReshapesAndCounts', function() {
+    // Arrange - Use proper helper to create registered collection
+    const collection = createTestCollection('aggregateReshapeTestCollection');
+    collection.insertMany([
+      { _id: 'o1', price: 2.5, qty: 4, notes: 'gift' },
+      { _id: 'o2', price: 10, qty: 1, notes: 'rush' },
+      { _id: 'o3', price: 1, qty: 3 }
+    ]);
+
+    // Act
+    const projected = collection.aggregate([
+      { $addFields: { total: { $multiply: ['$price', '$qty'] } } },
+      { $unset: 'notes' },
+      { $project: { _id: 0, total: 1, bigOrder: { $literal: true } } },
+      { $skip: 1 }
+    ]);
+    const counted = collection.aggregate([{ $match: { qty: { $gt: 1 } } }, { $count: 'multiples' }]);
+    const none = collection.aggregate([{ $match: { qty: 99 } }, { $count: 'multiples' }]);
+
+    // Assert
+    TestFramework.assertDeepEquals([{ total: 10, bigOrder: true }, { total: 3, bigOrder: true }], projected, 'Stages should reshape documents in order');
+    TestFramework.assertDeepEquals([{ multiples: 2 }], counted, '$count should return the number of documents');
+    TestFramework.assertEquals(0, none.length, '$count should return nothing for no documents');
+    TestFramework.assertEquals('gift', collection.findOne({ _id: 'o1' }).notes, 'Aggregation should not modify stored documents');
+  });
+
+  suite.addTest('testCollectionAggregateLookupJoinsCollections', function() {
+    // Arrange - Use proper helper to create registered collections
+    const students = createTestCollection('aggregateLookupStudents');
+    const classes = createTestCollection('aggregateLookupClasses');
+    const submissions = createTestCollection('aggregateLookupSubmissions');
+    students.insertMany([
+      { _id: 'ada', classIds: ['maths', 'art'] },
+      { _id: 'bob', classIds: [] }
+    ]);
+    classes.insertMany([
+      { _id: 'maths', title: 'Maths' },
+      { _id: 'art', title: 'Art' }
+    ]);
+    submissions.insertMany([
+      { _id: 'sub1', studentId: 'ada', classId: 'maths', grade: 85 },
+      { _id: 'sub2', studentId: 'ada', classId: 'art', grade: 60 },
+      { _id: 'sub3', studentId: 'bob', classId: 'maths', grade: 70 }
+    ]);
+
+    // Act
+    const report = students.aggregate([
+      { $unwind: { path: '$classIds', preserveNullAndEmptyArrays: true } },
+      { $lookup: { from: 'aggregateLookupClasses', localField: 'classIds', foreignField: '_id', as: 'class' } },
+      {
+        $lookup: {
+          from: 'aggregateLookupSubmissions',
+          localField: '_id',
+          foreignField: 'studentId',
+          let: { classId: '$classIds' },
+          pipeline: [{ $project: { _id: 0, grade: 1, classId: 1, current: '$$classId' } }],
+          as: 'grades'
+        }
+      },
+      { $project: { _id: 1, class: 1, grades: 1 } }
+    ]);
+
+    // Assert
+    TestFramework.assertEquals(3, report.length, '$unwind should output one document per class, keeping students without classes');
+    TestFramework.assertDeepEquals([{ _id: 'maths', title: 'Maths' }], report[0].class, 'localField should join the matching class');
+    TestFramework.assertDeepEquals(
+      [{ classId: 'maths', grade: 85, current: 'maths' }, { classId: 'art', grade: 60, current: 'maths' }],
+      report[0].grades,
+      'The lookup pipeline should see its let variables'
+    );
+    TestFramework.assertDeepEquals([], report[2].class, 'A missing localField should only match documents without the foreignField');
+    TestFramework.assertEquals(1, report[2].grades.length, 'Each student should only get their own submissions');
+  });
+
+  suite.addTest('testCollectionAggregateWithExpressionOperators', function() {
+    // Arrange - Use proper helper to create registered collection
+    const collection = createTestCollection('aggregateExpressionTestCollection');
+    collection.insertMany([
+      { _id: 'e1', submittedAt: new Date('2024-01-15T09:00:00Z'), marks: [8, 9, 10] },
+      { _id: 'e2', submittedAt: new Date('2024-01-20T09:00:00Z'), marks: [3, 4] },
+      { _id: 'e3', submittedAt: new Date('2024-02-02T09:00:00Z'), marks: [] }
+    ]);
+
+    // Act
+    const results = collection.aggregate([
+      {
+        $set: {
+          total: { $reduce: { input: '$marks', initialValue: 0, in: { $add: ['$$value', '$$this'] } } },
+          count: { $size: '$marks' }
+        }
+      },
+      {
+        $group: {
+          _id: { $dateToString: { date: '$submittedAt', format: '%Y-%m' } },
+          totals: { $push: '$total' },
+          average: { $avg: { $cond: ['$count', { $round: [{ $divide: ['$total', '$count'] }, 1] }, null] } }
+        }
+      }
+    ]);
+
+    // Assert
+    TestFramework.assertDeepEquals([
+      { _id: '2024-01', totals: [27, 7], average: 6.25 },
+      { _id: '2024-02', totals: [0], average: null }
+    ], results, 'Expressions should be usable in $set and $group');
+  });
+
+  suite.addTest('testCollectionAggregateFacetsBreakdowns', function() {
+    // Arrange - Use proper helper to create registered collection
+    const collection = createTestCollection('aggregateFacetTestCollection');
+    collection.insertMany([
+      { _id: 't1', status: 'open', score: 35, tags: ['urgent', 'billing'] },
+      { _id: 't2', status: 'closed', score: 72, tags: ['billing'] },
+      { _id: 't3', status: 'open', score: 88, tags: ['billing', 'login'] },
+      { _id: 't4', status: 'open', score: 55, tags: [] }
+    ]);
+
+    // Act
+    const results = collection.aggregate([
+      {
+        $facet: {
+          byStatus: [{ $sortByCount: '$status' }],
+          scores: [{ $bucket: { groupBy: '$score', boundaries: [0, 50, 100], output: { count: { $sum: 1 }, ids: { $push: '$_id' } } } }],
+          topTags: [{ $unwind: '$tags' }, { $sortByCount: '$tags' }, { $limit: 2 }]
+        }
+      }
+    ]);
+
+    // Assert
+    TestFramework.assertDeepEquals([{
+      byStatus: [{ _id: 'open', count: 3 }, { _id: 'closed', count: 1 }],
+      scores: [{ _id: 0, count: 1, ids: ['t1'] }, { _id: 50, count: 3, ids: ['t2', 't3', 't4'] }],
+      topTags: [{ _id: 'billing', count: 3 }, { _id: 'urgent', count: 1 }]
+    }], results, '$facet should compute every breakdown from one read of the collection');
+  });
+
+  suite.addTest('testCollectionAggregateUnionWithAndReplaceRoot', function() {
+    // Arrange - Use proper helper to create registered collections
+    const current = createTestCollection('aggregateUnionCurrent');
+    const archived = createTestCollection('aggregateUnionArchived');
+    current.insertMany([
+      { _id: 'c1', order: { ref: 'A', total: 20 } },
+      { _id: 'c2', order: { ref: 'B', total: 5 } }
+    ]);
+    archived.insertOne({ _id: 'a1', order: { ref: 'Z', total: 50 } });
+
+    // Act
+    const results = current.aggregate([
+      { $unionWith: { coll: 'aggregateUnionArchived', pipeline: [{ $set: { archived: true } }] } },
+      { $replaceRoot: { newRoot: { ref: '$order.ref', total: '$order.total', archived: { $ifNull: ['$archived', false] } } } },
+      { $sort: { total: -1 } }
+    ]);
+
+    // Assert
+    TestFramework.assertDeepEquals([
+      { ref: 'Z', total: 50, archived: true },
+      { ref: 'A', total: 20, archived: false },
+      { ref: 'B', total: 5, archived: false }
+    ], results, '$unionWith should add the other collection\'s documents to the pipeline');
+    TestFramework.assertEquals(1, archived.countDocuments({}), '$unionWith should not change the other collection');
+  });
+
+  suite.addTest('testCollectionAggregateMissingForeignCollectionReadsEmpty', function() {
+    // Arrange - Use proper helper to create registered collection; the foreign collections do not exist
+    const orders = createTestCollection('aggregateMissingForeignOrders');
+    orders.insertOne({ _id: 'o1', customerId: 'c1' });
+
+    // Act
+    const results = orders.aggregate([
+      { $lookup: { from: 'aggregateMissingLookup', localField: 'customerId', foreignField: '_id', as: 'customer' } },
+      { $unionWith: 'aggregateMissingUnion' }
+    ]);
+
+    // Assert
+    TestFramework.assertDeepEquals([{ _id: 'o1', customerId: 'c1', customer: [] }], results, 'A missing collection should read as empty');
+    ['aggregateMissingLookup', 'aggregateMissingUnion'].forEach(name => {
+      TestFramework.assertFalse(COLLECTION_TEST_DATA.testDatabase.collections.has(name), `Reading ${name} should not create it`);
+      TestFramework.assertFalse(!!COLLECTION_TEST_DATA.testMasterIndex.getCollection(name), `Reading ${name} should not register it`);
+    });
+  });
+
+  suite.addTest('testCollectionAggregateOutReplacesTargetCollection', function() {
+    // Arrange - Use proper helper to create registered collection; the target does not exist yet
+    const grades = createTestCollection('aggregateOutGrades');
+    grades.insertMany([
+      { _id: 'g1', classId: 'maths', score: 80 },
+      { _id: 'g2', classId: 'maths', score: 60 },
+      { _id: 'g3', classId: 'art', score: 90 }
+    ]);
+    const summaryName = 'aggregateOutClassAverages';
+    const averagesByClass = [{ $group: { _id: '$classId', average: { $avg: '$score' } } }, { $sort: { _id: 1 } }];
+
+    // Act
+    const results = grades.aggregate(averagesByClass.concat([{ $out: summaryName }]));
+    const summary = COLLECTION_TEST_DATA.testDatabase.getCollection(summaryName);
+    const created = summary.find({}).toArray();
+    grades.deleteOne({ _id: 'g3' });
+    grades.aggregate(averagesByClass.concat([{ $out: { coll: summaryName } }]));
+
+    // Assert
+    TestFramework.assertDeepEquals([], results, '$out should return no documents');
+    TestFramework.assertDeepEquals([{ _id: 'art', average: 90 }, { _id: 'maths', average: 70 }], created, '$out should create the target collection');
+    TestFramework.assertDeepEquals([{ _id: 'maths', average: 70 }], summary.find({}).toArray(), '$out should replace every document of an existing target');
+    TestFramework.assertEquals(1, summary.getMetadata().documentCount, 'The target metadata should count its new documents');
+    TestFramework.assertEquals(
+      1,
+      COLLECTION_TEST_DATA.testMasterIndex.getCollection(summaryName).documentCount,
+      'The MasterIndex should count the new documents'
+    );
+    TestFramework.assertThrows(() => {
+      grades.aggregate([{ $project: { _id: 'same' } }, { $out: summaryName }]);
+    }, DuplicateKeyError, '$out should reject documents with the same _id');
+    TestFramework.assertEquals(1, summary.countDocuments({}), 'A failed $out should not change the target');
+  });
+
+  suite.addTest('testCollectionAggregateMergeIntoTargetCollection', function() {
+    // Arrange - Use proper helper to create registered collections
+    const grades = createTestCollection('aggregateMergeGrades');
+    const totals = createTestCollection('aggregateMergeTotals');
+    grades.insertMany([
+      { _id: 'g1', classId: 'maths', score: 80 },
+      { _id: 'g2', classId: 'art', score: 90 }
+    ]);
+    totals.insertMany([
+      { _id: 'maths', total: 10, runs: 1, teacher: 'Hopper' },
+      { _id: 'music', total: 50, runs: 1 }
+    ]);
+    const totalsByClass = { $group: { _id: '$classId', total: { $sum: '$score' } } };
+
+    // Act
+    grades.aggregate([totalsByClass, { $merge: { into: 'aggregateMergeTotals' } }]);
+    const merged = totals.find({ _id: 'maths' }).toArray()[0];
+    grades.aggregate([totalsByClass, {
+      $merge: {
+        into: 'aggregateMergeTotals',
+        whenMatched: [{ $set: { total: { $add: ['$total', '$$new.total'] }, runs: { $add: [{ $ifNull: ['$runs', 0] }, 1] } } }],
+        whenNotMatched: 'discard'
+      }
+    }]);
+    grades.aggregate([{ $project: { _id: 0, classId: 1, best: '$score' } }, { $merge: { into: 'aggregateMergeTotals', on: 'classId' } }]);
+
+    // Assert
+    TestFramework.assertDeepEquals(
+      { _id: 'maths', total: 80, runs: 1, teacher: 'Hopper' },
+      merged,
+      'whenMatched "merge" should keep fields the result does not set'
+    );
+    TestFramework.assertDeepEquals([
+      { _id: 'maths', total: 160, runs: 2, teacher: 'Hopper' },
+      { _id: 'music', total: 50, runs: 1 },
+      { _id: 'art', total: 180, runs: 1 }
+    ], totals.find({ _id: { $in: ['maths', 'music', 'art'] } }).toArray(), 'A whenMatched pipeline should see the result as $$new');
+    TestFramework.assertEquals(5, totals.countDocuments({}), 'Results without a match should be inserted with generated ids');
+    TestFramework.assertEquals(
+      5,
+      COLLECTION_TEST_DATA.testMasterIndex.getCollection('aggregateMergeTotals').documentCount,
+      'The MasterIndex should count the merged documents'
+    );
+    TestFramework.assertThrows(() => {
+      grades.aggregate([totalsByClass, { $merge: { into: 'aggregateMergeTotals', whenMatched: 'fail' } }]);
+    }, DuplicateKeyError, 'whenMatched "fail" should reject a matching result');
+    TestFramework.assertThrows(() => {
+      grades.aggregate([totalsByClass, { $merge: { into: 'aggregateMergeNewTotals', whenNotMatched: 'fail' } }]);
+    }, OperationError, 'whenNotMatched "fail" should reject a result without a match');
+    TestFramework.assertEquals(160, totals.findOne({ _id: 'maths' }).total, 'A failed $merge should not change the target');
+  });
+
+  suite.addTest('testCollectionAggregateRejectsInvalidStages', function() {
+    // Arrange - Use proper helper to create registered collection
+    const collection = createTestCollection('aggregateInvalidTestCollection');
+    collection.insertOne({ _id: 'a', value: 1 });
+
+    // Act & Assert
+    TestFramework.assertEquals(1, collection.aggregate([]).length, 'An empty pipeline should return every document');
+    TestFramework.assertThrows(() => {
+      collection.aggregate([{ $match: { value: 1 } }, { $bogus: {} }]);
+    }, InvalidQueryError, 'Should reject unknown stages');
+    TestFramework.assertThrows(() => {
+      collection.aggregate([{ $group: { total: { $sum: '$value' } } }]);
+    }, InvalidQueryError, 'Should require a $group _id');
+    TestFramework.assertThrows(() => {
+      collection.aggregate([{ $group: { _id: null, total: { $median: '$value' } } }]);
+    }, InvalidQueryError, 'Should reject unknown accumulators');
+    TestFramework.assertThrows(() => {
+      collection.aggregate([{ $limit: -1 }]);
+    }, InvalidQueryError, 'Should reject a negative $limit');
+    TestFramework.assertThrows(() => {
+      collection.aggregate([{ $lookup: { from: 'aggregateInvalidTestCollection', as: 'self' } }]);
+    }, InvalidQueryError, 'Should require localField and foreignField or a pipeline in $lookup');
+    TestFramework.assertThrows(() => {
+      collection.aggregate({ $match: {} });
+    }, InvalidArgumentError, 'Should require an array pipeline');
+  });
+
+  return suite;
+}
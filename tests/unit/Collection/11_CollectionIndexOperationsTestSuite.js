@@ -0,0 +1,281 @@
+/**
+ * Creates a test suite for verifying the index operations of the Collection class.
+ *
+ * The suite includes tests for:
+ * - Creating, listing and dropping single-field indexes.
+ * - Returning the same results from indexed queries as from full scans.
+ * - Keeping indexes up to date as documents are inserted, updated, replaced and deleted.
+ * - Rebuilding indexes when the collection is loaded from Drive.
+ * - Enforcing unique indexes on every write, and refusing to build them over duplicates.
+ *
+ * @function
+ * @returns {TestSuite} The test suite containing index tests for the Collection class.
+ */
+function createCollectionIndexOperationsTestSuite() {
+  const suite = new TestSuite('Collection Index Operations');
+
+  suite.addTest('testCollectionCreateAndDropIndex', function() {
+    // Arrange
+    const collection = createTestCollection('indexCreateTestCollection');
+    collection.insertOne({ _id: 'u1', email: 'ada@example.com' });
+
+    // Act
+    const index = collection.createIndex(['email']);
+    const repeated = collection.createIndex(['email']);
+
+    // Assert
+    TestFramework.assertDeepEquals({ field: 'email', unique: false }, index, 'Should describe the new index');
+    TestFramework.assertDeepEquals(index, repeated, 'Creating the same index again should do nothing');
+    TestFramework.assertDeepEquals([{ field: 'email', unique: false }], collection.getIndexes(), 'Should list the index');
+    TestFramework.assertThrows(() => {
+      collection.createIndex(['email'], { unique: true });
+    }, InvalidArgumentError, 'Should reject an existing index with different options');
+    TestFramework.assertThrows(() => {
+      collection.createIndex(['email', 'name']);
+    }, InvalidArgumentError, 'Should reject compound indexes');
+
+    TestFramework.assertTrue(collection.dropIndex('email'), 'Should drop the index');
+    TestFramework.assertFalse(collection.dropIndex('email'), 'Should report a missing index');
+    TestFramework.assertEquals(0, collection.getIndexes().length, 'Should have no indexes left');
+  });
+
+  suite.addTest('testCollectionIndexedQueriesMatchFullScans', function() {
+    // Arrange
+    const documents = [];
+    for (let i = 0; i < 40; i++) {
+      documents.push({ _id: 'o' + i, status: ['new', 'paid', 'sent'][i % 3], total: (i * 7) % 50, tags: i % 4 === 0 ? ['gift', 'rush'] : ['rush'] });
+    }
+    documents.push({ _id: 'o40', total: 'unknown' });
+    const scanned = createTestCollection('indexScanTestCollection');
+    const indexed = createTestCollection('indexUsedTestCollection');
+    scanned.insertMany(documents);
+    indexed.insertMany(documents);
+    indexed.createIndex(['status']);
+    indexed.createIndex(['total']);
+    indexed.createIndex(['tags']);
+
+    const queries = [
+      [{ status: 'paid' }, {}],
+      [{ status: { $in: ['new', 'sent'] }, total: { $gt: 20 } }, {}],
+      [{ total: { $gte: 10, $lt: 30 } }, { sort: { total: 1 } }],
+      [{ tags: 'gift' }, { sort: { total: -1 }, limit: 3 }],
+      [{ status: null }, {}],
+      [{ $and: [{ status: 'new' }, { total: { $lte: 14 } }] }, {}],
+      [{}, { sort: { total: -1 }, skip: 2, limit: 4 }],
+      [{ tags: { $ne: 'gift' } }, { sort: { total: 1 }, limit: 5 }]
+    ];
+
+    // Act & Assert
+    queries.forEach(([filter, options]) => {
+      TestFramework.assertDeepEquals(
+        scanned.find(filter, options).toArray(),
+        indexed.find(filter, options).toArray(),
+        'Indexed results should match a full scan for ' + JSON.stringify(filter)
+      );
+      TestFramework.assertEquals(
+        scanned.countDocuments(filter),
+        indexed.countDocuments(filter),
+        'Indexed counts should match a full scan for ' + JSON.stringify(filter)
+      );
+    });
+  });
+
+  suite.addTest('testCollectionIndexesFollowWrites', function() {
+    // Arrange
+    const collection = createTestCollection('indexWritesTestCollection');
+    collection.createIndex(['city']);
+    collection.insertMany([
+      { _id: 'p1', city: 'Leeds' },
+      { _id: 'p2', city: 'York' },
+      { _id: 'p3', city: 'Leeds' }
+    ]);
+    const ids = filter => collection.find(filter).toArray().map(doc => doc._id);
+
+    // Act & Assert
+    TestFramework.assertArrayEquals(['p1', 'p3'], ids({ city: 'Leeds' }), 'Should find inserted documents');
+
+    collection.updateOne({ _id: 'p1' }, { $set: { city: 'York' } });
+    TestFramework.assertArrayEquals(['p3'], ids({ city: 'Leeds' }), 'Should drop updated documents from their old value');
+    TestFramework.assertArrayEquals(['p1', 'p2'], ids({ city: 'York' }), 'Should find updated documents by their new value');
+
+    collection.replaceOne({ _id: 'p2' }, { city: 'Hull' });
+    TestFramework.assertArrayEquals(['p2'], ids({ city: 'Hull' }), 'Should find replaced documents by their new value');
+
+    collection.deleteMany({ city: 'York' });
+    TestFramework.assertArrayEquals([], ids({ city: 'York' }), 'Should not find deleted documents');
+    TestFramework.assertArrayEquals(['p3'], ids({ city: { $gte: 'L' } }), 'Should range over the remaining documents');
+  });
+
+  suite.addTest('testCollectionIndexesRebuiltOnLoad', function() {
+    // Arrange
+    const collection = createTestCollection('indexLoadTestCollection');
+    collection.insertMany([{ _id: 'r1', rank: 3 }, { _id: 'r2', rank: 1 }, { _id: 'r3', rank: 2 }]);
+    collection.createIndex(['rank']);
+    collection.save();
+
+    // Act
+    const reloaded = new Collection(
+      collection.getName(),
+      collection.getDriveFileId(),
+      collection.getDatabase(),
+      collection.getFileService()
+    );
+    const top = reloaded.find({}, { sort: { rank: -1 }, limit: 2 }).toArray().map(doc => doc._id);
+
+    // Assert
+    TestFramework.assertDeepEquals([{ field: 'rank', unique: false }], reloaded.getIndexes(), 'Should load the index definitions');
+    TestFramework.assertTrue(reloaded._indexManager.hasIndex('rank'), 'Should rebuild the index when loading');
+    TestFramework.assertArrayEquals(['r1', 'r3'], top, 'Should sort with the rebuilt index');
+  });
+
+  suite.addTest('testCollectionUniqueIndexRefusesExistingDuplicates', function() {
+    // Arrange
+    const collection = createTestCollection('indexUniqueBuildTestCollection');
+    collection.insertMany([
+      { _id: 'u1', email: 'ada@example.com' },
+      { _id: 'u2', email: 'alan@example.com' },
+      { _id: 'u3', email: 'ada@example.com' },
+      { _id: 'u4', email: 'alan@example.com' },
+      { _id: 'u5', email: 'grace@example.com' }
+    ]);
+
+    // Act
+    let buildError = null;
+    try {
+      collection.createIndex(['email'], { unique: true });
+    } catch (error) {
+      buildError = error;
+    }
+
+    // Assert
+    TestFramework.assertTrue(buildError instanceof DuplicateKeyError, 'Should refuse to build over duplicate values');
+    TestFramework.assertDeepEquals([
+      { value: 'ada@example.com', ids: ['u1', 'u3'] },
+      { value: 'alan@example.com', ids: ['u2', 'u4'] }
+    ], buildError.duplicates, 'Should list every duplicate value with its documents');
+    TestFramework.assertTrue(buildError.message.includes('ada@example.com (u1, u3)'), 'Should name the duplicates in the message');
+    TestFramework.assertEquals(0, collection.getIndexes().length, 'Should not record the failed index');
+
+    collection.deleteMany({ _id: { $in: ['u3', 'u4'] } });
+    TestFramework.assertDeepEquals(
+      { field: 'email', unique: true },
+      collection.createIndex(['email'], { unique: true }),
+      'Should build once the duplicates are gone'
+    );
+  });
+
+  suite.addTest('testCollectionUniqueIndexRejectsDuplicateWrites', function() {
+    // Arrange
+    const collection = createTestCollection('indexUniqueWritesTestCollection');
+    collection.createIndex(['email'], { unique: true });
+    collection.insertMany([
+      { _id: 'u1', email: 'ada@example.com' },
+      { _id: 'u2', email: 'alan@example.com' }
+    ]);
+    const emails = () => collection.find({}).toArray().map(doc => doc.email);
+
+    // Act & Assert
+    let insertError = null;
+    try {
+      collection.insertOne({ _id: 'u3', email: 'ada@example.com' });
+    } catch (error) {
+      insertError = error;
+    }
+    TestFramework.assertTrue(insertError instanceof DuplicateKeyError, 'insertOne should reject a duplicate value');
+    TestFramework.assertEquals('email', insertError.context.key, 'Should report the indexed field');
+    TestFramework.assertEquals('ada@example.com', insertError.context.value, 'Should report the offending value');
+
+    TestFramework.assertThrows(() => {
+      collection.updateOne({ _id: 'u2' }, { $set: { email: 'ada@example.com' } });
+    }, DuplicateKeyError, 'updateOne should reject a duplicate value');
+    TestFramework.assertThrows(() => {
+      collection.replaceOne({ _id: 'u2' }, { email: 'ada@example.com' });
+    }, DuplicateKeyError, 'replaceOne should reject a duplicate value');
+    TestFramework.assertThrows(() => {
+      collection.updateOne({ email: 'grace@example.com' }, { $set: { name: 'Grace' }, $setOnInsert: { email: 'ada@example.com' } }, { upsert: true });
+    }, DuplicateKeyError, 'An upsert should reject a duplicate value');
+    TestFramework.assertArrayEquals(['ada@example.com', 'alan@example.com'], emails(), 'Rejected writes should change nothing');
+
+    collection.updateOne({ _id: 'u1' }, { $set: { email: 'ada@example.com', name: 'Ada' } });
+    collection.insertOne({ _id: 'u3' });
+    TestFramework.assertEquals('Ada', collection.findOne({ _id: 'u1' }).name, 'A document may keep its own value');
+    TestFramework.assertThrows(() => {
+      collection.insertOne({ _id: 'u4' });
+    }, DuplicateKeyError, 'Only one document may omit a uniquely indexed field');
+  });
+
+  suite.addTest('testCollectionUpdateManyRejectsDuplicatesAtomically', function() {
+    // Arrange
+    const collection = createTestCollection('indexUniqueUpdateManyTestCollection');
+    collection.createIndex(['code'], { unique: true });
+    collection.insertMany([
+      { _id: 'c1', code: 'A', group: 'g' },
+      { _id: 'c2', code: 'B', group: 'g' },
+      { _id: 'c3', code: 'C', group: 'h' }
+    ]);
+    const codes = () => collection.find({}).toArray().map(doc => doc.code);
+    const lastUpdated = collection.getMetadata().lastUpdated.getTime();
+
+    // Act & Assert - the first document takes the value, the second would duplicate it
+    TestFramework.assertThrows(() => {
+      collection.updateMany({ group: 'g' }, { $set: { code: 'Z' } });
+    }, DuplicateKeyError, 'updateMany should reject a value repeated across the matched documents');
+    TestFramework.assertArrayEquals(['A', 'B', 'C'], codes(), 'The first matched document should be left unchanged');
+    TestFramework.assertArrayEquals([], collection.find({ code: 'Z' }).toArray(), 'The index should not hold the rejected value');
+    TestFramework.assertEquals(lastUpdated, collection.getMetadata().lastUpdated.getTime(), 'A rejected updateMany should not touch the metadata');
+
+    const result = collection.updateMany({ group: 'g' }, [{ $set: { code: { $cond: [{ $eq: ['$code', 'A'] }, 'B', 'A'] } } }]);
+    TestFramework.assertEquals(2, result.modifiedCount, 'Values may move between the updated documents');
+    TestFramework.assertArrayEquals(['B', 'A', 'C'], codes(), 'The swapped values should be stored');
+    TestFramework.assertArrayEquals(['c1'], collection.find({ code: 'B' }).toArray().map(doc => doc._id), 'The index should follow the swap');
+  });
+
+  suite.addTest('testCollectionUniqueIndexInBatchWrites', function() {
+    // Arrange
+    const collection = createTestCollection('indexUniqueBatchTestCollection');
+    const summaryName = 'indexUniqueBatchSummary';
+    const summary = createTestCollection(summaryName);
+    collection.createIndex(['email'], { unique: true });
+    summary.createIndex(['domain'], { unique: true });
+    collection.insertOne({ _id: 'u1', email: 'ada@example.com' });
+
+    // Act
+    let insertError = null;
+    try {
+      collection.insertMany([
+        { _id: 'u2', email: 'alan@example.com' },
+        { _id: 'u3', email: 'ada@example.com' },
+        { _id: 'u4', email: 'alan@example.com' },
+        { _id: 'u5', email: 'grace@example.com' }
+      ], { ordered: false });
+    } catch (error) {
+      insertError = error;
+    }
+    let bulkError = null;
+    try {
+      collection.bulkWrite([
+        { updateOne: { filter: { _id: 'u5' }, update: { $set: { email: 'ada@example.com' } } } },
+        { insertOne: { document: { _id: 'u6', email: 'edsger@example.com' } } }
+      ]);
+    } catch (error) {
+      bulkError = error;
+    }
+
+    // Assert
+    TestFramework.assertTrue(insertError instanceof BulkWriteError, 'insertMany should throw a BulkWriteError');
+    TestFramework.assertArrayEquals([1, 2], insertError.writeErrors.map(error => error.index), 'Should report each duplicate');
+    TestFramework.assertEquals('DUPLICATE_KEY', insertError.writeErrors[0].code, 'Write errors should report a duplicate key');
+    TestFramework.assertDeepEquals({ 0: 'u2', 3: 'u5' }, insertError.insertedIds, 'Unordered inserts should continue past duplicates');
+    TestFramework.assertTrue(bulkError instanceof BulkWriteError, 'bulkWrite should throw a BulkWriteError');
+    TestFramework.assertEquals('DUPLICATE_KEY', bulkError.writeErrors[0].code, 'bulkWrite should report a duplicate key');
+    TestFramework.assertEquals(0, bulkError.insertedCount, 'An ordered batch should stop at the duplicate');
+    TestFramework.assertEquals('grace@example.com', collection.findOne({ _id: 'u5' }).email, 'The rejected update should change nothing');
+
+    TestFramework.assertThrows(() => {
+      collection.aggregate([{ $project: { domain: 'example.com' } }, { $out: summaryName }]);
+    }, DuplicateKeyError, '$out should reject documents breaking a unique index of the target');
+    TestFramework.assertEquals(0, summary.countDocuments({}), 'A failed $out should not change the target');
+  });
+
+  return suite;
+}
@@ -660,6 +660,70 @@ function createCollectionMetadataEdgeCasesTestSuite() {
   return suite;
 }
 
+/**
+ * CollectionMetadata Index Definition Tests
+ * Tests adding, dropping and serialising index definitions
+ */
+function createCollectionMetadataIndexTestSuite() {
+  const suite = new TestSuite('CollectionMetadata Indexes');
+  
+  suite.addTest('should add and drop index definitions', function() {
+    // Arrange
+    const metadata = new CollectionMetadata('testCollection', 'file123');
+    
+    // Act
+    metadata.addIndex({ field: 'email', unique: true });
+    metadata.addIndex({ field: 'address.city', unique: false });
+    const dropped = metadata.dropIndex('address.city');
+    const droppedAgain = metadata.dropIndex('address.city');
+    
+    // Assert
+    TestFramework.assertTrue(dropped, 'Should report the dropped index');
+    TestFramework.assertFalse(droppedAgain, 'Should report a missing index');
+    TestFramework.assertDeepEquals([{ field: 'email', unique: true }], metadata.getIndexes(), 'Should keep the remaining index');
+  });
+  
+  suite.addTest('should reject invalid and duplicate index definitions', function() {
+    // Arrange
+    const metadata = new CollectionMetadata('testCollection', 'file123');
+    metadata.addIndex({ field: 'email', unique: false });
+    
+    // Act & Assert
+    TestFramework.assertThrows(() => {
+      metadata.addIndex({ field: 'email', unique: true });
+    }, InvalidArgumentError, 'Should reject a second index on the same field');
+    TestFramework.assertThrows(() => {
+      metadata.addIndex({ field: '', unique: false });
+    }, InvalidArgumentError, 'Should reject an empty field');
+    TestFramework.assertThrows(() => {
+      metadata.addIndex({ field: 'name' });
+    }, InvalidArgumentError, 'Should require the unique flag');
+    TestFramework.assertThrows(() => {
+      new CollectionMetadata('testCollection', 'file123', { indexes: 'email' });
+    }, InvalidArgumentError, 'Should reject indexes that are not an array');
+  });
+  
+  suite.addTest('should serialise and clone index definitions', function() {
+    // Arrange
+    const metadata = new CollectionMetadata('testCollection', 'file123', {
+      indexes: [{ field: 'email', unique: true }]
+    });
+    
+    // Act
+    const restored = CollectionMetadata.fromJSON(metadata.toJSON());
+    const cloned = metadata.clone();
+    metadata.getIndexes()[0].unique = false;
+    metadata.dropIndex('email');
+    
+    // Assert
+    TestFramework.assertDeepEquals([{ field: 'email', unique: true }], restored.getIndexes(), 'Should restore indexes from JSON');
+    TestFramework.assertDeepEquals([{ field: 'email', unique: true }], cloned.getIndexes(), 'Clone indexes should be independent');
+    TestFramework.assertDeepEquals([], new CollectionMetadata('testCollection', 'file123').getIndexes(), 'Should default to no indexes');
+  });
+  
+  return suite;
+}
+
 /**
  * Setup function for CollectionMetadata tests (not a test suite)
  */
@@ -722,6 +786,7 @@ function registerCollectionMetadataTests() {
   testFramework.registerTestSuite(createCollectionMetadataUpdateTestSuite());
   testFramework.registerTestSuite(createCollectionMetadataSerialisationTestSuite());
   testFramework.registerTestSuite(createCollectionMetadataEdgeCasesTestSuite());
+  testFramework.registerTestSuite(createCollectionMetadataIndexTestSuite());
   return testFramework;
 }
 
@@ -149,6 +149,36 @@ function createDocumentOperationsUpdateTestSuite() {
     TestFramework.assertEquals(found.c, 3, 'Field c added');
   });
 
+  suite.addTest('should reject a replacement with a different _id', function() {
+    // Arrange
+    const testCollection = DOCUMENT_OPERATIONS_TEST_DATA.testCollection;
+    const docOps = new DocumentOperations(testCollection);
+    const orig = docOps.insertDocument({ _id: 'x', a: 1 });
+    // Act & Assert
+    TestFramework.assertThrows(() => {
+      docOps.replaceDocument(orig._id, { _id: 'y', a: 2 });
+    }, InvalidArgumentError, 'Should not change the _id');
+    docOps.replaceDocument(orig._id, { _id: 'x', a: 3 });
+    TestFramework.assertArrayEquals(['x'], Object.keys(testCollection._documents), 'Should keep one stored document');
+    TestFramework.assertEquals(3, docOps.findDocumentById('x').a, 'Should accept a replacement repeating the _id');
+  });
+
+  suite.addTest('should keep the stored document when operators try to change _id', function() {
+    // Arrange
+    const testCollection = DOCUMENT_OPERATIONS_TEST_DATA.testCollection;
+    const docOps = new DocumentOperations(testCollection);
+    docOps.insertDocument({ _id: 'x', a: 1 });
+    // Act & Assert
+    TestFramework.assertThrows(() => {
+      docOps.updateDocumentWithOperators('x', { $set: { _id: 'y' } });
+    }, InvalidQueryError, '$set should not change the _id');
+    TestFramework.assertThrows(() => {
+      docOps.updateDocumentWithOperators('x', { $unset: { _id: '' } });
+    }, InvalidQueryError, '$unset should not remove the _id');
+    TestFramework.assertArrayEquals(['x'], Object.keys(testCollection._documents), 'Should keep one stored document under its _id');
+    TestFramework.assertEquals(1, docOps.findDocumentById('x').a, 'Should leave the document unchanged');
+  });
+
   suite.addTest('should replace documents matching query', function() {
     // Arrange
     const testCollection = DOCUMENT_OPERATIONS_TEST_DATA.testCollection;
@@ -194,5 +224,19 @@ function createDocumentOperationsUpdateTestSuite() {
     }, InvalidArgumentError, 'Should throw when no operators provided');
   });
 
+  suite.addTest('should build upserted document from filter equality fields', function() {
+    // Arrange
+    const docOps = new DocumentOperations(DOCUMENT_OPERATIONS_TEST_DATA.testCollection);
+    const query = { $and: [{ team: 'Red' }, { 'address.city': { $eq: 'Leeds' } }], score: { $gte: 10 } };
+    // Act
+    const upserted = docOps.upsertDocument(query, { $set: { score: 12 }, $setOnInsert: { active: true } });
+    // Assert
+    TestFramework.assertEquals(upserted.team, 'Red', 'Should copy equality fields inside $and');
+    TestFramework.assertEquals(upserted.address.city, 'Leeds', 'Should copy $eq fields using dot notation');
+    TestFramework.assertEquals(upserted.score, 12, 'Update operators should apply after the filter fields');
+    TestFramework.assertTrue(upserted.active, 'Should apply $setOnInsert');
+    TestFramework.assertTrue(docOps.documentExists(upserted._id), 'Upserted document should be stored');
+  });
+
   return suite;
 }
@@ -113,6 +113,30 @@ function createDocumentOperationsQueryEnhancementTestSuite() {
     });
   });
 
+  suite.addTest('should apply projection in findMultipleByQuery and findByQuery', function() {
+    // Arrange
+    const testCollection = DOCUMENT_OPERATIONS_TEST_DATA.testCollection;
+    const docOps = new DocumentOperations(testCollection);
+    const testUsers = MockQueryData.getTestUsers();
+    testUsers.forEach(user => docOps.insertDocument(user));
+    // Act - Project only names and emails of active users
+    const results = docOps.findMultipleByQuery({ active: true }, { projection: { name: 1, email: 1, _id: 0 } });
+    const single = docOps.findByQuery({ name: "John Smith" }, { projection: { settings: 0, 'profile.skills': 0 } });
+    // Assert
+    TestFramework.assertTrue(results.length >= 2, 'Should find multiple active users');
+    results.forEach(user => {
+      TestFramework.assertEquals(2, Object.keys(user).length, 'Projected users should only have name and email');
+      TestFramework.assertUndefined(user._id, 'Projected users should not include _id');
+    });
+    TestFramework.assertEquals(testUsers[0]._id, single._id, 'Exclusion projection should keep _id');
+    TestFramework.assertUndefined(single.settings, 'Excluded field should be removed');
+    TestFramework.assertUndefined(single.profile.skills, 'Excluded nested field should be removed');
+    TestFramework.assertEquals('Engineering', single.profile.department, 'Sibling nested fields should be kept');
+    TestFramework.assertThrows(() => {
+      docOps.findMultipleByQuery({ active: true }, { projection: { name: 1, age: 0 } });
+    }, InvalidArgumentError, 'Should reject mixed inclusion and exclusion');
+  });
+
   suite.addTest('should count documents by query accurately', function() {
     // Arrange
     const testCollection = DOCUMENT_OPERATIONS_TEST_DATA.testCollection;
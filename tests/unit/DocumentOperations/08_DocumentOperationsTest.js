@@ -63,6 +63,9 @@ function setupDocumentOperationsTestEnvironment() {
       _fileService: fileService,
       _isDirty: false,
       name: 'documentOperationsTest',
+      getName: function() {
+        return this.name;
+      },
       getDriveFileId: function() { 
         return this._driveFileId; 
       },
@@ -97,6 +100,8 @@ function setupDocumentOperationsTestEnvironment() {
         }
       }
     };
+    // DocumentOperations keeps the collection's indexes in step with every write, as Collection does
+    DOCUMENT_OPERATIONS_TEST_DATA.testCollection._indexManager = new IndexManager(DOCUMENT_OPERATIONS_TEST_DATA.testCollection);
     // Load initial data
     DOCUMENT_OPERATIONS_TEST_DATA.testCollection._loadData();
     DOCUMENT_OPERATIONS_TEST_DATA.testEnvironmentReady = true;
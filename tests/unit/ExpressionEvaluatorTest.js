@@ -0,0 +1,326 @@
+/**
+ * ExpressionEvaluatorTest.js - ExpressionEvaluator Class Tests
+ *
+ * Tests for the ExpressionEvaluator class including:
+ * - Field paths, variables and literal values
+ * - Object and array expressions
+ * - Arithmetic and string operators, including null and date handling
+ * - Comparison and boolean operators, and conditions for $expr
+ * - Date, conditional, array and type conversion operators
+ * - Validation of invalid expressions
+ */
+
+const EXPRESSION_EVALUATOR_TEST_DATA = {
+  testEvaluator: null,
+  testDocument: {
+    _id: 'o1',
+    price: 2.5,
+    qty: 4,
+    name: { first: 'Ada', last: 'Lovelace' },
+    items: [{ sku: 'a' }, { sku: 'b' }],
+    placedAt: new Date('2024-03-01T00:00:00Z'),
+    scores: [72, 85, 90, 64],
+    note: '  Rush Order  ',
+    tags: 'red,green,blue'
+  }
+};
+
+/**
+ * Setup test environment for ExpressionEvaluator
+ */
+function setupExpressionEvaluatorTestEnvironment() {
+  EXPRESSION_EVALUATOR_TEST_DATA.testEvaluator = new ExpressionEvaluator();
+}
+
+/**
+ * Cleanup test environment
+ */
+function cleanupExpressionEvaluatorTestEnvironment() {
+  EXPRESSION_EVALUATOR_TEST_DATA.testEvaluator = null;
+}
+
+/**
+ * Creates the ExpressionEvaluator test suite
+ */
+function createExpressionEvaluatorTestSuite() {
+  const suite = new TestSuite('ExpressionEvaluator Tests');
+
+  suite.setBeforeAll(function() {
+    setupExpressionEvaluatorTestEnvironment();
+  });
+
+  suite.setAfterAll(function() {
+    cleanupExpressionEvaluatorTestEnvironment();
+  });
+
+  suite.addTest('testEvaluateFieldPathsAndVariables', function() {
+    const evaluator = EXPRESSION_EVALUATOR_TEST_DATA.testEvaluator;
+    const doc = EXPRESSION_EVALUATOR_TEST_DATA.testDocument;
+    TestFramework.assertEquals(4, evaluator.evaluate('$qty', doc), 'Should resolve a field path');
+    TestFramework.assertEquals('Ada', evaluator.evaluate('$name.first', doc), 'Should resolve a nested field path');
+    TestFramework.assertArrayEquals(['a', 'b'], evaluator.evaluate('$items.sku', doc), 'Should collect values through arrays');
+    TestFramework.assertEquals(undefined, evaluator.evaluate('$missing', doc), 'Missing fields should evaluate to undefined');
+    TestFramework.assertEquals('o1', evaluator.evaluate('$$ROOT._id', doc), 'Should resolve $$ROOT');
+    TestFramework.assertEquals(undefined, evaluator.evaluate('$$REMOVE', doc), '$$REMOVE should evaluate to undefined');
+    TestFramework.assertEquals(7, evaluator.evaluate('$$bonus', doc, { bonus: 7 }), 'Should resolve supplied variables');
+  });
+
+  suite.addTest('testEvaluateLiteralsObjectsAndArrays', function() {
+    const evaluator = EXPRESSION_EVALUATOR_TEST_DATA.testEvaluator;
+    const doc = EXPRESSION_EVALUATOR_TEST_DATA.testDocument;
+    TestFramework.assertEquals(5, evaluator.evaluate(5, doc), 'Plain values should evaluate to themselves');
+    TestFramework.assertEquals('$qty', evaluator.evaluate({ $literal: '$qty' }, doc), '$literal should not evaluate its argument');
+    TestFramework.assertDeepEquals(
+      { count: 4, label: 'x' },
+      evaluator.evaluate({ count: '$qty', label: 'x', gone: '$missing' }, doc),
+      'Object expressions should evaluate each field and omit missing values'
+    );
+    TestFramework.assertArrayEquals([4, 'Ada'], evaluator.evaluate(['$qty', '$name.first'], doc), 'Array expressions should evaluate each element');
+  });
+
+  suite.addTest('testEvaluateArithmeticAndStringOperators', function() {
+    const evaluator = EXPRESSION_EVALUATOR_TEST_DATA.testEvaluator;
+    const doc = EXPRESSION_EVALUATOR_TEST_DATA.testDocument;
+    TestFramework.assertEquals(10, evaluator.evaluate({ $multiply: ['$price', '$qty'] }, doc), '$multiply should multiply values');
+    TestFramework.assertEquals(7.5, evaluator.evaluate({ $add: ['$price', 1, 4] }, doc), '$add should sum values');
+    TestFramework.assertEquals(1.5, evaluator.evaluate({ $subtract: ['$qty', '$price'] }, doc), '$subtract should subtract values');
+    TestFramework.assertEquals(2, evaluator.evaluate({ $divide: ['$qty', 2] }, doc), '$divide should divide values');
+    TestFramework.assertEquals('Ada Lovelace', evaluator.evaluate({ $concat: ['$name.first', ' ', '$name.last'] }, doc), '$concat should join strings');
+    TestFramework.assertNull(evaluator.evaluate({ $add: ['$qty', '$missing'] }, doc), 'Missing arguments should give null');
+  });
+
+  suite.addTest('testEvaluateDateArithmetic', function() {
+    const evaluator = EXPRESSION_EVALUATOR_TEST_DATA.testEvaluator;
+    const doc = EXPRESSION_EVALUATOR_TEST_DATA.testDocument;
+    const dayLater = evaluator.evaluate({ $add: ['$placedAt', 24 * 60 * 60 * 1000] }, doc);
+    TestFramework.assertTrue(dayLater instanceof Date, 'Adding to a date should return a Date');
+    TestFramework.assertEquals('2024-03-02T00:00:00.000Z', dayLater.toISOString(), 'Should add milliseconds to the date');
+    TestFramework.assertEquals(
+      24 * 60 * 60 * 1000,
+      evaluator.evaluate({ $subtract: [dayLater, '$placedAt'] }, doc),
+      'Subtracting dates should return milliseconds'
+    );
+  });
+
+  suite.addTest('testEvaluateModAndRound', function() {
+    const evaluator = EXPRESSION_EVALUATOR_TEST_DATA.testEvaluator;
+    const doc = EXPRESSION_EVALUATOR_TEST_DATA.testDocument;
+    TestFramework.assertEquals(1, evaluator.evaluate({ $mod: ['$qty', 3] }, doc), '$mod should return the remainder');
+    TestFramework.assertEquals(-1, evaluator.evaluate({ $mod: [-7, 3] }, doc), '$mod should keep the sign of the dividend');
+    TestFramework.assertEquals(2, evaluator.evaluate({ $round: ['$price'] }, doc), '$round should round halves to even');
+    TestFramework.assertEquals(4, evaluator.evaluate({ $round: [3.5] }, doc), '$round should round odd halves up');
+    TestFramework.assertEquals(1.23, evaluator.evaluate({ $round: [1.2345, 2] }, doc), '$round should round to decimal places');
+    TestFramework.assertEquals(1200, evaluator.evaluate({ $round: [1234, -2] }, doc), '$round should accept negative places');
+    TestFramework.assertNull(evaluator.evaluate({ $round: ['$missing', 1] }, doc), '$round should return null for missing values');
+  });
+
+  suite.addTest('testEvaluateComparisonAndBooleanOperators', function() {
+    const evaluator = EXPRESSION_EVALUATOR_TEST_DATA.testEvaluator;
+    const doc = EXPRESSION_EVALUATOR_TEST_DATA.testDocument;
+    TestFramework.assertTrue(evaluator.evaluate({ $gt: ['$qty', '$price'] }, doc), '$gt should compare two fields');
+    TestFramework.assertTrue(evaluator.evaluate({ $lte: ['$placedAt', new Date('2024-03-01T00:00:00Z')] }, doc), '$lte should compare dates');
+    TestFramework.assertTrue(evaluator.evaluate({ $lt: ['$missing', 0] }, doc), 'Missing values should sort before numbers');
+    TestFramework.assertFalse(evaluator.evaluate({ $eq: ['$missing', 0] }, doc), '$eq should not equate missing values and 0');
+    TestFramework.assertEquals(-1, evaluator.evaluate({ $cmp: ['$price', '$qty'] }, doc), '$cmp should return -1, 0 or 1');
+    TestFramework.assertTrue(evaluator.evaluate({ $and: [{ $ne: ['$name', 'x'] }, '$qty'] }, doc), '$and should require every condition');
+    TestFramework.assertFalse(evaluator.evaluate({ $or: ['$missing', 0, null] }, doc), '$or should treat 0 and null as false');
+    TestFramework.assertTrue(evaluator.evaluate({ $not: [{ $gt: ['$qty', 10] }] }, doc), '$not should negate a condition');
+    TestFramework.assertTrue(evaluator.evaluateCondition({ $gt: ['$qty', '$$minimum'] }, doc, { minimum: 3 }), 'evaluateCondition should use variables');
+    TestFramework.assertFalse(evaluator.evaluateCondition('$missing', doc), 'evaluateCondition should treat missing values as false');
+  });
+
+  suite.addTest('testEvaluateStringOperators', function() {
+    const evaluator = EXPRESSION_EVALUATOR_TEST_DATA.testEvaluator;
+    const doc = EXPRESSION_EVALUATOR_TEST_DATA.testDocument;
+    TestFramework.assertEquals('Love', evaluator.evaluate({ $substrCP: ['$name.last', 0, 4] }, doc), '$substrCP should take a substring');
+    TestFramework.assertEquals('é', evaluator.evaluate({ $substrCP: ['café', 3, 1] }, doc), '$substrCP should count code points');
+    TestFramework.assertEquals('', evaluator.evaluate({ $substrCP: ['$missing', 0, 2] }, doc), '$substrCP should return an empty string for missing values');
+    TestFramework.assertEquals('ada', evaluator.evaluate({ $toLower: '$name.first' }, doc), '$toLower should lowercase strings');
+    TestFramework.assertArrayEquals(['red', 'green', 'blue'], evaluator.evaluate({ $split: ['$tags', ','] }, doc), '$split should split on the delimiter');
+    TestFramework.assertEquals('Rush Order', evaluator.evaluate({ $trim: { input: '$note' } }, doc), '$trim should remove whitespace');
+    TestFramework.assertEquals('hi', evaluator.evaluate({ $trim: { input: 'xxhiyx', chars: 'xy' } }, doc), '$trim should remove the given characters');
+  });
+
+  suite.addTest('testEvaluateDateOperators', function() {
+    const evaluator = EXPRESSION_EVALUATOR_TEST_DATA.testEvaluator;
+    const doc = EXPRESSION_EVALUATOR_TEST_DATA.testDocument;
+    TestFramework.assertEquals(2024, evaluator.evaluate({ $year: '$placedAt' }, doc), '$year should return the year');
+    TestFramework.assertEquals(3, evaluator.evaluate({ $month: '$placedAt' }, doc), '$month should return the month');
+    TestFramework.assertEquals(2, evaluator.evaluate({ $month: { date: '$placedAt', timezone: '-05:00' } }, doc), 'Date parts should honour UTC offsets');
+    TestFramework.assertEquals(12, evaluator.evaluate({ $month: '2024-12-31T12:00:00.000Z' }, doc), 'ISO date strings should be treated as dates');
+    TestFramework.assertEquals(
+      '2024-03-01T00:00:00.000Z',
+      evaluator.evaluate({ $dateToString: { date: '$placedAt' } }, doc),
+      '$dateToString should default to the ISO format'
+    );
+    TestFramework.assertEquals(
+      '01/03/2024 (Mar, day 5)',
+      evaluator.evaluate({ $dateToString: { date: '$placedAt', format: '%d/%m/%Y (%b, day %u)' } }, doc),
+      '$dateToString should apply format specifiers'
+    );
+    TestFramework.assertEquals(
+      'n/a',
+      evaluator.evaluate({ $dateToString: { date: '$missing', onNull: 'n/a' } }, doc),
+      '$dateToString should use onNull for missing dates'
+    );
+    TestFramework.assertEquals(
+      1,
+      evaluator.evaluate({ $dateDiff: { startDate: new Date('2024-03-01T23:59:00Z'), endDate: new Date('2024-03-02T00:01:00Z'), unit: 'day' } }, doc),
+      '$dateDiff should count day boundaries'
+    );
+    TestFramework.assertEquals(
+      0,
+      evaluator.evaluate({ $dateDiff: { startDate: new Date('2024-01-01T00:00:00Z'), endDate: new Date('2024-12-31T00:00:00Z'), unit: 'year' } }, doc),
+      '$dateDiff should count year boundaries'
+    );
+    TestFramework.assertEquals(
+      -48,
+      evaluator.evaluate({ $dateDiff: { startDate: '$placedAt', endDate: new Date('2024-02-28T00:00:00Z'), unit: 'hour' } }, doc),
+      '$dateDiff should be negative for earlier end dates'
+    );
+  });
+
+  suite.addTest('testEvaluateConditionalOperators', function() {
+    const evaluator = EXPRESSION_EVALUATOR_TEST_DATA.testEvaluator;
+    const doc = EXPRESSION_EVALUATOR_TEST_DATA.testDocument;
+    TestFramework.assertEquals('bulk', evaluator.evaluate({ $cond: [{ $in: [4, ['$qty']] }, 'bulk', 'single'] }, doc), '$cond should choose the then branch');
+    TestFramework.assertEquals(
+      'single',
+      evaluator.evaluate({ $cond: { if: '$missing', then: 'bulk', else: 'single' } }, doc),
+      '$cond should treat missing values as false'
+    );
+    TestFramework.assertEquals('none', evaluator.evaluate({ $ifNull: ['$missing', null, 'none'] }, doc), '$ifNull should return the replacement');
+    TestFramework.assertEquals(4, evaluator.evaluate({ $ifNull: ['$qty', 'none'] }, doc), '$ifNull should return the first present value');
+    TestFramework.assertEquals('medium', evaluator.evaluate({
+      $switch: {
+        branches: [
+          { case: { $in: ['$qty', [1, 2]] }, then: 'small' },
+          { case: { $in: ['$qty', [3, 4, 5]] }, then: 'medium' }
+        ],
+        default: 'large'
+      }
+    }, doc), '$switch should return the first matching branch');
+  });
+
+  suite.addTest('testEvaluateArrayOperators', function() {
+    const evaluator = EXPRESSION_EVALUATOR_TEST_DATA.testEvaluator;
+    const doc = EXPRESSION_EVALUATOR_TEST_DATA.testDocument;
+    TestFramework.assertEquals(4, evaluator.evaluate({ $size: '$scores' }, doc), '$size should count elements');
+    TestFramework.assertArrayEquals(
+      [85, 90],
+      evaluator.evaluate({ $filter: { input: '$scores', as: 'score', cond: { $in: ['$$score', [85, 90]] } } }, doc),
+      '$filter should keep matching elements'
+    );
+    TestFramework.assertArrayEquals([72], evaluator.evaluate({ $filter: { input: '$scores', cond: true, limit: 1 } }, doc), '$filter should honour limit');
+    TestFramework.assertArrayEquals(
+      [7.2, 8.5, 9, 6.4],
+      evaluator.evaluate({ $map: { input: '$scores', in: { $divide: ['$$this', 10] } } }, doc),
+      '$map should transform each element'
+    );
+    TestFramework.assertEquals(
+      311,
+      evaluator.evaluate({ $reduce: { input: '$scores', initialValue: 0, in: { $add: ['$$value', '$$this'] } } }, doc),
+      '$reduce should combine elements'
+    );
+    TestFramework.assertEquals(64, evaluator.evaluate({ $arrayElemAt: ['$scores', -1] }, doc), '$arrayElemAt should count negative indexes from the end');
+    TestFramework.assertEquals(
+      undefined,
+      evaluator.evaluate({ $arrayElemAt: ['$scores', 10] }, doc),
+      '$arrayElemAt should return a missing value out of range'
+    );
+    TestFramework.assertTrue(evaluator.evaluate({ $in: ['b', '$items.sku'] }, doc), '$in should find an element');
+  });
+
+  suite.addTest('testEvaluateTypeConversionOperators', function() {
+    const evaluator = EXPRESSION_EVALUATOR_TEST_DATA.testEvaluator;
+    const doc = EXPRESSION_EVALUATOR_TEST_DATA.testDocument;
+    TestFramework.assertEquals('4', evaluator.evaluate({ $toString: '$qty' }, doc), '$toString should convert numbers');
+    TestFramework.assertEquals(
+      '2024-03-01T00:00:00.000Z',
+      evaluator.evaluate({ $toString: '$placedAt' }, doc),
+      '$toString should use the ISO format for dates'
+    );
+    TestFramework.assertEquals(42, evaluator.evaluate({ $toInt: '42' }, doc), '$toInt should parse integer strings');
+    TestFramework.assertEquals(2, evaluator.evaluate({ $toInt: '$price' }, doc), '$toInt should truncate numbers');
+    const converted = evaluator.evaluate({ $toDate: '2024-03-01T00:00:00.000Z' }, doc);
+    TestFramework.assertTrue(converted instanceof Date, '$toDate should return a Date');
+    TestFramework.assertEquals(doc.placedAt.getTime(), converted.getTime(), '$toDate should parse date strings');
+    TestFramework.assertEquals(0, evaluator.evaluate({ $toDate: 0 }, doc).getTime(), '$toDate should convert milliseconds');
+    TestFramework.assertNull(evaluator.evaluate({ $toInt: '$missing' }, doc), 'Conversions should return null for missing values');
+  });
+
+  suite.addTest('testInvalidExpressionsThrow', function() {
+    const evaluator = EXPRESSION_EVALUATOR_TEST_DATA.testEvaluator;
+    const doc = EXPRESSION_EVALUATOR_TEST_DATA.testDocument;
+    TestFramework.assertThrows(() => {
+      evaluator.validateExpression({ total: { $unknown: 1 } });
+    }, InvalidQueryError, 'Should reject unknown operators');
+    TestFramework.assertThrows(() => {
+      evaluator.validateExpression({ $add: [1, 2], label: 'x' });
+    }, InvalidQueryError, 'Should reject operators mixed with fields');
+    TestFramework.assertThrows(() => {
+      evaluator.evaluate({ $multiply: ['$name', 2] }, doc);
+    }, InvalidQueryError, 'Should reject non-numeric arithmetic');
+    TestFramework.assertThrows(() => {
+      evaluator.evaluate({ $divide: ['$qty', 0] }, doc);
+    }, InvalidQueryError, 'Should reject division by zero');
+    TestFramework.assertThrows(() => {
+      evaluator.evaluate('$$undefinedVariable', doc);
+    }, InvalidQueryError, 'Should reject undefined variables');
+    TestFramework.assertThrows(() => {
+      evaluator.evaluate({ $size: '$missing' }, doc);
+    }, InvalidQueryError, '$size should reject missing values');
+    TestFramework.assertThrows(() => {
+      evaluator.evaluate({ $toInt: 'four' }, doc);
+    }, InvalidQueryError, '$toInt should reject non-numeric strings');
+    TestFramework.assertThrows(() => {
+      evaluator.evaluate({ $switch: { branches: [{ case: false, then: 1 }] } }, doc);
+    }, InvalidQueryError, '$switch should reject no match without a default');
+    TestFramework.assertThrows(() => {
+      evaluator.evaluate({ $dateToString: { date: '$placedAt', format: '%Q' } }, doc);
+    }, InvalidQueryError, '$dateToString should reject unknown format specifiers');
+    TestFramework.assertThrows(() => {
+      evaluator.evaluate({ $map: { input: '$scores', as: 'Score', in: '$$Score' } }, doc);
+    }, InvalidQueryError, 'Should reject variable names starting with an uppercase letter');
+  });
+
+  return suite;
+}
+
+// Logger for file-level operations like initial suite registration
+const expressionEvaluatorTestFileLogger = JDbLogger.createComponentLogger('ExpressionEvaluatorTestFile');
+
+// Register suite on default TestFramework instance
+try {
+  new TestFramework().registerTestSuite(createExpressionEvaluatorTestSuite());
+} catch (e) {
+  expressionEvaluatorTestFileLogger.warn(
+    'Direct registration via testFramework failed, attempting global registerTestSuite function.',
+    { error: e.message }
+  );
+  try {
+    registerTestSuite(createExpressionEvaluatorTestSuite());
+  } catch (e2) {
+    expressionEvaluatorTestFileLogger.error(
+      'Fallback global registration also failed for ExpressionEvaluatorTestSuite.',
+      { error: e2.message }
+    );
+  }
+}
+
+/**
+ * Run all ExpressionEvaluator tests
+ * Convenience function to run the ExpressionEvaluator-related suite
+ */
+function runExpressionEvaluatorTests() {
+  JDbLogger.info('Running ExpressionEvaluator Tests: Testing Aggregation Expressions');
+
+  const testFramework = new TestFramework();
+  testFramework.registerTestSuite(createExpressionEvaluatorTestSuite());
+  const results = testFramework.runTestSuite('ExpressionEvaluator Tests');
+
+  JDbLogger.info('ExpressionEvaluator Test Results:');
+  JDbLogger.info(results.getSummary());
+
+  return results;
+}
@@ -0,0 +1,243 @@
+/**
+ * IndexManagerTest.js - IndexManager Class Tests
+ *
+ * Tests for the IndexManager class including:
+ * - Equality lookups, including array elements and missing values
+ * - Range lookups within a type bracket
+ * - Sort-with-limit lookups and ties at the limit
+ * - Maintenance as documents are added, replaced and removed
+ * - Falling back to a full scan when no index applies
+ * - Rejecting duplicate values in unique indexes
+ */
+
+const INDEX_MANAGER_TEST_DATA = {
+  testStore: null,
+  testManager: null
+};
+
+/**
+ * Setup test environment for IndexManager
+ * The store stands in for a Collection, which IndexManager only reads _documents and getName() from.
+ */
+function setupIndexManagerTestEnvironment() {
+  INDEX_MANAGER_TEST_DATA.testStore = {
+    _documents: {
+      a: { _id: 'a', size: 3, colour: 'red', tags: ['new', 'sale'] },
+      b: { _id: 'b', size: 1, colour: 'blue', tags: ['sale'] },
+      c: { _id: 'c', size: 'large', colour: 'red' },
+      d: { _id: 'd', size: 2, tags: [] },
+      e: { _id: 'e', size: 3, colour: 'green', tags: ['new'] }
+    },
+    getName: () => 'products'
+  };
+  INDEX_MANAGER_TEST_DATA.testManager = new IndexManager(INDEX_MANAGER_TEST_DATA.testStore);
+  INDEX_MANAGER_TEST_DATA.testManager.buildIndexes([
+    { field: 'size', unique: false },
+    { field: 'colour', unique: false },
+    { field: 'tags', unique: false }
+  ]);
+}
+
+/**
+ * Cleanup test environment
+ */
+function cleanupIndexManagerTestEnvironment() {
+  INDEX_MANAGER_TEST_DATA.testStore = null;
+  INDEX_MANAGER_TEST_DATA.testManager = null;
+}
+
+/**
+ * Get the IDs of index candidates
+ * @param {Array<Object>|null} candidates - Result of findCandidates
+ * @returns {Array<string>|null} Candidate IDs, or null when no index applied
+ */
+function getIndexCandidateIds(candidates) {
+  return candidates === null ? null : candidates.map(doc => doc._id);
+}
+
+/**
+ * Creates the IndexManager test suite
+ */
+function createIndexManagerTestSuite() {
+  const suite = new TestSuite('IndexManager Tests');
+
+  suite.setBeforeEach(function() {
+    setupIndexManagerTestEnvironment();
+  });
+
+  suite.setAfterEach(function() {
+    cleanupIndexManagerTestEnvironment();
+  });
+
+  suite.addTest('testEqualityCandidates', function() {
+    const manager = INDEX_MANAGER_TEST_DATA.testManager;
+    const ids = query => getIndexCandidateIds(manager.findCandidates(query));
+
+    TestFramework.assertArrayEquals(['a', 'c'], ids({ colour: 'red' }), 'Should look up implicit equality');
+    TestFramework.assertArrayEquals(['a', 'e'], ids({ size: { $eq: 3 } }), 'Should look up $eq');
+    TestFramework.assertArrayEquals(['a', 'e'], ids({ tags: 'new' }), 'Should find documents by array element');
+    TestFramework.assertArrayEquals(['a', 'b', 'c'], ids({ colour: { $in: ['blue', 'red'] } }), 'Should union $in values in collection order');
+    TestFramework.assertArrayEquals(['d'], ids({ colour: null }), 'Should find missing values under null');
+    TestFramework.assertArrayEquals([], ids({ size: '3' }), 'Should not match values of another type');
+  });
+
+  suite.addTest('testRangeCandidates', function() {
+    const manager = INDEX_MANAGER_TEST_DATA.testManager;
+    const ids = query => getIndexCandidateIds(manager.findCandidates(query));
+
+    TestFramework.assertArrayEquals(['a', 'e'], ids({ size: { $gt: 2 } }), 'Should exclude values of other types');
+    TestFramework.assertArrayEquals(['b', 'd'], ids({ size: { $gte: 1, $lt: 3 } }), 'Should combine bounds');
+    TestFramework.assertArrayEquals(['c'], ids({ size: { $lte: 'z' } }), 'Should range over strings');
+    TestFramework.assertArrayEquals(['e'], ids({ colour: 'green', size: { $gte: 1 } }), 'Should use the most selective condition');
+  });
+
+  suite.addTest('testSortWithLimitCandidates', function() {
+    const store = INDEX_MANAGER_TEST_DATA.testStore;
+    const manager = INDEX_MANAGER_TEST_DATA.testManager;
+    const matcher = new QueryEngine().createMatcher({});
+    const ids = options => getIndexCandidateIds(manager.findCandidates({}, Object.assign({ matcher }, options)));
+
+    TestFramework.assertArrayEquals(['b', 'd'], ids({ sort: { size: 1 }, limit: 2 }), 'Should read the smallest values');
+    TestFramework.assertArrayEquals(['a', 'c', 'e'], ids({ sort: { size: -1 }, limit: 2 }), 'Should include documents tied at the limit');
+    TestFramework.assertArrayEquals(['b', 'd'], ids({ sort: { size: 1 }, skip: 1, limit: 1 }), 'Should read past skipped documents');
+    TestFramework.assertNull(ids({ sort: { size: 1 } }), 'Should not plan a sort without a limit');
+
+    const unordered = { _id: 'f', size: NaN };
+    manager.addDocument(unordered);
+    store._documents.f = unordered;
+    TestFramework.assertNull(ids({ sort: { size: 1 }, limit: 2 }), 'Should not plan a sort over values it cannot order');
+  });
+
+  suite.addTest('testIndexesFollowDocumentChanges', function() {
+    const store = INDEX_MANAGER_TEST_DATA.testStore;
+    const manager = INDEX_MANAGER_TEST_DATA.testManager;
+    const ids = query => getIndexCandidateIds(manager.findCandidates(query));
+
+    const added = { _id: 'f', size: 5, colour: 'red' };
+    manager.addDocument(added);
+    store._documents.f = added;
+    TestFramework.assertArrayEquals(['a', 'c', 'f'], ids({ colour: 'red' }), 'Should find added documents');
+
+    const replacement = { _id: 'a', size: 4, colour: 'blue' };
+    manager.replaceDocument(store._documents.a, replacement);
+    store._documents.a = replacement;
+    TestFramework.assertArrayEquals(['c', 'f'], ids({ colour: 'red' }), 'Should drop replaced values');
+    TestFramework.assertArrayEquals(['a', 'f'], ids({ size: { $gte: 4 } }), 'Should range over replaced values');
+
+    manager.removeDocument(store._documents.c);
+    delete store._documents.c;
+    TestFramework.assertArrayEquals(['f'], ids({ colour: 'red' }), 'Should drop removed documents');
+
+    store._documents = { g: { _id: 'g', colour: 'red' } };
+    TestFramework.assertArrayEquals(['g'], ids({ colour: 'red' }), 'Should rebuild when the documents are replaced');
+  });
+
+  suite.addTest('testFallsBackWithoutUsableIndex', function() {
+    const manager = INDEX_MANAGER_TEST_DATA.testManager;
+
+    TestFramework.assertNull(manager.findCandidates({ weight: 3 }), 'Should not plan unindexed fields');
+    TestFramework.assertNull(manager.findCandidates({ colour: { $regex: '^r' } }), 'Should not plan regular expressions');
+    TestFramework.assertNull(manager.findCandidates({ $or: [{ colour: 'red' }, { size: 1 }] }), 'Should not plan $or');
+    TestFramework.assertNull(manager.findCandidates({ size: { $gt: null } }), 'Should not plan null bounds');
+
+    TestFramework.assertTrue(manager.dropIndex('colour'), 'Should drop the index');
+    TestFramework.assertFalse(manager.hasIndex('colour'), 'Should no longer have the index');
+    TestFramework.assertNull(manager.findCandidates({ colour: 'red' }), 'Should not plan dropped indexes');
+  });
+
+  suite.addTest('testUniqueIndexes', function() {
+    const store = INDEX_MANAGER_TEST_DATA.testStore;
+    const manager = INDEX_MANAGER_TEST_DATA.testManager;
+
+    let buildError = null;
+    try {
+      manager.createIndex({ field: 'colour', unique: true });
+    } catch (error) {
+      buildError = error;
+    }
+    TestFramework.assertTrue(buildError instanceof DuplicateKeyError, 'Should refuse to build over duplicate values');
+    TestFramework.assertDeepEquals([{ value: 'red', ids: ['a', 'c'] }], buildError.duplicates, 'Should list each duplicate with its documents');
+
+    manager.dropIndex('colour');
+    manager.dropIndex('tags');
+    store._documents.c.colour = 'black';
+    manager.rebuild();
+    manager.createIndex({ field: 'colour', unique: true });
+
+    TestFramework.assertThrows(() => {
+      manager.addDocument({ _id: 'f', colour: 'blue' });
+    }, DuplicateKeyError, 'Should reject a duplicate insert');
+    TestFramework.assertArrayEquals(
+      ['b'],
+      getIndexCandidateIds(manager.findCandidates({ colour: 'blue' })),
+      'Should leave the index unchanged after a rejected insert'
+    );
+    manager.replaceDocument(store._documents.b, { _id: 'b', colour: 'blue', size: 9 });
+    TestFramework.assertThrows(() => {
+      manager.replaceDocument(store._documents.b, { _id: 'b', colour: 'red' });
+    }, DuplicateKeyError, 'Should reject a replacement taking another document\'s value');
+
+    const duplicated = { x: { _id: 'x', colour: 'red' }, y: { _id: 'y', colour: 'red' } };
+    TestFramework.assertThrows(() => {
+      manager.replaceDocuments(duplicated);
+    }, DuplicateKeyError, 'Should reject a new document set with duplicates');
+    TestFramework.assertArrayEquals(
+      ['b'],
+      getIndexCandidateIds(manager.findCandidates({ colour: 'blue' })),
+      'Should keep the existing indexes after a rejected document set'
+    );
+
+    TestFramework.assertThrows(() => {
+      manager.assertUniqueReplacements([{ _id: 'a', colour: 'blue' }]);
+    }, DuplicateKeyError, 'Should reject replacements taking a value held by another document');
+    TestFramework.assertThrows(() => {
+      manager.assertUniqueReplacements([{ _id: 'a', colour: 'pink' }, { _id: 'e', colour: 'pink' }]);
+    }, DuplicateKeyError, 'Should reject replacements sharing a value');
+    manager.assertUniqueReplacements([{ _id: 'a', colour: 'blue' }, { _id: 'b', colour: 'red' }]);
+    TestFramework.assertArrayEquals(
+      ['b'],
+      getIndexCandidateIds(manager.findCandidates({ colour: 'blue' })),
+      'Checking replacements, including a swap of values, should not re-index'
+    );
+  });
+
+  return suite;
+}
+
+// Logger for file-level operations like initial suite registration
+const indexManagerTestFileLogger = JDbLogger.createComponentLogger('IndexManagerTestFile');
+
+// Register suite on default TestFramework instance
+try {
+  new TestFramework().registerTestSuite(createIndexManagerTestSuite());
+} catch (e) {
+  indexManagerTestFileLogger.warn(
+    'Direct registration via testFramework failed, attempting global registerTestSuite function.',
+    { error: e.message }
+  );
+  try {
+    registerTestSuite(createIndexManagerTestSuite());
+  } catch (e2) {
+    indexManagerTestFileLogger.error(
+      'Fallback global registration also failed for IndexManagerTestSuite.',
+      { error: e2.message }
+    );
+  }
+}
+
+/**
+ * Run all IndexManager tests
+ * Convenience function to run the IndexManager-related suite
+ */
+function runIndexManagerTests() {
+  JDbLogger.info('Running IndexManager Tests: Testing Secondary Indexes');
+
+  const testFramework = new TestFramework();
+  testFramework.registerTestSuite(createIndexManagerTestSuite());
+  const results = testFramework.runTestSuite('IndexManager Tests');
+
+  JDbLogger.info('IndexManager Test Results:');
+  JDbLogger.info(results.getSummary());
+
+  return results;
+}
@@ -0,0 +1,206 @@
+/**
+ * ProjectionEngineTest.js - ProjectionEngine Class Tests
+ *
+ * Tests for the ProjectionEngine class including:
+ * - Inclusion and exclusion projections
+ * - Dot-path fields and paths through arrays
+ * - _id suppression
+ * - $slice and $elemMatch array projections
+ * - Validation of invalid projections
+ */
+
+const PROJECTION_ENGINE_TEST_DATA = {
+  testEngine: null
+};
+
+/**
+ * Setup test environment for ProjectionEngine
+ */
+function setupProjectionEngineTestEnvironment() {
+  PROJECTION_ENGINE_TEST_DATA.testEngine = new ProjectionEngine();
+}
+
+/**
+ * Cleanup test environment
+ */
+function cleanupProjectionEngineTestEnvironment() {
+  PROJECTION_ENGINE_TEST_DATA.testEngine = null;
+}
+
+/**
+ * Sample student record used across projection tests
+ * @returns {Object} Student document
+ */
+function createProjectionTestStudent() {
+  return {
+    _id: 'student1',
+    name: 'Ada',
+    year: 10,
+    contact: { email: 'ada@example.com', phone: '0123' },
+    grades: [
+      { subject: 'maths', score: 92 },
+      { subject: 'english', score: 78 },
+      { subject: 'science', score: 85 }
+    ],
+    attendance: [1, 2, 3, 4, 5],
+    enrolledOn: new Date('2024-09-01')
+  };
+}
+
+/**
+ * Creates the ProjectionEngine test suite
+ */
+function createProjectionEngineTestSuite() {
+  const suite = new TestSuite('ProjectionEngine Tests');
+
+  suite.setBeforeAll(function() {
+    setupProjectionEngineTestEnvironment();
+  });
+
+  suite.setAfterAll(function() {
+    cleanupProjectionEngineTestEnvironment();
+  });
+
+  suite.addTest('testProjectionInclusionKeepsIdByDefault', function() {
+    const engine = PROJECTION_ENGINE_TEST_DATA.testEngine;
+    const result = engine.applyProjection([createProjectionTestStudent()], { name: 1, year: true })[0];
+    TestFramework.assertDeepEquals({ _id: 'student1', name: 'Ada', year: 10 }, result, 'Should return only included fields and _id');
+  });
+
+  suite.addTest('testProjectionInclusionSuppressesId', function() {
+    const engine = PROJECTION_ENGINE_TEST_DATA.testEngine;
+    const result = engine.applyProjection([createProjectionTestStudent()], { name: 1, _id: 0 })[0];
+    TestFramework.assertDeepEquals({ name: 'Ada' }, result, 'Should omit _id when suppressed');
+  });
+
+  suite.addTest('testProjectionIdOnly', function() {
+    const engine = PROJECTION_ENGINE_TEST_DATA.testEngine;
+    const result = engine.applyProjection([createProjectionTestStudent()], { _id: 1 })[0];
+    TestFramework.assertDeepEquals({ _id: 'student1' }, result, 'Should return only _id');
+  });
+
+  suite.addTest('testProjectionExclusion', function() {
+    const engine = PROJECTION_ENGINE_TEST_DATA.testEngine;
+    const result = engine.applyProjection([createProjectionTestStudent()], { grades: 0, attendance: 0, _id: 0 })[0];
+    TestFramework.assertUndefined(result.grades, 'Should exclude grades');
+    TestFramework.assertUndefined(result.attendance, 'Should exclude attendance');
+    TestFramework.assertUndefined(result._id, 'Should exclude _id');
+    TestFramework.assertEquals('Ada', result.name, 'Should keep other fields');
+    TestFramework.assertTrue(result.enrolledOn instanceof Date, 'Should preserve Date values');
+  });
+
+  suite.addTest('testProjectionDotPathInclusion', function() {
+    const engine = PROJECTION_ENGINE_TEST_DATA.testEngine;
+    const result = engine.applyProjection([createProjectionTestStudent()], { 'contact.email': 1, 'grades.subject': 1, _id: 0 })[0];
+    TestFramework.assertDeepEquals({ email: 'ada@example.com' }, result.contact, 'Should keep only the nested email');
+    TestFramework.assertDeepEquals(
+      [{ subject: 'maths' }, { subject: 'english' }, { subject: 'science' }],
+      result.grades,
+      'Should project each subdocument in the array'
+    );
+  });
+
+  suite.addTest('testProjectionDotPathExclusion', function() {
+    const engine = PROJECTION_ENGINE_TEST_DATA.testEngine;
+    const result = engine.applyProjection([createProjectionTestStudent()], { 'contact.phone': 0, 'grades.score': 0 })[0];
+    TestFramework.assertDeepEquals({ email: 'ada@example.com' }, result.contact, 'Should remove only the nested phone');
+    TestFramework.assertUndefined(result.grades[0].score, 'Should remove score from each grade');
+    TestFramework.assertEquals('maths', result.grades[0].subject, 'Should keep subject in each grade');
+  });
+
+  suite.addTest('testProjectionSliceCount', function() {
+    const engine = PROJECTION_ENGINE_TEST_DATA.testEngine;
+    const first = engine.applyProjection([createProjectionTestStudent()], { attendance: { $slice: 2 } })[0];
+    const last = engine.applyProjection([createProjectionTestStudent()], { attendance: { $slice: -2 } })[0];
+    TestFramework.assertArrayEquals([1, 2], first.attendance, 'Positive $slice should return the first elements');
+    TestFramework.assertArrayEquals([4, 5], last.attendance, 'Negative $slice should return the last elements');
+    TestFramework.assertEquals('Ada', first.name, '$slice alone should keep other fields');
+  });
+
+  suite.addTest('testProjectionSliceSkipLimit', function() {
+    const engine = PROJECTION_ENGINE_TEST_DATA.testEngine;
+    const result = engine.applyProjection([createProjectionTestStudent()], { name: 1, attendance: { $slice: [1, 2] } })[0];
+    const fromEnd = engine.applyProjection([createProjectionTestStudent()], { attendance: { $slice: [-3, 2] } })[0];
+    TestFramework.assertDeepEquals({ _id: 'student1', name: 'Ada', attendance: [2, 3] }, result, 'Should skip then limit alongside inclusion');
+    TestFramework.assertArrayEquals([3, 4], fromEnd.attendance, 'Negative skip should count from the end');
+  });
+
+  suite.addTest('testProjectionElemMatch', function() {
+    const engine = PROJECTION_ENGINE_TEST_DATA.testEngine;
+    const result = engine.applyProjection([createProjectionTestStudent()], { grades: { $elemMatch: { score: { $lt: 90 } } } })[0];
+    const noMatch = engine.applyProjection([createProjectionTestStudent()], { grades: { $elemMatch: { score: { $gt: 100 } } } })[0];
+    TestFramework.assertDeepEquals({ _id: 'student1', grades: [{ subject: 'english', score: 78 }] }, result, 'Should return only the first matching element');
+    TestFramework.assertDeepEquals({ _id: 'student1' }, noMatch, 'Should omit the field when nothing matches');
+  });
+
+  suite.addTest('testProjectionDoesNotModifyOriginal', function() {
+    const engine = PROJECTION_ENGINE_TEST_DATA.testEngine;
+    const doc = createProjectionTestStudent();
+    engine.applyProjection([doc], { 'contact.phone': 0, attendance: { $slice: 1 } });
+    TestFramework.assertEquals('0123', doc.contact.phone, 'Original nested field should be unchanged');
+    TestFramework.assertEquals(5, doc.attendance.length, 'Original array should be unchanged');
+  });
+
+  suite.addTest('testProjectionMixedModesThrows', function() {
+    const engine = PROJECTION_ENGINE_TEST_DATA.testEngine;
+    TestFramework.assertThrows(() => {
+      engine.validateProjection({ name: 1, grades: 0 });
+    }, InvalidArgumentError, 'Should reject mixing inclusion and exclusion');
+  });
+
+  suite.addTest('testProjectionInvalidValuesThrow', function() {
+    const engine = PROJECTION_ENGINE_TEST_DATA.testEngine;
+    TestFramework.assertThrows(() => {
+      engine.validateProjection({ name: 'yes' });
+    }, InvalidArgumentError, 'Should reject non-numeric, non-boolean values');
+    TestFramework.assertThrows(() => {
+      engine.validateProjection({ attendance: { $slice: [1, 0] } });
+    }, InvalidArgumentError, 'Should reject a non-positive $slice limit');
+    TestFramework.assertThrows(() => {
+      engine.validateProjection({ grades: { $size: 1 } });
+    }, InvalidArgumentError, 'Should reject unsupported projection operators');
+    TestFramework.assertThrows(() => {
+      engine.validateProjection({ contact: 1, 'contact.email': 1 });
+    }, InvalidArgumentError, 'Should reject overlapping paths');
+  });
+
+  return suite;
+}
+
+// Logger for file-level operations like initial suite registration
+const projectionEngineTestFileLogger = JDbLogger.createComponentLogger('ProjectionEngineTestFile');
+
+// Register suite on default TestFramework instance
+try {
+  new TestFramework().registerTestSuite(createProjectionEngineTestSuite());
+} catch (e) {
+  projectionEngineTestFileLogger.warn(
+    'Direct registration via testFramework failed, attempting global registerTestSuite function.',
+    { error: e.message }
+  );
+  try {
+    registerTestSuite(createProjectionEngineTestSuite());
+  } catch (e2) {
+    projectionEngineTestFileLogger.error(
+      'Fallback global registration also failed for ProjectionEngineTestSuite.',
+      { error: e2.message }
+    );
+  }
+}
+
+/**
+ * Run all ProjectionEngine tests
+ * Convenience function to run the ProjectionEngine-related suite
+ */
+function runProjectionEngineTests() {
+  JDbLogger.info('Running ProjectionEngine Tests: Testing Query Projections');
+
+  const testFramework = new TestFramework();
+  testFramework.registerTestSuite(createProjectionEngineTestSuite());
+  const results = testFramework.runTestSuite('ProjectionEngine Tests');
+
+  JDbLogger.info('ProjectionEngine Test Results:');
+  JDbLogger.info(results.getSummary());
+
+  return results;
+}
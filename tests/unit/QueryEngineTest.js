@@ -6,7 +6,13 @@
  * - Field access utilities (including nested fields)
  * - Query validation
  * - Comparison operators ($eq, $gt, $lt)
+ * - Extended comparison operators ($ne, $gte, $lte, $in, $nin)
  * - Logical operators ($and, $or)
+ * - Element operators ($exists, $type)
+ * - Pattern matching ($regex, $options, RegExp literals)
+ * - Negation operators ($not, $nor)
+ * - Array operators ($elemMatch, $size, $all) and dot paths through arrays
+ * - Aggregation expressions with $expr (comparing fields of the same document)
  * - Implicit AND behaviour (multiple fields)
  * - Error handling for invalid queries
  * 
@@ -406,12 +412,702 @@ function createQueryEngineComparisonTestSuite() {
   return suite;
 }
 
+/**
+ * QueryEngine Extended Comparison Operators Tests
+ * Tests $ne, $gte, $lte, $in and $nin with MongoDB semantics
+ */
+function createQueryEngineExtendedComparisonTestSuite() {
+  const suite = new TestSuite('QueryEngine Extended Comparison Operators');
+  
+  suite.setBeforeAll(function() {
+    setupQueryEngineTestEnvironment();
+  });
+  
+  suite.setAfterAll(function() {
+    cleanupQueryEngineTestEnvironment();
+  });
+  
+  suite.addTest('should support $ne operator with numbers', function() {
+    // Arrange
+    const queryEngine = new QueryEngine();
+    const testDocs = MockQueryData.getTestUsers();
+    const query = { age: { $ne: 30 } };
+    
+    // Act
+    const results = queryEngine.executeQuery(testDocs, query);
+    
+    // Assert
+    TestFramework.assertEquals(testDocs.length - 1, results.length, 'Should return every user except the one aged 30');
+    results.forEach(function(doc) {
+      TestFramework.assertTrue(doc.age !== 30, 'No returned document should have age 30');
+    });
+  });
+  
+  suite.addTest('should match missing fields with $ne and exclude them with $ne null', function() {
+    // Arrange
+    const queryEngine = new QueryEngine();
+    const docs = [
+      { _id: "doc1", status: "open" },
+      { _id: "doc2", status: null },
+      { _id: "doc3" }
+    ];
+    
+    // Act
+    const notClosed = queryEngine.executeQuery(docs, { status: { $ne: "closed" } });
+    const notNull = queryEngine.executeQuery(docs, { status: { $ne: null } });
+    
+    // Assert
+    TestFramework.assertEquals(3, notClosed.length, 'Missing and null fields should satisfy $ne with a value');
+    TestFramework.assertEquals(1, notNull.length, '$ne null should exclude null and missing fields');
+    TestFramework.assertEquals("doc1", notNull[0]._id, 'Should return only the document with a value');
+  });
+  
+  suite.addTest('should exclude arrays containing the value with $ne', function() {
+    // Arrange
+    const queryEngine = new QueryEngine();
+    const testDocs = MockQueryData.getTestUsers();
+    const query = { tags: { $ne: "premium" } };
+    
+    // Act
+    const results = queryEngine.executeQuery(testDocs, query);
+    
+    // Assert
+    TestFramework.assertTrue(results.length > 0, 'Should return users without the premium tag');
+    results.forEach(function(doc) {
+      TestFramework.assertFalse(doc.tags.includes("premium"), 'No returned document should contain the premium tag');
+    });
+  });
+  
+  suite.addTest('should support $gte and $lte boundaries with numbers', function() {
+    // Arrange
+    const queryEngine = new QueryEngine();
+    const testDocs = MockQueryData.getTestUsers();
+    const query = { age: { $gte: 25, $lte: 32 } };
+    
+    // Act
+    const results = queryEngine.executeQuery(testDocs, query);
+    
+    // Assert
+    TestFramework.assertEquals(3, results.length, 'Should include boundary values 25 and 32');
+    results.forEach(function(doc) {
+      TestFramework.assertTrue(doc.age >= 25 && doc.age <= 32, 'Age should be within range, got: ' + doc.age);
+    });
+  });
+  
+  suite.addTest('should support $gte and $lte with dates', function() {
+    // Arrange
+    const queryEngine = new QueryEngine();
+    const docs = [
+      { _id: "doc1", due: new Date("2025-01-01T00:00:00Z") },
+      { _id: "doc2", due: new Date("2025-02-01T00:00:00Z") },
+      { _id: "doc3", due: new Date("2025-03-01T00:00:00Z") }
+    ];
+    
+    // Act
+    const results = queryEngine.executeQuery(docs, {
+      due: { $gte: new Date("2025-02-01T00:00:00Z"), $lte: new Date("2025-03-01T00:00:00Z") }
+    });
+    
+    // Assert
+    TestFramework.assertEquals(2, results.length, 'Should include both boundary dates');
+    TestFramework.assertEquals("doc2", results[0]._id, 'Should match the lower boundary date');
+  });
+  
+  suite.addTest('should not match missing fields or mismatched types with range operators', function() {
+    // Arrange
+    const queryEngine = new QueryEngine();
+    const docs = [
+      { _id: "doc1", score: 10 },
+      { _id: "doc2", score: "10" },
+      { _id: "doc3" }
+    ];
+    
+    // Act
+    const results = queryEngine.executeQuery(docs, { score: { $gte: 5 } });
+    
+    // Assert
+    TestFramework.assertEquals(1, results.length, 'Only numeric values should be compared with a numeric bound');
+    TestFramework.assertEquals("doc1", results[0]._id, 'Should return the numeric document');
+  });
+  
+  suite.addTest('should match null and missing fields with $gte null', function() {
+    // Arrange
+    const queryEngine = new QueryEngine();
+    const docs = [
+      { _id: "doc1", score: 10 },
+      { _id: "doc2", score: null },
+      { _id: "doc3" }
+    ];
+    
+    // Act
+    const results = queryEngine.executeQuery(docs, { score: { $gte: null } });
+    
+    // Assert
+    TestFramework.assertEquals(2, results.length, 'Null and missing fields should equal null');
+  });
+  
+  suite.addTest('should match any array element with range operators', function() {
+    // Arrange
+    const queryEngine = new QueryEngine();
+    const docs = [
+      { _id: "doc1", scores: [40, 95] },
+      { _id: "doc2", scores: [55, 60] }
+    ];
+    
+    // Act
+    const results = queryEngine.executeQuery(docs, { scores: { $gte: 90 } });
+    
+    // Assert
+    TestFramework.assertEquals(1, results.length, 'Should match when any element satisfies the bound');
+    TestFramework.assertEquals("doc1", results[0]._id, 'Should return the document containing 95');
+  });
+  
+  suite.addTest('should support $in operator with scalars and arrays', function() {
+    // Arrange
+    const queryEngine = new QueryEngine();
+    const testDocs = MockQueryData.getTestUsers();
+    
+    // Act
+    const byAge = queryEngine.executeQuery(testDocs, { age: { $in: [22, 40, 99] } });
+    const byTag = queryEngine.executeQuery(testDocs, { tags: { $in: ["new", "verified"] } });
+    
+    // Assert
+    TestFramework.assertEquals(2, byAge.length, 'Should match users aged 22 or 40');
+    TestFramework.assertEquals(3, byTag.length, 'Should match users whose tags contain any listed value');
+  });
+  
+  suite.addTest('should match missing fields with $in containing null', function() {
+    // Arrange
+    const queryEngine = new QueryEngine();
+    const docs = [
+      { _id: "doc1", owner: "alice" },
+      { _id: "doc2", owner: null },
+      { _id: "doc3" }
+    ];
+    
+    // Act
+    const results = queryEngine.executeQuery(docs, { owner: { $in: [null, "bob"] } });
+    
+    // Assert
+    TestFramework.assertEquals(2, results.length, 'Should match null and missing owners');
+  });
+  
+  suite.addTest('should support $in operator with dates', function() {
+    // Arrange
+    const queryEngine = new QueryEngine();
+    const docs = [
+      { _id: "doc1", due: new Date("2025-01-01T00:00:00Z") },
+      { _id: "doc2", due: new Date("2025-02-01T00:00:00Z") }
+    ];
+    
+    // Act
+    const results = queryEngine.executeQuery(docs, { due: { $in: [new Date("2025-02-01T00:00:00Z")] } });
+    
+    // Assert
+    TestFramework.assertEquals(1, results.length, 'Should match dates by timestamp');
+    TestFramework.assertEquals("doc2", results[0]._id, 'Should return the matching date');
+  });
+  
+  suite.addTest('should support $nin operator including missing fields', function() {
+    // Arrange
+    const queryEngine = new QueryEngine();
+    const docs = [
+      { _id: "doc1", status: "open" },
+      { _id: "doc2", status: "closed" },
+      { _id: "doc3" }
+    ];
+    
+    // Act
+    const results = queryEngine.executeQuery(docs, { status: { $nin: ["closed", "archived"] } });
+    
+    // Assert
+    TestFramework.assertEquals(2, results.length, 'Missing fields should satisfy $nin without null');
+    TestFramework.assertFalse(results.some(doc => doc._id === "doc2"), 'Closed document should be excluded');
+  });
+  
+  suite.addTest('should throw InvalidQueryError when $in or $nin is not an array', function() {
+    // Arrange
+    const queryEngine = new QueryEngine();
+    const testDocs = MockQueryData.getTestUsers();
+    
+    // Act & Assert
+    TestFramework.assertThrows(function() {
+      queryEngine.executeQuery(testDocs, { age: { $in: 30 } });
+    }, InvalidQueryError, 'Should reject non-array $in value');
+    TestFramework.assertThrows(function() {
+      queryEngine.executeQuery(testDocs, { age: { $nin: "30" } });
+    }, InvalidQueryError, 'Should reject non-array $nin value');
+  });
+  
+  return suite;
+}
+
+/**
+ * QueryEngine Element Operators Tests
+ * Tests $exists and $type, including missing versus null fields
+ */
+function createQueryEngineElementTestSuite() {
+  const suite = new TestSuite('QueryEngine Element Operators');
+  
+  suite.setBeforeAll(function() {
+    setupQueryEngineTestEnvironment();
+  });
+  
+  suite.setAfterAll(function() {
+    cleanupQueryEngineTestEnvironment();
+  });
+  
+  suite.addTest('should distinguish missing fields from null with $exists', function() {
+    // Arrange
+    const queryEngine = new QueryEngine();
+    const docs = [
+      { _id: "doc1", status: "open" },
+      { _id: "doc2", status: null },
+      { _id: "doc3" }
+    ];
+    
+    // Act
+    const present = queryEngine.executeQuery(docs, { status: { $exists: true } });
+    const missing = queryEngine.executeQuery(docs, { status: { $exists: false } });
+    
+    // Assert
+    TestFramework.assertEquals(2, present.length, 'Null fields should still count as present');
+    TestFramework.assertEquals("doc3", missing[0]._id, 'Only the document without the field should match $exists: false');
+    TestFramework.assertEquals(1, missing.length, 'Should return exactly one missing-field document');
+  });
+  
+  suite.addTest('should support $exists on nested fields', function() {
+    // Arrange
+    const queryEngine = new QueryEngine();
+    const testDocs = MockQueryData.getTestUsers();
+    
+    // Act
+    const withYears = queryEngine.executeQuery(testDocs, { 'profile.yearsOfService': { $exists: true } });
+    const withMissingPath = queryEngine.executeQuery(testDocs, { 'profile.nonExistent': { $exists: true } });
+    
+    // Assert
+    TestFramework.assertTrue(withYears.length > 0, 'Should find documents with the nested field');
+    TestFramework.assertEquals(0, withMissingPath.length, 'Should not match a nested field that is absent everywhere');
+  });
+  
+  suite.addTest('should support $type with BSON type names', function() {
+    // Arrange
+    const queryEngine = new QueryEngine();
+    const docs = [
+      { _id: "doc1", count: 5 },
+      { _id: "doc2", count: "5" },
+      { _id: "doc3", count: null },
+      { _id: "doc4", count: true },
+      { _id: "doc5", count: 2.5 },
+      { _id: "doc6" }
+    ];
+    
+    // Act
+    const strings = queryEngine.executeQuery(docs, { count: { $type: "string" } });
+    const nulls = queryEngine.executeQuery(docs, { count: { $type: "null" } });
+    const bools = queryEngine.executeQuery(docs, { count: { $type: "bool" } });
+    const ints = queryEngine.executeQuery(docs, { count: { $type: "int" } });
+    const doubles = queryEngine.executeQuery(docs, { count: { $type: "double" } });
+    
+    // Assert
+    TestFramework.assertEquals("doc2", strings[0]._id, 'Should match the string value');
+    TestFramework.assertEquals(1, strings.length, 'Should only match one string');
+    TestFramework.assertEquals("doc3", nulls[0]._id, 'Should match the null value but not the missing field');
+    TestFramework.assertEquals(1, nulls.length, 'Missing fields should not match $type null');
+    TestFramework.assertEquals("doc4", bools[0]._id, 'Should match the boolean value');
+    TestFramework.assertEquals(1, ints.length, 'Only whole numbers should match int');
+    TestFramework.assertEquals(2, doubles.length, 'All numbers should match double');
+  });
+  
+  suite.addTest('should support $type aliases and numeric codes', function() {
+    // Arrange
+    const queryEngine = new QueryEngine();
+    const docs = [
+      { _id: "doc1", value: 5 },
+      { _id: "doc2", value: new Date('2024-01-01') },
+      { _id: "doc3", value: { nested: true } },
+      { _id: "doc4", value: [1, 2] },
+      { _id: "doc5", value: "text" }
+    ];
+    
+    // Act
+    const numbers = queryEngine.executeQuery(docs, { value: { $type: "number" } });
+    const dates = queryEngine.executeQuery(docs, { value: { $type: "date" } });
+    const objects = queryEngine.executeQuery(docs, { value: { $type: "object" } });
+    const arrays = queryEngine.executeQuery(docs, { value: { $type: "array" } });
+    const stringsByCode = queryEngine.executeQuery(docs, { value: { $type: 2 } });
+    
+    // Assert
+    TestFramework.assertEquals(2, numbers.length, 'Numbers and arrays containing numbers should match number');
+    TestFramework.assertEquals("doc2", dates[0]._id, 'Should match the Date value');
+    TestFramework.assertEquals(1, dates.length, 'Should only match one Date');
+    TestFramework.assertEquals("doc3", objects[0]._id, 'Dates and arrays should not match object');
+    TestFramework.assertEquals(1, objects.length, 'Should only match the plain object');
+    TestFramework.assertEquals("doc4", arrays[0]._id, 'Should match the array value');
+    TestFramework.assertEquals("doc5", stringsByCode[0]._id, 'Numeric code 2 should match strings');
+  });
+  
+  suite.addTest('should support an array of types in $type', function() {
+    // Arrange
+    const queryEngine = new QueryEngine();
+    const testDocs = MockQueryData.getTestUsers();
+    
+    // Act
+    const results = queryEngine.executeQuery(testDocs, { name: { $type: ["string", "null"] } });
+    
+    // Assert
+    TestFramework.assertEquals(testDocs.length, results.length, 'Every user name should match string or null');
+  });
+  
+  suite.addTest('should combine $exists and $type to find malformed fields', function() {
+    // Arrange
+    const queryEngine = new QueryEngine();
+    const docs = [
+      { _id: "doc1", count: 5 },
+      { _id: "doc2", count: "five" },
+      { _id: "doc3" }
+    ];
+    
+    // Act
+    const results = queryEngine.executeQuery(docs, { count: { $exists: true, $type: "string" } });
+    
+    // Assert
+    TestFramework.assertEquals(1, results.length, 'Should find only the malformed count');
+    TestFramework.assertEquals("doc2", results[0]._id, 'Should return the document holding a string count');
+  });
+  
+  suite.addTest('should reject unknown $type names and invalid $exists values', function() {
+    // Arrange
+    const queryEngine = new QueryEngine();
+    const testDocs = MockQueryData.getTestUsers();
+    
+    // Act & Assert
+    TestFramework.assertThrows(function() {
+      queryEngine.executeQuery(testDocs, { age: { $type: "integer" } });
+    }, InvalidQueryError, 'Should reject unknown type name');
+    TestFramework.assertThrows(function() {
+      queryEngine.executeQuery(testDocs, { age: { $type: 99 } });
+    }, InvalidQueryError, 'Should reject unknown numeric type code');
+    TestFramework.assertThrows(function() {
+      queryEngine.executeQuery(testDocs, { age: { $exists: "yes" } });
+    }, InvalidQueryError, 'Should reject non-boolean $exists value');
+  });
+  
+  return suite;
+}
+
+/**
+ * QueryEngine Pattern Matching Tests
+ * Tests $regex with $options and RegExp literal values
+ */
+function createQueryEngineRegexTestSuite() {
+  const suite = new TestSuite('QueryEngine Pattern Matching');
+  
+  suite.setBeforeAll(function() {
+    setupQueryEngineTestEnvironment();
+  });
+  
+  suite.setAfterAll(function() {
+    cleanupQueryEngineTestEnvironment();
+  });
+  
+  suite.addTest('should support $regex prefix matching', function() {
+    // Arrange
+    const queryEngine = new QueryEngine();
+    const testDocs = MockQueryData.getTestUsers();
+    
+    // Act
+    const results = queryEngine.executeQuery(testDocs, { name: { $regex: '^(John|Sarah)' } });
+    
+    // Assert
+    TestFramework.assertEquals(2, results.length, 'Should match names starting with John or Sarah');
+  });
+  
+  suite.addTest('should support case-insensitive matching with $options', function() {
+    // Arrange
+    const queryEngine = new QueryEngine();
+    const testDocs = MockQueryData.getTestUsers();
+    
+    // Act
+    const caseSensitive = queryEngine.executeQuery(testDocs, { name: { $regex: '^emma' } });
+    const caseInsensitive = queryEngine.executeQuery(testDocs, { name: { $regex: '^emma', $options: 'i' } });
+    
+    // Assert
+    TestFramework.assertEquals(0, caseSensitive.length, 'Should not match without the i flag');
+    TestFramework.assertEquals(1, caseInsensitive.length, 'Should match with the i flag');
+    TestFramework.assertEquals('Emma Wilson', caseInsensitive[0].name, 'Should return Emma');
+  });
+  
+  suite.addTest('should support bare RegExp values', function() {
+    // Arrange
+    const queryEngine = new QueryEngine();
+    const testDocs = MockQueryData.getTestUsers();
+    
+    // Act
+    const results = queryEngine.executeQuery(testDocs, { email: /^DAVID\./i });
+    
+    // Assert
+    TestFramework.assertEquals(1, results.length, 'Should match one email address');
+    TestFramework.assertEquals('David Chen', results[0].name, 'Should return David');
+  });
+  
+  suite.addTest('should apply patterns to each array element', function() {
+    // Arrange
+    const queryEngine = new QueryEngine();
+    const testDocs = MockQueryData.getTestUsers();
+    
+    // Act
+    const withRegexOperator = queryEngine.executeQuery(testDocs, { tags: { $regex: '^prem' } });
+    const withLiteral = queryEngine.executeQuery(testDocs, { tags: /^ver/ });
+    
+    // Assert
+    TestFramework.assertEquals(2, withRegexOperator.length, 'Should match users with a premium tag');
+    TestFramework.assertEquals(2, withLiteral.length, 'Should match users with a verified tag');
+  });
+  
+  suite.addTest('should not match non-string or missing fields', function() {
+    // Arrange
+    const queryEngine = new QueryEngine();
+    const docs = [
+      { _id: "doc1", code: 123 },
+      { _id: "doc2", code: null },
+      { _id: "doc3" },
+      { _id: "doc4", code: "123" }
+    ];
+    
+    // Act
+    const results = queryEngine.executeQuery(docs, { code: { $regex: '^1' } });
+    
+    // Assert
+    TestFramework.assertEquals(1, results.length, 'Only the string value should match');
+    TestFramework.assertEquals("doc4", results[0]._id, 'Should return the string code');
+  });
+  
+  suite.addTest('should support RegExp values inside $in', function() {
+    // Arrange
+    const queryEngine = new QueryEngine();
+    const testDocs = MockQueryData.getTestUsers();
+    
+    // Act
+    const results = queryEngine.executeQuery(testDocs, { name: { $in: [/^John/, 'Emma Wilson'] } });
+    
+    // Assert
+    TestFramework.assertEquals(2, results.length, 'Should match the pattern and the literal value');
+  });
+  
+  suite.addTest('should reject malformed patterns and options', function() {
+    // Arrange
+    const queryEngine = new QueryEngine();
+    const testDocs = MockQueryData.getTestUsers();
+    
+    // Act & Assert
+    TestFramework.assertThrows(function() {
+      queryEngine.executeQuery(testDocs, { name: { $regex: '(unclosed' } });
+    }, InvalidQueryError, 'Should reject a malformed pattern');
+    TestFramework.assertThrows(function() {
+      queryEngine.executeQuery(testDocs, { name: { $regex: 'John', $options: 'q' } });
+    }, InvalidQueryError, 'Should reject unsupported flags');
+    TestFramework.assertThrows(function() {
+      queryEngine.executeQuery(testDocs, { name: { $options: 'i' } });
+    }, InvalidQueryError, 'Should reject $options without $regex');
+    TestFramework.assertThrows(function() {
+      queryEngine.executeQuery(testDocs, { name: { $regex: 42 } });
+    }, InvalidQueryError, 'Should reject a non-string pattern');
+  });
+  
+  return suite;
+}
+
 /**
  * QueryEngine Logical Operators Tests (8 test cases)
  * Tests $and, $or operators and implicit AND behaviour
  */
-function createQueryEngineLogicalTestSuite() {
-  const suite = new TestSuite('QueryEngine Logical Operators');
+function createQueryEngineLogicalTestSuite() {
+  const suite = new TestSuite('QueryEngine Logical Operators');
+  
+  suite.setBeforeAll(function() {
+    setupQueryEngineTestEnvironment();
+  });
+  
+  suite.setAfterAll(function() {
+    cleanupQueryEngineTestEnvironment();
+  });
+  
+  suite.addTest('should support explicit $and operator', function() {
+    // Arrange
+    const queryEngine = new QueryEngine();
+    const testDocs = MockQueryData.getTestUsers();
+    const query = { 
+      $and: [
+        { active: true },
+        { age: { $gt: 25 } }
+      ]
+    };
+    
+    // Act
+    const results = queryEngine.executeQuery(testDocs, query);
+    
+    // Assert
+    TestFramework.assertTrue(results.length > 0, 'Should return users that are active AND older than 25');
+    results.forEach(function(doc) {
+      TestFramework.assertEquals(true, doc.active, 'All returned documents should be active');
+      TestFramework.assertTrue(doc.age > 25, 'All returned documents should have age > 25');
+    });
+  });
+  
+  suite.addTest('should support $or operator', function() {
+    // Arrange
+    const queryEngine = new QueryEngine();
+    const testDocs = MockQueryData.getTestUsers();
+    const query = { 
+      $or: [
+        { age: { $lt: 25 } },
+        { age: { $gt: 35 } }
+      ]
+    };
+    
+    // Act
+    const results = queryEngine.executeQuery(testDocs, query);
+    
+    // Assert
+    TestFramework.assertTrue(results.length > 0, 'Should return users younger than 25 OR older than 35');
+    results.forEach(function(doc) {
+      TestFramework.assertTrue(doc.age < 25 || doc.age > 35, 'All returned documents should be < 25 OR > 35 years old');
+    });
+  });
+  
+  suite.addTest('should support implicit AND with multiple fields', function() {
+    // Arrange
+    const queryEngine = new QueryEngine();
+    const testDocs = MockQueryData.getTestUsers();
+    const query = { 
+      active: true,
+      "profile.department": "Engineering"
+    };
+    
+    // Act
+    const results = queryEngine.executeQuery(testDocs, query);
+    
+    // Assert
+    TestFramework.assertTrue(results.length > 0, 'Should return active users in Engineering');
+    results.forEach(function(doc) {
+      TestFramework.assertEquals(true, doc.active, 'All returned documents should be active');
+      TestFramework.assertEquals("Engineering", doc.profile.department, 'All returned documents should be in Engineering');
+    });
+  });
+  
+  suite.addTest('should support nested logical operators', function() {
+    // Arrange
+    const queryEngine = new QueryEngine();
+    const testDocs = MockQueryData.getTestUsers();
+    const query = { 
+      $and: [
+        { active: true },
+        { 
+          $or: [
+            { "profile.department": "Engineering" },
+            { "profile.department": "Product" }
+          ]
+        }
+      ]
+    };
+    
+    // Act
+    const results = queryEngine.executeQuery(testDocs, query);
+    
+    // Assert
+    TestFramework.assertTrue(results.length > 0, 'Should return active users in Engineering OR Product');
+    results.forEach(function(doc) {
+      TestFramework.assertEquals(true, doc.active, 'All returned documents should be active');
+      TestFramework.assertTrue(
+        doc.profile.department === "Engineering" || doc.profile.department === "Product",
+        'All returned documents should be in Engineering or Product'
+      );
+    });
+  });
+  
+  suite.addTest('should support $or with comparison operators', function() {
+    // Arrange
+    const queryEngine = new QueryEngine();
+    const testDocs = MockQueryData.getTestUsers();
+    const query = { 
+      $or: [
+        { age: { $lt: 25 } },
+        { score: { $gt: 90 } }
+      ]
+    };
+    
+    // Act
+    const results = queryEngine.executeQuery(testDocs, query);
+    
+    // Assert
+    TestFramework.assertTrue(results.length > 0, 'Should return users younger than 25 OR with score > 90');
+    results.forEach(function(doc) {
+      TestFramework.assertTrue(
+        doc.age < 25 || doc.score > 90, 
+        'All returned documents should be < 25 years OR score > 90'
+      );
+    });
+  });
+  
+  suite.addTest('should handle empty $and conditions', function() {
+    // Arrange
+    const queryEngine = new QueryEngine();
+    const testDocs = MockQueryData.getTestUsers();
+    const query = { $and: [] };
+    
+    // Act
+    const results = queryEngine.executeQuery(testDocs, query);
+    
+    // Assert
+    TestFramework.assertEquals(testDocs.length, results.length, 'Empty $and should match all documents');
+  });
+  
+  suite.addTest('should handle empty $or conditions', function() {
+    // Arrange
+    const queryEngine = new QueryEngine();
+    const testDocs = MockQueryData.getTestUsers();
+    const query = { $or: [] };
+    
+    // Act
+    const results = queryEngine.executeQuery(testDocs, query);
+    
+    // Assert
+    TestFramework.assertEquals(0, results.length, 'Empty $or should match no documents');
+  });
+  
+  suite.addTest('should support complex multi-field implicit AND', function() {
+    // Arrange
+    const queryEngine = new QueryEngine();
+    const testDocs = MockQueryData.getTestUsers();
+    const query = { 
+      active: true,
+      age: { $gt: 25 },
+      "profile.department": "Engineering",
+      "settings.theme": "dark"
+    };
+    
+    // Act
+    const results = queryEngine.executeQuery(testDocs, query);
+    
+    // Assert
+    results.forEach(function(doc) {
+      TestFramework.assertEquals(true, doc.active, 'Document should be active');
+      TestFramework.assertTrue(doc.age > 25, 'Document should have age > 25');
+      TestFramework.assertEquals("Engineering", doc.profile.department, 'Document should be in Engineering');
+      TestFramework.assertEquals("dark", doc.settings.theme, 'Document should have dark theme');
+    });
+  });
+  
+  return suite;
+}
+
+/**
+ * QueryEngine Negation Operators Tests
+ * Tests field-level $not and top-level $nor
+ */
+function createQueryEngineNegationTestSuite() {
+  const suite = new TestSuite('QueryEngine Negation Operators');
   
   suite.setBeforeAll(function() {
     setupQueryEngineTestEnvironment();
@@ -421,170 +1117,423 @@ function createQueryEngineLogicalTestSuite() {
     cleanupQueryEngineTestEnvironment();
   });
   
-  suite.addTest('should support explicit $and operator', function() {
+  suite.addTest('should negate an operator expression with $not', function() {
     // Arrange
     const queryEngine = new QueryEngine();
     const testDocs = MockQueryData.getTestUsers();
-    const query = { 
-      $and: [
-        { active: true },
-        { age: { $gt: 25 } }
-      ]
-    };
     
     // Act
-    const results = queryEngine.executeQuery(testDocs, query);
+    const results = queryEngine.executeQuery(testDocs, { age: { $not: { $gt: 30 } } });
     
     // Assert
-    TestFramework.assertTrue(results.length > 0, 'Should return users that are active AND older than 25');
+    TestFramework.assertEquals(3, results.length, 'Should return users aged 30 or under');
     results.forEach(function(doc) {
-      TestFramework.assertEquals(true, doc.active, 'All returned documents should be active');
-      TestFramework.assertTrue(doc.age > 25, 'All returned documents should have age > 25');
+      TestFramework.assertTrue(doc.age <= 30, 'Returned users should not be older than 30');
     });
   });
   
-  suite.addTest('should support $or operator', function() {
+  suite.addTest('should match missing fields with $not', function() {
+    // Arrange
+    const queryEngine = new QueryEngine();
+    const docs = [
+      { _id: "doc1", score: 10 },
+      { _id: "doc2", score: 2 },
+      { _id: "doc3" }
+    ];
+    
+    // Act
+    const results = queryEngine.executeQuery(docs, { score: { $not: { $gte: 5 } } });
+    
+    // Assert
+    TestFramework.assertEquals(2, results.length, 'Should return the low score and the missing score');
+    TestFramework.assertEquals("doc2", results[0]._id, 'Should include the low score');
+    TestFramework.assertEquals("doc3", results[1]._id, 'Should include the document without a score');
+  });
+  
+  suite.addTest('should negate regular expressions with $not', function() {
     // Arrange
     const queryEngine = new QueryEngine();
     const testDocs = MockQueryData.getTestUsers();
-    const query = { 
-      $or: [
-        { age: { $lt: 25 } },
-        { age: { $gt: 35 } }
-      ]
-    };
     
     // Act
-    const results = queryEngine.executeQuery(testDocs, query);
+    const withLiteral = queryEngine.executeQuery(testDocs, { name: { $not: /^j/i } });
+    const withRegexOperator = queryEngine.executeQuery(testDocs, { name: { $not: { $regex: '^j', $options: 'i' } } });
     
     // Assert
-    TestFramework.assertTrue(results.length > 0, 'Should return users younger than 25 OR older than 35');
-    results.forEach(function(doc) {
-      TestFramework.assertTrue(doc.age < 25 || doc.age > 35, 'All returned documents should be < 25 OR > 35 years old');
-    });
+    TestFramework.assertEquals(testDocs.length - 1, withLiteral.length, 'Should exclude John');
+    TestFramework.assertEquals(withLiteral.length, withRegexOperator.length, 'Both regex forms should behave the same');
   });
   
-  suite.addTest('should support implicit AND with multiple fields', function() {
+  suite.addTest('should exclude documents matching any $nor condition', function() {
     // Arrange
     const queryEngine = new QueryEngine();
     const testDocs = MockQueryData.getTestUsers();
-    const query = { 
-      active: true,
-      "profile.department": "Engineering"
-    };
+    const query = { $nor: [{ age: { $lt: 25 } }, { name: "John Smith" }] };
     
     // Act
     const results = queryEngine.executeQuery(testDocs, query);
     
     // Assert
-    TestFramework.assertTrue(results.length > 0, 'Should return active users in Engineering');
+    TestFramework.assertEquals(3, results.length, 'Should exclude the youngest user and John');
     results.forEach(function(doc) {
-      TestFramework.assertEquals(true, doc.active, 'All returned documents should be active');
-      TestFramework.assertEquals("Engineering", doc.profile.department, 'All returned documents should be in Engineering');
+      TestFramework.assertTrue(doc.age >= 25 && doc.name !== "John Smith", 'No returned document should match a $nor condition');
     });
   });
   
-  suite.addTest('should support nested logical operators', function() {
+  suite.addTest('should combine $nor with field conditions and other logical operators', function() {
     // Arrange
     const queryEngine = new QueryEngine();
     const testDocs = MockQueryData.getTestUsers();
-    const query = { 
-      $and: [
-        { active: true },
-        { 
-          $or: [
-            { "profile.department": "Engineering" },
-            { "profile.department": "Product" }
-          ]
-        }
-      ]
+    const query = {
+      active: true,
+      $nor: [{ tags: "premium" }],
+      $and: []
     };
     
     // Act
     const results = queryEngine.executeQuery(testDocs, query);
     
     // Assert
-    TestFramework.assertTrue(results.length > 0, 'Should return active users in Engineering OR Product');
     results.forEach(function(doc) {
-      TestFramework.assertEquals(true, doc.active, 'All returned documents should be active');
-      TestFramework.assertTrue(
-        doc.profile.department === "Engineering" || doc.profile.department === "Product",
-        'All returned documents should be in Engineering or Product'
-      );
+      TestFramework.assertTrue(doc.active, 'Returned users should be active');
+      TestFramework.assertFalse(doc.tags.indexOf("premium") !== -1, 'Returned users should not be premium');
     });
+    TestFramework.assertTrue(results.length > 0, 'Should return at least one active non-premium user');
   });
   
-  suite.addTest('should support $or with comparison operators', function() {
+  suite.addTest('should support $not inside $nor', function() {
+    // Arrange
+    const queryEngine = new QueryEngine();
+    const testDocs = MockQueryData.getTestUsers();
+    
+    // Act - Double negation: keep users whose age is not outside the 25-35 range
+    const results = queryEngine.executeQuery(testDocs, { $nor: [{ age: { $not: { $gte: 25, $lte: 35 } } }] });
+    
+    // Assert
+    TestFramework.assertEquals(3, results.length, 'Should return users aged between 25 and 35');
+  });
+  
+  suite.addTest('should reject invalid $not and $nor values', function() {
+    // Arrange
+    const queryEngine = new QueryEngine();
+    const testDocs = MockQueryData.getTestUsers();
+    
+    // Act & Assert
+    TestFramework.assertThrows(function() {
+      queryEngine.executeQuery(testDocs, { age: { $not: 30 } });
+    }, InvalidQueryError, 'Should reject a plain value in $not');
+    TestFramework.assertThrows(function() {
+      queryEngine.executeQuery(testDocs, { age: { $not: { value: 30 } } });
+    }, InvalidQueryError, 'Should reject a non-operator object in $not');
+    TestFramework.assertThrows(function() {
+      queryEngine.executeQuery(testDocs, { $nor: { age: 30 } });
+    }, InvalidQueryError, 'Should reject a non-array $nor');
+    TestFramework.assertThrows(function() {
+      queryEngine.executeQuery(testDocs, { $nor: [] });
+    }, InvalidQueryError, 'Should reject an empty $nor');
+    TestFramework.assertThrows(function() {
+      queryEngine.executeQuery(testDocs, { $and: [{ $nor: [] }] });
+    }, InvalidQueryError, 'Should reject an empty $nor nested in $and');
+    TestFramework.assertThrows(function() {
+      queryEngine.executeQuery(testDocs, { $nor: [{ age: { $where: "true" } }] });
+    }, InvalidQueryError, 'Should discover unsupported operators inside $nor');
+  });
+  
+  suite.addTest('should enforce nesting depth through $not and $nor', function() {
+    // Arrange
+    const queryEngine = new QueryEngine({ maxNestedDepth: 3 });
+    const testDocs = MockQueryData.getTestUsers();
+    const deepNor = { $nor: [{ $nor: [{ $nor: [{ $nor: [{ age: 30 }] }] }] }] };
+    const deepNot = { age: { $not: { $not: { $not: { $not: { $gt: 30 } } } } } };
+    
+    // Act & Assert
+    TestFramework.assertThrows(function() {
+      queryEngine.executeQuery(testDocs, deepNor);
+    }, InvalidQueryError, 'Should reject $nor nested beyond the maximum depth');
+    TestFramework.assertThrows(function() {
+      queryEngine.executeQuery(testDocs, deepNot);
+    }, InvalidQueryError, 'Should reject $not nested beyond the maximum depth');
+  });
+  
+  return suite;
+}
+
+/**
+ * QueryEngine Array Operators Tests
+ * Tests implicit element matching, dot paths through arrays, $elemMatch, $size and $all
+ */
+function createQueryEngineArrayTestSuite() {
+  const suite = new TestSuite('QueryEngine Array Operators');
+  
+  suite.setBeforeAll(function() {
+    setupQueryEngineTestEnvironment();
+  });
+  
+  suite.setAfterAll(function() {
+    cleanupQueryEngineTestEnvironment();
+  });
+  
+  /**
+   * Orders with line items for array traversal tests
+   * @returns {Array<Object>} Order documents
+   */
+  function getOrders() {
+    return [
+      { _id: "order1", items: [{ sku: "A1", qty: 2 }, { sku: "B2", qty: 10 }], scores: [80, 95] },
+      { _id: "order2", items: [{ sku: "A1", qty: 12 }], scores: [70] },
+      { _id: "order3", items: [], scores: [] },
+      { _id: "order4", scores: [82, 84] }
+    ];
+  }
+  
+  suite.addTest('should match scalar and operator filters against any array element', function() {
     // Arrange
     const queryEngine = new QueryEngine();
     const testDocs = MockQueryData.getTestUsers();
-    const query = { 
-      $or: [
-        { age: { $lt: 25 } },
-        { score: { $gt: 90 } }
-      ]
-    };
     
     // Act
-    const results = queryEngine.executeQuery(testDocs, query);
+    const premium = queryEngine.executeQuery(testDocs, { tags: "premium" });
+    const premiumOrNew = queryEngine.executeQuery(testDocs, { tags: { $in: ["premium", "new"] } });
+    const highScores = queryEngine.executeQuery(getOrders(), { scores: { $gt: 90 } });
     
     // Assert
-    TestFramework.assertTrue(results.length > 0, 'Should return users younger than 25 OR with score > 90');
-    results.forEach(function(doc) {
-      TestFramework.assertTrue(
-        doc.age < 25 || doc.score > 90, 
-        'All returned documents should be < 25 years OR score > 90'
-      );
-    });
+    TestFramework.assertEquals(2, premium.length, 'Should match users whose tags contain premium');
+    TestFramework.assertEquals(3, premiumOrNew.length, 'Should match users with either tag');
+    TestFramework.assertEquals("order1", highScores[0]._id, 'Should match when any score exceeds 90');
+    TestFramework.assertEquals(1, highScores.length, 'Should only match one order');
+  });
+
+  suite.addTest('should match an array value against nested array elements', function() {
+    // Arrange
+    const queryEngine = new QueryEngine();
+    const testDocs = [
+      { _id: "grid1", cells: [[1, 2], [3]] },
+      { _id: "grid2", cells: [3] },
+      { _id: "grid3", cells: [[3, 4]] }
+    ];
+
+    // Act
+    const nested = queryEngine.executeQuery(testDocs, { cells: [3] });
+    const whole = queryEngine.executeQuery(testDocs, { cells: [[1, 2], [3]] });
+    const notNested = queryEngine.executeQuery(testDocs, { cells: { $ne: [3] } });
+
+    // Assert
+    TestFramework.assertDeepEquals(["grid1", "grid2"], nested.map(doc => doc._id), 'Should match the whole array or an equal element array');
+    TestFramework.assertDeepEquals(["grid1"], whole.map(doc => doc._id), 'Should still match the whole array');
+    TestFramework.assertDeepEquals(["grid3"], notNested.map(doc => doc._id), '$ne should exclude arrays holding an equal element array');
+  });
+
+  suite.addTest('should traverse arrays in dot notation paths', function() {
+    // Arrange
+    const queryEngine = new QueryEngine();
+    const orders = getOrders();
+    
+    // Act
+    const withSku = queryEngine.executeQuery(orders, { 'items.sku': "B2" });
+    const withLargeQty = queryEngine.executeQuery(orders, { 'items.qty': { $gte: 10 } });
+    const firstItemA1 = queryEngine.executeQuery(orders, { 'items.0.sku': "A1" });
+    const withoutItems = queryEngine.executeQuery(orders, { 'items.sku': { $exists: false } });
+    
+    // Assert
+    TestFramework.assertEquals(1, withSku.length, 'Should find the order containing sku B2');
+    TestFramework.assertEquals("order1", withSku[0]._id, 'Should return order1');
+    TestFramework.assertEquals(2, withLargeQty.length, 'Should find orders with any item qty >= 10');
+    TestFramework.assertEquals(2, firstItemA1.length, 'Numeric path parts should index into the array');
+    TestFramework.assertEquals(2, withoutItems.length, 'Empty and missing item arrays have no sku');
   });
   
-  suite.addTest('should handle empty $and conditions', function() {
+  suite.addTest('should match subdocuments with $elemMatch', function() {
+    // Arrange
+    const queryEngine = new QueryEngine();
+    const orders = getOrders();
+    
+    // Act - Both conditions must hold for the same item
+    const sameItem = queryEngine.executeQuery(orders, { items: { $elemMatch: { sku: "A1", qty: { $gt: 5 } } } });
+    const acrossItems = queryEngine.executeQuery(orders, { 'items.sku': "A1", 'items.qty': { $gt: 5 } });
+    
+    // Assert
+    TestFramework.assertEquals(1, sameItem.length, 'Only order2 has a single A1 item with qty > 5');
+    TestFramework.assertEquals("order2", sameItem[0]._id, 'Should return order2');
+    TestFramework.assertEquals(2, acrossItems.length, 'Without $elemMatch conditions may match different items');
+  });
+  
+  suite.addTest('should apply operator-only $elemMatch to scalar elements', function() {
+    // Arrange
+    const queryEngine = new QueryEngine();
+    const orders = getOrders();
+    
+    // Act
+    const results = queryEngine.executeQuery(orders, { scores: { $elemMatch: { $gte: 80, $lt: 85 } } });
+    
+    // Assert
+    TestFramework.assertEquals(2, results.length, 'Should match orders with a score in [80, 85)');
+    TestFramework.assertEquals("order1", results[0]._id, 'Should include order1');
+    TestFramework.assertEquals("order4", results[1]._id, 'Should include order4');
+  });
+  
+  suite.addTest('should match array length with $size', function() {
     // Arrange
     const queryEngine = new QueryEngine();
     const testDocs = MockQueryData.getTestUsers();
-    const query = { $and: [] };
     
     // Act
-    const results = queryEngine.executeQuery(testDocs, query);
+    const twoTags = queryEngine.executeQuery(testDocs, { tags: { $size: 2 } });
+    const noTags = queryEngine.executeQuery(testDocs, { tags: { $size: 0 } });
+    const notArray = queryEngine.executeQuery(testDocs, { name: { $size: 0 } });
     
     // Assert
-    TestFramework.assertEquals(testDocs.length, results.length, 'Empty $and should match all documents');
+    TestFramework.assertEquals(1, twoTags.length, 'Should match the user with two tags');
+    TestFramework.assertEquals(1, noTags.length, 'Should match the user with an empty tags array');
+    TestFramework.assertEquals(0, notArray.length, 'Non-array fields should never match $size');
   });
   
-  suite.addTest('should handle empty $or conditions', function() {
+  suite.addTest('should require every value with $all', function() {
     // Arrange
     const queryEngine = new QueryEngine();
     const testDocs = MockQueryData.getTestUsers();
-    const query = { $or: [] };
     
     // Act
-    const results = queryEngine.executeQuery(testDocs, query);
+    const both = queryEngine.executeQuery(testDocs, { tags: { $all: ["verified", "premium"] } });
+    const single = queryEngine.executeQuery(testDocs, { tags: { $all: ["verified"] } });
+    const none = queryEngine.executeQuery(testDocs, { tags: { $all: [] } });
     
     // Assert
-    TestFramework.assertEquals(0, results.length, 'Empty $or should match no documents');
+    TestFramework.assertEquals(1, both.length, 'Only one user has both tags, in any order');
+    TestFramework.assertEquals(2, single.length, 'Two users have the verified tag');
+    TestFramework.assertEquals(0, none.length, 'An empty $all should match nothing');
   });
   
-  suite.addTest('should support complex multi-field implicit AND', function() {
+  suite.addTest('should support $elemMatch entries inside $all', function() {
+    // Arrange
+    const queryEngine = new QueryEngine();
+    const orders = getOrders();
+    const query = { items: { $all: [
+      { $elemMatch: { sku: "A1" } },
+      { $elemMatch: { qty: { $gte: 10 } } }
+    ] } };
+    
+    // Act
+    const results = queryEngine.executeQuery(orders, query);
+    
+    // Assert
+    TestFramework.assertEquals(2, results.length, 'Both orders with items satisfy each $elemMatch');
+  });
+  
+  suite.addTest('should reject invalid array operator values', function() {
     // Arrange
     const queryEngine = new QueryEngine();
     const testDocs = MockQueryData.getTestUsers();
-    const query = { 
-      active: true,
-      age: { $gt: 25 },
-      "profile.department": "Engineering",
-      "settings.theme": "dark"
-    };
+    
+    // Act & Assert
+    TestFramework.assertThrows(function() {
+      queryEngine.executeQuery(testDocs, { tags: { $size: -1 } });
+    }, InvalidQueryError, 'Should reject a negative $size');
+    TestFramework.assertThrows(function() {
+      queryEngine.executeQuery(testDocs, { tags: { $size: "2" } });
+    }, InvalidQueryError, 'Should reject a non-numeric $size');
+    TestFramework.assertThrows(function() {
+      queryEngine.executeQuery(testDocs, { tags: { $all: "premium" } });
+    }, InvalidQueryError, 'Should reject a non-array $all');
+    TestFramework.assertThrows(function() {
+      queryEngine.executeQuery(testDocs, { tags: { $elemMatch: "premium" } });
+    }, InvalidQueryError, 'Should reject a non-object $elemMatch');
+  });
+  
+  return suite;
+}
+
+/**
+ * QueryEngine $expr Tests
+ * Tests filters built from aggregation expressions, such as comparisons between two fields
+ */
+function createQueryEngineExpressionTestSuite() {
+  const suite = new TestSuite('QueryEngine $expr Operator');
+  
+  suite.setBeforeAll(function() {
+    setupQueryEngineTestEnvironment();
+  });
+  
+  suite.setAfterAll(function() {
+    cleanupQueryEngineTestEnvironment();
+  });
+  
+  /**
+   * Projects with budgets, spending and dates for field comparison tests
+   * @returns {Array<Object>} Project documents
+   */
+  function getProjects() {
+    return [
+      { _id: "p1", budget: 100, spent: 120, dueDate: new Date('2024-03-01T00:00:00Z'), submittedAt: new Date('2024-03-04T00:00:00Z') },
+      { _id: "p2", budget: 200, spent: 150, dueDate: new Date('2024-03-01T00:00:00Z'), submittedAt: new Date('2024-02-27T00:00:00Z') },
+      { _id: "p3", budget: 50, spent: 50, owner: "ada" },
+      { _id: "p4", budget: 80 }
+    ];
+  }
+  
+  suite.addTest('should compare two fields of the same document', function() {
+    // Arrange
+    const queryEngine = new QueryEngine();
+    const projects = getProjects();
     
     // Act
-    const results = queryEngine.executeQuery(testDocs, query);
+    const overspent = queryEngine.executeQuery(projects, { $expr: { $gt: ['$spent', '$budget'] } });
+    const late = queryEngine.executeQuery(projects, { $expr: { $gt: ['$submittedAt', '$dueDate'] } });
+    const onBudget = queryEngine.executeQuery(projects, { $expr: { $eq: ['$spent', '$budget'] } });
     
     // Assert
-    results.forEach(function(doc) {
-      TestFramework.assertEquals(true, doc.active, 'Document should be active');
-      TestFramework.assertTrue(doc.age > 25, 'Document should have age > 25');
-      TestFramework.assertEquals("Engineering", doc.profile.department, 'Document should be in Engineering');
-      TestFramework.assertEquals("dark", doc.settings.theme, 'Document should have dark theme');
-    });
+    TestFramework.assertDeepEquals(["p1"], overspent.map(doc => doc._id), 'Only p1 spent more than its budget');
+    TestFramework.assertDeepEquals(["p1"], late.map(doc => doc._id), 'Only p1 was submitted after its due date');
+    TestFramework.assertDeepEquals(["p3"], onBudget.map(doc => doc._id), 'Missing fields should not equal a number');
+  });
+  
+  suite.addTest('should combine $expr with field conditions and logical operators', function() {
+    // Arrange
+    const queryEngine = new QueryEngine();
+    const projects = getProjects();
+    const underBudget = { $expr: { $lt: [{ $ifNull: ['$spent', 0] }, '$budget'] } };
+    
+    // Act
+    const withField = queryEngine.executeQuery(projects, { budget: { $gte: 100 }, $expr: { $lt: ['$spent', '$budget'] } });
+    const inOr = queryEngine.executeQuery(projects, { $or: [underBudget, { owner: "ada" }] });
+    const inNor = queryEngine.executeQuery(projects, { $nor: [underBudget] });
+    const computed = queryEngine.executeQuery(projects, { $expr: { $and: ['$spent', { $gte: [{ $multiply: ['$spent', 2] }, '$budget'] }] } });
+    
+    // Assert
+    TestFramework.assertDeepEquals(["p2"], withField.map(doc => doc._id), 'Field conditions and $expr should both apply');
+    TestFramework.assertDeepEquals(["p2", "p3", "p4"], inOr.map(doc => doc._id), '$expr should work inside $or');
+    TestFramework.assertDeepEquals(["p1", "p3"], inNor.map(doc => doc._id), '$expr should work inside $nor');
+    TestFramework.assertDeepEquals(["p1", "p2", "p3"], computed.map(doc => doc._id), 'Expressions should be computed per document');
+  });
+  
+  suite.addTest('should use aggregation truthiness and matcher variables', function() {
+    // Arrange
+    const queryEngine = new QueryEngine();
+    const projects = getProjects();
+    
+    // Act
+    const hasSpending = queryEngine.executeQuery(projects, { $expr: '$spent' });
+    const overLimit = queryEngine.createMatcher({ $expr: { $gt: ['$spent', '$$limit'] } }, { variables: { limit: 140 } });
+    
+    // Assert
+    TestFramework.assertDeepEquals(["p1", "p2", "p3"], hasSpending.map(doc => doc._id), 'A field path should match when its value is true');
+    TestFramework.assertDeepEquals(["p2"], projects.filter(overLimit).map(doc => doc._id), 'Matcher variables should be available to $expr');
+  });
+  
+  suite.addTest('should reject invalid $expr queries', function() {
+    // Arrange
+    const queryEngine = new QueryEngine();
+    const projects = getProjects();
+    
+    // Act & Assert
+    TestFramework.assertThrows(function() {
+      queryEngine.executeQuery(projects, { $expr: { $bogus: ['$spent', 1] } });
+    }, InvalidQueryError, 'Should reject unknown expression operators');
+    TestFramework.assertThrows(function() {
+      queryEngine.executeQuery(projects, { spent: { $expr: { $gt: ['$spent', 1] } } });
+    }, InvalidQueryError, 'Should reject $expr as a field operator');
+    TestFramework.assertThrows(function() {
+      queryEngine.executeQuery(projects, { $expr: { $gt: ['$spent'] } });
+    }, InvalidQueryError, 'Should reject the wrong number of arguments');
   });
   
   return suite;
@@ -621,7 +1570,7 @@ function createQueryEngineErrorTestSuite() {
     // Arrange
     const queryEngine = new QueryEngine();
     const testDocs = MockQueryData.getTestUsers();
-    const queryWithUnsupportedOp = { age: { $regex: "pattern" } };
+    const queryWithUnsupportedOp = { age: { $where: "this.age > 30" } };
     
     // Act & Assert
     TestFramework.assertThrows(function() {
@@ -804,6 +1753,39 @@ function createQueryEngineEdgeCasesTestSuite() {
     });
   });
   
+  suite.addTest('should stop scanning once the limit option is reached', function() {
+    // Arrange
+    const queryEngine = new QueryEngine();
+    let scanned = 0;
+    const countingDocs = ['doc1', 'doc2', 'doc3'].map(function(id) {
+      return { _id: id, get active() { scanned++; return true; } };
+    });
+    
+    // Act
+    const results = queryEngine.executeQuery(countingDocs, { active: true }, { limit: 1 });
+    
+    // Assert
+    TestFramework.assertEquals(1, results.length, 'Should return a single match');
+    TestFramework.assertEquals(1, scanned, 'Should not test documents after the first match');
+  });
+  
+  suite.addTest('should create a reusable matcher for a validated query', function() {
+    // Arrange
+    const queryEngine = new QueryEngine();
+    
+    // Act
+    const isAdult = queryEngine.createMatcher({ age: { $gte: 18 } });
+    const matchesAll = queryEngine.createMatcher({});
+    
+    // Assert
+    TestFramework.assertTrue(isAdult({ age: 30 }), 'Should match a qualifying document');
+    TestFramework.assertFalse(isAdult({ age: 12 }), 'Should reject a non-qualifying document');
+    TestFramework.assertTrue(matchesAll({}), 'Empty query should match every document');
+    TestFramework.assertThrows(() => {
+      queryEngine.createMatcher({ age: { $where: 'this.age > 18' } });
+    }, InvalidQueryError, 'Should validate the query when the matcher is created');
+  });
+  
   return suite;
 }
 
@@ -817,32 +1799,58 @@ function createQueryEngineTestSuites() {
     // Register all test suites
     const basicSuite = createQueryEngineBasicTestSuite();
     const comparisonSuite = createQueryEngineComparisonTestSuite();
+    const extendedComparisonSuite = createQueryEngineExtendedComparisonTestSuite();
     const logicalSuite = createQueryEngineLogicalTestSuite();
+    const elementSuite = createQueryEngineElementTestSuite();
+    const regexSuite = createQueryEngineRegexTestSuite();
+    const negationSuite = createQueryEngineNegationTestSuite();
+    const arraySuite = createQueryEngineArrayTestSuite();
+    const expressionSuite = createQueryEngineExpressionTestSuite();
     const errorSuite = createQueryEngineErrorTestSuite();
     const edgeCasesSuite = createQueryEngineEdgeCasesTestSuite();
     
     // Register with global test framework
     registerTestSuite(basicSuite);
     registerTestSuite(comparisonSuite);
+    registerTestSuite(extendedComparisonSuite);
     registerTestSuite(logicalSuite);
+    registerTestSuite(elementSuite);
+    registerTestSuite(regexSuite);
+    registerTestSuite(negationSuite);
+    registerTestSuite(arraySuite);
+    registerTestSuite(expressionSuite);
     registerTestSuite(errorSuite);
     registerTestSuite(edgeCasesSuite);
     
     logger.info('QueryEngine test suites registered successfully', {
       basicTests: basicSuite.getTestNames().length,
       comparisonTests: comparisonSuite.getTestNames().length,
+      extendedComparisonTests: extendedComparisonSuite.getTestNames().length,
       logicalTests: logicalSuite.getTestNames().length,
+      elementTests: elementSuite.getTestNames().length,
+      regexTests: regexSuite.getTestNames().length,
+      negationTests: negationSuite.getTestNames().length,
+      arrayTests: arraySuite.getTestNames().length,
+      expressionTests: expressionSuite.getTestNames().length,
       errorTests: errorSuite.getTestNames().length,
       edgeCasesTests: edgeCasesSuite.getTestNames().length,
       totalTests: basicSuite.getTestNames().length + comparisonSuite.getTestNames().length + 
-                  logicalSuite.getTestNames().length + errorSuite.getTestNames().length + 
+                  extendedComparisonSuite.getTestNames().length +
+                  logicalSuite.getTestNames().length + elementSuite.getTestNames().length +
+                  errorSuite.getTestNames().length + 
                   edgeCasesSuite.getTestNames().length
     });
     
     return {
       basic: basicSuite,
       comparison: comparisonSuite,
+      extendedComparison: extendedComparisonSuite,
       logical: logicalSuite,
+      element: elementSuite,
+      regex: regexSuite,
+      negation: negationSuite,
+      array: arraySuite,
+      expression: expressionSuite,
       error: errorSuite,
       edgeCases: edgeCasesSuite
     };
@@ -904,20 +1912,34 @@ function registerQueryEngineTests() {
     // Create and register all test suites
     const basicSuite = createQueryEngineBasicTestSuite();
     const comparisonSuite = createQueryEngineComparisonTestSuite();
+    const extendedComparisonSuite = createQueryEngineExtendedComparisonTestSuite();
     const logicalSuite = createQueryEngineLogicalTestSuite();
+    const elementSuite = createQueryEngineElementTestSuite();
+    const regexSuite = createQueryEngineRegexTestSuite();
+    const negationSuite = createQueryEngineNegationTestSuite();
+    const arraySuite = createQueryEngineArrayTestSuite();
+    const expressionSuite = createQueryEngineExpressionTestSuite();
     const errorSuite = createQueryEngineErrorTestSuite();
     const edgeCasesSuite = createQueryEngineEdgeCasesTestSuite();
     
     testFramework.registerTestSuite(basicSuite);
     testFramework.registerTestSuite(comparisonSuite);
+    testFramework.registerTestSuite(extendedComparisonSuite);
     testFramework.registerTestSuite(logicalSuite);
+    testFramework.registerTestSuite(elementSuite);
+    testFramework.registerTestSuite(regexSuite);
+    testFramework.registerTestSuite(negationSuite);
+    testFramework.registerTestSuite(arraySuite);
+    testFramework.registerTestSuite(expressionSuite);
     testFramework.registerTestSuite(errorSuite);
     testFramework.registerTestSuite(edgeCasesSuite);
     
     logger.info('QueryEngine test suites registered with TestFramework', {
-      totalSuites: 5,
+      totalSuites: 11,
       totalTests: basicSuite.getTestNames().length + comparisonSuite.getTestNames().length + 
-                  logicalSuite.getTestNames().length + errorSuite.getTestNames().length + 
+                  extendedComparisonSuite.getTestNames().length +
+                  logicalSuite.getTestNames().length + elementSuite.getTestNames().length +
+                  errorSuite.getTestNames().length + 
                   edgeCasesSuite.getTestNames().length
     });
     
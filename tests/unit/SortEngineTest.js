@@ -0,0 +1,160 @@
+/**
+ * SortEngineTest.js - SortEngine Class Tests
+ *
+ * Tests for the SortEngine class including:
+ * - Single and multi-key sorts in both directions
+ * - Nested sort keys and array-valued sort keys
+ * - MongoDB cross-type ordering (type bracketing)
+ * - Validation of invalid sort specifications
+ */
+
+const SORT_ENGINE_TEST_DATA = {
+  testEngine: null
+};
+
+/**
+ * Setup test environment for SortEngine
+ */
+function setupSortEngineTestEnvironment() {
+  SORT_ENGINE_TEST_DATA.testEngine = new SortEngine();
+}
+
+/**
+ * Cleanup test environment
+ */
+function cleanupSortEngineTestEnvironment() {
+  SORT_ENGINE_TEST_DATA.testEngine = null;
+}
+
+/**
+ * Creates the SortEngine test suite
+ */
+function createSortEngineTestSuite() {
+  const suite = new TestSuite('SortEngine Tests');
+
+  suite.setBeforeAll(function() {
+    setupSortEngineTestEnvironment();
+  });
+
+  suite.setAfterAll(function() {
+    cleanupSortEngineTestEnvironment();
+  });
+
+  suite.addTest('testSortAscendingAndDescending', function() {
+    const engine = SORT_ENGINE_TEST_DATA.testEngine;
+    const docs = [{ _id: 'a', age: 30 }, { _id: 'b', age: 22 }, { _id: 'c', age: 41 }];
+    const ascending = engine.sortDocuments(docs, { age: 1 }).map(doc => doc._id);
+    const descending = engine.sortDocuments(docs, { age: -1 }).map(doc => doc._id);
+    TestFramework.assertArrayEquals(['b', 'a', 'c'], ascending, 'Should sort ascending');
+    TestFramework.assertArrayEquals(['c', 'a', 'b'], descending, 'Should sort descending');
+    TestFramework.assertEquals('a', docs[0]._id, 'Input array should not be reordered');
+  });
+
+  suite.addTest('testSortMultipleKeys', function() {
+    const engine = SORT_ENGINE_TEST_DATA.testEngine;
+    const docs = [
+      { _id: 'a', year: 10, name: 'Cara' },
+      { _id: 'b', year: 11, name: 'Ben' },
+      { _id: 'c', year: 10, name: 'Ada' }
+    ];
+    const result = engine.sortDocuments(docs, { year: -1, name: 1 }).map(doc => doc._id);
+    TestFramework.assertArrayEquals(['b', 'c', 'a'], result, 'Should break ties with the second key');
+  });
+
+  suite.addTest('testSortNestedKeys', function() {
+    const engine = SORT_ENGINE_TEST_DATA.testEngine;
+    const docs = [
+      { _id: 'a', name: { last: 'Smith' } },
+      { _id: 'b', name: { last: 'Jones' } },
+      { _id: 'c', name: {} }
+    ];
+    const result = engine.sortDocuments(docs, { 'name.last': 1 }).map(doc => doc._id);
+    TestFramework.assertArrayEquals(['c', 'b', 'a'], result, 'Missing nested values should sort first');
+  });
+
+  suite.addTest('testSortTypeBracketing', function() {
+    const engine = SORT_ENGINE_TEST_DATA.testEngine;
+    const docs = [
+      { _id: 'date', value: new Date('2024-01-01') },
+      { _id: 'array', value: [[1]] },
+      { _id: 'object', value: { a: 1 } },
+      { _id: 'string', value: 'text' },
+      { _id: 'number', value: 5 },
+      { _id: 'null', value: null }
+    ];
+    const result = engine.sortDocuments(docs, { value: 1 }).map(doc => doc._id);
+    TestFramework.assertArrayEquals(['null', 'number', 'string', 'object', 'array', 'date'], result, 'Should order values by type bracket');
+  });
+
+  suite.addTest('testSortArrayFieldsUseMinOrMaxElement', function() {
+    const engine = SORT_ENGINE_TEST_DATA.testEngine;
+    const docs = [
+      { _id: 'a', scores: [5, 50] },
+      { _id: 'b', scores: [10, 20] }
+    ];
+    const ascending = engine.sortDocuments(docs, { scores: 1 }).map(doc => doc._id);
+    const descending = engine.sortDocuments(docs, { scores: -1 }).map(doc => doc._id);
+    TestFramework.assertArrayEquals(['a', 'b'], ascending, 'Ascending should use the smallest element');
+    TestFramework.assertArrayEquals(['a', 'b'], descending, 'Descending should use the largest element');
+  });
+
+  suite.addTest('testCompareValuesDatesAndStrings', function() {
+    const engine = SORT_ENGINE_TEST_DATA.testEngine;
+    TestFramework.assertEquals(-1, engine.compareValues(new Date('2020-01-01'), new Date('2021-01-01')), 'Earlier dates should sort first');
+    TestFramework.assertEquals(1, engine.compareValues('b', 'a'), 'Strings should compare lexically');
+    TestFramework.assertEquals(0, engine.compareValues(null, undefined), 'Null and missing should compare equal');
+  });
+
+  suite.addTest('testSortInvalidSpecificationThrows', function() {
+    const engine = SORT_ENGINE_TEST_DATA.testEngine;
+    TestFramework.assertThrows(() => {
+      engine.validateSort({ age: 'asc' });
+    }, InvalidArgumentError, 'Should reject non-numeric directions');
+    TestFramework.assertThrows(() => {
+      engine.validateSort({ age: 2 });
+    }, InvalidArgumentError, 'Should reject directions other than 1 and -1');
+    TestFramework.assertThrows(() => {
+      engine.validateSort('age');
+    }, InvalidArgumentError, 'Should reject non-object specifications');
+  });
+
+  return suite;
+}
+
+// Logger for file-level operations like initial suite registration
+const sortEngineTestFileLogger = JDbLogger.createComponentLogger('SortEngineTestFile');
+
+// Register suite on default TestFramework instance
+try {
+  new TestFramework().registerTestSuite(createSortEngineTestSuite());
+} catch (e) {
+  sortEngineTestFileLogger.warn(
+    'Direct registration via testFramework failed, attempting global registerTestSuite function.',
+    { error: e.message }
+  );
+  try {
+    registerTestSuite(createSortEngineTestSuite());
+  } catch (e2) {
+    sortEngineTestFileLogger.error(
+      'Fallback global registration also failed for SortEngineTestSuite.',
+      { error: e2.message }
+    );
+  }
+}
+
+/**
+ * Run all SortEngine tests
+ * Convenience function to run the SortEngine-related suite
+ */
+function runSortEngineTests() {
+  JDbLogger.info('Running SortEngine Tests: Testing Document Ordering');
+
+  const testFramework = new TestFramework();
+  testFramework.registerTestSuite(createSortEngineTestSuite());
+  const results = testFramework.runTestSuite('SortEngine Tests');
+
+  JDbLogger.info('SortEngine Test Results:');
+  JDbLogger.info(results.getSummary());
+
+  return results;
+}
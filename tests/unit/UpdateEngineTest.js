@@ -167,6 +167,15 @@ function createUpdateEngineTestSuite() {
     TestFramework.assertEquals(1, originalDoc.a, 'Original document should be unmodified');
   });
 
+  suite.addTest('testSetFieldValueModifiesInPlace', function() {
+    const engine = UPDATE_ENGINE_TEST_DATA.testEngine;
+    const doc = { user: { name: 'Jane' } };
+    engine.setFieldValue(doc, 'user.contact.email', 'jane@example.com');
+
+    TestFramework.assertEquals('jane@example.com', doc.user.contact.email, 'Should create the nested path in the given document');
+    TestFramework.assertEquals('Jane', doc.user.name, 'Should keep sibling fields');
+  });
+
   suite.addTest('testSetOnNonExistentTopLevelField', function() {
     const engine = UPDATE_ENGINE_TEST_DATA.testEngine;
     const doc = { existing: 'value' };
@@ -239,6 +248,67 @@ function createUpdateEngineTestSuite() {
     TestFramework.assertEquals('changed', result.d, '$set should update existing field');
   });
 
+  suite.addTest('testSetOnInsertOnlyAppliesOnInsert', function() {
+    const engine = UPDATE_ENGINE_TEST_DATA.testEngine;
+    const doc = { a: 1 };
+    const update = { $set: { b: 2 }, $setOnInsert: { created: true } };
+    const updated = engine.applyOperators(doc, update);
+    const inserted = engine.applyOperators(doc, update, { isInsert: true });
+
+    TestFramework.assertEquals(undefined, updated.created, '$setOnInsert should be ignored for existing documents');
+    TestFramework.assertEquals(2, updated.b, 'Other operators should still apply');
+    TestFramework.assertTrue(inserted.created, '$setOnInsert should apply when inserting');
+  });
+
+  suite.addTest('testPositionalOperatorUpdatesMatchedElement', function() {
+    const engine = UPDATE_ENGINE_TEST_DATA.testEngine;
+    const doc = { submissions: [{ id: 'a', grade: 70 }, { id: 'b', grade: 80 }], scores: [50, 90, 95] };
+    const bySubmission = engine.applyOperators(doc, { $set: { 'submissions.$.grade': 85 } }, { query: { 'submissions.id': 'b' } });
+    const byElemMatch = engine.applyOperators(doc, { $inc: { 'submissions.$.grade': 5 } }, {
+      query: { submissions: { $elemMatch: { id: 'a', grade: { $lt: 75 } } } }
+    });
+    const byScalar = engine.applyOperators(doc, { $mul: { 'scores.$': 2 } }, { query: { scores: { $gte: 90 } } });
+
+    TestFramework.assertEquals(85, bySubmission.submissions[1].grade, '$ should update the element matched by the query');
+    TestFramework.assertEquals(70, bySubmission.submissions[0].grade, '$ should leave other elements unchanged');
+    TestFramework.assertEquals(75, byElemMatch.submissions[0].grade, '$ should follow $elemMatch conditions');
+    TestFramework.assertArrayEquals([50, 180, 95], byScalar.scores, '$ should select the first matching scalar element');
+    TestFramework.assertThrows(function() {
+      engine.applyOperators(doc, { $set: { 'submissions.$.grade': 0 } }, { query: { _id: 'x' } });
+    }, ErrorHandler.ErrorTypes.INVALID_QUERY, '$ should require a query condition on the array');
+    try {
+      engine.applyOperators(doc, { $set: { 'submissions.$.grade': 0 } });
+      TestFramework.assertTrue(false, '$ without a query should throw');
+    } catch (error) {
+      TestFramework.assertTrue(error instanceof ErrorHandler.ErrorTypes.INVALID_QUERY, '$ without a query should be an invalid query');
+      TestFramework.assertTrue(error.message.includes('The positional operator did not find the match needed from the query'),
+        'The error should explain that the positional operator found no match');
+      TestFramework.assertTrue(error.context.reason.includes('"submissions"'), 'The reason should name the array path');
+    }
+  });
+
+  suite.addTest('testAllPositionalAndArrayFilters', function() {
+    const engine = UPDATE_ENGINE_TEST_DATA.testEngine;
+    const doc = { items: [{ qty: 1, price: 10 }, { qty: 5, price: 20 }, { qty: 8, price: 30 }] };
+    const all = engine.applyOperators(doc, { $inc: { 'items.$[].qty': 1 }, $unset: { 'items.$[].price': '' } });
+    const filtered = engine.applyOperators(doc, { $max: { 'items.$[big].price': 25 }, $min: { 'items.$[small].qty': 0 } }, {
+      arrayFilters: [{ 'big.qty': { $gte: 5 } }, { small: { $exists: true }, 'small.qty': { $lt: 5 } }]
+    });
+
+    TestFramework.assertDeepEquals([{ qty: 2 }, { qty: 6 }, { qty: 9 }], all.items, '$[] should update every element');
+    TestFramework.assertArrayEquals([10, 25, 30], filtered.items.map(item => item.price), '$[identifier] should update matching elements only');
+    TestFramework.assertArrayEquals([0, 5, 8], filtered.items.map(item => item.qty), 'Each identifier should use its own filter');
+    TestFramework.assertThrows(function() {
+      engine.applyOperators(doc, { $set: { 'items.$[big].qty': 0 } });
+    }, ErrorHandler.ErrorTypes.INVALID_QUERY, 'Should require a filter for each identifier');
+    TestFramework.assertThrows(function() {
+      engine.applyOperators(doc, { $set: { 'items.$[].qty': 0 } }, { arrayFilters: [{ 'unused.qty': 1 }] });
+    }, ErrorHandler.ErrorTypes.INVALID_ARGUMENT, 'Should reject unused array filters');
+    TestFramework.assertThrows(function() {
+      engine.applyOperators({ items: 'none' }, { $set: { 'items.$[].qty': 0 } });
+    }, ErrorHandler.ErrorTypes.INVALID_QUERY, 'Positional segments should require an array');
+  });
+
   suite.addTest('testSetCanChangeFieldType', function() {
     const engine = UPDATE_ENGINE_TEST_DATA.testEngine;
     const doc = { field: 123 };
@@ -593,6 +663,217 @@ function createUpdateEngineTestSuite() {
     }, ErrorHandler.ErrorTypes.INVALID_QUERY, 'Should throw when trying to $addToSet to non-array field');
   });
 
+  suite.addTest('testRenameMovesFields', function() {
+    const engine = UPDATE_ENGINE_TEST_DATA.testEngine;
+    const doc = { fname: 'Ada', address: { zip: 'LS1' }, old: 1 };
+    const result = engine.applyOperators(doc, { $rename: { fname: 'name.first', 'address.zip': 'postcode', missing: 'other' } });
+
+    TestFramework.assertEquals('Ada', result.name.first, 'Should move the value to a nested path');
+    TestFramework.assertEquals(undefined, result.fname, 'Should remove the old field');
+    TestFramework.assertEquals('LS1', result.postcode, 'Should move nested values to the top level');
+    TestFramework.assertFalse('other' in result, 'Should ignore missing source fields');
+    TestFramework.assertThrows(function() {
+      engine.applyOperators(doc, { $rename: { old: 'old.child' } });
+    }, ErrorHandler.ErrorTypes.INVALID_QUERY, 'Should reject overlapping paths');
+    TestFramework.assertThrows(function() {
+      engine.applyOperators(doc, { $rename: { old: 5 } });
+    }, ErrorHandler.ErrorTypes.INVALID_QUERY, 'Should reject non-string targets');
+  });
+
+  suite.addTest('testOperatorsCannotChangeId', function() {
+    const engine = UPDATE_ENGINE_TEST_DATA.testEngine;
+    const doc = { _id: 'x', name: 'Ada' };
+
+    TestFramework.assertThrows(function() {
+      engine.applyOperators(doc, { $set: { _id: 'y' } });
+    }, ErrorHandler.ErrorTypes.INVALID_QUERY, 'Should reject $set changing _id');
+    TestFramework.assertThrows(function() {
+      engine.applyOperators(doc, { $unset: { _id: '' } });
+    }, ErrorHandler.ErrorTypes.INVALID_QUERY, 'Should reject $unset of _id');
+    TestFramework.assertThrows(function() {
+      engine.applyOperators(doc, { $rename: { _id: 'legacyId' } });
+    }, ErrorHandler.ErrorTypes.INVALID_QUERY, 'Should reject renaming _id');
+    TestFramework.assertThrows(function() {
+      engine.applyOperators(doc, { $rename: { name: '_id' } });
+    }, ErrorHandler.ErrorTypes.INVALID_QUERY, 'Should reject renaming a field to _id');
+
+    const unchanged = engine.applyOperators(doc, { $set: { _id: 'x', name: 'Grace' } });
+    TestFramework.assertDeepEquals({ _id: 'x', name: 'Grace' }, unchanged, 'Should allow setting _id to its current value');
+    const inserted = engine.applyOperators({}, { $set: { _id: 'new' } }, { isInsert: true });
+    TestFramework.assertEquals('new', inserted._id, 'Should allow giving a new document its _id');
+  });
+
+  suite.addTest('testCurrentDateSetsDateAndTimestamp', function() {
+    const engine = UPDATE_ENGINE_TEST_DATA.testEngine;
+    const before = Date.now();
+    const result = engine.applyOperators({}, { $currentDate: { updatedAt: true, 'audit.stamp': { $type: 'timestamp' } } });
+
+    TestFramework.assertTrue(result.updatedAt instanceof Date, 'true should set a Date');
+    TestFramework.assertEquals('number', typeof result.audit.stamp, 'timestamp should set a number');
+    TestFramework.assertEquals(result.updatedAt.getTime(), result.audit.stamp, 'Fields should share the same time');
+    TestFramework.assertTrue(result.audit.stamp >= before, 'Should use the current time');
+    TestFramework.assertThrows(function() {
+      engine.applyOperators({}, { $currentDate: { updatedAt: { $type: 'string' } } });
+    }, ErrorHandler.ErrorTypes.INVALID_QUERY, 'Should reject unknown types');
+  });
+
+  suite.addTest('testPopAndPullAll', function() {
+    const engine = UPDATE_ENGINE_TEST_DATA.testEngine;
+    const doc = { queue: [1, 2, 3], tags: ['a', 'b', 'a', 'c'], pairs: [[1], [2]] };
+    const result = engine.applyOperators(doc, { $pop: { queue: -1 }, $pullAll: { tags: ['a', 'c'], pairs: [[2]] } });
+    const popLast = engine.applyOperators(doc, { $pop: { queue: 1, missing: 1 } });
+
+    TestFramework.assertArrayEquals([2, 3], result.queue, '$pop -1 should remove the first element');
+    TestFramework.assertArrayEquals([1, 2], popLast.queue, '$pop 1 should remove the last element');
+    TestFramework.assertArrayEquals(['b'], result.tags, '$pullAll should remove every listed value');
+    TestFramework.assertDeepEquals([[1]], result.pairs, '$pullAll should compare values deeply');
+    TestFramework.assertThrows(function() {
+      engine.applyOperators(doc, { $pop: { queue: 2 } });
+    }, ErrorHandler.ErrorTypes.INVALID_QUERY, '$pop should require 1 or -1');
+    TestFramework.assertThrows(function() {
+      engine.applyOperators(doc, { $pullAll: { tags: 'a' } });
+    }, ErrorHandler.ErrorTypes.INVALID_QUERY, '$pullAll should require an array of values');
+  });
+
+  suite.addTest('testBitAndOrXor', function() {
+    const engine = UPDATE_ENGINE_TEST_DATA.testEngine;
+    const doc = { flags: 13, perms: 6 };
+    const result = engine.applyOperators(doc, { $bit: { flags: { and: 10 }, perms: { or: 1, xor: 4 }, fresh: { or: 5 } } });
+
+    TestFramework.assertEquals(8, result.flags, 'and should clear bits');
+    TestFramework.assertEquals(3, result.perms, 'Operations should apply in order');
+    TestFramework.assertEquals(5, result.fresh, 'Missing fields should start from 0');
+    TestFramework.assertThrows(function() {
+      engine.applyOperators(doc, { $bit: { flags: { not: 1 } } });
+    }, ErrorHandler.ErrorTypes.INVALID_QUERY, 'Should reject unknown bitwise operations');
+    TestFramework.assertThrows(function() {
+      engine.applyOperators(doc, { $bit: { flags: { and: 1.5 } } });
+    }, ErrorHandler.ErrorTypes.INVALID_QUERY, 'Should require integer operands');
+  });
+
+  suite.addTest('testBitBeyond32Bits', function() {
+    const engine = UPDATE_ENGINE_TEST_DATA.testEngine;
+    const doc = { high: Math.pow(2, 31), wide: Math.pow(2, 40) + 5, negative: -1 };
+    const result = engine.applyOperators(doc, {
+      $bit: { high: { or: 1 }, wide: { and: Math.pow(2, 40) + 1 }, negative: { xor: Math.pow(2, 32) } }
+    });
+
+    TestFramework.assertEquals(Math.pow(2, 31) + 1, result.high, 'or should keep bit 31');
+    TestFramework.assertEquals(Math.pow(2, 40) + 1, result.wide, 'and should keep bits beyond 32');
+    TestFramework.assertEquals(-1 - Math.pow(2, 32), result.negative, 'Negative values should use two\'s complement beyond 32 bits');
+    TestFramework.assertThrows(function() {
+      engine.applyOperators(doc, { $bit: { high: { or: Math.pow(2, 53) } } });
+    }, ErrorHandler.ErrorTypes.INVALID_QUERY, 'Should reject operands that are not safe integers');
+    TestFramework.assertThrows(function() {
+      engine.applyOperators({ huge: Math.pow(2, 60) }, { $bit: { huge: { and: 1 } } });
+    }, ErrorHandler.ErrorTypes.INVALID_QUERY, 'Should reject fields that are not safe integers');
+  });
+
+  suite.addTest('testPushPositionSortAndSlice', function() {
+    const engine = UPDATE_ENGINE_TEST_DATA.testEngine;
+    const doc = { list: [1, 2, 3], scores: [40, 10], activity: [{ at: 3 }, { at: 1 }] };
+    const positioned = engine.applyOperators(doc, { $push: { list: { $each: [8, 9], $position: 1 } } });
+    const fromEnd = engine.applyOperators(doc, { $push: { list: { $each: [0], $position: -1 } } });
+    const sorted = engine.applyOperators(doc, { $push: { scores: { $each: [30, 20], $sort: -1, $slice: 3 } } });
+    const recent = engine.applyOperators(doc, { $push: { activity: { $each: [{ at: 2 }, { at: 4 }], $sort: { at: -1 }, $slice: -2 } } });
+    const created = engine.applyOperators({}, { $push: { log: { $each: ['a', 'b', 'c'], $slice: -2 } } });
+
+    TestFramework.assertArrayEquals([1, 8, 9, 2, 3], positioned.list, '$position should insert at the index');
+    TestFramework.assertArrayEquals([1, 2, 0, 3], fromEnd.list, 'Negative $position should count from the end');
+    TestFramework.assertArrayEquals([40, 30, 20], sorted.scores, '$sort should run before $slice');
+    TestFramework.assertArrayEquals([2, 1], recent.activity.map(entry => entry.at), '$sort by field then negative $slice should keep the last elements');
+    TestFramework.assertArrayEquals(['b', 'c'], created.log, 'Modifiers should apply when creating the array');
+    TestFramework.assertThrows(function() {
+      engine.applyOperators(doc, { $push: { list: { $each: [1], $slice: 'all' } } });
+    }, ErrorHandler.ErrorTypes.INVALID_QUERY, '$slice should require an integer');
+    TestFramework.assertThrows(function() {
+      engine.applyOperators(doc, { $push: { list: { $each: [1], $sort: { at: 'asc' } } } });
+    }, ErrorHandler.ErrorTypes.INVALID_QUERY, '$sort should require 1 or -1 directions');
+    TestFramework.assertThrows(function() {
+      engine.applyOperators(doc, { $push: { list: { $each: [1], $limit: 2 } } });
+    }, ErrorHandler.ErrorTypes.INVALID_QUERY, 'Should reject unknown modifiers');
+  });
+
+  suite.addTest('testPushModifiersRequireEach', function() {
+    const engine = UPDATE_ENGINE_TEST_DATA.testEngine;
+    const doc = { list: [1, 2, 3] };
+
+    [{ $slice: 2 }, { $sort: 1 }, { $position: 0 }].forEach(modifier => {
+      TestFramework.assertThrows(function() {
+        engine.applyOperators(doc, { $push: { list: modifier } });
+      }, ErrorHandler.ErrorTypes.INVALID_ARGUMENT, `${Object.keys(modifier)[0]} without $each should be rejected`);
+    });
+    TestFramework.assertArrayEquals([1, 2, 3], doc.list, 'A rejected $push should not change the array');
+  });
+
+  suite.addTest('testPullWithConditions', function() {
+    const engine = UPDATE_ENGINE_TEST_DATA.testEngine;
+    const doc = {
+      scores: [80, 45, 60, 20],
+      items: [{ sku: 'a', qty: 0, status: 'void' }, { sku: 'b', qty: 0, status: 'open' }, 'loose'],
+      tags: ['x', 'y', 'z']
+    };
+    const byRange = engine.applyOperators(doc, { $pull: { scores: { $lt: 50 } } });
+    const bySubdocument = engine.applyOperators(doc, { $pull: { items: { qty: 0, status: 'void' } } });
+    const byLogical = engine.applyOperators(doc, { $pull: { items: { $or: [{ sku: 'a' }, { status: 'open' }] } } });
+    const byMembership = engine.applyOperators(doc, { $pull: { tags: { $in: ['x', 'z'] } } });
+
+    TestFramework.assertArrayEquals([80, 60], byRange.scores, 'Operator conditions should apply to each element');
+    TestFramework.assertArrayEquals(['b', undefined], bySubdocument.items.map(item => item.sku), 'Subdocument queries should match a subset of fields');
+    TestFramework.assertArrayEquals(['loose'], byLogical.items, 'Logical operators should query subdocument fields');
+    TestFramework.assertArrayEquals(['y'], byMembership.tags, '$in should remove every listed value');
+    TestFramework.assertThrows(function() {
+      engine.applyOperators(doc, { $pull: { scores: { $near: 5 } } });
+    }, ErrorHandler.ErrorTypes.INVALID_QUERY, 'Should reject unsupported query operators');
+  });
+
+  suite.addTest('testApplyPipelineStages', function() {
+    const engine = UPDATE_ENGINE_TEST_DATA.testEngine;
+    const doc = { _id: 'o1', price: 3, qty: 2, name: { first: 'Ada', last: 'Lovelace' }, notes: 'x' };
+    const updated = engine.applyPipeline(doc, [
+      { $set: { total: { $multiply: ['$price', '$qty'] }, price: 4, was: '$price' } },
+      { $addFields: { name: { full: { $concat: ['$name.first', ' ', '$name.last'] } }, notes: '$$REMOVE' } },
+      { $unset: 'qty' }
+    ]);
+    const projected = engine.applyPipeline(doc, [{ $project: { price: 1, double: { $add: ['$price', '$price'] } } }]);
+    const excluded = engine.applyPipeline(doc, [{ $project: { name: 0, notes: 0 } }]);
+    const replaced = engine.applyPipeline(doc, [{ $replaceWith: { person: '$name' } }]);
+
+    TestFramework.assertEquals(6, updated.total, '$set should compute from existing fields');
+    TestFramework.assertEquals(3, updated.was, 'Expressions in a stage should see the document before the stage');
+    TestFramework.assertEquals('Ada Lovelace', updated.name.full, 'Nested fields should merge into subdocuments');
+    TestFramework.assertEquals('Ada', updated.name.first, 'Merging should keep existing subdocument fields');
+    TestFramework.assertFalse('notes' in updated, '$$REMOVE should remove the field');
+    TestFramework.assertFalse('qty' in updated, '$unset should remove the field');
+    TestFramework.assertDeepEquals({ _id: 'o1', price: 3, double: 6 }, projected, '$project should keep included and computed fields');
+    TestFramework.assertDeepEquals({ _id: 'o1', price: 3, qty: 2 }, excluded, '$project should remove excluded fields');
+    TestFramework.assertDeepEquals({ _id: 'o1', person: { first: 'Ada', last: 'Lovelace' } }, replaced, '$replaceWith should keep the _id');
+    TestFramework.assertEquals(3, doc.price, 'Original document should not be modified');
+  });
+
+  suite.addTest('testApplyPipelineValidation', function() {
+    const engine = UPDATE_ENGINE_TEST_DATA.testEngine;
+    const doc = { _id: 'o1', price: 3 };
+    TestFramework.assertThrows(function() {
+      engine.applyPipeline(doc, []);
+    }, ErrorHandler.ErrorTypes.INVALID_ARGUMENT, 'Should reject an empty pipeline');
+    TestFramework.assertThrows(function() {
+      engine.applyPipeline(doc, [{ $group: { _id: null } }]);
+    }, ErrorHandler.ErrorTypes.INVALID_QUERY, 'Should reject stages not allowed in updates');
+    TestFramework.assertThrows(function() {
+      engine.applyPipeline(doc, [{ $set: { price: { $pow: ['$price', 2] } } }]);
+    }, ErrorHandler.ErrorTypes.INVALID_QUERY, 'Should reject unsupported expression operators');
+    TestFramework.assertThrows(function() {
+      engine.applyPipeline(doc, [{ $project: { price: 0, total: 1 } }]);
+    }, ErrorHandler.ErrorTypes.INVALID_QUERY, 'Should reject mixed inclusion and exclusion');
+    TestFramework.assertThrows(function() {
+      engine.applyPipeline(doc, [{ $set: { _id: 'o2' } }]);
+    }, ErrorHandler.ErrorTypes.INVALID_QUERY, 'Should reject changes to _id');
+    TestFramework.assertThrows(function() {
+      engine.applyPipeline(doc, [{ $replaceWith: '$price' }]);
+    }, ErrorHandler.ErrorTypes.INVALID_QUERY, '$replaceWith should require a document');
+  });
+
   return suite;
 }
 
@@ -22,6 +22,7 @@ function createErrorHandlerTestSuite() {
     TestFramework.assertTrue(typeof ErrorHandler.ErrorTypes.LOCK_ACQUISITION_FAILURE === 'function', 'Should have LockAcquisitionFailureError');
     TestFramework.assertTrue(typeof ErrorHandler.ErrorTypes.MODIFICATION_CONFLICT === 'function', 'Should have ModificationConflictError');
     TestFramework.assertTrue(typeof ErrorHandler.ErrorTypes.COORDINATION_TIMEOUT === 'function', 'Should have CoordinationTimeoutError');
+    TestFramework.assertTrue(typeof ErrorHandler.ErrorTypes.BULK_WRITE_ERROR === 'function', 'Should have BulkWriteError');
   });
   
   suite.addTest('testErrorCreation', function() {
@@ -42,6 +43,25 @@ function createErrorHandlerTestSuite() {
     const coordTimeout = ErrorHandler.createError('COORDINATION_TIMEOUT', 'operationX', 1234, 'timeout reason');
     TestFramework.assertEquals('CoordinationTimeoutError', coordTimeout.name, 'Should create CoordinationTimeoutError');
     TestFramework.assertEquals('COORDINATION_TIMEOUT', coordTimeout.code, 'Should have correct code');
+
+    const bulkWrite = ErrorHandler.createError(
+      'BULK_WRITE_ERROR',
+      [{ index: 1, code: 'DUPLICATE_KEY', errmsg: 'dup' }],
+      { insertedCount: 1, insertedIds: { 0: 'a' } }
+    );
+    TestFramework.assertEquals('BulkWriteError', bulkWrite.name, 'Should create BulkWriteError');
+    TestFramework.assertEquals('BULK_WRITE_ERROR', bulkWrite.code, 'Should have correct code');
+    TestFramework.assertEquals(1, bulkWrite.writeErrors.length, 'Should expose write errors');
+    TestFramework.assertEquals(1, bulkWrite.insertedCount, 'Should expose result fields on the error');
+    
+    const duplicates = [{ value: 'ada@example.com', ids: ['u1', 'u3'] }];
+    const duplicateKey = ErrorHandler.createError('DUPLICATE_KEY', 'email', 'ada@example.com', 'users', duplicates);
+    TestFramework.assertEquals(
+      'Duplicate key error: email has duplicate values ada@example.com (u1, u3)',
+      duplicateKey.message,
+      'Should list every duplicate in the message'
+    );
+    TestFramework.assertDeepEquals(duplicates, duplicateKey.duplicates, 'Should expose the duplicates');
   });
   
   suite.addTest('testErrorValidation', function() {
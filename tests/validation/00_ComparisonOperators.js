@@ -15,28 +15,28 @@ function createEqualityOperatorTestSuite() {
   // Basic equality matching - String, number, boolean, null, undefined
   suite.addTest('should match string values exactly', function() {
     const collection = VALIDATION_TEST_ENV.collections.persons;
-    const results = collection.find({ 'name.first': { $eq: 'Anna' } });
+    const results = collection.find({ 'name.first': { $eq: 'Anna' } }).toArray();
     TestFramework.assertEquals(1, results.length, 'Should find one person named Anna');
     TestFramework.assertEquals('person1', results[0]._id, 'Should match person1');
   });
 
   suite.addTest('should match numeric values exactly', function() {
     const collection = VALIDATION_TEST_ENV.collections.persons;
-    const results = collection.find({ age: { $eq: 29 } });
+    const results = collection.find({ age: { $eq: 29 } }).toArray();
     TestFramework.assertEquals(1, results.length, 'Should find one person aged 29');
     TestFramework.assertEquals('person1', results[0]._id, 'Should match person1');
   });
 
   suite.addTest('should match zero values correctly', function() {
     const collection = VALIDATION_TEST_ENV.collections.persons;
-    const results = collection.find({ age: { $eq: 0 } });
+    const results = collection.find({ age: { $eq: 0 } }).toArray();
     TestFramework.assertEquals(1, results.length, 'Should find one person aged 0');
     TestFramework.assertEquals('person2', results[0]._id, 'Should match person2');
   });
 
   suite.addTest('should match boolean values exactly', function() {
     const collection = VALIDATION_TEST_ENV.collections.persons;
-    const results = collection.find({ isActive: { $eq: true } });
+    const results = collection.find({ isActive: { $eq: true } }).toArray();
     TestFramework.assertTrue(results.length >= 3, 'Should find multiple active persons');
     const activeIds = results.map(doc => doc._id);
     TestFramework.assertTrue(activeIds.includes('person1'), 'Should include person1');
@@ -45,7 +45,7 @@ function createEqualityOperatorTestSuite() {
 
   suite.addTest('should match null values correctly', function() {
     const collection = VALIDATION_TEST_ENV.collections.persons;
-    const results = collection.find({ lastLogin: { $eq: null } });
+    const results = collection.find({ lastLogin: { $eq: null } }).toArray();
     TestFramework.assertEquals(1, results.length, 'Should find one person with null lastLogin');
     TestFramework.assertEquals('person2', results[0]._id, 'Should match person2');
   });
@@ -54,7 +54,7 @@ function createEqualityOperatorTestSuite() {
   suite.addTest('should match Date objects by exact timestamp', function() {
     const collection = VALIDATION_TEST_ENV.collections.persons;
     const targetDate = new Date('2025-06-20T10:30:00Z');
-    const results = collection.find({ lastLogin: { $eq: targetDate } });
+    const results = collection.find({ lastLogin: { $eq: targetDate } }).toArray();
     TestFramework.assertEquals(1, results.length, 'Should find one person with exact login date');
     TestFramework.assertEquals('person1', results[0]._id, 'Should match person1');
   });
@@ -62,7 +62,7 @@ function createEqualityOperatorTestSuite() {
   // Nested object equality
   suite.addTest('should match nested objects exactly', function() {
     const collection = VALIDATION_TEST_ENV.collections.persons;
-    const results = collection.find({ 'name': { $eq: { first: 'Anna', last: 'Brown' } } });
+    const results = collection.find({ 'name': { $eq: { first: 'Anna', last: 'Brown' } } }).toArray();
     TestFramework.assertEquals(1, results.length, 'Should find one person with exact name object');
     TestFramework.assertEquals('person1', results[0]._id, 'Should match person1');
   });
@@ -70,8 +70,8 @@ function createEqualityOperatorTestSuite() {
   // Edge cases
   suite.addTest('should distinguish empty string from null', function() {
     const collection = VALIDATION_TEST_ENV.collections.persons;
-    const emptyResults = collection.find({ 'contact.email': { $eq: '' } });
-    const nullResults = collection.find({ 'contact.email': { $eq: null } });
+    const emptyResults = collection.find({ 'contact.email': { $eq: '' } }).toArray();
+    const nullResults = collection.find({ 'contact.email': { $eq: null } }).toArray();
     
     TestFramework.assertEquals(1, emptyResults.length, 'Should find one person with empty email');
     TestFramework.assertEquals('person6', emptyResults[0]._id, 'Should match person6');
@@ -82,8 +82,8 @@ function createEqualityOperatorTestSuite() {
 
   suite.addTest('should distinguish zero from false', function() {
     const collection = VALIDATION_TEST_ENV.collections.persons;
-    const zeroResults = collection.find({ age: { $eq: 0 } });
-    const falseResults = collection.find({ isActive: { $eq: false } });
+    const zeroResults = collection.find({ age: { $eq: 0 } }).toArray();
+    const falseResults = collection.find({ isActive: { $eq: false } }).toArray();
     
     TestFramework.assertEquals(1, zeroResults.length, 'Should find one person aged 0');
     TestFramework.assertEquals('person2', zeroResults[0]._id, 'Should match person2 for zero age');
@@ -96,8 +96,8 @@ function createEqualityOperatorTestSuite() {
   // Case sensitivity for strings
   suite.addTest('should be case sensitive for strings', function() {
     const collection = VALIDATION_TEST_ENV.collections.persons;
-    const lowerResults = collection.find({ 'name.first': { $eq: 'anna' } });
-    const upperResults = collection.find({ 'name.first': { $eq: 'Anna' } });
+    const lowerResults = collection.find({ 'name.first': { $eq: 'anna' } }).toArray();
+    const upperResults = collection.find({ 'name.first': { $eq: 'Anna' } }).toArray();
     
     TestFramework.assertEquals(0, lowerResults.length, 'Should not find lowercase anna');
     TestFramework.assertEquals(1, upperResults.length, 'Should find capitalised Anna');
@@ -106,14 +106,14 @@ function createEqualityOperatorTestSuite() {
   // Nested field equality with dot notation
   suite.addTest('should match nested fields with dot notation', function() {
     const collection = VALIDATION_TEST_ENV.collections.persons;
-    const results = collection.find({ 'contact.email': { $eq: 'anna.brown@example.com' } });
+    const results = collection.find({ 'contact.email': { $eq: 'anna.brown@example.com' } }).toArray();
     TestFramework.assertEquals(1, results.length, 'Should find one person with specific email');
     TestFramework.assertEquals('person1', results[0]._id, 'Should match person1');
   });
 
   suite.addTest('should match deep nested fields', function() {
     const collection = VALIDATION_TEST_ENV.collections.persons;
-    const results = collection.find({ 'preferences.settings.notifications.email.enabled': { $eq: true } });
+    const results = collection.find({ 'preferences.settings.notifications.email.enabled': { $eq: true } }).toArray();
     TestFramework.assertTrue(results.length >= 2, 'Should find multiple persons with email notifications enabled');
     const enabledIds = results.map(doc => doc._id);
     TestFramework.assertTrue(enabledIds.includes('person1'), 'Should include person1');
@@ -122,7 +122,7 @@ function createEqualityOperatorTestSuite() {
 
   suite.addTest('should handle non-existent nested paths', function() {
     const collection = VALIDATION_TEST_ENV.collections.persons;
-    const results = collection.find({ 'nonexistent.field': { $eq: 'value' } });
+    const results = collection.find({ 'nonexistent.field': { $eq: 'value' } }).toArray();
     TestFramework.assertEquals(0, results.length, 'Should find no documents for non-existent path');
   });
 
@@ -139,7 +139,7 @@ function createGreaterThanOperatorTestSuite() {
   // Numeric comparisons
   suite.addTest('should compare integers correctly', function() {
     const collection = VALIDATION_TEST_ENV.collections.persons;
-    const results = collection.find({ age: { $gt: 40 } });
+    const results = collection.find({ age: { $gt: 40 } }).toArray();
     TestFramework.assertTrue(results.length >= 3, 'Should find persons older than 40');
     const ageIds = results.map(doc => doc._id);
     TestFramework.assertTrue(ageIds.includes('person3'), 'Should include person3 (age 45)');
@@ -149,7 +149,7 @@ function createGreaterThanOperatorTestSuite() {
 
   suite.addTest('should compare floats correctly', function() {
     const collection = VALIDATION_TEST_ENV.collections.persons;
-    const results = collection.find({ score: { $gt: 90.0 } });
+    const results = collection.find({ score: { $gt: 90.0 } }).toArray();
     TestFramework.assertTrue(results.length >= 2, 'Should find persons with score > 90');
     const scoreIds = results.map(doc => doc._id);
     TestFramework.assertTrue(scoreIds.includes('person3'), 'Should include person3 (score 92.3)');
@@ -158,7 +158,7 @@ function createGreaterThanOperatorTestSuite() {
 
   suite.addTest('should handle mixed integer and float comparison', function() {
     const collection = VALIDATION_TEST_ENV.collections.persons;
-    const results = collection.find({ score: { $gt: 80 } }); // integer 80
+    const results = collection.find({ score: { $gt: 80 } }).toArray(); // integer 80
     TestFramework.assertTrue(results.length >= 3, 'Should find persons with score > 80');
     const scoreIds = results.map(doc => doc._id);
     TestFramework.assertTrue(scoreIds.includes('person1'), 'Should include person1 (score 85.5)');
@@ -166,7 +166,7 @@ function createGreaterThanOperatorTestSuite() {
 
   suite.addTest('should handle negative numbers correctly', function() {
     const collection = VALIDATION_TEST_ENV.collections.persons;
-    const results = collection.find({ balance: { $gt: -200 } });
+    const results = collection.find({ balance: { $gt: -200 } }).toArray();
     TestFramework.assertTrue(results.length >= 5, 'Should find persons with balance > -200');
     const balanceIds = results.map(doc => doc._id);
     TestFramework.assertTrue(balanceIds.includes('person3'), 'Should include person3 (balance -150.25)');
@@ -174,7 +174,7 @@ function createGreaterThanOperatorTestSuite() {
 
   suite.addTest('should handle zero boundary cases', function() {
     const collection = VALIDATION_TEST_ENV.collections.persons;
-    const results = collection.find({ balance: { $gt: 0 } });
+    const results = collection.find({ balance: { $gt: 0 } }).toArray();
     TestFramework.assertTrue(results.length >= 4, 'Should find persons with positive balance');
     results.forEach(doc => {
       TestFramework.assertTrue(doc.balance > 0, `Person ${doc._id} should have positive balance`);
@@ -185,7 +185,7 @@ function createGreaterThanOperatorTestSuite() {
   suite.addTest('should compare Date objects chronologically', function() {
     const collection = VALIDATION_TEST_ENV.collections.persons;
     const cutoffDate = new Date('2025-06-20T00:00:00Z');
-    const results = collection.find({ lastLogin: { $gt: cutoffDate } });
+    const results = collection.find({ lastLogin: { $gt: cutoffDate } }).toArray();
     TestFramework.assertTrue(results.length >= 2, 'Should find persons with recent logins');
     const recentIds = results.map(doc => doc._id);
     TestFramework.assertTrue(recentIds.includes('person4'), 'Should include person4');
@@ -195,7 +195,7 @@ function createGreaterThanOperatorTestSuite() {
   // String comparisons - lexicographical
   suite.addTest('should compare strings lexicographically', function() {
     const collection = VALIDATION_TEST_ENV.collections.persons;
-    const results = collection.find({ 'name.first': { $gt: 'D' } });
+    const results = collection.find({ 'name.first': { $gt: 'D' } }).toArray();
     TestFramework.assertTrue(results.length >= 2, 'Should find names after D');
     const nameIds = results.map(doc => doc._id);
     TestFramework.assertTrue(nameIds.includes('person5'), 'Should include Ethan');
@@ -204,7 +204,7 @@ function createGreaterThanOperatorTestSuite() {
 
   suite.addTest('should handle case sensitivity in string comparison', function() {
     const collection = VALIDATION_TEST_ENV.collections.persons;
-    const results = collection.find({ 'preferences.settings.theme': { $gt: 'dark' } });
+    const results = collection.find({ 'preferences.settings.theme': { $gt: 'dark' } }).toArray();
     TestFramework.assertTrue(results.length >= 2, 'Should find themes lexicographically after "dark"');
     // Should include 'light', 'high-contrast', etc.
   });
@@ -212,21 +212,21 @@ function createGreaterThanOperatorTestSuite() {
   // Type mixing errors - should not match incompatible types
   suite.addTest('should not compare number with string', function() {
     const collection = VALIDATION_TEST_ENV.collections.persons;
-    const results = collection.find({ age: { $gt: '30' } }); // string '30'
+    const results = collection.find({ age: { $gt: '30' } }).toArray(); // string '30'
     TestFramework.assertEquals(0, results.length, 'Should not match number field with string value');
   });
 
   // Null/undefined handling
   suite.addTest('should handle null values in comparison', function() {
     const collection = VALIDATION_TEST_ENV.collections.persons;
-    const results = collection.find({ lastLogin: { $gt: null } });
+    const results = collection.find({ lastLogin: { $gt: null } }).toArray();
     // MongoDB: $gt with null should return no results
     TestFramework.assertEquals(0, results.length, 'Should not match any documents when comparing with null');
   });
 
   suite.addTest('should handle missing fields in comparison', function() {
     const collection = VALIDATION_TEST_ENV.collections.persons;
-    const results = collection.find({ 'nonexistent.field': { $gt: 0 } });
+    const results = collection.find({ 'nonexistent.field': { $gt: 0 } }).toArray();
     TestFramework.assertEquals(0, results.length, 'Should find no documents for non-existent field');
   });
 
@@ -243,7 +243,7 @@ function createLessThanOperatorTestSuite() {
   // Basic numeric comparisons (inverted from $gt)
   suite.addTest('should compare integers correctly', function() {
     const collection = VALIDATION_TEST_ENV.collections.persons;
-    const results = collection.find({ age: { $lt: 40 } });
+    const results = collection.find({ age: { $lt: 40 } }).toArray();
     TestFramework.assertTrue(results.length >= 2, 'Should find persons younger than 40');
     const ageIds = results.map(doc => doc._id);
     TestFramework.assertTrue(ageIds.includes('person1'), 'Should include person1 (age 29)');
@@ -253,7 +253,7 @@ function createLessThanOperatorTestSuite() {
 
   suite.addTest('should compare floats correctly', function() {
     const collection = VALIDATION_TEST_ENV.collections.persons;
-    const results = collection.find({ score: { $lt: 80.0 } });
+    const results = collection.find({ score: { $lt: 80.0 } }).toArray();
     TestFramework.assertTrue(results.length >= 2, 'Should find persons with score < 80');
     const scoreIds = results.map(doc => doc._id);
     TestFramework.assertTrue(scoreIds.includes('person4'), 'Should include person4 (score 78.1)');
@@ -262,14 +262,14 @@ function createLessThanOperatorTestSuite() {
 
   suite.addTest('should handle negative number boundaries', function() {
     const collection = VALIDATION_TEST_ENV.collections.persons;
-    const results = collection.find({ balance: { $lt: 0 } });
+    const results = collection.find({ balance: { $lt: 0 } }).toArray();
     TestFramework.assertEquals(1, results.length, 'Should find one person with negative balance');
     TestFramework.assertEquals('person3', results[0]._id, 'Should match person3');
   });
 
   suite.addTest('should handle zero boundary cases', function() {
     const collection = VALIDATION_TEST_ENV.collections.persons;
-    const results = collection.find({ age: { $lt: 1 } });
+    const results = collection.find({ age: { $lt: 1 } }).toArray();
     TestFramework.assertEquals(1, results.length, 'Should find one person aged less than 1');
     TestFramework.assertEquals('person2', results[0]._id, 'Should match person2 (age 0)');
   });
@@ -278,7 +278,7 @@ function createLessThanOperatorTestSuite() {
   suite.addTest('should compare Date objects chronologically', function() {
     const collection = VALIDATION_TEST_ENV.collections.persons;
     const cutoffDate = new Date('2025-06-20T00:00:00Z');
-    const results = collection.find({ lastLogin: { $lt: cutoffDate } });
+    const results = collection.find({ lastLogin: { $lt: cutoffDate } }).toArray();
     TestFramework.assertTrue(results.length >= 2, 'Should find persons with older logins');
     const olderIds = results.map(doc => doc._id);
     TestFramework.assertTrue(olderIds.includes('person3'), 'Should include person3');
@@ -288,7 +288,7 @@ function createLessThanOperatorTestSuite() {
   // String comparisons
   suite.addTest('should compare strings lexicographically', function() {
     const collection = VALIDATION_TEST_ENV.collections.persons;
-    const results = collection.find({ 'name.first': { $lt: 'D' } });
+    const results = collection.find({ 'name.first': { $lt: 'D' } }).toArray();
     TestFramework.assertTrue(results.length >= 3, 'Should find names before D');
     const nameIds = results.map(doc => doc._id);
     TestFramework.assertTrue(nameIds.includes('person1'), 'Should include Anna');
@@ -299,13 +299,13 @@ function createLessThanOperatorTestSuite() {
   // Boundary testing with extreme values
   suite.addTest('should handle large number boundaries', function() {
     const collection = VALIDATION_TEST_ENV.collections.persons;
-    const results = collection.find({ balance: { $lt: 15000 } });
+    const results = collection.find({ balance: { $lt: 15000 } }).toArray();
     TestFramework.assertEquals(6, results.length, 'Should find all persons (all balances < 15000)');
   });
 
   suite.addTest('should handle floating point precision', function() {
     const collection = VALIDATION_TEST_ENV.collections.persons;
-    const results = collection.find({ score: { $lt: 85.5 } });
+    const results = collection.find({ score: { $lt: 85.5 } }).toArray();
     TestFramework.assertTrue(results.length >= 2, 'Should find scores less than 85.5');
     // Should not include person1 who has exactly 85.5
     const scoreIds = results.map(doc => doc._id);
@@ -315,7 +315,7 @@ function createLessThanOperatorTestSuite() {
   // Type mixing and null handling
   suite.addTest('should handle null in less than comparison', function() {
     const collection = VALIDATION_TEST_ENV.collections.persons;
-    const results = collection.find({ lastLogin: { $lt: new Date('2025-12-31') } });
+    const results = collection.find({ lastLogin: { $lt: new Date('2025-12-31') } }).toArray();
     // All non-null dates should be less than future date, null should not match
     TestFramework.assertTrue(results.length >= 5, 'Should find all non-null dates');
     results.forEach(doc => {
@@ -325,7 +325,7 @@ function createLessThanOperatorTestSuite() {
 
   suite.addTest('should handle missing fields correctly', function() {
     const collection = VALIDATION_TEST_ENV.collections.persons;
-    const results = collection.find({ 'missing.field': { $lt: 100 } });
+    const results = collection.find({ 'missing.field': { $lt: 100 } }).toArray();
     TestFramework.assertEquals(0, results.length, 'Should find no documents for missing field');
   });
 
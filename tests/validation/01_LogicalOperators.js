@@ -20,7 +20,7 @@ function createLogicalAndOperatorTestSuite() {
         { isActive: { $eq: true } },
         { age: { $gt: 30 } }
       ]
-    });
+    }).toArray();
     TestFramework.assertEquals(3, results.length, 'Should find 3 active persons over 30');
     const expectedIds = ['person3', 'person4', 'person6'];
     results.forEach(doc => {
@@ -39,7 +39,7 @@ function createLogicalAndOperatorTestSuite() {
         { score: { $gt: 80 } },
         { balance: { $gt: 1000 } }
       ]
-    });
+    }).toArray();
     TestFramework.assertEquals(1, results.length, 'Should find 1 active person with score > 80 and balance > 1000');
     const expectedIds = ['person1'];
     results.forEach(doc => {
@@ -59,7 +59,7 @@ function createLogicalAndOperatorTestSuite() {
         { age: { $lt: 35 } },
         { score: { $gt: 80 } }
       ]
-    });
+    }).toArray();
     TestFramework.assertEquals(1, results.length, 'Should find Anna with age < 35 and score > 80');
     TestFramework.assertEquals('person1', results[0]._id, 'Should match person1');
     TestFramework.assertEquals('Anna', results[0].name.first, 'Should match Anna');
@@ -78,7 +78,7 @@ function createLogicalAndOperatorTestSuite() {
         },
         { score: { $gt: 85 } }
       ]
-    });
+    }).toArray();
     TestFramework.assertEquals(2, results.length, 'Should find 2 active persons over 25 with score > 85');
     const expectedIds = ['person1', 'person3'];
     results.forEach(doc => {
@@ -92,7 +92,7 @@ function createLogicalAndOperatorTestSuite() {
   // Edge cases - Empty $and array
   suite.addTest('should match all documents with empty $and array', function() {
     const collection = VALIDATION_TEST_ENV.collections.persons;
-    const results = collection.find({ $and: [] });
+    const results = collection.find({ $and: [] }).toArray();
     TestFramework.assertEquals(6, results.length, 'Empty $and should match all 6 persons');
   });
 
@@ -103,7 +103,7 @@ function createLogicalAndOperatorTestSuite() {
       $and: [
         { isActive: { $eq: false } }
       ]
-    });
+    }).toArray();
     TestFramework.assertEquals(2, results.length, 'Should find 2 inactive persons');
     const expectedIds = ['person2', 'person5'];
     results.forEach(doc => {
@@ -120,7 +120,7 @@ function createLogicalAndOperatorTestSuite() {
         { isActive: { $eq: true } },
         { isActive: { $eq: false } }
       ]
-    });
+    }).toArray();
     TestFramework.assertEquals(0, results.length, 'Contradictory conditions should match no documents');
   });
 
@@ -142,7 +142,7 @@ function createLogicalOrOperatorTestSuite() {
         { age: { $lt: 30 } },
         { age: { $gt: 60 } }
       ]
-    });
+    }).toArray();
     TestFramework.assertEquals(3, results.length, 'Should find 3 persons under 30 or over 60');
     const expectedIds = ['person1', 'person2', 'person6']; // Anna (29), Ben (0) and Frank (65)
     results.forEach(doc => {
@@ -160,7 +160,7 @@ function createLogicalOrOperatorTestSuite() {
         { 'name.first': { $eq: 'Clara' } },
         { 'name.first': { $eq: 'Frank' } }
       ]
-    });
+    }).toArray();
     TestFramework.assertEquals(3, results.length, 'Should find Anna, Clara, or Frank');
     const expectedIds = ['person1', 'person3', 'person6'];
     results.forEach(doc => {
@@ -179,7 +179,7 @@ function createLogicalOrOperatorTestSuite() {
         { balance: { $lt: 0 } },
         { age: { $eq: 0 } }
       ]
-    });
+    }).toArray();
     TestFramework.assertEquals(3, results.length, 'Should find persons with high score, negative balance, or zero age');
     const expectedIds = ['person2', 'person3', 'person5']; // Ben (age 0), Clara (negative balance), Ethan (score 95.8)
     results.forEach(doc => {
@@ -202,7 +202,7 @@ function createLogicalOrOperatorTestSuite() {
         },
         { age: { $gt: 60 } }
       ]
-    });
+    }).toArray();
     TestFramework.assertEquals(3, results.length, 'Should find Anna, Ben, or persons over 60');
     const expectedIds = ['person1', 'person2', 'person6']; // Anna, Ben, Frank
     results.forEach(doc => {
@@ -213,7 +213,7 @@ function createLogicalOrOperatorTestSuite() {
   // Edge cases - Empty $or array
   suite.addTest('should match no documents with empty $or array', function() {
     const collection = VALIDATION_TEST_ENV.collections.persons;
-    const results = collection.find({ $or: [] });
+    const results = collection.find({ $or: [] }).toArray();
     TestFramework.assertEquals(0, results.length, 'Empty $or should match no documents');
   });
 
@@ -224,7 +224,7 @@ function createLogicalOrOperatorTestSuite() {
       $or: [
         { isActive: { $eq: true } }
       ]
-    });
+    }).toArray();
     TestFramework.assertEquals(4, results.length, 'Should find 4 active persons');
     results.forEach(doc => {
       TestFramework.assertTrue(doc.isActive, `Document ${doc._id} should be active`);
@@ -239,7 +239,7 @@ function createLogicalOrOperatorTestSuite() {
         { 'name.first': { $eq: 'Anna' } },
         { 'name.first': { $eq: 'Anna' } }
       ]
-    });
+    }).toArray();
     TestFramework.assertEquals(1, results.length, 'Duplicate conditions should still only match Anna once');
     TestFramework.assertEquals('person1', results[0]._id, 'Should match person1');
     TestFramework.assertEquals('Anna', results[0].name.first, 'Should match Anna');
@@ -268,7 +268,7 @@ function createCombinedLogicalOperatorTestSuite() {
         },
         { isActive: { $eq: true } }
       ]
-    });
+    }).toArray();
     TestFramework.assertEquals(2, results.length, 'Should find active Anna or Diana');
     const expectedIds = ['person1', 'person4'];
     results.forEach(doc => {
@@ -291,7 +291,7 @@ function createCombinedLogicalOperatorTestSuite() {
         },
         { score: { $gt: 95 } }
       ]
-    });
+    }).toArray();
     TestFramework.assertEquals(1, results.length, 'Should find person5 (inactive over 40 with high score)');
     const actualIds = results.map(doc => doc._id);
     TestFramework.assertTrue(actualIds.includes('person5'), 'Should include person5 (inactive, age 50, score 95.8)');
@@ -315,7 +315,7 @@ function createCombinedLogicalOperatorTestSuite() {
           ]
         }
       ]
-    });
+    }).toArray();
     TestFramework.assertEquals(2, results.length, 'Should find persons matching complex nested conditions');
     const expectedIds = ['person1', 'person6']; // Anna (29, active) and Frank (65, active)
     results.forEach(doc => {
@@ -336,7 +336,7 @@ function createCombinedLogicalOperatorTestSuite() {
         { age: { $gt: 30 } },
         { score: { $gt: 80 } }
       ]
-    });
+    }).toArray();
     TestFramework.assertEquals(1, results.length, 'Should find one active person over 30 with score > 80');
     const expectedIds = ['person3']; 
     results.forEach(doc => {
@@ -356,7 +356,7 @@ function createCombinedLogicalOperatorTestSuite() {
         { age: { $lt: 35 } },
         { age: { $gt: 60 } }
       ]
-    });
+    }).toArray();
     TestFramework.assertEquals(2, results.length, 'Should find two active persons under 35 or over 60');
     const expectedIds = ['person1', 'person6']; 
     results.forEach(doc => {
@@ -375,7 +375,7 @@ function createCombinedLogicalOperatorTestSuite() {
         { $or: [ { age: { $lt: 40 } }, { score: { $gt: 90 } } ] },
         { balance: { $gt: 500 } }
       ]
-    });
+    }).toArray();
     TestFramework.assertEquals(2, results.length, 'Should find two newsletter subscribers matching complex conditions');
     const expectedIds = ['person1', 'person4']; 
     results.forEach(doc => {
@@ -400,7 +400,7 @@ function createLogicalOperatorErrorTestSuite() {
   suite.addTest('should throw error for invalid $and structure', function() {
     const collection = VALIDATION_TEST_ENV.collections.persons;
     TestFramework.assertThrows(function() {
-      collection.find({ $and: "not an array" });
+      collection.find({ $and: "not an array" }).toArray();
     }, null, 'Should throw error for non-array $and');
   });
 
@@ -408,7 +408,7 @@ function createLogicalOperatorErrorTestSuite() {
   suite.addTest('should throw error for invalid $or structure', function() {
     const collection = VALIDATION_TEST_ENV.collections.persons;
     TestFramework.assertThrows(function() {
-      collection.find({ $or: { invalid: "structure" } });
+      collection.find({ $or: { invalid: "structure" } }).toArray();
     }, null, 'Should throw error for non-array $or');
   });
 